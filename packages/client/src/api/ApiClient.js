@@ -119,7 +119,7 @@ export class ApiClient {
 
   /**
    * Generate puzzles with filters
-   * @param {object} options - { theme, count, minRating, maxRating, minPopularity }
+   * @param {object} options - { theme, count, minRating, maxRating, minPopularity, studentIds }
    */
   async generatePuzzles(options = {}) {
     const response = await this.post('/puzzles/generate', options);
@@ -154,12 +154,41 @@ export class ApiClient {
   }
 
   /**
-   * Update puzzle FEN
+   * Edit a puzzle (recorded as a new revision)
    * @param {string} id - Puzzle ID
-   * @param {string} fen - New FEN
+   * @param {object} changes - { fen?, moves? (SAN), themes?, rating?, game_url? }
    */
-  async updatePuzzleFEN(id, fen) {
-    const response = await this.put(`/puzzles/${id}/fen`, { fen });
+  async updatePuzzle(id, changes) {
+    const response = await this.put(`/puzzles/${id}`, changes);
+    return response.data;
+  }
+
+  /**
+   * Get a puzzle's revision history, newest first
+   * @param {string} id - Puzzle ID
+   */
+  async getPuzzleRevisions(id) {
+    const response = await this.get(`/puzzles/${id}/revisions`);
+    return response.data;
+  }
+
+  /**
+   * Restore a puzzle to an earlier revision
+   * @param {string} id - Puzzle ID
+   * @param {number} revision - Revision to restore
+   */
+  async revertPuzzle(id, revision) {
+    const response = await this.post(`/puzzles/${id}/revisions/${revision}/revert`);
+    return response.data;
+  }
+
+  /**
+   * Check a puzzle's solution with the server's engine (admin only)
+   * @param {string} id - Puzzle ID
+   * @returns {Promise<object>} - { engine, depth, sound, unique, issues, plies }
+   */
+  async getPuzzleEngineCheck(id) {
+    const response = await this.get(`/puzzles/${id}/engine-check`);
     return response.data;
   }
 
@@ -172,6 +201,25 @@ export class ApiClient {
     return response.data;
   }
 
+  /**
+   * Bulk import custom puzzles from a PGN, EPD or CSV file (admin only)
+   * @param {string} content - File contents
+   * @param {object} options - { format?, dryRun?, rating?, themes? }; dryRun defaults to true
+   */
+  async importPuzzles(content, options = {}) {
+    const response = await this.post('/puzzles/import', { content, ...options });
+    return response.data;
+  }
+
+  /**
+   * List clusters of puzzles sharing a position (admin only)
+   * @param {object} options - { mirrored, crossSource, page, pageSize }
+   */
+  async getDuplicatePuzzles(options = {}) {
+    const response = await this.get('/puzzles/duplicates', options);
+    return response.data;
+  }
+
   /**
    * Get custom puzzle statistics
    */
@@ -209,6 +257,14 @@ export class ApiClient {
     return response.data;
   }
 
+  /**
+   * Get opening families with their variations and puzzle counts
+   */
+  async getOpenings() {
+    const response = await this.get('/openings');
+    return response.data;
+  }
+
   /**
    * Get themes grouped by category
    */
@@ -347,6 +403,40 @@ export class ApiClient {
     return response.data;
   }
 
+  /**
+   * Get a student's Glicko-2 puzzle rating and rating history
+   * @param {string} id - Student ID
+   */
+  async getStudentRating(id) {
+    const response = await this.get(`/students/${id}/rating`);
+    return response.data;
+  }
+
+  /**
+   * Get a student's spaced-repetition review queue
+   * @param {string} id - Student ID
+   * @param {object} options - { all, limit }
+   */
+  async getReviewQueue(id, options = {}) {
+    const params = {};
+    if (options.all) params.all = 'true';
+    if (options.limit) params.limit = options.limit;
+    const response = await this.get(`/students/${id}/review-queue`, params);
+    return response.data;
+  }
+
+  /**
+   * Record the outcome of a review and reschedule the item
+   * @param {string} id - Student ID
+   * @param {string} itemId - Review item ID
+   * @param {boolean} correct - Whether the puzzle was solved
+   * @param {boolean} usedHint - Whether a hint was needed
+   */
+  async submitReview(id, itemId, correct, usedHint = false) {
+    const response = await this.post(`/students/${id}/review-queue/${itemId}`, { correct, usedHint });
+    return response.data;
+  }
+
   // ==================== Exercise API ====================
 
   /**
@@ -376,7 +466,7 @@ export class ApiClient {
 
   /**
    * Create a new weekly exercise
-   * @param {object} data - { puzzleIds, filters?, name?, weekStart? }
+   * @param {object} data - { puzzleIds, filters?, name?, weekStart?, timeLimitSeconds?, timeLimitMode? }
    */
   async createExercise(data) {
     const response = await this.post('/exercises', data);
@@ -406,9 +496,22 @@ export class ApiClient {
    * Assign exercise to students
    * @param {string} exerciseId - Exercise ID
    * @param {string[]} studentIds - Array of student IDs
+   * @param {string|null} dueAt - Optional ISO due date (defaults to end of the exercise week)
+   */
+  async assignExercise(exerciseId, studentIds, dueAt = null) {
+    const body = { studentIds };
+    if (dueAt) {
+      body.dueAt = dueAt;
+    }
+    const response = await this.post(`/exercises/${exerciseId}/assign`, body);
+    return response.data;
+  }
+
+  /**
+   * List assignments past their due date with nothing submitted
    */
-  async assignExercise(exerciseId, studentIds) {
-    const response = await this.post(`/exercises/${exerciseId}/assign`, { studentIds });
+  async getOverdueAssignments() {
+    const response = await this.get('/exercises/overdue');
     return response.data;
   }
 
@@ -421,6 +524,16 @@ export class ApiClient {
     return `${this.baseUrl}/exercises/${id}/pdf?token=${encodeURIComponent(token)}`;
   }
 
+  /**
+   * Get exercise export download URL
+   * @param {string} id - Exercise ID
+   * @param {string} format - 'pgn', 'epd' or 'json'
+   */
+  getExerciseExportUrl(id, format = 'pgn') {
+    const token = this._authManager?.getAccessToken() || '';
+    return `${this.baseUrl}/exercises/${id}/export?format=${format}&token=${encodeURIComponent(token)}`;
+  }
+
   /**
    * Get assignments for an exercise
    * @param {string} exerciseId - Exercise ID
@@ -430,6 +543,161 @@ export class ApiClient {
     return response.data;
   }
 
+  /**
+   * Get average and slowest solve time per puzzle for an exercise
+   * @param {string} exerciseId - Exercise ID
+   */
+  async getExerciseSolveTimes(exerciseId) {
+    const response = await this.get(`/exercises/${exerciseId}/solve-times`);
+    return response.data;
+  }
+
+  /**
+   * Build and assign a personalized exercise for each student
+   * @param {string[]} studentIds - Student IDs
+   * @param {object} options - { count, weekStart }
+   */
+  async createPersonalizedExercises(studentIds, options = {}) {
+    const response = await this.post('/exercises/personalized', { studentIds, ...options });
+    return response.data;
+  }
+
+  // ==================== Exercise Schedule API ====================
+
+  /**
+   * List recurring exercise schedules with their upcoming runs
+   */
+  async getSchedules() {
+    const response = await this.get('/exercises/schedules');
+    return response.data;
+  }
+
+  /**
+   * Create a recurring exercise schedule
+   * @param {object} data - { name, studentIds, themes, minRating, maxRating, count, weekday, excludeSeen }
+   */
+  async createSchedule(data) {
+    const response = await this.post('/exercises/schedules', data);
+    return response.data;
+  }
+
+  /**
+   * Update a schedule (pass { active: false } to pause)
+   * @param {string} id - Schedule ID
+   * @param {object} data - Fields to change
+   */
+  async updateSchedule(id, data) {
+    const response = await this.put(`/exercises/schedules/${id}`, data);
+    return response.data;
+  }
+
+  /**
+   * Delete a schedule
+   * @param {string} id - Schedule ID
+   */
+  async deleteSchedule(id) {
+    const response = await this.delete(`/exercises/schedules/${id}`);
+    return response;
+  }
+
+  /**
+   * Preview what a schedule's next run would generate, without saving
+   * @param {string} id - Schedule ID
+   */
+  async dryRunSchedule(id) {
+    const response = await this.post(`/exercises/schedules/${id}/dry-run`, {});
+    return response.data;
+  }
+
+  // ==================== Group API ====================
+
+  /**
+   * List student groups with member counts
+   */
+  async getGroups() {
+    const response = await this.get('/groups');
+    return response.data;
+  }
+
+  /**
+   * Get a group with its members
+   * @param {string} id - Group ID
+   */
+  async getGroup(id) {
+    const response = await this.get(`/groups/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Create a group
+   * @param {object} data - { name, description?, studentIds? }
+   */
+  async createGroup(data) {
+    const response = await this.post('/groups', data);
+    return response.data;
+  }
+
+  /**
+   * Update a group's name or description
+   * @param {string} id - Group ID
+   * @param {object} data - { name?, description? }
+   */
+  async updateGroup(id, data) {
+    const response = await this.put(`/groups/${id}`, data);
+    return response.data;
+  }
+
+  /**
+   * Delete a group
+   * @param {string} id - Group ID
+   */
+  async deleteGroup(id) {
+    const response = await this.delete(`/groups/${id}`);
+    return response;
+  }
+
+  /**
+   * Add students to a group (backfills exercises assigned with backfill enabled)
+   * @param {string} id - Group ID
+   * @param {string[]} studentIds - Student IDs
+   */
+  async addGroupMembers(id, studentIds) {
+    const response = await this.post(`/groups/${id}/members`, { studentIds });
+    return response.data;
+  }
+
+  /**
+   * Remove a student from a group
+   * @param {string} id - Group ID
+   * @param {string} studentId - Student ID
+   */
+  async removeGroupMember(id, studentId) {
+    const response = await this.delete(`/groups/${id}/members/${studentId}`);
+    return response;
+  }
+
+  /**
+   * Assign an exercise to every member of a group
+   * @param {string} id - Group ID
+   * @param {string} exerciseId - Exercise ID
+   * @param {object} options - { dueAt?: ISO timestamp, backfill?: boolean }
+   */
+  async assignExerciseToGroup(id, exerciseId, { dueAt = null, backfill = false } = {}) {
+    const body = { exerciseId, backfill };
+    if (dueAt) body.dueAt = dueAt;
+    const response = await this.post(`/groups/${id}/assign`, body);
+    return response.data;
+  }
+
+  /**
+   * Get the class dashboard for a group
+   * @param {string} id - Group ID
+   */
+  async getGroupDashboard(id) {
+    const response = await this.get(`/groups/${id}/dashboard`);
+    return response.data;
+  }
+
   // ==================== Student Exercise API ====================
 
   /**
@@ -466,13 +734,26 @@ export class ApiClient {
     return response.data;
   }
 
+  /**
+   * Change the due date of one assignment
+   * @param {string} studentExerciseId - Student exercise ID
+   * @param {string} dueAt - ISO timestamp
+   */
+  async setAssignmentDueDate(studentExerciseId, dueAt) {
+    const response = await this.put(`/student-exercises/${studentExerciseId}/due-date`, { dueAt });
+    return response.data;
+  }
+
   /**
    * Save a student's puzzle attempt (temporary score, not final grade)
    * @param {string} studentExerciseId - Student exercise ID
    * @param {number} score - Number of correct answers
    * @param {string} puzzleResults - Comma-separated results (1=correct, 0=wrong)
+   * @param {string} puzzleHints - Comma-separated hint usage (1=used)
+   * @param {string} puzzleTimes - Comma-separated solve time per puzzle in ms
+   * @param {object[]} moveLog - Moves tried since the last save ([{ puzzleIndex, moves: [{ move, ply, correct, playedAt }] }])
    */
-  async saveStudentAttempt(studentExerciseId, score, puzzleResults = null, puzzleHints = null) {
+  async saveStudentAttempt(studentExerciseId, score, puzzleResults = null, puzzleHints = null, puzzleTimes = null, moveLog = null) {
     const body = { score };
     if (puzzleResults !== null) {
       body.puzzleResults = puzzleResults;
@@ -480,10 +761,43 @@ export class ApiClient {
     if (puzzleHints !== null) {
       body.puzzleHints = puzzleHints;
     }
+    if (puzzleTimes !== null) {
+      body.puzzleTimes = puzzleTimes;
+    }
+    if (moveLog !== null && moveLog.length > 0) {
+      body.moveLog = moveLog;
+    }
     const response = await this.put(`/student-exercises/${studentExerciseId}/attempt`, body);
     return response.data;
   }
 
+  /**
+   * Start (or resume) an attempt; returns the time limit and, for total limits, remaining_ms
+   * @param {string} studentExerciseId - Student exercise ID
+   */
+  async startStudentAttempt(studentExerciseId) {
+    const response = await this.post(`/student-exercises/${studentExerciseId}/start`, {});
+    return response.data;
+  }
+
+  /**
+   * Get the move-by-move attempt log of a student exercise, grouped by puzzle
+   * @param {string} studentExerciseId - Student exercise ID
+   */
+  async getAttemptLog(studentExerciseId) {
+    const response = await this.get(`/student-exercises/${studentExerciseId}/attempt-log`);
+    return response.data;
+  }
+
+  /**
+   * Get the per-puzzle results (correct, hint used, solve time) of a student exercise
+   * @param {string} studentExerciseId - Student exercise ID
+   */
+  async getPuzzleResults(studentExerciseId) {
+    const response = await this.get(`/student-exercises/${studentExerciseId}/results`);
+    return response.data;
+  }
+
   /**
    * Upload answer PDF for a student exercise
    * @param {string} studentExerciseId - Student exercise ID
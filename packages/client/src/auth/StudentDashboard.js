@@ -4,7 +4,7 @@
  */
 
 import { authManager } from './AuthManager.js';
-import { openExercisePuzzleViewer } from '../exercises/ExercisePuzzleViewer.js';
+import { openPuzzlePlayer } from '../exercises/PuzzlePlayer.js';
 
 const STATUS_LABELS = {
   'assigned': 'Assigned',
@@ -12,6 +12,15 @@ const STATUS_LABELS = {
   'graded': 'Graded'
 };
 
+const TAB_PAGES = {
+  exercises: { hash: '/my-exercises', title: 'My Exercises', subtitle: 'Track your exercises and improve your chess skills' },
+  review: { hash: '/review', title: 'Review', subtitle: 'Revisit puzzles you missed until they stick' },
+  performance: { hash: '/performance', title: 'Performance', subtitle: 'Track your progress over time' }
+};
+
+// Unsubmitted assignments due within this many days are listed under "Due Soon"
+const DUE_SOON_DAYS = 3;
+
 const STATUS_COLORS = {
   'assigned': '#6366f1',
   'submitted': '#f59e0b',
@@ -23,10 +32,7 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
   const studentId = user.student_id;
   let activeTab = initialTab;
 
-  const pageTitle = activeTab === 'performance' ? 'Performance' : 'My Exercises';
-  const pageSubtitle = activeTab === 'performance'
-    ? 'Track your progress over time'
-    : 'Track your exercises and improve your chess skills';
+  const { title: pageTitle, subtitle: pageSubtitle } = TAB_PAGES[activeTab] || TAB_PAGES.exercises;
 
   container.innerHTML = `
     <div class="student-layout">
@@ -40,6 +46,10 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
             <svg class="sidebar-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 19.5A2.5 2.5 0 016.5 17H20"/><path d="M6.5 2H20v20H6.5A2.5 2.5 0 014 19.5v-15A2.5 2.5 0 016.5 2z"/></svg>
             <span class="sidebar-label">My Exercises</span>
           </button>
+          <button class="sidebar-nav-item student-nav-item ${activeTab === 'review' ? 'active' : ''}" data-tab="review" title="Review">
+            <svg class="sidebar-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 102.13-9.36L1 10"/></svg>
+            <span class="sidebar-label">Review</span>
+          </button>
           <button class="sidebar-nav-item student-nav-item ${activeTab === 'performance' ? 'active' : ''}" data-tab="performance" title="Performance">
             <svg class="sidebar-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="23 6 13.5 15.5 8.5 10.5 1 18"/><polyline points="17 6 23 6 23 12"/></svg>
             <span class="sidebar-label">Performance</span>
@@ -74,6 +84,10 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
             <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 19.5A2.5 2.5 0 016.5 17H20"/><path d="M6.5 2H20v20H6.5A2.5 2.5 0 014 19.5v-15A2.5 2.5 0 016.5 2z"/></svg>
             <span>EXERCISES</span>
           </button>
+          <button class="mobile-tab ${activeTab === 'review' ? 'mobile-tab-active' : ''}" data-tab="review">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 102.13-9.36L1 10"/></svg>
+            <span>REVIEW</span>
+          </button>
           <button class="mobile-tab ${activeTab === 'performance' ? 'mobile-tab-active' : ''}" data-tab="performance">
             <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="23 6 13.5 15.5 8.5 10.5 1 18"/><polyline points="17 6 23 6 23 12"/></svg>
             <span>STATS</span>
@@ -100,8 +114,8 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
   container.querySelectorAll('[data-tab]').forEach(btn => {
     btn.addEventListener('click', () => {
       const tab = btn.dataset.tab;
-      if (tab === 'exercises' || tab === 'performance') {
-        const newHash = tab === 'performance' ? '/performance' : '/my-exercises';
+      if (TAB_PAGES[tab]) {
+        const newHash = TAB_PAGES[tab].hash;
         if (window.location.hash !== `#${newHash}`) {
           window.location.hash = newHash;
         }
@@ -117,6 +131,8 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
     try {
       if (activeTab === 'exercises') {
         await renderExercisesTab();
+      } else if (activeTab === 'review') {
+        await renderReviewTab();
       } else if (activeTab === 'performance') {
         await renderPerformanceTab();
       }
@@ -143,6 +159,7 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
     );
 
     contentEl.innerHTML = `
+      ${renderDueSoon(exercises)}
       <div class="exercise-list">
         ${sortedExercises.map(ex => renderExerciseCard(ex)).join('')}
       </div>
@@ -157,23 +174,57 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
         const isFinal = card.dataset.isFinal === '1';
         const puzzleResults = card.dataset.puzzleResults || null;
         const puzzleHints = card.dataset.puzzleHints || null;
-        await launchPuzzlePlayer(exerciseId, studentExerciseId, status, weekEnd, isFinal, puzzleResults, puzzleHints);
+        const puzzleTimes = card.dataset.puzzleTimes || null;
+        const isLocked = card.dataset.locked === '1';
+        await launchPuzzlePlayer(exerciseId, studentExerciseId, status, weekEnd, isFinal, puzzleResults, puzzleHints, puzzleTimes, isLocked);
       });
     });
   }
 
-  function isPastDeadline(weekEnd) {
-    if (!weekEnd) return false;
-    const deadline = new Date(weekEnd + 'T23:59:59');
+  function isPastDeadline(exercise) {
+    if (exercise.locks_at) return new Date() > new Date(exercise.locks_at);
+    if (exercise.due_at) return false;
+    if (!exercise.week_end) return false;
+    const deadline = new Date(exercise.week_end + 'T23:59:59');
     return new Date() > deadline;
   }
 
+  /**
+   * Unsubmitted assignments that are overdue or due within DUE_SOON_DAYS,
+   * soonest first.
+   */
+  function renderDueSoon(exercises) {
+    const cutoff = Date.now() + DUE_SOON_DAYS * 24 * 60 * 60 * 1000;
+    const dueSoon = exercises
+      .filter(ex => (ex.status || 'assigned') === 'assigned' && !ex.submitted_at && ex.is_final !== 1 && ex.due_at)
+      .filter(ex => ex.is_overdue || new Date(ex.due_at).getTime() <= cutoff)
+      .sort((a, b) => a.due_at.localeCompare(b.due_at));
+
+    if (dueSoon.length === 0) return '';
+
+    return `
+      <div class="sd-card sd-due-soon">
+        <div class="sd-card-top">
+          <span class="sd-card-name">Due Soon</span>
+        </div>
+        ${dueSoon.map(ex => `
+          <div class="sd-due-row">
+            <span>${escapeHtml(ex.name || ex.week_label || ex.week_start)}</span>
+            ${ex.is_overdue
+              ? '<span class="badge badge-advanced">Overdue</span>'
+              : `<span class="sd-due-when">Due ${formatDueDate(ex.due_at)}</span>`}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
   function renderExerciseCard(exercise) {
     const status = exercise.status || 'assigned';
     const statusLabel = STATUS_LABELS[status] || status;
     const badgeCls = status === 'graded' ? 'badge-beginner' : status === 'submitted' ? 'badge-theme' : 'badge-intermediate';
     const weekLabel = exercise.week_label || `${exercise.week_start || 'Unknown'} - ${exercise.week_end || ''}`;
-    const pastDeadline = isPastDeadline(exercise.week_end);
+    const pastDeadline = isPastDeadline(exercise);
     const isFinal = exercise.is_final === 1;
     const isLocked = isFinal || pastDeadline;
     const hasScore = exercise.score != null;
@@ -209,6 +260,11 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
     const btnLabel = isFinal ? 'Review (Final)' : isLocked ? 'Review' : hasScore ? 'Review' : 'Start Solving';
     const btnCls = hasScore || isLocked ? 'sd-btn-outline' : 'sd-btn-primary';
     const cardBorder = status === 'graded' ? 'border-color: var(--color-success-500);' : '';
+    const dueHtml = exercise.due_at ? ` &middot; Due ${formatShortDate(exercise.due_at)}` : '';
+    const timeLimitHtml = exercise.time_limit_seconds ? ` &middot; ${formatTimeLimit(exercise)}` : '';
+    const deadlineBadge = exercise.is_overdue
+      ? '<span class="badge badge-advanced">Overdue</span>'
+      : exercise.is_late ? '<span class="badge badge-intermediate">Late</span>' : '';
 
     return `
       <div class="sd-card exercise-card-clickable" style="${cardBorder}"
@@ -218,12 +274,14 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
            data-week-end="${exercise.week_end || ''}"
            data-is-final="${exercise.is_final || 0}"
            data-puzzle-results="${escapeHtml(exercise.puzzle_results || '')}"
-           data-puzzle-hints="${escapeHtml(exercise.puzzle_hints || '')}">
+           data-puzzle-hints="${escapeHtml(exercise.puzzle_hints || '')}"
+           data-puzzle-times="${escapeHtml(exercise.puzzle_times || '')}"
+           data-locked="${isLocked ? 1 : 0}">
         <div class="sd-card-top">
           <span class="sd-card-name">${escapeHtml(exercise.name || weekLabel)}</span>
-          <span class="badge ${badgeCls}">${statusLabel}</span>
+          <span>${deadlineBadge} <span class="badge ${badgeCls}">${statusLabel}</span></span>
         </div>
-        <div class="sd-card-meta">${weekLabel} &middot; ${totalPuzzles} puzzles</div>
+        <div class="sd-card-meta">${weekLabel} &middot; ${totalPuzzles} puzzles${dueHtml}${timeLimitHtml}</div>
         ${progressHtml}
         ${scoreHtml}
         ${notesHtml}
@@ -232,7 +290,13 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
     `;
   }
 
-  async function launchPuzzlePlayer(exerciseId, studentExerciseId, status, weekEnd, isFinal, puzzleResults, puzzleHints) {
+  function formatTimeLimit(exercise) {
+    const seconds = exercise.time_limit_seconds;
+    if (exercise.time_limit_mode === 'per_puzzle') return `${seconds}s per puzzle`;
+    return `${Math.ceil(seconds / 60)} min limit`;
+  }
+
+  async function launchPuzzlePlayer(exerciseId, studentExerciseId, status, weekEnd, isFinal, puzzleResults, puzzleHints, puzzleTimes, isLocked) {
     try {
       const exerciseData = await apiClient.getExercise(exerciseId);
 
@@ -240,22 +304,134 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
         throw new Error('Failed to load exercise puzzles');
       }
 
-      // Use modern puzzle viewer for all modes
-      openExercisePuzzleViewer(exerciseData, {
-        onGraded: () => renderTab()
+      // Open attempts are solved in the student player so results and solve times are saved
+      if (!isFinal && !isLocked) {
+        const attempt = await apiClient.startStudentAttempt(studentExerciseId);
+        const timeUp = attempt.expires_at && attempt.remaining_ms <= 0;
+
+        if (!timeUp) {
+          openPuzzlePlayer(exerciseData, {
+            studentMode: true,
+            studentExerciseId,
+            apiClient,
+            existingResults: puzzleResults,
+            existingHints: puzzleHints,
+            existingTimes: puzzleTimes,
+            timeLimit: attempt.time_limit_seconds
+              ? { seconds: attempt.time_limit_seconds, mode: attempt.time_limit_mode, remainingMs: attempt.remaining_ms }
+              : null,
+            onComplete: () => renderTab()
+          });
+          return;
+        }
+      }
+
+      // Finished, locked and timed-out attempts open for review: results, the
+      // analysis board and the refutations of recorded mistakes. The list is
+      // refreshed when the player closes.
+      openPuzzlePlayer(exerciseData, {
+        reviewMode: true,
+        studentExerciseId,
+        apiClient,
+        existingResults: puzzleResults,
+        onComplete: () => renderTab()
       });
     } catch (error) {
       contentEl.innerHTML = `<div class="error-message">Failed to load exercise: ${escapeHtml(error.message)}</div>`;
     }
   }
 
+  async function renderReviewTab() {
+    const queue = await apiClient.getReviewQueue(studentId);
+    const items = queue?.items || [];
+
+    if (!queue || queue.total_count === 0) {
+      contentEl.innerHTML = `
+        <div class="empty-state">
+          <p>Your review queue is empty.</p>
+          <p class="empty-hint">Puzzles you miss or solve with a hint will come back here for review.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const nextDue = queue.next_due_at ? formatDueDate(queue.next_due_at) : '-';
+
+    contentEl.innerHTML = `
+      <div class="sd-stats-row">
+        <div class="sd-stat-card">
+          <span class="sd-stat-label">Due Now</span>
+          <span class="sd-stat-value sd-stat-primary">${queue.due_count}</span>
+        </div>
+        <div class="sd-stat-card">
+          <span class="sd-stat-label">In Queue</span>
+          <span class="sd-stat-value">${queue.total_count}</span>
+        </div>
+        <div class="sd-stat-card">
+          <span class="sd-stat-label">Next Review</span>
+          <span class="sd-stat-value" style="font-size:14px">${escapeHtml(nextDue)}</span>
+        </div>
+      </div>
+
+      ${items.length > 0 ? `
+      <div class="sd-history-card">
+        <h3 class="sd-history-title">Due for Review</h3>
+        <div class="ep-table-wrap"><table class="ep-table"><thead><tr>
+          <th style="width:40px">#</th>
+          <th>Themes</th>
+          <th style="width:80px;text-align:center">Rating</th>
+          <th style="width:100px;text-align:center">Reason</th>
+          <th style="width:90px;text-align:center">Reviews</th>
+        </tr></thead><tbody>
+          ${items.map((item, i) => `<tr>
+            <td style="color:var(--color-gray-500)">${i + 1}</td>
+            <td>${escapeHtml((item.themes || '').split(',').slice(0, 3).join(', '))}</td>
+            <td style="text-align:center">${item.rating || '-'}</td>
+            <td style="text-align:center"><span class="badge ${item.reason === 'missed' ? 'badge-advanced' : 'badge-intermediate'}">${item.reason === 'missed' ? 'Missed' : 'Hint'}</span></td>
+            <td style="text-align:center;color:var(--color-gray-500)">${item.repetitions}</td>
+          </tr>`).join('')}
+        </tbody></table></div>
+        <button class="sd-card-btn sd-btn-primary" id="start-review-btn">Start Review (${items.length})</button>
+      </div>` : `
+      <div class="empty-state">
+        <p>Nothing due right now.</p>
+        <p class="empty-hint">Come back ${escapeHtml(nextDue)} for your next review.</p>
+      </div>`}
+    `;
+
+    contentEl.querySelector('#start-review-btn')?.addEventListener('click', () => {
+      launchReviewSession(items);
+    });
+  }
+
+  function launchReviewSession(items) {
+    // Only the first result for each item counts towards its schedule
+    const reported = new Set();
+
+    openPuzzlePlayer({ name: 'Review Queue', puzzles: items }, {
+      studentMode: true,
+      apiClient,
+      onPuzzleResult: (item, { correct, usedHint }) => {
+        if (reported.has(item.id)) return;
+        reported.add(item.id);
+        apiClient.submitReview(studentId, item.id, correct, usedHint).catch(() => {
+          reported.delete(item.id);
+        });
+      },
+      onComplete: () => renderTab()
+    });
+  }
+
   async function renderPerformanceTab() {
-    const [performance, themeData] = await Promise.all([
+    const [performance, themeData, ratingData] = await Promise.all([
       apiClient.getStudentPerformance(studentId),
-      apiClient.getStudentThemeAnalytics(studentId).catch(() => null)
+      apiClient.getStudentThemeAnalytics(studentId).catch(() => null),
+      apiClient.getStudentRating(studentId).catch(() => null)
     ]);
 
-    if ((!performance || !performance.history || performance.history.length === 0) && !themeData?.themes?.length) {
+    const ratingHistory = ratingData?.history || [];
+
+    if ((!performance || !performance.history || performance.history.length === 0) && !themeData?.themes?.length && ratingHistory.length === 0) {
       contentEl.innerHTML = `
         <div class="empty-state">
           <p>No graded exercises yet.</p>
@@ -290,6 +466,12 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
           <span class="sd-stat-label">Avg Score</span>
           <span class="sd-stat-value sd-stat-primary">${avgScore}</span>
         </div>
+        <div class="sd-stat-card">
+          <span class="sd-stat-label">Puzzle Rating</span>
+          <span class="sd-stat-value">${ratingHistory.length > 0
+            ? `${Math.round(ratingData.current.rating)} <span style="font-size:12px;color:var(--color-gray-500)">&plusmn;${Math.round(ratingData.current.rating_deviation)}</span>`
+            : '-'}</span>
+        </div>
         <div class="sd-stat-card">
           <span class="sd-stat-label">Strongest</span>
           <span class="sd-stat-value" style="font-size:14px;color:var(--color-success-600)">${summary.strongest ? `${escapeHtml(summary.strongest.theme)} (${summary.strongest.accuracy}%)` : '-'}</span>
@@ -300,6 +482,12 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
         </div>
       </div>
 
+      ${ratingHistory.length > 0 ? `
+      <div class="sd-history-card">
+        <h3 class="sd-history-title">Rating History</h3>
+        ${renderRatingChart(ratingHistory)}
+      </div>` : ''}
+
       ${themes.length > 0 ? `
       <div class="sd-history-card">
         <h3 class="sd-history-title">Theme Breakdown</h3>
@@ -350,6 +538,52 @@ export function renderStudentDashboard(container, apiClient, { initialTab = 'exe
   };
 }
 
+/**
+ * Render the rating history as an inline SVG line chart
+ * @param {object[]} history - Rows from /students/:id/rating, oldest first
+ * @returns {string} SVG markup
+ */
+function renderRatingChart(history) {
+  const width = 600;
+  const height = 180;
+  const pad = { top: 12, right: 12, bottom: 20, left: 44 };
+
+  const points = [history[0].rating_before, ...history.map(h => h.rating_after)];
+  const min = Math.floor(Math.min(...points) / 50) * 50;
+  const max = Math.ceil(Math.max(...points) / 50) * 50 || min + 50;
+  const range = Math.max(max - min, 50);
+
+  const x = (i) => pad.left + (i / Math.max(points.length - 1, 1)) * (width - pad.left - pad.right);
+  const y = (r) => pad.top + (1 - (r - min) / range) * (height - pad.top - pad.bottom);
+
+  const line = points.map((r, i) => `${x(i).toFixed(1)},${y(r).toFixed(1)}`).join(' ');
+  const last = points[points.length - 1];
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" style="width:100%;height:auto" role="img" aria-label="Rating history chart">
+      <line x1="${pad.left}" y1="${y(max)}" x2="${width - pad.right}" y2="${y(max)}" stroke="#e5e7eb"/>
+      <line x1="${pad.left}" y1="${y(min)}" x2="${width - pad.right}" y2="${y(min)}" stroke="#e5e7eb"/>
+      <text x="${pad.left - 6}" y="${y(max) + 4}" text-anchor="end" font-size="11" fill="#6b7280">${max}</text>
+      <text x="${pad.left - 6}" y="${y(min) + 4}" text-anchor="end" font-size="11" fill="#6b7280">${min}</text>
+      <polyline points="${line}" fill="none" stroke="#4f46e5" stroke-width="2" stroke-linejoin="round"/>
+      <circle cx="${x(points.length - 1)}" cy="${y(last)}" r="4" fill="#4f46e5"/>
+      <text x="${width - pad.right}" y="${height - 4}" text-anchor="end" font-size="11" fill="#6b7280">${history.length} puzzle${history.length !== 1 ? 's' : ''} rated</text>
+    </svg>
+  `;
+}
+
+function formatShortDate(isoString) {
+  return new Date(isoString).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function formatDueDate(isoString) {
+  const due = new Date(isoString);
+  const days = Math.ceil((due - new Date()) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
 function escapeHtml(str) {
   if (!str) return '';
   const div = document.createElement('div');
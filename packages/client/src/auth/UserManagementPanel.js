@@ -5,6 +5,7 @@
 
 import { showAppConfirm, showAppPrompt, showAppAlert } from '../shared/app-dialogs.js'
 import { showStudentDialog } from '../exercises/StudentDialog.js'
+import { showGroupDialog } from '../exercises/GroupDialog.js'
 
 const SKILL_LEVEL_LABELS = {
   'beginner': 'Beginner',
@@ -12,6 +13,12 @@ const SKILL_LEVEL_LABELS = {
   'advanced': 'Advanced'
 }
 
+const HEADER_ACTION_LABELS = {
+  users: '+ Create User',
+  students: '+ Add Student',
+  groups: '+ New Group'
+}
+
 const ROLE_LABELS = {
   admin: 'Admin',
   student: 'Student'
@@ -31,7 +38,7 @@ export function renderUsersPage(container, apiClient) {
       <div class="main-header main-header-row">
         <div>
           <h1 class="page-title">User Management</h1>
-          <p class="page-subtitle">Manage user accounts and student profiles</p>
+          <p class="page-subtitle">Manage user accounts, student profiles and groups</p>
         </div>
         <button id="header-action-btn" class="generate-btn">+ Create User</button>
       </div>
@@ -39,6 +46,7 @@ export function renderUsersPage(container, apiClient) {
       <div class="ep-tabs">
         <button class="ep-tab ep-tab-active" data-tab="users">Users</button>
         <button class="ep-tab" data-tab="students">Students</button>
+        <button class="ep-tab" data-tab="groups">Groups</button>
       </div>
 
       <div id="tab-content"><div class="loading-cell">Loading...</div></div>
@@ -53,7 +61,7 @@ export function renderUsersPage(container, apiClient) {
       container.querySelectorAll('.ep-tab').forEach(b => b.classList.remove('ep-tab-active'))
       btn.classList.add('ep-tab-active')
       activeTab = btn.dataset.tab
-      headerBtn.textContent = activeTab === 'users' ? '+ Create User' : '+ Add Student'
+      headerBtn.textContent = HEADER_ACTION_LABELS[activeTab]
       renderActiveTab()
     })
   })
@@ -61,6 +69,9 @@ export function renderUsersPage(container, apiClient) {
   headerBtn.addEventListener('click', async () => {
     if (activeTab === 'users') {
       showCreateUserDialog(apiClient, () => renderActiveTab())
+    } else if (activeTab === 'groups') {
+      const result = await showGroupDialog(apiClient)
+      if (result) renderActiveTab()
     } else {
       const result = await showStudentDialog(apiClient)
       if (result) renderActiveTab()
@@ -69,6 +80,7 @@ export function renderUsersPage(container, apiClient) {
 
   function renderActiveTab() {
     if (activeTab === 'users') renderUsersTab()
+    else if (activeTab === 'groups') renderGroupsTab()
     else renderStudentsTab()
   }
 
@@ -257,6 +269,82 @@ export function renderUsersPage(container, apiClient) {
     }
   }
 
+  // ==================== Groups Tab ====================
+
+  async function renderGroupsTab() {
+    tabContent.innerHTML = '<div class="loading-cell">Loading groups...</div>'
+    try {
+      const groups = await apiClient.getGroups()
+
+      tabContent.innerHTML = groups.length === 0 ?
+        '<div class="empty-message">No groups yet. Group students into classes to assign exercises to everyone at once.</div>' :
+        `<div class="ep-table-wrap">
+          <table class="ep-table">
+            <thead>
+              <tr>
+                <th class="ep-th-grow">Group</th>
+                <th style="width:100px">Members</th>
+                <th style="width:240px">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${groups.map(g => `
+                <tr data-id="${escapeHtml(g.id)}" data-name="${escapeHtml(g.name)}">
+                  <td>
+                    <div class="ep-cell-name">${escapeHtml(g.name)}</div>
+                    <div class="ep-cell-muted" style="font-size:12px">${g.description ? escapeHtml(g.description) : formatDate(g.created_at)}</div>
+                  </td>
+                  <td>${g.member_count}</td>
+                  <td>
+                    <div class="ep-actions">
+                      <button class="btn-outline btn-sm" data-action="dashboard">Dashboard</button>
+                      <button class="btn-outline btn-sm" data-action="edit">Edit</button>
+                      <button class="btn-outline btn-sm" data-action="delete">Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>`
+
+      tabContent.querySelectorAll('.ep-table tbody tr').forEach(row => {
+        row.querySelectorAll('[data-action]').forEach(btn => {
+          btn.addEventListener('click', async (e) => {
+            e.stopPropagation()
+            const groupId = row.dataset.id
+            const action = btn.dataset.action
+
+            try {
+              if (action === 'dashboard') {
+                showGroupDashboard(apiClient, groupId)
+              } else if (action === 'edit') {
+                const group = await apiClient.getGroup(groupId)
+                const result = await showGroupDialog(apiClient, group)
+                if (result) {
+                  if (result.backfilled > 0) {
+                    showAppAlert({ title: 'Group Updated', message: `${result.backfilled} earlier exercise assignment(s) were added for the new members.` })
+                  }
+                  renderGroupsTab()
+                }
+              } else if (action === 'delete') {
+                const confirmed = await showAppConfirm({ title: 'Delete Group?', message: `Delete group "${row.dataset.name}"? Exercises already assigned to its members are kept.`, confirmLabel: 'Delete', confirmColor: 'var(--color-error-500)', icon: 'delete' })
+                if (confirmed) {
+                  await apiClient.deleteGroup(groupId)
+                  renderGroupsTab()
+                }
+              }
+            } catch (error) {
+              showAppAlert({ title: 'Error', message: error.message })
+            }
+          })
+        })
+      })
+    } catch (error) {
+      tabContent.innerHTML = `<div class="error-cell">Error: ${escapeHtml(error.message)}</div>`
+    }
+  }
+
   renderActiveTab()
   return () => {}
 }
@@ -787,6 +875,74 @@ function showStudentPerformance(apiClient, studentId) {
   })
 }
 
+function showGroupDashboard(apiClient, groupId) {
+  const dialog = document.createElement('div')
+  dialog.className = 'pv-overlay'
+  dialog.style.zIndex = '55000'
+  dialog.innerHTML = `<div class="gd-dialog" style="width:760px"><div class="gd-loading" style="padding:40px;text-align:center">Loading...</div></div>`
+  document.body.appendChild(dialog)
+
+  const close = () => dialog.remove()
+  dialog.addEventListener('click', (e) => { if (e.target === dialog) close() })
+
+  apiClient.getGroupDashboard(groupId).then(({ group, summary, exercises, themes }) => {
+    const scoreColor = (pct) => pct >= 75 ? 'var(--color-success-600)' : pct >= 50 ? 'var(--color-warning-500)' : 'var(--color-error-600)'
+
+    dialog.querySelector('.gd-dialog').innerHTML = `
+      <div class="gd-header">
+        <span class="gd-title">Class Dashboard: ${escapeHtml(group.name)}</span>
+        <button class="pv-close-btn" data-action="close"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>
+      </div>
+      <div class="gd-body" style="max-height:70vh;overflow-y:auto">
+        <div class="gd-stats">
+          <div class="gd-stat"><span class="gd-stat-label">Members</span><span class="gd-stat-value">${summary.members}</span></div>
+          <div class="gd-stat"><span class="gd-stat-label">Exercises</span><span class="gd-stat-value">${summary.exercises}</span></div>
+          <div class="gd-stat"><span class="gd-stat-label">Avg Score</span><span class="gd-stat-value" style="color:var(--color-brand-600)">${summary.average_score !== null ? summary.average_score + '%' : '-'}</span></div>
+          <div class="gd-stat"><span class="gd-stat-label">Weakest</span><span class="gd-stat-value" style="color:var(--color-error-600);font-size:14px">${summary.weakest ? `${escapeHtml(summary.weakest.theme)} (${summary.weakest.accuracy}%)` : '-'}</span></div>
+        </div>
+        ${exercises.length === 0 ?
+          '<p style="text-align:center;color:var(--color-gray-400);padding:20px">No exercises assigned to this group yet</p>' :
+          `<div style="margin-top:8px">
+            <div style="font-weight:700;font-size:15px;color:var(--color-gray-900);margin-bottom:12px">Average Score per Exercise</div>
+            <div class="ep-table-wrap"><table class="ep-table"><thead><tr>
+              <th>Exercise</th><th style="width:90px;text-align:center">Graded</th><th style="width:90px;text-align:center">Average</th>
+            </tr></thead><tbody>
+              ${exercises.map(ex => `<tr>
+                <td>
+                  <div>${escapeHtml(ex.name || ex.week_label)}</div>
+                  <div class="ep-cell-muted" style="font-size:12px">${escapeHtml(ex.week_label)}${ex.group_assigned ? '' : ' &middot; assigned individually'}</div>
+                </td>
+                <td style="text-align:center;color:var(--color-gray-500)">${ex.graded}/${ex.assigned}</td>
+                <td style="text-align:center;font-weight:600;color:${ex.average_score !== null ? scoreColor(ex.average_score) : 'var(--color-gray-400)'}">${ex.average_score !== null ? ex.average_score + '%' : '-'}</td>
+              </tr>`).join('')}
+            </tbody></table></div>
+          </div>`}
+        ${themes.length > 0 ? `
+          <div style="margin-top:16px">
+            <div style="font-weight:700;font-size:15px;color:var(--color-gray-900);margin-bottom:12px">Class Theme Weaknesses</div>
+            <div class="ep-table-wrap"><table class="ep-table"><thead><tr>
+              <th style="width:160px">Theme</th>
+              <th style="width:70px;text-align:center">Tried</th>
+              <th style="width:110px;text-align:center">Struggling</th>
+              <th style="text-align:center">Accuracy</th>
+            </tr></thead><tbody>
+              ${themes.map(t => `<tr>
+                <td style="font-weight:500">${escapeHtml(t.label)}</td>
+                <td style="text-align:center;color:var(--color-gray-500)">${t.attempted}</td>
+                <td style="text-align:center;color:var(--color-gray-500)">${t.struggling}/${t.students}</td>
+                <td style="text-align:center;font-weight:600;color:${scoreColor(t.accuracy)}">${t.accuracy}%</td>
+              </tr>`).join('')}
+            </tbody></table></div>
+          </div>` : ''}
+      </div>
+      <div class="gd-footer"><button class="btn-outline" data-action="close" style="padding:10px 24px">Close</button></div>
+    `
+    dialog.querySelectorAll('[data-action="close"]').forEach(b => b.addEventListener('click', close))
+  }).catch(err => {
+    dialog.querySelector('.gd-dialog').innerHTML = `<div style="padding:40px;text-align:center;color:var(--color-error-500)">${escapeHtml(err.message)}</div>`
+  })
+}
+
 function escapeHtml(str) {
   if (!str) return '';
   const div = document.createElement('div');
@@ -1,274 +1,233 @@
 /**
  * ChessEngine.js
- * Wrapper for Stockfish chess engine using Web Worker
- * Provides position evaluation, best move calculation, and mate detection
+ * Stockfish in the browser, bundled with the app
+ *
+ * Runs the single-threaded lite WASM build from the stockfish package in a
+ * Web Worker. Vite emits the worker script and the .wasm as assets of our own
+ * build (the engine reads the .wasm location from the worker URL's hash), so
+ * nothing is fetched from a CDN and the service worker can cache both for
+ * offline use. The engine is GPL-3.0, unlike the app; the build ships its
+ * license next to it (see the License section of the README).
+ *
+ * getChessEngine() returns the shared engine, started on first use. Starting
+ * a search stops the one before it, so an analysis board can search every
+ * position it shows. Scores are from the side to move: { cp } in centipawns
+ * or { mate } in moves, negative when the side to move is losing.
  */
 
+import engineScriptUrl from 'stockfish/bin/stockfish-18-lite-single.js?url';
+import engineWasmUrl from 'stockfish/bin/stockfish-18-lite-single.wasm?url';
+
+const INIT_TIMEOUT_MS = 15000;
+
+function createEngineWorker() {
+  return new Worker(`${engineScriptUrl}#${encodeURIComponent(engineWasmUrl)}`);
+}
+
+/**
+ * Whether this browser can run the engine
+ * @returns {boolean}
+ */
+export function isEngineSupported() {
+  return typeof Worker !== 'undefined' && typeof WebAssembly === 'object';
+}
+
 export class ChessEngine {
-  constructor() {
+  /**
+   * @param {object} options - { createWorker } for a different engine build
+   */
+  constructor({ createWorker = createEngineWorker } = {}) {
+    this.createWorker = createWorker;
     this.worker = null;
-    this.ready = false;
-    this.commandQueue = [];
-    this.callbacks = new Map();
-    this.messageId = 0;
+    this.starting = null;
+    this.waiter = null;
+    this.search = null;
+    this.searchId = 0;
   }
 
   /**
-   * Initialize the Stockfish engine
+   * Start the engine and run the UCI handshake. Safe to call more than once.
+   * @returns {Promise<void>}
    */
-  async initialize() {
-    return new Promise((resolve, reject) => {
-      try {
-        // Create Web Worker with Stockfish
-        // Using stockfish.js from working CDN
-        const workerCode = `
-          importScripts('https://cdnjs.cloudflare.com/ajax/libs/stockfish.js/10.0.2/stockfish.js');
-
-          let engine;
-
-          // Initialize Stockfish
-          if (typeof STOCKFISH === 'function') {
-            engine = STOCKFISH();
-          } else if (typeof Stockfish === 'function') {
-            engine = Stockfish();
-          }
-
-          if (engine) {
-            engine.onmessage = function(line) {
-              postMessage({ type: 'output', data: line });
-            };
-          }
-
-          self.onmessage = function(e) {
-            const { id, command } = e.data;
-            if (engine && command) {
-              engine.postMessage(command);
-            }
-          };
-        `;
-
-        const blob = new Blob([workerCode], { type: 'application/javascript' });
-        this.worker = new Worker(URL.createObjectURL(blob));
-
-        this.worker.onmessage = (e) => {
-          const { type, data } = e.data;
-          if (type === 'output') {
-            this.handleEngineOutput(data);
-          }
-        };
-
-        this.worker.onerror = (error) => {
-          console.error('Stockfish worker error:', error);
-          reject(error);
-        };
-
-        // Wait for engine to be ready
-        this.sendCommand('uci');
-
-        // Set up a timeout to resolve after engine initialization
-        const checkReady = setInterval(() => {
-          if (this.ready) {
-            clearInterval(checkReady);
-            console.log('Stockfish engine initialized successfully');
-            this.sendCommand('setoption name Skill Level value 20');
-            resolve();
-          }
-        }, 100);
-
-        // Timeout after 10 seconds
-        setTimeout(() => {
-          clearInterval(checkReady);
-          if (!this.ready) {
-            reject(new Error('Stockfish initialization timeout'));
-          }
-        }, 10000);
-
-      } catch (error) {
-        reject(error);
-      }
-    });
+  initialize() {
+    if (!this.starting) {
+      this.starting = this._start().catch(error => {
+        this.terminate();
+        throw error;
+      });
+    }
+    return this.starting;
   }
 
   /**
-   * Handle output from Stockfish engine
+   * Search a position, stopping any search still running
+   * @param {string} fen - Position to search
+   * @param {object} options - { depth, multiPv, onUpdate }
+   *   onUpdate(lines, depth) is called as the search deepens
+   * @returns {Promise<{ bestMove: string, depth: number, lines: object[] }|null>}
+   *   lines: { multipv, move, score, pv } best first; null if a newer search
+   *   replaced this one before it started
    */
-  handleEngineOutput(line) {
-    console.log('Stockfish:', line);
-
-    if (line === 'uciok') {
-      this.sendCommand('isready');
-    } else if (line === 'readyok') {
-      this.ready = true;
+  async analyse(fen, { depth = 18, multiPv = 1, onUpdate = null } = {}) {
+    const id = ++this.searchId;
+    await this.initialize();
+
+    if (this.search) {
+      const running = this.search.done;
+      this.stop();
+      await running;
     }
+    if (id !== this.searchId) return null;
 
-    // Handle bestmove responses
-    if (line.startsWith('bestmove')) {
-      this.handleBestMove(line);
-    }
+    let resolve;
+    const done = new Promise(r => { resolve = r; });
+    this.search = { lines: new Map(), depth: 0, onUpdate, resolve, done };
 
-    // Handle info responses (evaluation, mate detection)
-    if (line.startsWith('info')) {
-      this.handleInfo(line);
-    }
+    this._send(`setoption name MultiPV value ${multiPv}`);
+    this._send(`position fen ${fen}`);
+    this._send(`go depth ${depth}`);
+
+    return done;
   }
 
   /**
-   * Send command to Stockfish
+   * Stop the running search; its promise resolves with what it found so far
    */
-  sendCommand(command) {
-    if (this.worker) {
-      const id = this.messageId++;
-      this.worker.postMessage({ id, command });
+  stop() {
+    if (this.search) {
+      this._send('stop');
     }
   }
 
   /**
-   * Find best move for a position
+   * Shut the engine down. It starts again on the next analyse().
    */
-  async findBestMove(fen, depth = 15) {
-    return new Promise((resolve) => {
-      const callbackId = `bestmove_${Date.now()}`;
-      let evaluation = {
-        bestMove: null,
-        evaluation: null,
-        mate: null,
-        depth: depth
-      };
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.search) {
+      this.search.resolve(this._result(null));
+      this.search = null;
+    }
+    this.starting = null;
+    this.waiter = null;
+  }
 
-      // Set up callback
-      this.callbacks.set(callbackId, (data) => {
-        evaluation = { ...evaluation, ...data };
-      });
+  async _start() {
+    this.worker = this.createWorker();
+    this.worker.onmessage = (e) => this._handleLine(String(e.data));
 
-      // Send position and analyze
-      this.sendCommand('ucinewgame');
-      this.sendCommand(`position fen ${fen}`);
-      this.sendCommand(`go depth ${depth}`);
+    await this._command('uci', 'uciok');
+    await this._command('isready', 'readyok');
+  }
 
-      // Wait for analysis to complete
-      const checkInterval = setInterval(() => {
-        if (evaluation.bestMove) {
-          clearInterval(checkInterval);
-          this.callbacks.delete(callbackId);
-          resolve(evaluation);
-        }
-      }, 100);
+  _command(command, answer) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiter = null;
+        reject(new Error('The engine did not start'));
+      }, INIT_TIMEOUT_MS);
+
+      this.waiter = (line) => {
+        if (line !== answer) return;
+        clearTimeout(timer);
+        this.waiter = null;
+        resolve();
+      };
 
-      // Timeout after 30 seconds
-      setTimeout(() => {
-        clearInterval(checkInterval);
-        this.callbacks.delete(callbackId);
-        if (!evaluation.bestMove) {
-          resolve({ error: 'Analysis timeout' });
-        }
-      }, 30000);
+      if (this.worker) {
+        this.worker.onerror = () => {
+          clearTimeout(timer);
+          reject(new Error('The engine could not be loaded'));
+        };
+      }
+      this._send(command);
     });
   }
 
-  /**
-   * Handle bestmove output
-   */
-  handleBestMove(line) {
-    const match = line.match(/bestmove (\S+)/);
-    if (match) {
-      const bestMove = match[1];
-      // Notify all waiting callbacks
-      this.callbacks.forEach((callback) => {
-        callback({ bestMove });
-      });
+  _send(command) {
+    if (this.worker) {
+      this.worker.postMessage(command);
     }
   }
 
-  /**
-   * Handle info output (evaluation, mate detection)
-   */
-  handleInfo(line) {
-    const evaluation = {};
-
-    // Parse centipawn evaluation
-    const cpMatch = line.match(/score cp (-?\d+)/);
-    if (cpMatch) {
-      evaluation.evaluation = parseInt(cpMatch[1]) / 100; // Convert to pawns
+  _handleLine(line) {
+    if (this.waiter) {
+      this.waiter(line);
+      return;
     }
 
-    // Parse mate detection
-    const mateMatch = line.match(/score mate (-?\d+)/);
-    if (mateMatch) {
-      evaluation.mate = parseInt(mateMatch[1]);
-    }
+    const search = this.search;
+    if (!search) return;
 
-    // Parse depth
-    const depthMatch = line.match(/depth (\d+)/);
-    if (depthMatch) {
-      evaluation.depth = parseInt(depthMatch[1]);
+    if (line.startsWith('bestmove')) {
+      this.search = null;
+      search.resolve(this._result(line.split(/\s+/)[1], search));
+      return;
     }
 
-    // Notify callbacks
-    if (Object.keys(evaluation).length > 0) {
-      this.callbacks.forEach((callback) => {
-        callback(evaluation);
-      });
+    const info = parseInfoLine(line);
+    if (info) {
+      search.lines.set(info.multipv, info);
+      search.depth = Math.max(search.depth, info.depth || 0);
+      if (search.onUpdate && info.multipv === 1) {
+        search.onUpdate(this._result(null, search).lines, search.depth);
+      }
     }
   }
 
-  /**
-   * Evaluate a position
-   */
-  async evaluate(fen, options = {}) {
-    const depth = options.depth || 15;
-    return await this.findBestMove(fen, depth);
-  }
-
-  /**
-   * Analyze if position is mate in N moves
-   */
-  async analyzeMate(fen, maxDepth = 20) {
-    const result = await this.findBestMove(fen, maxDepth);
+  _result(bestMove, search = { lines: new Map(), depth: 0 }) {
     return {
-      isMate: result.mate !== null && result.mate !== undefined,
-      mateIn: result.mate,
-      bestMove: result.bestMove
+      bestMove: bestMove && bestMove !== '(none)' ? bestMove : null,
+      depth: search.depth,
+      lines: [...search.lines.values()]
+        .sort((a, b) => a.multipv - b.multipv)
+        .map(info => ({ multipv: info.multipv, move: info.pv[0], score: info.score, pv: info.pv }))
     };
   }
+}
 
-  /**
-   * Get top N moves for a position
-   */
-  async getTopMoves(fen, count = 3) {
-    return new Promise((resolve) => {
-      const moves = [];
-
-      this.sendCommand('ucinewgame');
-      this.sendCommand(`position fen ${fen}`);
-      this.sendCommand(`go depth 15 multipv ${count}`);
-
-      // Note: This is a simplified implementation
-      // In production, you'd parse multiple PV lines
-      setTimeout(() => {
-        // For now, return the best move
-        // Full implementation would parse all PV lines
-        resolve(moves);
-      }, 5000);
-    });
+/**
+ * Parse a UCI "info" line that carries a score and a principal variation
+ * @param {string} line - Line from the engine
+ * @returns {{ depth: number, multipv: number, score: object, pv: string[] }|null}
+ */
+export function parseInfoLine(line) {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'info') return null;
+
+  const info = { depth: null, multipv: 1, score: null, pv: [] };
+  for (let i = 1; i < tokens.length; i++) {
+    if (tokens[i] === 'depth') {
+      info.depth = parseInt(tokens[++i]);
+    } else if (tokens[i] === 'multipv') {
+      info.multipv = parseInt(tokens[++i]);
+    } else if (tokens[i] === 'score') {
+      const type = tokens[++i];
+      const value = parseInt(tokens[++i]);
+      info.score = type === 'mate' ? { mate: value } : { cp: value };
+    } else if (tokens[i] === 'pv') {
+      info.pv = tokens.slice(i + 1);
+      break;
+    }
   }
 
-  /**
-   * Stop the engine analysis
-   */
-  stop() {
-    this.sendCommand('stop');
-  }
+  return info.score && info.pv.length > 0 ? info : null;
+}
 
-  /**
-   * Terminate the worker
-   */
-  terminate() {
-    if (this.worker) {
-      this.worker.terminate();
-      this.worker = null;
-      this.ready = false;
-    }
+let sharedEngine = null;
+
+/**
+ * The app's shared engine
+ * @returns {ChessEngine}
+ */
+export function getChessEngine() {
+  if (!sharedEngine) {
+    sharedEngine = new ChessEngine();
   }
+  return sharedEngine;
 }
 
 export default ChessEngine;
@@ -71,7 +71,7 @@ export function createAdminRoutes({ renderGenerate, renderExercises, renderRepor
   ]
 }
 
-export function createStudentRoutes({ renderMyExercises, renderPerformance }) {
+export function createStudentRoutes({ renderMyExercises, renderReview, renderPerformance }) {
   const guards = [authGuard, studentGuard]
   return [
     {
@@ -80,6 +80,12 @@ export function createStudentRoutes({ renderMyExercises, renderPerformance }) {
       render: renderMyExercises,
       guards
     },
+    {
+      path: '/review',
+      name: 'review',
+      render: renderReview,
+      guards
+    },
     {
       path: '/performance',
       name: 'performance',
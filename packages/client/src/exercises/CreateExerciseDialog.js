@@ -79,6 +79,10 @@ export function showCreateExerciseDialog(apiClient, initialPuzzles, onPuzzlesUpd
             <label for="dlg-puzzle-count">Number of Puzzles (1-20)</label>
             <input type="number" id="dlg-puzzle-count" min="1" max="20" value="10">
           </div>
+          <div class="form-group">
+            <label>Skip Puzzles Already Assigned To (optional)</label>
+            <div id="dlg-student-container" class="gd-list" style="max-height:160px;overflow-y:auto"></div>
+          </div>
           <div class="form-error" id="dlg-gen-error"></div>
           <div class="dialog-actions">
             <button type="button" class="cancel-btn">Cancel</button>
@@ -94,13 +98,32 @@ export function showCreateExerciseDialog(apiClient, initialPuzzles, onPuzzlesUpd
         innerEl.querySelector('#dlg-theme-container').innerHTML = '<span style="color:var(--color-error-500)">Failed to load themes</span>';
       }
 
+      const studentContainer = innerEl.querySelector('#dlg-student-container');
+      try {
+        const students = await apiClient.getStudents();
+        studentContainer.innerHTML = students.length === 0
+          ? '<span style="color:var(--color-gray-400);font-size:13px">No students yet</span>'
+          : students.map(s => `
+            <label class="gd-check-row">
+              <input type="checkbox" value="${escapeHtml(s.id)}" class="dlg-student-checkbox">
+              <span class="gd-check-name">${escapeHtml(s.name)}</span>
+            </label>
+          `).join('');
+      } catch {
+        studentContainer.innerHTML = '<span style="color:var(--color-error-500);font-size:13px">Failed to load students</span>';
+      }
+
       innerEl.querySelector('.cancel-btn').addEventListener('click', () => closeDialog(null));
 
       innerEl.querySelector('#dlg-generate-form').addEventListener('submit', async (e) => {
         e.preventDefault();
         const selectedThemes = dlgThemeMultiSelect ? dlgThemeMultiSelect.getSelected() : [];
+        const themeMatch = dlgThemeMultiSelect
+          ? { matchMode: dlgThemeMultiSelect.getMatchMode(), weights: dlgThemeMultiSelect.getWeights() }
+          : {};
         const ratingRange = innerEl.querySelector('#dlg-rating-range').value;
         const count = parseInt(innerEl.querySelector('#dlg-puzzle-count').value);
+        const studentIds = Array.from(innerEl.querySelectorAll('.dlg-student-checkbox:checked')).map(i => i.value);
         const errorEl = innerEl.querySelector('#dlg-gen-error');
 
         if (isNaN(count) || count < 1 || count > 20) {
@@ -108,7 +131,7 @@ export function showCreateExerciseDialog(apiClient, initialPuzzles, onPuzzlesUpd
           return;
         }
 
-        await runGenerate(selectedThemes, ratingRange, count);
+        await runGenerate(selectedThemes, ratingRange, count, studentIds, themeMatch);
       });
     };
 
@@ -153,13 +176,13 @@ export function showCreateExerciseDialog(apiClient, initialPuzzles, onPuzzlesUpd
 
     // ==================== Generate Action ====================
 
-    const runGenerate = async (themes, ratingRange, count) => {
+    const runGenerate = async (themes, ratingRange, count, studentIds = [], themeMatch = {}) => {
       renderGenerating(`Generating ${count} puzzles...`);
       try {
-        const params = buildGenerateParams(themes, ratingRange, count);
+        const params = buildGenerateParams(themes, ratingRange, count, studentIds, null, themeMatch);
         const rawPuzzles = await apiClient.generatePuzzles(params);
         if (closed) return;
-        const processed = processPuzzles(rawPuzzles, themes);
+        const processed = processPuzzles(rawPuzzles, themeMatch.matchMode === 'none' ? [] : themes);
         activePuzzles = processed;
         onPuzzlesUpdated(processed);
         renderExerciseForm(processed);
@@ -205,6 +228,18 @@ export function showCreateExerciseDialog(apiClient, initialPuzzles, onPuzzlesUpd
                 value="${currentWeek?.week_start || getDefaultMonday()}">
             </div>
 
+            <div class="form-group">
+              <label for="time-limit-mode">Time Limit</label>
+              <div style="display:flex;gap:8px">
+                <select id="time-limit-mode" style="flex:1">
+                  <option value="">No time limit</option>
+                  <option value="total">Whole exercise (minutes)</option>
+                  <option value="per_puzzle">Each puzzle (seconds)</option>
+                </select>
+                <input type="number" id="time-limit-value" min="1" style="width:110px;display:none">
+              </div>
+            </div>
+
             <div class="puzzles-summary">
               <h4>Puzzles to Include (${puzzles.length})</h4>
               <div class="puzzle-thumbnail-grid" style="max-height:300px;overflow-y:auto">
@@ -225,6 +260,13 @@ export function showCreateExerciseDialog(apiClient, initialPuzzles, onPuzzlesUpd
       innerEl.querySelector('.btn-outline').addEventListener('click', () => closeDialog(null));
       attachThumbnailZoom(innerEl, puzzles);
 
+      const timeLimitMode = innerEl.querySelector('#time-limit-mode');
+      const timeLimitValue = innerEl.querySelector('#time-limit-value');
+      timeLimitMode.addEventListener('change', () => {
+        timeLimitValue.style.display = timeLimitMode.value ? '' : 'none';
+        timeLimitValue.value = timeLimitMode.value === 'total' ? 20 : timeLimitMode.value === 'per_puzzle' ? 60 : '';
+      });
+
       innerEl.querySelector('#exercise-form').addEventListener('submit', async (e) => {
         e.preventDefault();
 
@@ -240,6 +282,16 @@ export function showCreateExerciseDialog(apiClient, initialPuzzles, onPuzzlesUpd
           return;
         }
 
+        let timeLimitSeconds = null;
+        if (timeLimitMode.value) {
+          const value = parseInt(timeLimitValue.value, 10);
+          if (isNaN(value) || value < 1) {
+            errorEl.textContent = 'Enter a time limit greater than zero';
+            return;
+          }
+          timeLimitSeconds = timeLimitMode.value === 'total' ? value * 60 : value;
+        }
+
         try {
           errorEl.textContent = '';
           saveBtn.disabled = true;
@@ -249,7 +301,9 @@ export function showCreateExerciseDialog(apiClient, initialPuzzles, onPuzzlesUpd
             puzzleIds: puzzles.map(p => p.id),
             name: name || null,
             weekStart,
-            filters: { count: puzzles.length }
+            filters: { count: puzzles.length },
+            timeLimitSeconds,
+            timeLimitMode: timeLimitMode.value || null
           });
 
           closeDialog(result);
@@ -10,6 +10,9 @@ import { openPrintPreview, openPrintSolutions } from './PrintPreview.js';
 import { openPuzzlePlayer } from './PuzzlePlayer.js';
 import { openExercisePuzzleViewer } from './ExercisePuzzleViewer.js';
 import { showAppConfirm, showAppPrompt } from '../shared/app-dialogs.js';
+import { showScheduleDialog, WEEKDAY_LABELS } from './ScheduleDialog.js';
+import { processPuzzles } from '../puzzles/puzzleGeneration.js';
+import { renderPuzzleThumbnail, attachThumbnailZoom } from '../puzzles/staticBoard.js';
 
 const SKILL_LEVEL_LABELS = {
   'beginner': 'Beginner',
@@ -155,6 +158,7 @@ export function showExercisePanel(apiClient, getCurrentPuzzles, onPuzzlesUpdated
                   <button class="action-btn" data-action="view" title="View">👁️</button>
                   <button class="action-btn" data-action="print" title="Print Preview">🖨️</button>
                   <button class="action-btn" data-action="print-solutions" title="Print Solutions">📋</button>
+                  <button class="action-btn" data-action="export" title="Export PGN">💾</button>
                   <button class="action-btn" data-action="assign" title="Assign">📝</button>
                   <button class="action-btn" data-action="delete" title="Delete">🗑️</button>
                 </div>
@@ -198,6 +202,9 @@ export function showExercisePanel(apiClient, getCurrentPuzzles, onPuzzlesUpdated
                 const solutionsData = await apiClient.getExercise(exerciseId);
                 openPrintSolutions(solutionsData);
                 break;
+              case 'export':
+                window.open(apiClient.getExerciseExportUrl(exerciseId, 'pgn'), '_blank');
+                break;
               case 'assign':
                 await showAssignDialog(exerciseId);
                 break;
@@ -778,6 +785,7 @@ function escapeHtml(str) {
  */
 export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPuzzlesUpdated = () => {}) {
   let activeTab = 'exercises';
+  let exerciseFilter = 'all';
   const openDialogs = [];
 
   container.innerHTML = `
@@ -787,12 +795,16 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
           <h1 class="page-title">Exercise Management</h1>
           <p class="page-subtitle">Create and manage weekly chess exercises</p>
         </div>
-        <button id="page-create-btn" class="generate-btn">+ Create Exercise</button>
+        <div style="display:flex;gap:8px">
+          <button id="page-personalized-btn" class="btn-outline" title="Build an exercise for each student from their weakest themes">Personalized</button>
+          <button id="page-create-btn" class="generate-btn">+ Create Exercise</button>
+        </div>
       </div>
 
       <div class="ep-tabs" id="ep-tabs">
         <button class="ep-tab ep-tab-active" data-tab="exercises">Weekly Exercises</button>
         <button class="ep-tab" data-tab="performance">Performance</button>
+        <button class="ep-tab" data-tab="schedules">Schedules</button>
       </div>
 
       <div class="tab-content" id="tab-content">
@@ -845,7 +857,111 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
 
   // ==================== Exercises Tab ====================
 
+  const filterRowHtml = (overdueCount) => `
+    <div class="ep-filter-row">
+      <button class="btn-outline btn-sm ${exerciseFilter === 'all' ? 'ep-filter-active' : ''}" data-filter="all">All Exercises</button>
+      <button class="btn-outline btn-sm ${exerciseFilter === 'overdue' ? 'ep-filter-active' : ''}" data-filter="overdue">Overdue${overdueCount !== null ? ` (${overdueCount})` : ''}</button>
+    </div>
+  `;
+
+  const attachFilterRow = (content) => {
+    content.querySelectorAll('[data-filter]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (exerciseFilter === btn.dataset.filter) return;
+        exerciseFilter = btn.dataset.filter;
+        renderExercisesTab();
+      });
+    });
+  };
+
+  const formatDue = (iso) => new Date(iso).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+  });
+
+  const renderOverdueList = async () => {
+    const content = container.querySelector('#tab-content');
+    content.innerHTML = '<div class="loading-cell">Loading overdue assignments...</div>';
+
+    try {
+      const overdue = await apiClient.getOverdueAssignments();
+
+      content.innerHTML = `
+        ${filterRowHtml(overdue.length)}
+        ${overdue.length === 0 ?
+          '<div class="empty-message">Nothing overdue. Every assignment past its due date has been submitted.</div>' :
+          `<div class="ep-table-wrap">
+            <table class="ep-table">
+              <thead>
+                <tr>
+                  <th style="width:180px">Student</th>
+                  <th class="ep-th-grow">Exercise</th>
+                  <th style="width:170px">Due</th>
+                  <th style="width:90px">Overdue</th>
+                  <th style="width:160px">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${overdue.map(a => `
+                  <tr data-id="${escapeHtml(a.id)}" data-exercise-id="${escapeHtml(a.exercise_id)}">
+                    <td><div class="ep-cell-name">${escapeHtml(a.student_name)}</div></td>
+                    <td>
+                      <div>${escapeHtml(a.exercise_name || a.week_label)}</div>
+                      <div class="ep-cell-muted" style="font-size:12px">${escapeHtml(a.week_label)}</div>
+                    </td>
+                    <td>${formatDue(a.due_at)}</td>
+                    <td><span class="badge badge-advanced" style="font-size:11px">${a.days_overdue > 0 ? `${a.days_overdue}d` : 'Today'}</span></td>
+                    <td>
+                      <div class="ep-actions">
+                        <button class="btn-outline btn-sm" data-action="extend">Extend</button>
+                        <button class="btn-outline btn-sm" data-action="grade">Grade</button>
+                      </div>
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>`
+        }
+      `;
+
+      attachFilterRow(content);
+
+      content.querySelectorAll('.ep-table tbody tr').forEach(row => {
+        row.querySelector('[data-action="extend"]').addEventListener('click', async () => {
+          const value = await showAppPrompt({
+            title: 'Extend Due Date',
+            message: 'New due date (YYYY-MM-DD). The assignment will be due at the end of that day.',
+            placeholder: 'YYYY-MM-DD'
+          });
+          if (!value) return;
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+            showToast('Enter the date as YYYY-MM-DD', 'error');
+            return;
+          }
+          const [y, m, d] = value.trim().split('-').map(Number);
+          try {
+            await apiClient.setAssignmentDueDate(row.dataset.id, new Date(y, m - 1, d, 23, 59, 59, 999).toISOString());
+            showToast('Due date updated');
+            renderOverdueList();
+          } catch (error) {
+            showToast(`Error: ${error.message}`, 'error');
+          }
+        });
+        row.querySelector('[data-action="grade"]').addEventListener('click', () => {
+          showExerciseDetails(row.dataset.exerciseId);
+        });
+      });
+    } catch (error) {
+      content.innerHTML = `${filterRowHtml(null)}<div class="error-cell">Error: ${escapeHtml(error.message)}</div>`;
+      attachFilterRow(content);
+    }
+  };
+
   const renderExercisesTab = async () => {
+    if (exerciseFilter === 'overdue') {
+      return renderOverdueList();
+    }
+
     const content = container.querySelector('#tab-content');
     content.innerHTML = '<div class="loading-cell">Loading exercises...</div>';
 
@@ -854,6 +970,7 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
         apiClient.getExercises(),
         apiClient.getCurrentWeek()
       ]);
+      const totalOverdue = exercises.reduce((sum, ex) => sum + (ex.total_overdue || 0), 0);
 
       const gradedFraction = (ex) => ex.total_assigned > 0 ? `${ex.total_graded}/${ex.total_assigned}` : '—';
 
@@ -870,6 +987,8 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
           <span class="badge ${currentWeek.has_exercise ? 'badge-beginner' : 'badge-intermediate'}">${currentWeek.has_exercise ? 'Has Exercise' : 'No Exercise'}</span>
         </div>
 
+        ${filterRowHtml(totalOverdue)}
+
         ${exercises.length === 0 ?
           '<div class="empty-message">No exercises created yet</div>' :
           `<div class="ep-table-wrap">
@@ -913,6 +1032,8 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
         }
       `;
 
+      attachFilterRow(content);
+
       // Exercise row actions
       content.querySelectorAll('.ep-table tbody tr').forEach(row => {
         row.querySelectorAll('[data-action]').forEach(btn => {
@@ -946,6 +1067,10 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
                     <button class="gd-dd-item" data-dd="print"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="6 9 6 2 18 2 18 9"/><path d="M6 18H4a2 2 0 01-2-2v-5a2 2 0 012-2h16a2 2 0 012 2v5a2 2 0 01-2 2h-2"/><rect x="6" y="14" width="12" height="8"/></svg>Print Preview</button>
                     <button class="gd-dd-item" data-dd="print-solutions"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/></svg>Print Solutions</button>
                     <div class="gd-dd-sep"></div>
+                    <button class="gd-dd-item" data-dd="export" data-format="pgn"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>Export PGN</button>
+                    <button class="gd-dd-item" data-dd="export" data-format="epd"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>Export EPD</button>
+                    <button class="gd-dd-item" data-dd="export" data-format="json"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>Export JSON</button>
+                    <div class="gd-dd-sep"></div>
                     <button class="gd-dd-item gd-dd-danger" data-dd="delete"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/></svg>Delete Exercise</button>
                   `;
                   // Position dropdown using fixed positioning to escape table layout
@@ -977,6 +1102,8 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
                         } else if (dd === 'print-solutions') {
                           const data = await apiClient.getExercise(exerciseId);
                           openPrintSolutions(data);
+                        } else if (dd === 'export') {
+                          window.open(apiClient.getExerciseExportUrl(exerciseId, item.dataset.format), '_blank');
                         } else if (dd === 'delete') {
                           showConfirmDialog({
                             icon: 'rotate-ccw', iconColor: 'var(--color-error-500)', iconBg: 'var(--color-error-50)',
@@ -1026,9 +1153,10 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
     overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
 
     try {
-      const [exercise, assignments] = await Promise.all([
+      const [exercise, assignments, solveTimes] = await Promise.all([
         apiClient.getExercise(exerciseId),
-        apiClient.getExerciseAssignments(exerciseId)
+        apiClient.getExerciseAssignments(exerciseId),
+        apiClient.getExerciseSolveTimes(exerciseId).catch(() => [])
       ]);
 
       const totalStudents = assignments.length;
@@ -1048,6 +1176,28 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
         return `<span class="badge ${cls}">${STATUS_LABELS[status] || status}</span>`;
       };
 
+      const formatMs = (ms) => {
+        const totalSeconds = Math.round(ms / 1000);
+        return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+      };
+
+      // Puzzles that took students longest on average
+      const slowest = solveTimes
+        .filter(p => p.attempts > 0)
+        .sort((x, y) => y.average_ms - x.average_ms)
+        .slice(0, 3);
+      const slowestHtml = slowest.length === 0 ? '' : `
+        <div class="gd-slowest">
+          <div class="gd-stat-label">Slowest Puzzles</div>
+          ${slowest.map(p => `
+            <div class="gd-slowest-row">
+              <span>Puzzle ${p.index + 1}</span>
+              <span>avg ${formatMs(p.average_ms)} &middot; max ${formatMs(p.max_ms)} &middot; ${p.attempts} student${p.attempts === 1 ? '' : 's'}</span>
+            </div>
+          `).join('')}
+        </div>
+      `;
+
       const renderRow = (a) => {
         const isGraded = a.status === 'graded';
         const isSubmitted = a.status === 'submitted';
@@ -1094,6 +1244,7 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
             <div class="gd-stat"><span class="gd-stat-label">Graded</span><span class="gd-stat-value" style="color:var(--color-success-600)">${gradedCount}/${totalStudents}</span></div>
             <div class="gd-stat"><span class="gd-stat-label">Avg Score</span><span class="gd-stat-value" style="color:var(--color-brand-600)">${avgScore}%</span></div>
           </div>
+          ${slowestHtml}
           <div class="gd-list">
             ${assignments.length === 0 ? '<p style="text-align:center;color:var(--color-gray-400)">No students assigned yet</p>' : assignments.map(renderRow).join('')}
           </div>
@@ -1283,7 +1434,10 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
     overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
 
     try {
-      const students = await apiClient.getStudents();
+      const [students, groups] = await Promise.all([
+        apiClient.getStudents(),
+        apiClient.getGroups()
+      ]);
       const body = overlay.querySelector('#assign-body');
 
       if (students.length === 0) {
@@ -1303,7 +1457,24 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
       }
 
       body.innerHTML = `
-        <div class="gd-list">
+        <div class="form-group" style="margin-bottom:12px">
+          <label for="assign-due-at">Due date (optional, defaults to the end of the exercise week)</label>
+          <input type="datetime-local" id="assign-due-at">
+        </div>
+        ${groups.length > 0 ? `
+          <div class="form-group" style="margin-bottom:12px">
+            <label for="assign-group">Assign to</label>
+            <select id="assign-group">
+              <option value="">Selected students</option>
+              ${groups.map(g => `<option value="${escapeHtml(g.id)}">Group: ${escapeHtml(g.name)} (${g.member_count})</option>`).join('')}
+            </select>
+            <label class="gd-check-row" id="assign-backfill-row" style="display:none;margin-top:8px">
+              <input type="checkbox" id="assign-backfill" checked>
+              <span class="gd-check-name">Also assign to students who join the group later</span>
+            </label>
+          </div>
+        ` : ''}
+        <div class="gd-list" id="assign-student-list">
           ${students.map(s => {
             const skillCls = s.skill_level === 'advanced' ? 'badge-advanced' : s.skill_level === 'intermediate' ? 'badge-intermediate' : 'badge-beginner';
             return `
@@ -1326,9 +1497,42 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
       `;
       overlay.querySelector('.gd-dialog').appendChild(footer);
 
+      const groupSelect = overlay.querySelector('#assign-group');
+      if (groupSelect) {
+        groupSelect.addEventListener('change', () => {
+          const byGroup = !!groupSelect.value;
+          overlay.querySelector('#assign-backfill-row').style.display = byGroup ? '' : 'none';
+          overlay.querySelector('#assign-student-list').style.display = byGroup ? 'none' : '';
+        });
+      }
+
       footer.querySelector('[data-action="cancel"]').addEventListener('click', closeDialog);
       footer.querySelector('[data-action="assign"]').addEventListener('click', async () => {
         const selected = Array.from(overlay.querySelectorAll('.gd-checkbox:checked')).map(i => i.value);
+        const groupId = groupSelect ? groupSelect.value : '';
+
+        if (groupId) {
+          try {
+            const dueValue = overlay.querySelector('#assign-due-at').value;
+            const result = await apiClient.assignExerciseToGroup(groupId, exerciseId, {
+              dueAt: dueValue ? new Date(dueValue).toISOString() : null,
+              backfill: overlay.querySelector('#assign-backfill').checked
+            });
+
+            if (result.errors && result.errors.length > 0) {
+              showToast(`Assigned with warnings: ${result.errors[0]}`, 'error');
+            } else {
+              const skipped = result.skipped > 0 ? `, ${result.skipped} already had it` : '';
+              showToast(`Assigned to ${result.assigned.length} group member(s)${skipped}`);
+            }
+
+            closeDialog();
+            renderExercisesTab();
+          } catch (error) {
+            showToast(`Error: ${error.message}`, 'error');
+          }
+          return;
+        }
 
         if (selected.length === 0) {
           showToast('Select at least one student', 'error');
@@ -1336,7 +1540,9 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
         }
 
         try {
-          const result = await apiClient.assignExercise(exerciseId, selected);
+          const dueValue = overlay.querySelector('#assign-due-at').value;
+          const dueAt = dueValue ? new Date(dueValue).toISOString() : null;
+          const result = await apiClient.assignExercise(exerciseId, selected, dueAt);
 
           if (result.errors && result.errors.length > 0) {
             showToast(`Assigned with warnings: ${result.errors[0]}`, 'error');
@@ -1355,6 +1561,308 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
     }
   };
 
+  // ==================== Personalized Exercises ====================
+
+  const showPersonalizedDialog = async () => {
+    const overlay = document.createElement('div');
+    overlay.className = 'pv-overlay';
+    document.body.style.overflow = 'hidden';
+
+    overlay.innerHTML = `
+      <div class="gd-dialog" style="width:480px">
+        <div class="gd-header">
+          <span class="gd-title">Personalized Exercises</span>
+          <button class="pv-close-btn" data-action="close">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+          </button>
+        </div>
+        <div class="gd-body" id="personalized-body">
+          <div class="gd-loading">Loading students...</div>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(overlay);
+    openDialogs.push(overlay);
+
+    const closeDialog = () => {
+      document.body.style.overflow = '';
+      removeDialog(overlay);
+    };
+
+    overlay.querySelector('[data-action="close"]').addEventListener('click', closeDialog);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+
+    try {
+      const students = await apiClient.getStudents();
+      const body = overlay.querySelector('#personalized-body');
+
+      if (students.length === 0) {
+        body.innerHTML = '<p style="text-align:center;color:var(--color-gray-400);padding:20px 0">No students found. Create a student first.</p>';
+        return;
+      }
+
+      body.innerHTML = `
+        <p style="font-size:13px;color:var(--color-gray-500);margin:0 0 12px">
+          Each selected student gets their own exercise built from their weakest themes,
+          rated near their level, leaving out puzzles they have already seen.
+        </p>
+        <div class="form-group" style="margin-bottom:12px">
+          <label for="personalized-count">Puzzles per student (1-20)</label>
+          <input type="number" id="personalized-count" min="1" max="20" value="10">
+        </div>
+        <div class="gd-list">
+          ${students.map(s => {
+            const skillCls = s.skill_level === 'advanced' ? 'badge-advanced' : s.skill_level === 'intermediate' ? 'badge-intermediate' : 'badge-beginner';
+            return `
+              <label class="gd-check-row">
+                <input type="checkbox" value="${escapeHtml(s.id)}" class="gd-checkbox">
+                <span class="gd-check-name">${escapeHtml(s.name)}</span>
+                <span class="badge ${skillCls}">${SKILL_LEVEL_LABELS[s.skill_level] || s.skill_level}</span>
+              </label>
+            `;
+          }).join('')}
+        </div>
+      `;
+
+      const footer = document.createElement('div');
+      footer.className = 'gd-footer';
+      footer.innerHTML = `
+        <button class="btn-outline" data-action="cancel">Cancel</button>
+        <button class="generate-btn" data-action="build">Build &amp; Assign</button>
+      `;
+      overlay.querySelector('.gd-dialog').appendChild(footer);
+
+      footer.querySelector('[data-action="cancel"]').addEventListener('click', closeDialog);
+      const buildBtn = footer.querySelector('[data-action="build"]');
+      buildBtn.addEventListener('click', async () => {
+        const selected = Array.from(overlay.querySelectorAll('.gd-checkbox:checked')).map(i => i.value);
+        const count = parseInt(overlay.querySelector('#personalized-count').value, 10);
+
+        if (selected.length === 0) {
+          showToast('Select at least one student', 'error');
+          return;
+        }
+
+        if (isNaN(count) || count < 1 || count > 20) {
+          showToast('Enter a number between 1 and 20', 'error');
+          return;
+        }
+
+        buildBtn.disabled = true;
+        buildBtn.textContent = 'Building...';
+
+        try {
+          const result = await apiClient.createPersonalizedExercises(selected, { count });
+
+          if (result.failed.length > 0) {
+            showToast(`Created ${result.created.length}, ${result.failed.length} failed: ${result.failed[0].error}`, 'error');
+          } else {
+            showToast(`Created ${result.created.length} personalized exercise(s)`);
+          }
+
+          closeDialog();
+          renderExercisesTab();
+        } catch (error) {
+          buildBtn.disabled = false;
+          buildBtn.textContent = 'Build & Assign';
+          showToast(`Error: ${error.message}`, 'error');
+        }
+      });
+    } catch (error) {
+      overlay.querySelector('#personalized-body').innerHTML = `<div style="padding:20px;text-align:center;color:var(--color-error-500)">${escapeHtml(error.message)}</div>`;
+    }
+  };
+
+  // ==================== Schedules Tab ====================
+
+  const formatRunDate = (dateStr) => {
+    if (!dateStr) return '—';
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  };
+
+  const renderSchedulesTab = async () => {
+    const content = container.querySelector('#tab-content');
+    content.innerHTML = '<div class="loading-cell">Loading schedules...</div>';
+
+    try {
+      const schedules = await apiClient.getSchedules();
+
+      const lastRunCell = (run) => {
+        if (!run) return '<span class="ep-cell-muted">Never</span>';
+        if (run.status === 'failed') {
+          return `<span class="badge badge-advanced" style="font-size:11px" title="${escapeHtml(run.error)}">Failed</span>`;
+        }
+        return `<span class="ep-cell-muted">${formatRunDate(run.week_start)}</span>`;
+      };
+
+      content.innerHTML = `
+        <div style="display:flex;justify-content:flex-end;margin-bottom:16px">
+          <button id="add-schedule-btn" class="generate-btn" style="font-size:13px;padding:8px 16px">+ New Schedule</button>
+        </div>
+        ${schedules.length === 0 ?
+          '<div class="empty-message">No schedules yet. A schedule creates and assigns an exercise every week on the chosen day.</div>' :
+          `<div class="ep-table-wrap">
+            <table class="ep-table">
+              <thead>
+                <tr>
+                  <th class="ep-th-grow">Schedule</th>
+                  <th style="width:90px">Status</th>
+                  <th style="width:130px">Next Run</th>
+                  <th style="width:100px">Last Run</th>
+                  <th style="width:260px">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${schedules.map(s => `
+                  <tr data-id="${escapeHtml(s.id)}">
+                    <td>
+                      <div class="ep-cell-name">${escapeHtml(s.name)}</div>
+                      <div class="ep-cell-muted" style="font-size:12px">
+                        Every ${WEEKDAY_LABELS[s.weekday]} &middot; ${s.count} puzzles &middot;
+                        ${s.student_ids.length} student${s.student_ids.length !== 1 ? 's' : ''} &middot;
+                        ${s.themes.length > 0 ? escapeHtml(s.themes.join(', ')) : 'All themes'}
+                      </div>
+                    </td>
+                    <td>${s.active
+                      ? '<span class="badge badge-beginner" style="font-size:11px">Active</span>'
+                      : '<span class="badge badge-theme" style="font-size:11px">Paused</span>'}</td>
+                    <td title="${s.upcoming.slice(1).map(r => formatRunDate(r.run_on)).join(', ')}">${s.upcoming.length > 0 ? formatRunDate(s.upcoming[0].run_on) : '—'}</td>
+                    <td>${lastRunCell(s.last_run)}</td>
+                    <td>
+                      <div class="ep-actions">
+                        <button class="btn-outline btn-sm" data-action="preview">Preview</button>
+                        <button class="btn-outline btn-sm" data-action="toggle">${s.active ? 'Pause' : 'Resume'}</button>
+                        <button class="btn-outline btn-sm" data-action="edit">Edit</button>
+                        <button class="btn-outline btn-sm" data-action="delete">Delete</button>
+                      </div>
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>`
+        }
+      `;
+
+      content.querySelector('#add-schedule-btn').addEventListener('click', async () => {
+        const result = await showScheduleDialog(apiClient);
+        if (result) {
+          showToast('Schedule created');
+          renderSchedulesTab();
+        }
+      });
+
+      content.querySelectorAll('.ep-table tbody tr').forEach(row => {
+        const schedule = schedules.find(s => s.id === row.dataset.id);
+        row.querySelectorAll('[data-action]').forEach(btn => {
+          btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            try {
+              switch (btn.dataset.action) {
+                case 'preview':
+                  await showSchedulePreview(schedule);
+                  break;
+                case 'toggle':
+                  await apiClient.updateSchedule(schedule.id, { active: !schedule.active });
+                  showToast(schedule.active ? 'Schedule paused' : 'Schedule resumed');
+                  renderSchedulesTab();
+                  break;
+                case 'edit': {
+                  const result = await showScheduleDialog(apiClient, schedule);
+                  if (result) {
+                    showToast('Schedule updated');
+                    renderSchedulesTab();
+                  }
+                  break;
+                }
+                case 'delete':
+                  showConfirmDialog({
+                    icon: 'rotate-ccw', iconColor: 'var(--color-error-500)', iconBg: 'var(--color-error-50)',
+                    title: 'Delete Schedule?',
+                    message: 'No more exercises will be created from this schedule. Exercises it already created are kept.',
+                    confirmLabel: 'Delete', confirmColor: 'var(--color-error-500)',
+                    onConfirm: async () => {
+                      await apiClient.deleteSchedule(schedule.id);
+                      showToast('Schedule deleted');
+                      renderSchedulesTab();
+                    }
+                  });
+                  break;
+              }
+            } catch (error) {
+              showToast(`Error: ${error.message}`, 'error');
+            }
+          });
+        });
+      });
+    } catch (error) {
+      content.innerHTML = `<div class="error-cell">Error: ${escapeHtml(error.message)}</div>`;
+    }
+  };
+
+  const showSchedulePreview = async (schedule) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'pv-overlay';
+    document.body.style.overflow = 'hidden';
+
+    overlay.innerHTML = `
+      <div class="gd-dialog" style="width:640px">
+        <div class="gd-header">
+          <span class="gd-title">Dry Run: ${escapeHtml(schedule.name)}</span>
+          <button class="pv-close-btn" data-action="close">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+          </button>
+        </div>
+        <div class="gd-body" id="schedule-preview-body">
+          <div class="gd-loading">Generating preview...</div>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(overlay);
+    openDialogs.push(overlay);
+
+    const closeDialog = () => {
+      document.body.style.overflow = '';
+      removeDialog(overlay);
+    };
+
+    overlay.querySelector('[data-action="close"]').addEventListener('click', closeDialog);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+
+    const body = overlay.querySelector('#schedule-preview-body');
+
+    try {
+      const preview = await apiClient.dryRunSchedule(schedule.id);
+      const puzzles = processPuzzles(preview.puzzles, schedule.themes);
+
+      body.innerHTML = `
+        <p style="font-size:13px;color:var(--color-gray-500);margin:0 0 12px">
+          Next run: <strong>${formatRunDate(preview.run_on)}</strong>.
+          This is a sample only &mdash; the actual run picks its puzzles fresh.
+          ${preview.excluded > 0 ? `${preview.excluded} previously assigned puzzle${preview.excluded !== 1 ? 's are' : ' is'} skipped.` : ''}
+        </p>
+        <div style="font-size:13px;margin-bottom:12px">
+          <strong>Students:</strong>
+          ${preview.students.map(s => s.missing
+            ? `<span class="badge badge-advanced" style="font-size:11px">${escapeHtml(s.id)} (deleted)</span>`
+            : escapeHtml(s.name)).join(', ')}
+        </div>
+        ${puzzles.length === 0
+          ? '<div class="empty-message">No puzzles match these filters. The run would fail.</div>'
+          : `<div class="puzzle-thumbnail-grid" style="max-height:360px;overflow-y:auto">
+              ${puzzles.map((p, i) => renderPuzzleThumbnail(p, i)).join('')}
+            </div>`}
+      `;
+
+      attachThumbnailZoom(body, puzzles);
+    } catch (error) {
+      body.innerHTML = `<div style="padding:20px;text-align:center;color:var(--color-error-500)">${escapeHtml(error.message)}</div>`;
+    }
+  };
+
   // ==================== Students Tab ====================
 
   const renderStudentsTab = async () => {
@@ -1602,6 +2110,9 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
       case 'performance':
         renderPerformanceTab();
         break;
+      case 'schedules':
+        renderSchedulesTab();
+        break;
     }
   };
 
@@ -1622,6 +2133,10 @@ export function renderExercisePage(container, apiClient, getCurrentPuzzles, onPu
     });
   });
 
+  container.querySelector('#page-personalized-btn').addEventListener('click', () => {
+    showPersonalizedDialog();
+  });
+
   // Top-level create button
   container.querySelector('#page-create-btn').addEventListener('click', async () => {
     const puzzles = getCurrentPuzzles();
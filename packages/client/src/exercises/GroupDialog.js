@@ -0,0 +1,144 @@
+/**
+ * GroupDialog.js
+ * Dialog for creating/editing student groups (classes)
+ */
+
+/**
+ * Show the group dialog
+ * @param {ApiClient} apiClient - API client instance
+ * @param {object|null} group - Existing group (with members) for editing
+ * @returns {Promise<object|null>} - { group, backfilled } or null if cancelled
+ */
+export function showGroupDialog(apiClient, group = null) {
+  const isEditing = !!group;
+
+  return new Promise((resolve) => {
+    const dialog = document.createElement('div');
+    dialog.className = 'group-dialog';
+    dialog.innerHTML = `
+      <div class="dialog-content">
+        <button class="dialog-close">&times;</button>
+        <h3>${isEditing ? 'Edit Group' : 'New Group'}</h3>
+
+        <form id="group-form" class="student-form">
+          <div class="form-group">
+            <label for="group-name">Name *</label>
+            <input type="text" id="group-name" required
+              value="${escapeHtml(group?.name || '')}"
+              placeholder="e.g. Tuesday Juniors">
+          </div>
+
+          <div class="form-group">
+            <label for="group-description">Description</label>
+            <textarea id="group-description" rows="2"
+              placeholder="Optional notes about the class">${escapeHtml(group?.description || '')}</textarea>
+          </div>
+
+          <div class="form-group">
+            <label>Members</label>
+            <div id="group-students" class="gd-list" style="max-height:220px;overflow-y:auto">Loading...</div>
+          </div>
+
+          <div class="form-error" id="form-error"></div>
+
+          <div class="dialog-actions">
+            <button type="button" class="cancel-btn">Cancel</button>
+            <button type="submit" class="save-btn primary-btn">
+              ${isEditing ? 'Save Changes' : 'Create Group'}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    const currentMembers = new Set((group?.members || []).map(m => m.id));
+
+    const closeDialog = (result) => {
+      if (dialog.parentNode) dialog.parentNode.removeChild(dialog);
+      resolve(result);
+    };
+
+    dialog.querySelector('.dialog-close').addEventListener('click', () => closeDialog(null));
+    dialog.querySelector('.cancel-btn').addEventListener('click', () => closeDialog(null));
+
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) closeDialog(null);
+    });
+
+    const loadStudents = async () => {
+      const container = dialog.querySelector('#group-students');
+      try {
+        const students = await apiClient.getStudents();
+        container.innerHTML = students.length === 0
+          ? '<span style="color:var(--color-gray-400);font-size:13px">No students yet</span>'
+          : students.map(s => `
+            <label class="gd-check-row">
+              <input type="checkbox" value="${escapeHtml(s.id)}" class="group-student-checkbox" ${currentMembers.has(s.id) ? 'checked' : ''}>
+              <span class="gd-check-name">${escapeHtml(s.name)}</span>
+            </label>
+          `).join('');
+      } catch {
+        container.innerHTML = '<span style="color:var(--color-error-500)">Failed to load students</span>';
+      }
+    };
+
+    dialog.querySelector('#group-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const name = dialog.querySelector('#group-name').value.trim();
+      const description = dialog.querySelector('#group-description').value.trim();
+      const selected = Array.from(dialog.querySelectorAll('.group-student-checkbox:checked')).map(i => i.value);
+
+      const errorEl = dialog.querySelector('#form-error');
+      const saveBtn = dialog.querySelector('.save-btn');
+
+      if (!name) {
+        errorEl.textContent = 'Name is required';
+        return;
+      }
+
+      try {
+        errorEl.textContent = '';
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+
+        if (!isEditing) {
+          const created = await apiClient.createGroup({ name, description, studentIds: selected });
+          closeDialog({ group: created, backfilled: 0 });
+          return;
+        }
+
+        const updated = await apiClient.updateGroup(group.id, { name, description });
+
+        const toAdd = selected.filter(id => !currentMembers.has(id));
+        const toRemove = [...currentMembers].filter(id => !selected.includes(id));
+
+        let backfilled = 0;
+        if (toAdd.length > 0) {
+          const result = await apiClient.addGroupMembers(group.id, toAdd);
+          backfilled = result.backfilled.length;
+        }
+        for (const studentId of toRemove) {
+          await apiClient.removeGroupMember(group.id, studentId);
+        }
+
+        closeDialog({ group: updated, backfilled });
+      } catch (error) {
+        errorEl.textContent = error.message;
+        saveBtn.disabled = false;
+        saveBtn.textContent = isEditing ? 'Save Changes' : 'Create Group';
+      }
+    });
+
+    document.body.appendChild(dialog);
+    dialog.querySelector('#group-name').focus();
+    loadStudents();
+  });
+}
+
+function escapeHtml(str) {
+  if (str === null || str === undefined) return '';
+  const div = document.createElement('div');
+  div.textContent = String(str);
+  return div.innerHTML;
+}
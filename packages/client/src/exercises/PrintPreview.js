@@ -6,6 +6,7 @@
 
 import { Chess } from 'chess.js';
 import { PIECE_IMAGES, generateBoardHTML } from '../puzzles/staticBoard.js';
+import { parseSolutionTree, hasBranches, writeVariations } from '../puzzles/solutionTree.js';
 import { showAppAlert } from '../shared/app-dialogs.js';
 
 /**
@@ -507,7 +508,8 @@ export function openPrintSolutions(exercise) {
 
 /**
  * Convert a puzzle's UCI moves to SAN, skipping the opponent's first move
- * Returns formatted solution string with move numbers
+ * Returns formatted solution string with move numbers, with the other
+ * defences of a branching solution in parentheses
  */
 function formatPuzzleSolution(puzzle) {
   const chess = new Chess(puzzle.fen);
@@ -515,6 +517,13 @@ function formatPuzzleSolution(puzzle) {
 
   if (uciMoves.length < 2) return 'N/A';
 
+  const tree = parseSolutionTree(puzzle.fen, puzzle.moves, puzzle.variations);
+  if (hasBranches(tree)) {
+    const afterSetup = new Chess(puzzle.fen);
+    afterSetup.move(parseUciMove(tree[0].uci));
+    return writeVariations(afterSetup.fen(), tree[0].children);
+  }
+
   // Play opponent's first move to advance position
   const firstMove = parseUciMove(uciMoves[0]);
   if (!firstMove) return 'N/A';
@@ -7,6 +7,28 @@
 import { Chess } from 'chess.js';
 import { Chessground } from 'chessground';
 import { showAppAlert } from '../shared/app-dialogs.js';
+import { getChessEngine, isEngineSupported } from '../core/ChessEngine.js';
+import { findRefutation } from './PuzzleRefutation.js';
+import { parseSolutionTree, pickLine, allLines, hasBranches, writeVariations } from '../puzzles/solutionTree.js';
+
+// Review mode analysis: search depth, lines shown and moves shown per line
+const ANALYSIS_DEPTH = 20;
+const ANALYSIS_LINES = 3;
+const ANALYSIS_PV_LENGTH = 8;
+
+// Review mode refutations: moves shown as arrows and as text
+const REFUTATION_ARROWS = 3;
+const REFUTATION_LINE_LENGTH = 6;
+
+/**
+ * Format milliseconds as m:ss
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
 
 /**
  * Parse UCI move (e.g., "e2e4") to { from, to, promotion }
@@ -20,6 +42,96 @@ function parseUciMove(uci) {
   };
 }
 
+/**
+ * Read a puzzle's alternatives: solution ply -> UCI moves also accepted there
+ * @param {string|object|null} value - JSON text from the puzzle row
+ * @returns {object}
+ */
+function parseAlternatives(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Whether a move other than the stored one should count as correct: any mate
+ * where the stored move mates, or a move an admin listed as equivalent
+ * @param {string} fen - Position before the move
+ * @param {string} playedUci - Move played
+ * @param {string} expectedUci - Stored solution move
+ * @param {string[]} listed - Alternatives stored for this ply
+ * @returns {boolean}
+ */
+function isAcceptedAlternative(fen, playedUci, expectedUci, listed = []) {
+  if (listed.includes(playedUci)) return true;
+
+  try {
+    const played = new Chess(fen);
+    played.move(parseUciMove(playedUci));
+    if (!played.isCheckmate()) return false;
+
+    const expected = new Chess(fen);
+    expected.move(parseUciMove(expectedUci));
+    return expected.isCheckmate();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Play a list of UCI moves from a FEN and number them for display
+ * @returns {{ san: string, prefix: string }[]} - Stops at the first illegal move
+ */
+function toSanLine(fen, uciMoves) {
+  const chess = new Chess(fen);
+  const line = [];
+
+  for (const uci of uciMoves) {
+    const moveNumber = chess.moveNumber();
+    const isWhite = chess.turn() === 'w';
+    let move = null;
+    try {
+      move = chess.move(parseUciMove(uci));
+    } catch {
+      move = null;
+    }
+    if (!move) break;
+
+    const prefix = isWhite ? `${moveNumber}. ` : line.length === 0 ? `${moveNumber}... ` : '';
+    line.push({ san: move.san, prefix });
+  }
+
+  return line;
+}
+
+/**
+ * Engine score from the other side's point of view
+ */
+function negateScore(score) {
+  return score.mate !== undefined ? { mate: -score.mate } : { cp: -score.cp };
+}
+
+/**
+ * Format an engine score, e.g. "+1.25" or "#-3"
+ */
+function formatEval(score) {
+  if (score.mate !== undefined) return `#${score.mate}`;
+  return `${score.cp >= 0 ? '+' : ''}${(score.cp / 100).toFixed(2)}`;
+}
+
+/**
+ * Share of the eval bar for White (0-100) from a score for White
+ */
+function evalBarShare(score) {
+  if (score.mate !== undefined) return score.mate > 0 ? 100 : 0;
+  // Logistic curve: +-4 pawns fills about 90% of the bar
+  return 100 / (1 + Math.exp(-0.0055 * score.cp));
+}
+
 /**
  * Get legal moves as a Map for chessground
  */
@@ -46,6 +158,16 @@ function getLegalMoves(chess) {
  * @param {object[]} options.assignments - Multiple student assignments (for grading multiple students)
  * @param {ApiClient} options.apiClient - API client (for saving grade)
  * @param {function} options.onGraded - Callback when grading is saved
+ * @param {function} options.onPuzzleResult - Student mode: called with (puzzle, { index, correct, usedHint }) whenever a puzzle result is recorded
+ * @param {object} options.timeLimit - Student mode: { seconds, mode: 'total' | 'per_puzzle', remainingMs? }.
+ *   Shows a countdown; when a total limit runs out the attempt is submitted automatically
+ * @param {string} options.existingTimes - Student mode: previously saved comma-separated solve times (ms)
+ *
+ * In student mode every move tried is logged and sent with the next save. In grading
+ * mode the student's first wrong line can be replayed next to the solution. In review
+ * mode (with studentExerciseId) the student's recorded wrong move, or any wrong move
+ * tried on the board, is answered with the engine's refutation, and the position can
+ * be analysed freely.
  */
 export function openPuzzlePlayer(exercise, options = {}) {
   const puzzles = exercise.puzzles || [];
@@ -65,7 +187,10 @@ export function openPuzzlePlayer(exercise, options = {}) {
     assignments = null,
     apiClient = null,
     onGraded = null,
-    onComplete = null
+    onComplete = null,
+    onPuzzleResult = null,
+    timeLimit = null,
+    existingTimes = null
   } = options;
 
   // Build students list from assignments or single assignment
@@ -124,6 +249,37 @@ export function openPuzzlePlayer(exercise, options = {}) {
     return new Array(puzzles.length).fill(false);
   })();
 
+  // For student mode: time spent per puzzle in ms, accumulated until it is solved or marked wrong
+  // puzzleTimes[puzzleIndex] = ms or null if never attempted
+  const puzzleTimes = (() => {
+    if (!studentMode) return null;
+    const parts = existingTimes ? existingTimes.split(',') : [];
+    return puzzles.map((_, i) => (i < parts.length && parts[i] !== '' ? Number(parts[i]) : null));
+  })();
+
+  // Timed mode state
+  const timed = studentMode && timeLimit && timeLimit.seconds > 0;
+  const perPuzzleLimitMs = timed && timeLimit.mode === 'per_puzzle' ? timeLimit.seconds * 1000 : null;
+  const deadline = timed && timeLimit.mode !== 'per_puzzle'
+    ? Date.now() + (timeLimit.remainingMs ?? timeLimit.seconds * 1000)
+    : null;
+  let puzzleClockStart = null;
+  let timerInterval = null;
+  let timeUp = false;
+
+  // Student mode: moves tried since the last successful save
+  let unsentMoves = [];
+
+  // Grading mode: attempt logs per student (loaded on demand) and the running replay
+  const attemptLogs = new Map();
+  let replayTimer = null;
+
+  // Review mode: free play from the puzzle position with the engine, { chess } while open
+  let analysis = null;
+
+  // Review mode: bumped to drop refutations that arrive after the student moved on
+  let refutationSearch = 0;
+
   const modeClass = gradingMode ? 'grading-mode' : studentMode ? 'student-mode' : reviewMode ? 'review-mode' : '';
 
   // Create overlay
@@ -139,6 +295,7 @@ export function openPuzzlePlayer(exercise, options = {}) {
           <span id="puzzle-current">1</span> / <span id="puzzle-total">${puzzles.length}</span>
           ${gradingMode ? `<span id="grading-score" class="grading-score">Score: 0/${puzzles.length}</span>` : ''}
           ${studentMode || reviewMode ? `<span id="student-solve-score" class="grading-score">0/${puzzles.length}</span>` : ''}
+          ${timed ? '<span id="puzzle-timer" class="grading-score puzzle-timer"></span>' : ''}
         </div>
       </div>
 
@@ -165,6 +322,12 @@ export function openPuzzlePlayer(exercise, options = {}) {
 
       <div class="puzzle-player-main">
         <div class="puzzle-board-container">
+          ${reviewMode ? `
+            <div id="puzzle-eval-bar" class="puzzle-eval-bar" hidden>
+              <div class="puzzle-eval-fill"></div>
+              <span class="puzzle-eval-label"></span>
+            </div>
+          ` : ''}
           <div id="puzzle-board" class="puzzle-board"></div>
           <div id="puzzle-feedback" class="puzzle-feedback"></div>
         </div>
@@ -184,6 +347,8 @@ export function openPuzzlePlayer(exercise, options = {}) {
               </button>
             </div>
             <div id="puzzle-grade-status" class="puzzle-grade-status"></div>
+            <div id="puzzle-solve-time" class="puzzle-solve-time"></div>
+            <div id="puzzle-attempt-line" class="puzzle-attempt-line"></div>
           ` : ''}
 
           ${studentMode ? `
@@ -195,11 +360,28 @@ export function openPuzzlePlayer(exercise, options = {}) {
             <button id="btn-reset" class="puzzle-action-btn">Reset</button>
             ${!reviewMode ? '<button id="btn-hint" class="puzzle-action-btn">Hint</button>' : ''}
             ${!studentMode ? `<button id="btn-solution" class="puzzle-action-btn">${reviewMode ? 'Show Solution' : 'Solution'}</button>` : ''}
+            ${reviewMode ? '<button id="btn-analyze" class="puzzle-action-btn">Analyze</button>' : ''}
             <button id="btn-next" class="puzzle-nav-btn">Next &rarr;</button>
           </div>
 
           <div id="puzzle-solution-display" class="puzzle-solution-display"></div>
 
+          ${reviewMode ? '<div id="puzzle-refutation" class="puzzle-refutation"></div>' : ''}
+
+          ${reviewMode ? `
+            <div id="puzzle-analysis" class="puzzle-analysis" hidden>
+              <div class="analysis-header">
+                <span class="analysis-title">Analysis</span>
+                <span id="analysis-status" class="analysis-status"></span>
+              </div>
+              <div id="analysis-lines" class="analysis-lines"></div>
+              <div class="analysis-actions">
+                <button id="btn-analysis-undo" class="puzzle-action-btn">Undo Move</button>
+                <button id="btn-analysis-exit" class="puzzle-action-btn">Back to Puzzle</button>
+              </div>
+            </div>
+          ` : ''}
+
           ${gradingMode ? `
             <div class="grading-actions">
               <div class="auto-save-note">Grades are saved automatically</div>
@@ -453,6 +635,13 @@ export function openPuzzlePlayer(exercise, options = {}) {
       color: white;
     }
 
+    .puzzle-solution-display .solution-variations {
+      margin-top: 8px;
+      padding-top: 8px;
+      border-top: 1px solid #4a4a4a;
+      line-height: 1.6;
+    }
+
     /* Grading Mode Styles */
     .student-tabs {
       display: flex;
@@ -513,6 +702,66 @@ export function openPuzzlePlayer(exercise, options = {}) {
       font-weight: bold;
     }
 
+    .puzzle-timer {
+      font-variant-numeric: tabular-nums;
+      color: #fff;
+    }
+
+    .puzzle-timer.warning {
+      background: #c62828;
+    }
+
+    .puzzle-solve-time {
+      margin-top: 6px;
+      font-size: 13px;
+      color: #aaa;
+    }
+
+    .puzzle-attempt-line {
+      display: grid;
+      grid-template-columns: auto 1fr auto;
+      gap: 6px 8px;
+      align-items: center;
+      margin-top: 10px;
+      font-family: monospace;
+      font-size: 13px;
+      color: #ccc;
+    }
+
+    .puzzle-attempt-line:empty {
+      display: none;
+    }
+
+    .puzzle-attempt-line .attempt-label {
+      color: #999;
+    }
+
+    .puzzle-attempt-line .move.wrong {
+      color: #ef5350;
+      font-weight: bold;
+    }
+
+    .puzzle-attempt-line .move.expected {
+      color: #66bb6a;
+      font-weight: bold;
+    }
+
+    .puzzle-attempt-line .attempt-note {
+      grid-column: 1 / -1;
+      font-size: 12px;
+      color: #999;
+    }
+
+    .puzzle-attempt-line .attempt-replay {
+      padding: 2px 8px;
+      font-size: 12px;
+      background: #4a4a4a;
+      color: #fff;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+    }
+
     .grading-overview {
       display: flex;
       flex-wrap: wrap;
@@ -678,6 +927,149 @@ export function openPuzzlePlayer(exercise, options = {}) {
     .puzzle-save-btn.all-done:hover {
       background: #45a049;
     }
+
+    /* Analysis (review mode) */
+    .puzzle-board-container.analysing {
+      display: flex;
+      gap: 8px;
+    }
+
+    .puzzle-eval-bar {
+      position: relative;
+      width: 20px;
+      background: #333;
+      border-radius: 4px;
+      overflow: hidden;
+    }
+
+    .puzzle-eval-bar[hidden] {
+      display: none;
+    }
+
+    .puzzle-eval-fill {
+      position: absolute;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      height: 50%;
+      background: #eee;
+      transition: height 0.3s;
+    }
+
+    .puzzle-eval-bar.flipped .puzzle-eval-fill {
+      top: 0;
+      bottom: auto;
+    }
+
+    .puzzle-eval-label {
+      position: absolute;
+      left: 0;
+      right: 0;
+      top: 50%;
+      transform: translateY(-50%);
+      font-size: 9px;
+      font-weight: bold;
+      text-align: center;
+      color: #888;
+      mix-blend-mode: difference;
+    }
+
+    .puzzle-analysis {
+      margin-top: 12px;
+      padding: 12px;
+      background: #3a3a3a;
+      border-radius: 6px;
+    }
+
+    .puzzle-analysis[hidden] {
+      display: none;
+    }
+
+    .puzzle-analysis .analysis-header {
+      display: flex;
+      justify-content: space-between;
+      margin-bottom: 8px;
+    }
+
+    .puzzle-analysis .analysis-title {
+      font-weight: 600;
+      color: #fff;
+    }
+
+    .puzzle-analysis .analysis-status {
+      font-size: 12px;
+      color: #999;
+    }
+
+    .puzzle-analysis .analysis-line {
+      display: flex;
+      gap: 8px;
+      padding: 4px 0;
+      font-family: monospace;
+      font-size: 13px;
+      color: #aaa;
+    }
+
+    .puzzle-analysis .analysis-line.best {
+      color: #fff;
+    }
+
+    .puzzle-analysis .analysis-score {
+      flex: 0 0 48px;
+      font-weight: bold;
+    }
+
+    .puzzle-refutation {
+      margin-top: 12px;
+      padding: 12px;
+      background: #3a3a3a;
+      border-left: 3px solid #ef5350;
+      border-radius: 6px;
+      font-size: 14px;
+      color: #ddd;
+    }
+
+    .puzzle-refutation:empty {
+      display: none;
+    }
+
+    .puzzle-refutation .refutation-label {
+      margin-right: 8px;
+    }
+
+    .puzzle-refutation .refutation-show {
+      padding: 2px 8px;
+      font-size: 12px;
+      background: #4a4a4a;
+      color: #fff;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+    }
+
+    .puzzle-refutation .refutation-text {
+      font-weight: 600;
+      color: #fff;
+    }
+
+    .puzzle-refutation .refutation-line {
+      margin-top: 6px;
+      font-family: monospace;
+      font-size: 13px;
+      color: #ef9a9a;
+    }
+
+    .puzzle-refutation .refutation-note {
+      margin-top: 6px;
+      font-size: 12px;
+      color: #999;
+    }
+
+    .puzzle-analysis .analysis-actions {
+      display: flex;
+      gap: 8px;
+      margin-top: 10px;
+    }
   `;
   document.head.appendChild(style);
 
@@ -688,10 +1080,14 @@ export function openPuzzlePlayer(exercise, options = {}) {
     // Student mode: mark previous puzzle as wrong if navigating away without solving
     if (studentMode && solveResults && puzzleState && currentIndex !== index) {
       if (solveResults[currentIndex] === null && !puzzleState.isComplete) {
-        solveResults[currentIndex] = false;
+        setSolveResult(currentIndex, false);
         saveStudentSolveResults();
       }
     }
+    stopPuzzleClock();
+    stopReplay();
+    endAnalysis();
+    refutationSearch++;
 
     currentIndex = index;
     const puzzle = puzzles[index];
@@ -701,8 +1097,18 @@ export function openPuzzlePlayer(exercise, options = {}) {
     overlay.querySelector('#btn-prev').disabled = index === 0;
     overlay.querySelector('#btn-next').disabled = index === puzzles.length - 1;
 
-    // Parse moves
-    const moves = puzzle.moves ? puzzle.moves.split(' ') : [];
+    // Parse moves. Puzzles with variations get a random defence each time,
+    // except when grading, which follows the main line.
+    const mainMoves = puzzle.moves ? puzzle.moves.split(' ') : [];
+    const tree = parseSolutionTree(puzzle.fen, puzzle.moves, puzzle.variations);
+    const moves = hasBranches(tree) && !gradingMode ? pickLine(tree) : mainMoves;
+
+    // Alternatives belong to the main line, so they only apply until this line leaves it
+    const divergence = moves.findIndex((uci, i) => uci !== mainMoves[i]);
+    const alternatives = Object.fromEntries(
+      Object.entries(parseAlternatives(puzzle.alternatives))
+        .filter(([ply]) => divergence === -1 || Number(ply) < divergence)
+    );
 
     // Create chess instance and play opponent's first move
     const chess = new Chess(puzzle.fen);
@@ -727,8 +1133,11 @@ export function openPuzzlePlayer(exercise, options = {}) {
       puzzle,
       chess,
       moves,
+      mainMoves,
+      tree,
       currentMoveIndex: 1, // Start after opponent's first move
       playerColor,
+      alternatives,
       isComplete: false,
       solutionShown: false
     };
@@ -751,12 +1160,16 @@ export function openPuzzlePlayer(exercise, options = {}) {
     // Update grading UI if in grading mode
     if (gradingMode) {
       updateGradingUI();
+      renderAttemptLine();
     }
 
     // Update student/review mode UI
     if (studentMode || reviewMode) {
       updateStudentSolveUI();
     }
+    if (reviewMode) {
+      renderRecordedMistake();
+    }
 
     // Initialize or update board
     const boardEl = overlay.querySelector('#puzzle-board');
@@ -794,22 +1207,33 @@ export function openPuzzlePlayer(exercise, options = {}) {
       }
     });
 
-    // Review mode: disable board interaction
-    if (reviewMode) {
+    // Timed-out student puzzle: disable board interaction
+    if (isTimeLocked(index)) {
       boardInstance.set({
         movable: { free: false, color: undefined, dests: new Map() },
         draggable: { enabled: false }
       });
     }
+
+    // Student mode: time the puzzle until it is solved or marked wrong
+    if (studentMode && solveResults[index] === null && !isTimeLocked(index)) {
+      puzzleClockStart = Date.now();
+    }
+    updateTimer();
   }
 
   /**
    * Handle user move
    */
   function handleMove(from, to) {
-    if (puzzleState.isComplete) return;
+    if (analysis) {
+      handleAnalysisMove(from, to);
+      return;
+    }
+    if (puzzleState.isComplete || isTimeLocked(currentIndex)) return;
 
-    const { chess, moves, currentMoveIndex, playerColor } = puzzleState;
+    const { chess, moves, currentMoveIndex, playerColor, alternatives, tree } = puzzleState;
+    const fenBefore = chess.fen();
 
     // Try to make the move
     const move = chess.move({ from, to, promotion: 'q' });
@@ -820,23 +1244,54 @@ export function openPuzzlePlayer(exercise, options = {}) {
       return;
     }
 
-    // Check if this is the expected move
+    // Check if this is the expected move, or one accepted in its place
     const expectedUci = moves[currentMoveIndex];
     const expectedMove = parseUciMove(expectedUci);
+    const playedUci = move.from + move.to + (move.promotion || '');
 
-    const isCorrect = expectedMove &&
+    const isExpected = !!expectedMove &&
       move.from === expectedMove.from &&
       move.to === expectedMove.to;
+    const isAlternative = !isExpected && !!expectedMove &&
+      isAcceptedAlternative(fenBefore, playedUci, expectedUci, alternatives[currentMoveIndex]);
+    const isCorrect = isExpected || isAlternative;
+
+    if (studentMode) {
+      unsentMoves.push({
+        puzzleIndex: currentIndex,
+        move: playedUci,
+        ply: currentMoveIndex,
+        correct: isCorrect,
+        alternative: isAlternative,
+        // The defence was picked at random, so grading needs the line itself
+        line: hasBranches(tree) ? moves.join(' ') : undefined,
+        playedAt: new Date().toISOString()
+      });
+    }
 
     if (isCorrect) {
-      // Correct move
-      showFeedback('Correct!', 'correct');
-      puzzleState.currentMoveIndex++;
+      let lastMove = [from, to];
+
+      if (isAlternative && chess.isCheckmate()) {
+        // Another mate ends the puzzle just like the stored one
+        showFeedback('Correct! Another mate', 'correct');
+        puzzleState.currentMoveIndex = moves.length;
+      } else if (isAlternative) {
+        // Equivalent move: carry on with the stored line so the replies still fit
+        showFeedback('Also good! Continuing with the main line', 'correct');
+        chess.undo();
+        chess.move(expectedMove);
+        lastMove = [expectedMove.from, expectedMove.to];
+        puzzleState.currentMoveIndex++;
+      } else {
+        showFeedback('Correct!', 'correct');
+        puzzleState.currentMoveIndex++;
+      }
 
       // Update board
       boardInstance.set({
         fen: chess.fen(),
-        lastMove: [from, to],
+        lastMove,
         turnColor: chess.turn() === 'w' ? 'white' : 'black',
         movable: {
           dests: new Map() // Disable moves temporarily
@@ -853,7 +1308,7 @@ export function openPuzzlePlayer(exercise, options = {}) {
 
         // Student mode: auto-mark as correct (allows re-solving previously wrong puzzles)
         if (studentMode && solveResults && solveResults[currentIndex] !== true) {
-          solveResults[currentIndex] = true;
+          setSolveResult(currentIndex, true);
           updateStudentSolveUI();
           saveStudentSolveResults();
         }
@@ -864,6 +1319,14 @@ export function openPuzzlePlayer(exercise, options = {}) {
     } else {
       // Incorrect move - undo and allow retry
       chess.undo();
+
+      // Review mode: show why the move fails; Reset goes back to the puzzle
+      if (reviewMode) {
+        showFeedback('Not the solution', 'incorrect');
+        showRefutation(fenBefore, playedUci);
+        return;
+      }
+
       showFeedback('Try again', 'incorrect');
 
       // Student mode: track wrong attempt
@@ -919,7 +1382,7 @@ export function openPuzzlePlayer(exercise, options = {}) {
 
       // Student mode: auto-mark as correct (allows re-solving previously wrong puzzles)
       if (studentMode && solveResults && solveResults[currentIndex] !== true) {
-        solveResults[currentIndex] = true;
+        setSolveResult(currentIndex, true);
         updateStudentSolveUI();
         saveStudentSolveResults();
       }
@@ -984,7 +1447,7 @@ export function openPuzzlePlayer(exercise, options = {}) {
    * Show solution
    */
   function showSolution() {
-    const { puzzle, moves } = puzzleState;
+    const { puzzle, moves, tree } = puzzleState;
     puzzleState.solutionShown = true;
 
     // Parse all moves to SAN
@@ -1013,6 +1476,7 @@ export function openPuzzlePlayer(exercise, options = {}) {
         const prefix = isWhite || i === 0 ? `${moveNum}. ` : '';
         return `<span class="move ${isPlayed ? 'played' : ''} ${isCurrent ? 'current' : ''}">${prefix}${san}</span>`;
       }).join(' ')}
+      ${hasBranches(tree) ? `<div class="solution-variations"><strong>All lines:</strong> ${escapeHtml(writeVariations(puzzle.fen, tree))}</div>` : ''}
     `;
   }
 
@@ -1201,6 +1665,14 @@ export function openPuzzlePlayer(exercise, options = {}) {
       }
     }
 
+    // Show how long the student took on this puzzle, if recorded
+    const solveTimeEl = overlay.querySelector('#puzzle-solve-time');
+    if (solveTimeEl) {
+      const times = (students[currentStudentIndex]?.puzzle_times || '').split(',');
+      const ms = times[currentIndex] ? Number(times[currentIndex]) : null;
+      solveTimeEl.textContent = ms !== null ? `Solve time: ${formatDuration(ms)}` : '';
+    }
+
     // Update done button (grades auto-save, this just closes)
     const saveBtn = overlay.querySelector('#btn-save-grade');
     if (saveBtn) {
@@ -1236,6 +1708,21 @@ export function openPuzzlePlayer(exercise, options = {}) {
 
   // ==================== Student Solve Functions ====================
 
+  /**
+   * Record a student-mode result for a puzzle and notify the listener
+   */
+  function setSolveResult(index, correct) {
+    if (index === currentIndex) stopPuzzleClock();
+    solveResults[index] = correct;
+    if (onPuzzleResult) {
+      onPuzzleResult(puzzles[index], {
+        index,
+        correct,
+        usedHint: !!(hintUsed && hintUsed[index])
+      });
+    }
+  }
+
   /**
    * Update student/review mode UI: progress dots, score, status, finish button
    */
@@ -1317,6 +1804,7 @@ export function openPuzzlePlayer(exercise, options = {}) {
     }).join(',');
 
     const statusEl = overlay.querySelector('#student-puzzle-status');
+    let sending = [];
 
     try {
       if (statusEl) {
@@ -1328,7 +1816,17 @@ export function openPuzzlePlayer(exercise, options = {}) {
         ? hintUsed.map(h => h ? '1' : '0').join(',')
         : null;
 
-      await apiClient.saveStudentAttempt(studentExerciseId, correctCount, puzzleResultsStr, puzzleHintsStr);
+      const puzzleTimesStr = puzzleTimes
+        ? puzzleTimes.map(t => t === null ? '' : Math.round(t)).join(',')
+        : null;
+
+      sending = unsentMoves;
+      unsentMoves = [];
+
+      await apiClient.saveStudentAttempt(
+        studentExerciseId, correctCount, puzzleResultsStr, puzzleHintsStr, puzzleTimesStr, groupMoveLog(sending)
+      );
+      sending = [];
 
       if (statusEl) {
         statusEl.textContent = 'Saved!';
@@ -1341,6 +1839,9 @@ export function openPuzzlePlayer(exercise, options = {}) {
         }, 1500);
       }
     } catch (error) {
+      // Keep the moves for the next save
+      unsentMoves = sending.concat(unsentMoves);
+
       if (statusEl) {
         statusEl.textContent = 'Save failed!';
         statusEl.className = 'puzzle-grade-status error';
@@ -1353,14 +1854,498 @@ export function openPuzzlePlayer(exercise, options = {}) {
     }
   }
 
+  /**
+   * Group logged moves by puzzle for the attempt API
+   */
+  function groupMoveLog(moves) {
+    const byPuzzle = new Map();
+    for (const { puzzleIndex, ...move } of moves) {
+      if (!byPuzzle.has(puzzleIndex)) byPuzzle.set(puzzleIndex, []);
+      byPuzzle.get(puzzleIndex).push(move);
+    }
+    return [...byPuzzle].map(([puzzleIndex, puzzleMoves]) => ({ puzzleIndex, moves: puzzleMoves }));
+  }
+
+  // ==================== Attempt Replay (grading mode) ====================
+
+  /**
+   * Get the attempt log of a student exercise, loading it on first use
+   */
+  function loadAttemptLog(id) {
+    if (!attemptLogs.has(id)) {
+      const request = apiClient ? apiClient.getAttemptLog(id).catch(() => []) : Promise.resolve([]);
+      attemptLogs.set(id, request);
+    }
+    return attemptLogs.get(id);
+  }
+
+  /**
+   * Show the student's first wrong line for the current puzzle next to the solution
+   */
+  async function renderAttemptLine() {
+    const container = overlay.querySelector('#puzzle-attempt-line');
+    const student = students[currentStudentIndex];
+    if (!container || !student) return;
+
+    container.innerHTML = '';
+    const index = currentIndex;
+    const log = await loadAttemptLog(student.id);
+
+    // The grader may have moved on while the log was loading
+    if (index !== currentIndex || student !== students[currentStudentIndex]) return;
+
+    const entry = (log || []).find(e => e.puzzle_index === index);
+    if (!entry) return;
+
+    const { puzzle } = puzzleState;
+    const moves = attemptLine(entry, entry.first_wrong);
+
+    // Moves accepted in place of the stored ones, as SAN
+    const alternatives = entry.moves.filter(m => m.alternative).map(m => {
+      const line = toSanLine(puzzle.fen, [...attemptLine(entry, m).slice(0, m.ply), m.move]);
+      return line.length > m.ply ? line[m.ply].san : m.move;
+    });
+    const alternativeNote = alternatives.length > 0
+      ? `<span class="attempt-note">Played ${alternatives.map(escapeHtml).join(', ')} instead of the stored move</span>`
+      : '';
+
+    if (!entry.first_wrong) {
+      container.innerHTML = `<span class="attempt-note">Solved without a wrong move</span>${alternativeNote}`;
+      return;
+    }
+
+    const { ply, seq } = entry.first_wrong;
+    const studentLine = [...moves.slice(0, ply), entry.first_wrong.move];
+
+    const renderLine = (line, markIndex, markClass) => toSanLine(puzzle.fen, line).map((m, i) =>
+      `<span class="move ${i === markIndex ? markClass : ''}">${m.prefix}${escapeHtml(m.san)}</span>`
+    ).join(' ');
+
+    const otherWrong = entry.moves.filter(m => !m.correct && m.seq !== seq).length;
+
+    container.innerHTML = `
+      <span class="attempt-label">Student</span>
+      <span>${renderLine(studentLine, ply, 'wrong')}</span>
+      <button class="attempt-replay" data-line="student">Replay</button>
+      <span class="attempt-label">Solution</span>
+      <span>${renderLine(moves, ply, 'expected')}</span>
+      <button class="attempt-replay" data-line="solution">Replay</button>
+      ${otherWrong > 0 ? `<span class="attempt-note">${otherWrong} more wrong ${otherWrong === 1 ? 'try' : 'tries'} on this puzzle</span>` : ''}
+      ${alternativeNote}
+    `;
+
+    container.querySelector('[data-line="student"]').addEventListener('click', () => replayLine(studentLine));
+    container.querySelector('[data-line="solution"]').addEventListener('click', () => replayLine(moves));
+  }
+
+  /**
+   * The solution line a logged move was played against. Puzzles with
+   * variations gave the student a random defence, which is logged with each
+   * move; older logs without it get the line that fits the solver moves the
+   * student got right.
+   * @param {object} entry - Attempt log entry for the current puzzle
+   * @param {object|null} move - Logged move
+   * @returns {string[]} - UCI moves
+   */
+  function attemptLine(entry, move) {
+    const { tree, mainMoves } = puzzleState;
+    if (!hasBranches(tree)) return mainMoves;
+    if (move && move.line) return move.line;
+
+    const solved = entry.moves.filter(m => m.correct && !m.alternative);
+    return allLines(tree).find(line => solved.every(m => line[m.ply] === m.move)) || mainMoves;
+  }
+
+  /**
+   * Play a line on the board from the puzzle's starting position, one move at a time.
+   * Reset returns the board to the puzzle.
+   */
+  function replayLine(uciMoves) {
+    stopReplay();
+
+    const chess = new Chess(puzzleState.puzzle.fen);
+    boardInstance.set({
+      fen: chess.fen(),
+      lastMove: undefined,
+      movable: { color: undefined, dests: new Map() },
+      draggable: { enabled: false }
+    });
+    hideFeedback();
+
+    let step = 0;
+    replayTimer = setInterval(() => {
+      let move = null;
+      if (step < uciMoves.length) {
+        try {
+          move = chess.move(parseUciMove(uciMoves[step]));
+        } catch {
+          move = null;
+        }
+      }
+
+      if (!move) {
+        stopReplay();
+        return;
+      }
+
+      step++;
+      boardInstance.set({
+        fen: chess.fen(),
+        lastMove: [move.from, move.to],
+        turnColor: chess.turn() === 'w' ? 'white' : 'black',
+        check: chess.inCheck()
+      });
+    }, 700);
+  }
+
+  function stopReplay() {
+    if (replayTimer) {
+      clearInterval(replayTimer);
+      replayTimer = null;
+    }
+  }
+
+  // ==================== Analysis (review mode) ====================
+
+  /**
+   * Let the student play freely from the puzzle position while the engine shows
+   * its evaluation and best lines, e.g. to see why their move failed
+   */
+  function startAnalysis() {
+    if (analysis) return;
+    if (!isEngineSupported()) {
+      showAppAlert({ title: 'Analysis Unavailable', message: 'This browser cannot run the chess engine.' });
+      return;
+    }
+
+    stopReplay();
+    hideFeedback();
+    refutationSearch++;
+    overlay.querySelector('#puzzle-refutation').innerHTML = '';
+    analysis = { chess: new Chess(puzzleState.chess.fen()) };
+
+    overlay.querySelector('.puzzle-board-container').classList.add('analysing');
+    overlay.querySelector('#puzzle-eval-bar').hidden = false;
+    overlay.querySelector('#puzzle-eval-bar').classList.toggle('flipped', puzzleState.playerColor === 'b');
+    overlay.querySelector('#puzzle-analysis').hidden = false;
+    overlay.querySelector('#btn-analyze').disabled = true;
+
+    updateAnalysis(undefined);
+  }
+
+  /**
+   * Close the analysis and stop the engine; the caller restores the puzzle board
+   */
+  function endAnalysis() {
+    if (!analysis) return;
+    analysis = null;
+    getChessEngine().stop();
+
+    overlay.querySelector('.puzzle-board-container').classList.remove('analysing');
+    overlay.querySelector('#puzzle-eval-bar').hidden = true;
+    overlay.querySelector('#puzzle-analysis').hidden = true;
+    overlay.querySelector('#btn-analyze').disabled = false;
+    boardInstance?.setAutoShapes([]);
+  }
+
+  function handleAnalysisMove(from, to) {
+    const move = analysis.chess.move({ from, to, promotion: 'q' });
+    updateAnalysis(move ? [move.from, move.to] : undefined);
+  }
+
+  function undoAnalysisMove() {
+    if (analysis && analysis.chess.undo()) {
+      updateAnalysis(undefined);
+    }
+  }
+
+  /**
+   * Show the analysis position on the board and start searching it
+   */
+  function updateAnalysis(lastMove) {
+    const { chess } = analysis;
+    const fen = chess.fen();
+    const turnColor = chess.turn() === 'w' ? 'white' : 'black';
+
+    boardInstance.set({
+      fen,
+      lastMove,
+      turnColor,
+      check: chess.inCheck(),
+      movable: { free: false, color: turnColor, dests: getLegalMoves(chess) },
+      draggable: { enabled: true }
+    });
+    overlay.querySelector('#btn-analysis-undo').disabled = chess.history().length === 0;
+
+    if (chess.isGameOver()) {
+      getChessEngine().stop();
+      renderAnalysis(fen, chess.isCheckmate() ? 'Checkmate' : 'Draw', []);
+      return;
+    }
+
+    renderAnalysis(fen, 'Starting engine…', []);
+    getChessEngine()
+      .analyse(fen, {
+        depth: ANALYSIS_DEPTH,
+        multiPv: ANALYSIS_LINES,
+        onUpdate: (lines, depth) => renderAnalysis(fen, `Depth ${depth}`, lines)
+      })
+      .then(result => {
+        if (result) renderAnalysis(fen, `Depth ${result.depth}`, result.lines);
+      })
+      .catch(() => renderAnalysis(fen, 'Engine unavailable', []));
+  }
+
+  /**
+   * Render the eval bar, the best move arrow and the engine lines for a position.
+   * Scores are shown from White's side.
+   */
+  function renderAnalysis(fen, status, lines) {
+    // Ignore results for a position the student has already left
+    if (!analysis || analysis.chess.fen() !== fen) return;
+
+    const { chess } = analysis;
+    const whiteToMove = chess.turn() === 'w';
+    const forWhite = (score) => (whiteToMove ? score : negateScore(score));
+
+    let share = 50;
+    let label = '';
+    if (lines.length > 0) {
+      const score = forWhite(lines[0].score);
+      share = evalBarShare(score);
+      label = formatEval(score);
+    } else if (chess.isCheckmate()) {
+      share = whiteToMove ? 0 : 100;
+      label = '#';
+    } else if (chess.isGameOver()) {
+      label = '½';
+    }
+
+    const bar = overlay.querySelector('#puzzle-eval-bar');
+    bar.querySelector('.puzzle-eval-fill').style.height = `${share}%`;
+    bar.querySelector('.puzzle-eval-label').textContent = label;
+
+    overlay.querySelector('#analysis-status').textContent = status;
+    overlay.querySelector('#analysis-lines').innerHTML = lines.map(line => {
+      const moves = toSanLine(fen, line.pv.slice(0, ANALYSIS_PV_LENGTH)).map(m => `${m.prefix}${m.san}`);
+      return `
+        <div class="analysis-line ${line.multipv === 1 ? 'best' : ''}">
+          <span class="analysis-score">${formatEval(forWhite(line.score))}</span>
+          <span class="analysis-pv">${escapeHtml(moves.join(' '))}</span>
+        </div>
+      `;
+    }).join('');
+
+    const best = parseUciMove(lines[0]?.move);
+    boardInstance.setAutoShapes(best ? [{ orig: best.from, dest: best.to, brush: 'blue' }] : []);
+  }
+
+  // ==================== Refutations (review mode) ====================
+
+  /**
+   * Offer the refutation of the student's recorded first wrong move on this puzzle
+   */
+  async function renderRecordedMistake() {
+    const container = overlay.querySelector('#puzzle-refutation');
+    container.innerHTML = '';
+    if (!studentExerciseId) return;
+
+    const index = currentIndex;
+    const log = await loadAttemptLog(studentExerciseId);
+
+    // The student may have moved on while the log was loading
+    if (index !== currentIndex) return;
+
+    const entry = (log || []).find(e => e.puzzle_index === index);
+    if (!entry || !entry.first_wrong) return;
+
+    const { puzzle } = puzzleState;
+    const moves = attemptLine(entry, entry.first_wrong);
+    const { ply, move } = entry.first_wrong;
+    const line = toSanLine(puzzle.fen, [...moves.slice(0, ply), move]);
+    if (line.length <= ply) return;
+
+    const before = new Chess(puzzle.fen);
+    moves.slice(0, ply).forEach(uci => before.move(parseUciMove(uci)));
+    const fenBefore = before.fen();
+
+    container.innerHTML = `
+      <span class="refutation-label">You played <strong>${escapeHtml(line[ply].san)}</strong></span>
+      <button class="refutation-show">Why not?</button>
+    `;
+    container.querySelector('.refutation-show').addEventListener('click', () => showRefutation(fenBefore, move));
+  }
+
+  /**
+   * Play a wrong move on the board and show the opponent's refutation with
+   * arrows, its line and a short explanation
+   * @param {string} fen - Position before the wrong move
+   * @param {string} uci - Wrong move
+   */
+  async function showRefutation(fen, uci) {
+    endAnalysis();
+    stopReplay();
+    const search = ++refutationSearch;
+    const container = overlay.querySelector('#puzzle-refutation');
+
+    const chess = new Chess(fen);
+    const wrong = chess.move(parseUciMove(uci));
+    boardInstance.set({
+      fen: chess.fen(),
+      lastMove: [wrong.from, wrong.to],
+      turnColor: chess.turn() === 'w' ? 'white' : 'black',
+      check: chess.inCheck(),
+      movable: { color: undefined, dests: new Map() }
+    });
+    boardInstance.setAutoShapes([]);
+    container.innerHTML = '<span class="refutation-label">Looking for the refutation…</span>';
+
+    let refutation = null;
+    try {
+      if (!isEngineSupported()) throw new Error('Engine not supported');
+      refutation = await findRefutation(getChessEngine(), fen, uci);
+    } catch {
+      if (search === refutationSearch) {
+        container.innerHTML = '<span class="refutation-label">The engine is not available, so the refutation cannot be shown.</span>';
+      }
+      return;
+    }
+
+    // Dropped when the student moved on or another search took the engine
+    if (!refutation || search !== refutationSearch) return;
+
+    const line = toSanLine(refutation.fenAfter, refutation.moves.slice(0, REFUTATION_LINE_LENGTH).map(m => m.uci));
+    container.innerHTML = `
+      <div class="refutation-text">${escapeHtml(refutation.text)}</div>
+      ${line.length > 0 ? `
+        <div class="refutation-line">
+          ${escapeHtml(refutation.san)} ${line.map(m => `<span class="move">${m.prefix}${escapeHtml(m.san)}</span>`).join(' ')}
+        </div>
+      ` : ''}
+      <div class="refutation-note">Press Reset to go back to the puzzle</div>
+    `;
+
+    // The refutation in red, the student's forced replies paler
+    boardInstance.setAutoShapes(refutation.moves.slice(0, REFUTATION_ARROWS).map((m, i) => ({
+      orig: m.from,
+      dest: m.to,
+      brush: i % 2 === 0 ? 'red' : 'paleBlue'
+    })));
+  }
+
+  // ==================== Timed Mode ====================
+
+  /**
+   * Stop the current puzzle's clock and add the elapsed time to its total
+   */
+  function stopPuzzleClock() {
+    if (!puzzleTimes || puzzleClockStart === null) return;
+    puzzleTimes[currentIndex] = (puzzleTimes[currentIndex] || 0) + (Date.now() - puzzleClockStart);
+    puzzleClockStart = null;
+  }
+
+  /**
+   * Time spent on a puzzle so far, including the running clock
+   */
+  function elapsedOn(index) {
+    const running = index === currentIndex && puzzleClockStart !== null ? Date.now() - puzzleClockStart : 0;
+    return (puzzleTimes[index] || 0) + running;
+  }
+
+  /**
+   * Whether the time limit stops the student from playing a puzzle
+   */
+  function isTimeLocked(index) {
+    if (!timed) return false;
+    if (timeUp) return true;
+    return perPuzzleLimitMs !== null && solveResults[index] === null && elapsedOn(index) >= perPuzzleLimitMs;
+  }
+
+  /**
+   * Refresh the countdown and act when time runs out
+   */
+  function updateTimer() {
+    if (!timed || timeUp) return;
+    const timerEl = overlay.querySelector('#puzzle-timer');
+
+    if (deadline !== null) {
+      const remaining = deadline - Date.now();
+      timerEl.textContent = formatDuration(remaining);
+      timerEl.classList.toggle('warning', remaining <= 60 * 1000);
+      if (remaining <= 0) submitOnTimeout();
+      return;
+    }
+
+    if (solveResults[currentIndex] !== null) {
+      timerEl.textContent = '--:--';
+      timerEl.classList.remove('warning');
+      return;
+    }
+
+    const remaining = perPuzzleLimitMs - elapsedOn(currentIndex);
+    timerEl.textContent = formatDuration(remaining);
+    timerEl.classList.toggle('warning', remaining <= 10 * 1000);
+    if (remaining <= 0 && puzzleClockStart !== null) expirePuzzle();
+  }
+
+  /**
+   * Per-puzzle limit reached: mark the puzzle wrong and move to the next unsolved one
+   */
+  function expirePuzzle() {
+    const index = currentIndex;
+    stopPuzzleClock();
+    puzzleTimes[index] = perPuzzleLimitMs;
+    setSolveResult(index, false);
+    updateStudentSolveUI();
+    saveStudentSolveResults();
+    showFeedback("Time's up", 'incorrect');
+    boardInstance.set({ movable: { color: undefined, dests: new Map() }, draggable: { enabled: false } });
+
+    setTimeout(() => {
+      if (!overlay.isConnected || currentIndex !== index) return;
+      const next = solveResults.findIndex((r, i) => r === null && !isTimeLocked(i));
+      if (next === -1) {
+        finishSolving();
+      } else {
+        initPuzzle(next);
+      }
+    }, 1200);
+  }
+
+  /**
+   * Total limit reached: mark every unsolved puzzle wrong, save and close
+   */
+  async function submitOnTimeout() {
+    timeUp = true;
+    clearInterval(timerInterval);
+    stopPuzzleClock();
+
+    const timerEl = overlay.querySelector('#puzzle-timer');
+    timerEl.textContent = '0:00';
+    boardInstance.set({ movable: { color: undefined, dests: new Map() }, draggable: { enabled: false } });
+
+    solveResults.forEach((r, i) => {
+      if (r === null) setSolveResult(i, false);
+    });
+    updateStudentSolveUI();
+
+    while (savePending) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    await saveStudentSolveResults();
+
+    close();
+    showAppAlert({ title: "Time's Up", message: 'Your answers have been submitted.' });
+  }
+
   /**
    * Finish solving: mark current puzzle as wrong if unsolved, then close
    */
   async function finishSolving() {
-    if (studentMode && solveResults) {
+    if (studentMode && solveResults && !timeUp) {
       // Mark current puzzle as wrong if unsolved
       if (solveResults[currentIndex] === null && puzzleState && !puzzleState.isComplete) {
-        solveResults[currentIndex] = false;
+        setSolveResult(currentIndex, false);
         await saveStudentSolveResults();
       }
     }
@@ -1389,6 +2374,9 @@ export function openPuzzlePlayer(exercise, options = {}) {
   overlay.querySelector('#btn-reset').addEventListener('click', resetPuzzle);
   overlay.querySelector('#btn-hint')?.addEventListener('click', showHint);
   overlay.querySelector('#btn-solution')?.addEventListener('click', showSolution);
+  overlay.querySelector('#btn-analyze')?.addEventListener('click', startAnalysis);
+  overlay.querySelector('#btn-analysis-undo')?.addEventListener('click', undoAnalysisMove);
+  overlay.querySelector('#btn-analysis-exit')?.addEventListener('click', resetPuzzle);
 
   // Student/review mode event listeners
   if (studentMode || reviewMode) {
@@ -1441,6 +2429,9 @@ export function openPuzzlePlayer(exercise, options = {}) {
       showHint();
     } else if (e.key === 's' || e.key === 'S') {
       showSolution();
+    } else if (reviewMode && (e.key === 'a' || e.key === 'A')) {
+      if (analysis) resetPuzzle();
+      else startAnalysis();
     } else if (gradingMode && (e.key === 'c' || e.key === 'C' || e.key === '1')) {
       markCorrect();
     } else if (gradingMode && (e.key === 'x' || e.key === 'X' || e.key === '0')) {
@@ -1451,6 +2442,9 @@ export function openPuzzlePlayer(exercise, options = {}) {
   document.addEventListener('keydown', handleKeyDown);
 
   function close() {
+    if (timerInterval) clearInterval(timerInterval);
+    stopReplay();
+    endAnalysis();
     document.removeEventListener('keydown', handleKeyDown);
     if (boardInstance) {
       boardInstance.destroy();
@@ -1477,6 +2471,10 @@ export function openPuzzlePlayer(exercise, options = {}) {
   // Initialize
   document.body.appendChild(overlay);
   initPuzzle(0);
+
+  if (timed) {
+    timerInterval = setInterval(updateTimer, 250);
+  }
 }
 
 function escapeHtml(str) {
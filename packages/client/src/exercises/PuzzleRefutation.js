@@ -0,0 +1,155 @@
+/**
+ * PuzzleRefutation.js
+ * Why a wrong puzzle move fails: the opponent's best answer from the engine
+ * and a one-line explanation, e.g. "After Nxe5, Qxd1 wins the queen."
+ */
+
+import { Chess } from 'chess.js';
+
+const REFUTATION_DEPTH = 18;
+
+// Plies of the refutation checked for won material after the wrong move: the
+// reply and two more moves each
+const MATERIAL_PLIES = 5;
+
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9 };
+const PIECE_NAMES = { p: 'a pawn', n: 'a knight', b: 'a bishop', r: 'a rook', q: 'the queen' };
+
+/**
+ * Ask the engine how the opponent answers a wrong move
+ * @param {ChessEngine} engine - Engine from core/ChessEngine.js
+ * @param {string} fen - Position before the wrong move
+ * @param {string} uci - Wrong move
+ * @param {object} options - { depth }
+ * @returns {Promise<object|null>} - See explainRefutation; null if a newer
+ *   engine search replaced this one
+ */
+export async function findRefutation(engine, fen, uci, { depth = REFUTATION_DEPTH } = {}) {
+  const chess = new Chess(fen);
+  chess.move(parseUciMove(uci));
+
+  if (chess.isGameOver()) {
+    return explainRefutation(fen, uci, null);
+  }
+
+  const result = await engine.analyse(chess.fen(), { depth });
+  if (!result) return null;
+  return explainRefutation(fen, uci, result.lines[0] || null);
+}
+
+/**
+ * Explain an engine line played against a wrong move
+ * @param {string} fen - Position before the wrong move
+ * @param {string} uci - Wrong move
+ * @param {object|null} line - Engine line after the wrong move, { score, pv },
+ *   scored for the opponent (the side to move)
+ * @returns {{ san: string, fenAfter: string, moves: object[], text: string }}
+ *   moves: the refutation as { uci, from, to, san, color } (color 'w' or 'b')
+ */
+export function explainRefutation(fen, uci, line) {
+  const chess = new Chess(fen);
+  const solver = chess.turn();
+  const wrong = chess.move(parseUciMove(uci));
+  const fenAfter = chess.fen();
+
+  const moves = [];
+  for (const move of (line?.pv || [])) {
+    let played = null;
+    try {
+      played = chess.move(parseUciMove(move));
+    } catch {
+      played = null;
+    }
+    if (!played) break;
+    moves.push({
+      uci: `${played.from}${played.to}${played.promotion || ''}`,
+      from: played.from,
+      to: played.to,
+      san: played.san,
+      color: played.color,
+      captured: played.captured,
+      promotion: played.promotion
+    });
+  }
+
+  const result = {
+    san: wrong.san,
+    fenAfter,
+    moves: moves.map(({ uci, from, to, san, color }) => ({ uci, from, to, san, color }))
+  };
+  const after = new Chess(fenAfter);
+
+  if (after.isCheckmate()) {
+    return { ...result, text: `${wrong.san} is mate as well, but the stored solution takes a different route.` };
+  }
+  if (after.isStalemate()) {
+    return { ...result, text: `${wrong.san} is stalemate, so the game is only a draw.` };
+  }
+  if (after.isDraw()) {
+    return { ...result, text: `${wrong.san} lets the game end in a draw.` };
+  }
+  if (!line || moves.length === 0) {
+    return { ...result, text: `${wrong.san} is not the solution.` };
+  }
+
+  const reply = moves[0].san;
+  const { score } = line;
+  const opponentSide = solver === 'w' ? 'Black' : 'White';
+
+  if (score.mate !== undefined && score.mate > 0) {
+    return {
+      ...result,
+      text: score.mate === 1
+        ? `After ${wrong.san}, ${reply} is mate.`
+        : `${wrong.san} allows mate in ${score.mate}, starting with ${reply}.`
+    };
+  }
+
+  // The wrong move's own capture counts too, so an even trade wins nothing
+  const won = wonMaterial([wrong, ...moves.slice(0, MATERIAL_PLIES)], solver);
+  if (won.name) {
+    return { ...result, text: `After ${wrong.san}, ${reply} wins ${won.name}.` };
+  }
+
+  if (score.mate !== undefined) {
+    return { ...result, text: `${wrong.san} still mates after ${reply}, but more slowly than the solution.` };
+  }
+  if (score.cp >= 100) {
+    return { ...result, text: `After ${wrong.san}, ${reply} leaves ${opponentSide} better.` };
+  }
+  if (score.cp > -100) {
+    return { ...result, text: `After ${wrong.san}, ${reply} holds and the advantage is gone.` };
+  }
+  return { ...result, text: `${wrong.san} keeps an edge after ${reply}, but the solution is stronger.` };
+}
+
+/**
+ * Material the opponent wins over a few plies, named by the biggest piece it
+ * takes that the solver doesn't win back
+ * @returns {{ net: number, name: string|null }}
+ */
+function wonMaterial(moves, solver) {
+  let net = 0;
+  let biggest = null;
+
+  for (const move of moves) {
+    const sign = move.color === solver ? -1 : 1;
+    if (move.captured) {
+      net += sign * PIECE_VALUES[move.captured];
+      if (sign > 0 && (!biggest || PIECE_VALUES[move.captured] > PIECE_VALUES[biggest])) {
+        biggest = move.captured;
+      }
+    }
+    if (move.promotion) {
+      net += sign * (PIECE_VALUES[move.promotion] - 1);
+    }
+  }
+
+  if (net < 1) return { net, name: null };
+  if (biggest && PIECE_VALUES[biggest] <= net + 1) return { net, name: PIECE_NAMES[biggest] };
+  return { net, name: net >= 3 ? 'material' : net === 1 ? 'a pawn' : 'two pawns' };
+}
+
+function parseUciMove(uci) {
+  return { from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] };
+}
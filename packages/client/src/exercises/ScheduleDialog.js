@@ -0,0 +1,202 @@
+/**
+ * ScheduleDialog.js
+ * Dialog for creating/editing recurring exercise schedules
+ */
+
+import { getThemeDataForMultiSelect, RATING_RANGE_OPTIONS } from '../puzzles/puzzleGeneration.js';
+import { createThemeMultiSelect } from '../shared/theme-multi-select.js';
+
+export const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Monday first, matching the exercise week
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Show the schedule dialog
+ * @param {ApiClient} apiClient - API client instance
+ * @param {object|null} schedule - Existing schedule for editing
+ * @returns {Promise<object|null>} - Created/updated schedule or null if cancelled
+ */
+export function showScheduleDialog(apiClient, schedule = null) {
+  const isEditing = !!schedule;
+  const currentRange = schedule ? `${schedule.min_rating}-${schedule.max_rating}` : '';
+
+  return new Promise((resolve) => {
+    const dialog = document.createElement('div');
+    dialog.className = 'schedule-dialog';
+    dialog.innerHTML = `
+      <div class="dialog-content">
+        <button class="dialog-close">&times;</button>
+        <h3>${isEditing ? 'Edit Schedule' : 'New Schedule'}</h3>
+
+        <form id="schedule-form" class="student-form">
+          <div class="form-group">
+            <label for="schedule-name">Name *</label>
+            <input type="text" id="schedule-name" required
+              value="${escapeHtml(schedule?.name || '')}"
+              placeholder="e.g. Thursday Club Tactics">
+          </div>
+
+          <div class="form-group">
+            <label>Chess Themes</label>
+            <div id="schedule-theme-container"></div>
+          </div>
+
+          <div class="form-group">
+            <label for="schedule-rating">Rating Range</label>
+            <select id="schedule-rating">
+              ${RATING_RANGE_OPTIONS.map(o => `
+                <option value="${escapeHtml(o.value)}" ${o.value === currentRange ? 'selected' : ''}>${escapeHtml(o.label)}</option>
+              `).join('')}
+            </select>
+          </div>
+
+          <div class="form-group">
+            <label for="schedule-count">Puzzles per week (1-20)</label>
+            <input type="number" id="schedule-count" min="1" max="20" value="${schedule?.count || 10}">
+          </div>
+
+          <div class="form-group">
+            <label for="schedule-weekday">Create and assign on</label>
+            <select id="schedule-weekday">
+              ${WEEKDAY_ORDER.map(d => `
+                <option value="${d}" ${(schedule?.weekday ?? 1) === d ? 'selected' : ''}>${WEEKDAY_LABELS[d]}</option>
+              `).join('')}
+            </select>
+          </div>
+
+          <div class="form-group">
+            <label>Students *</label>
+            <div id="schedule-students" class="gd-list" style="max-height:180px;overflow-y:auto">Loading...</div>
+          </div>
+
+          <div class="form-group">
+            <label class="gd-check-row">
+              <input type="checkbox" id="schedule-exclude-seen" ${schedule?.exclude_seen === false ? '' : 'checked'}>
+              <span class="gd-check-name">Skip puzzles these students have already been assigned</span>
+            </label>
+          </div>
+
+          <div class="form-error" id="form-error"></div>
+
+          <div class="dialog-actions">
+            <button type="button" class="cancel-btn">Cancel</button>
+            <button type="submit" class="save-btn primary-btn">
+              ${isEditing ? 'Save Changes' : 'Create Schedule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    let themeMultiSelect = null;
+
+    const closeDialog = (result) => {
+      if (themeMultiSelect) themeMultiSelect.destroy();
+      if (dialog.parentNode) dialog.parentNode.removeChild(dialog);
+      resolve(result);
+    };
+
+    dialog.querySelector('.dialog-close').addEventListener('click', () => closeDialog(null));
+    dialog.querySelector('.cancel-btn').addEventListener('click', () => closeDialog(null));
+
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) closeDialog(null);
+    });
+
+    const loadThemes = async () => {
+      const container = dialog.querySelector('#schedule-theme-container');
+      try {
+        const themeData = await getThemeDataForMultiSelect(apiClient);
+        themeMultiSelect = createThemeMultiSelect(container, themeData);
+        if (schedule?.themes?.length) themeMultiSelect.setSelected(schedule.themes);
+      } catch {
+        container.innerHTML = '<span style="color:var(--color-error-500)">Failed to load themes</span>';
+      }
+    };
+
+    const loadStudents = async () => {
+      const container = dialog.querySelector('#schedule-students');
+      try {
+        const students = await apiClient.getStudents();
+        const selected = new Set(schedule?.student_ids || []);
+        container.innerHTML = students.length === 0
+          ? '<span style="color:var(--color-gray-400);font-size:13px">No students yet</span>'
+          : students.map(s => `
+            <label class="gd-check-row">
+              <input type="checkbox" value="${escapeHtml(s.id)}" class="schedule-student-checkbox" ${selected.has(s.id) ? 'checked' : ''}>
+              <span class="gd-check-name">${escapeHtml(s.name)}</span>
+            </label>
+          `).join('');
+      } catch {
+        container.innerHTML = '<span style="color:var(--color-error-500)">Failed to load students</span>';
+      }
+    };
+
+    dialog.querySelector('#schedule-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const name = dialog.querySelector('#schedule-name').value.trim();
+      const ratingRange = dialog.querySelector('#schedule-rating').value;
+      const count = parseInt(dialog.querySelector('#schedule-count').value, 10);
+      const weekday = parseInt(dialog.querySelector('#schedule-weekday').value, 10);
+      const excludeSeen = dialog.querySelector('#schedule-exclude-seen').checked;
+      const studentIds = Array.from(dialog.querySelectorAll('.schedule-student-checkbox:checked')).map(i => i.value);
+      const themes = themeMultiSelect ? themeMultiSelect.getSelected() : (schedule?.themes || []);
+
+      const errorEl = dialog.querySelector('#form-error');
+      const saveBtn = dialog.querySelector('.save-btn');
+
+      if (!name) {
+        errorEl.textContent = 'Name is required';
+        return;
+      }
+
+      if (isNaN(count) || count < 1 || count > 20) {
+        errorEl.textContent = 'Enter a number between 1 and 20';
+        return;
+      }
+
+      if (studentIds.length === 0) {
+        errorEl.textContent = 'Select at least one student';
+        return;
+      }
+
+      let minRating = 1000;
+      let maxRating = 3000;
+      if (ratingRange) {
+        [minRating, maxRating] = ratingRange.split('-').map(Number);
+      }
+
+      const data = { name, themes, minRating, maxRating, count, weekday, excludeSeen, studentIds };
+
+      try {
+        errorEl.textContent = '';
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+
+        const result = isEditing
+          ? await apiClient.updateSchedule(schedule.id, data)
+          : await apiClient.createSchedule(data);
+
+        closeDialog(result);
+      } catch (error) {
+        errorEl.textContent = error.message;
+        saveBtn.disabled = false;
+        saveBtn.textContent = isEditing ? 'Save Changes' : 'Create Schedule';
+      }
+    });
+
+    document.body.appendChild(dialog);
+    dialog.querySelector('#schedule-name').focus();
+    loadThemes();
+    loadStudents();
+  });
+}
+
+function escapeHtml(str) {
+  if (str === null || str === undefined) return '';
+  const div = document.createElement('div');
+  div.textContent = String(str);
+  return div.innerHTML;
+}
@@ -80,6 +80,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       renderMyExercises: (container) => {
         return renderStudentDashboard(container, apiClient, { initialTab: 'exercises' })
       },
+      renderReview: (container) => {
+        return renderStudentDashboard(container, apiClient, { initialTab: 'review' })
+      },
       renderPerformance: (container) => {
         return renderStudentDashboard(container, apiClient, { initialTab: 'performance' })
       }
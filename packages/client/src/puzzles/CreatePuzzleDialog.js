@@ -6,6 +6,7 @@
 import { Chess } from 'chess.js';
 import { Chessground } from 'chessground';
 import { validateFEN, validateMoves, parseMoves, checkMateStatus, getTurnFromFEN } from './validation/PuzzleValidator.js';
+import { writeVariations, hasBranches } from './solutionTree.js';
 
 // Input method tabs
 const INPUT_METHODS = {
@@ -15,7 +16,7 @@ const INPUT_METHODS = {
   PGN: 'pgn'
 };
 
-const THEME_OPTIONS = [
+export const THEME_OPTIONS = [
   'mate', 'matein1', 'matein2', 'matein3', 'matein4',
   'fork', 'pin', 'skewer', 'discoveredattack', 'discoveredcheck',
   'doublecheck', 'sacrifice', 'deflection', 'attraction',
@@ -24,6 +25,12 @@ const THEME_OPTIONS = [
   'backrankmate', 'smotheredmate', 'promotion', 'endgame'
 ];
 
+const TOAST_COLORS = {
+  success: '#28a745',
+  warning: '#d97706',
+  error: '#dc3545'
+};
+
 /**
  * Show the create puzzle dialog
  * @param {ApiClient} apiClient - API client instance
@@ -33,8 +40,9 @@ export function showCreatePuzzleDialog(apiClient) {
   let interactiveBoard = null;
   let interactiveChess = null;
 
-  // Using object wrapper for recorded moves to allow immutable updates
-  const movesState = { moves: [] };
+  // Recorded interactive moves: a tree of { uci, san, children } (see
+  // solutionTree.js) and the path from its root to the move on the board
+  const movesState = { tree: [], path: [] };
 
   const overlay = document.createElement('div');
   overlay.className = 'admin-overlay';
@@ -134,6 +142,7 @@ export function showCreatePuzzleDialog(apiClient) {
           <div class="interactive-controls">
             <button id="interactive-reset" class="btn-secondary">Reset Board</button>
             <button id="interactive-clear" class="btn-secondary">Clear Moves</button>
+            <button id="interactive-back" class="btn-secondary">Back</button>
             <button id="interactive-undo" class="btn-secondary">Undo Last</button>
           </div>
 
@@ -151,6 +160,7 @@ export function showCreatePuzzleDialog(apiClient) {
               <p><strong>Turn:</strong> <span id="interactive-turn">White</span></p>
               <p><strong>Moves recorded:</strong></p>
               <div id="interactive-moves-list" class="moves-list"></div>
+              <small>Go back to an opponent reply and play another one to add a variation. Click a move to jump to it.</small>
             </div>
           </div>
 
@@ -238,7 +248,7 @@ export function showCreatePuzzleDialog(apiClient) {
   const state = {
     manual: { fen: '', moves: [], id: '', rating: 1500, themes: [] },
     lichess_import: { data: null, customId: '', fenOverride: '' },
-    interactive: { startFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', moves: [], id: '', rating: 1500, themes: [] },
+    interactive: { startFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', moves: [], variations: '', id: '', rating: 1500, themes: [] },
     pgn: { game: null, fen: '', moves: [], id: '', rating: 1500 }
   };
 
@@ -251,15 +261,16 @@ export function showCreatePuzzleDialog(apiClient) {
       position: fixed;
       bottom: 20px;
       right: 20px;
-      background: ${type === 'error' ? '#dc3545' : '#28a745'};
+      background: ${TOAST_COLORS[type] || TOAST_COLORS.success};
       color: white;
       padding: 12px 20px;
       border-radius: 6px;
       z-index: 20000;
       font-weight: 600;
+      max-width: 420px;
     `;
     document.body.appendChild(toast);
-    setTimeout(() => toast.remove(), 4000);
+    setTimeout(() => toast.remove(), type === 'warning' ? 8000 : 4000);
   };
 
   // Helper: update submit button state
@@ -416,7 +427,7 @@ export function showCreatePuzzleDialog(apiClient) {
         // Update preview
         overlay.querySelector('#lichess-rating').textContent = data.rating || '-';
         overlay.querySelector('#lichess-themes').textContent = (data.themes || []).join(', ') || '-';
-        overlay.querySelector('#lichess-solution').textContent = (data.solution || []).join(' ') || '-';
+        overlay.querySelector('#lichess-solution').textContent = (data.moves || data.solution || []).join(' ') || '-';
 
         previewDiv.style.display = 'block';
         statusDiv.innerHTML = '<span class="valid">Puzzle fetched successfully</span>';
@@ -448,18 +459,38 @@ export function showCreatePuzzleDialog(apiClient) {
     const boardEl = overlay.querySelector('#interactive-board');
     interactiveChess = new Chess();
     state.interactive.startFen = interactiveChess.fen();
-    movesState.moves = [];
+    movesState.tree = [];
+    movesState.path = [];
+
+    // Moves at the cursor's position: the root of the tree or the children of the last move
+    const currentLevel = () => {
+      const { tree, path } = movesState;
+      return path.length > 0 ? path[path.length - 1].children : tree;
+    };
 
     const updateBoard = () => {
       const turn = interactiveChess.turn() === 'w' ? 'white' : 'black';
       overlay.querySelector('#interactive-turn').textContent = turn.charAt(0).toUpperCase() + turn.slice(1);
 
+      const { tree, path } = movesState;
+      const current = path[path.length - 1];
+      const shown = [];
       const movesList = overlay.querySelector('#interactive-moves-list');
-      movesList.innerHTML = movesState.moves.length > 0
-        ? movesState.moves.map((m, i) => `<span class="move-item">${i + 1}. ${m}</span>`).join(' ')
+      movesList.innerHTML = tree.length > 0
+        ? writeVariations(state.interactive.startFen, tree, {
+          decorate: (node, text) => {
+            shown.push(node);
+            return `<span class="move-item${node === current ? ' current' : ''}" data-node="${shown.length - 1}">${escapeHtml(text)}</span>`;
+          }
+        })
         : '<em>Make moves on the board</em>';
 
-      state.interactive.moves = movesState.moves;
+      movesList.querySelectorAll('.move-item').forEach(el => {
+        el.addEventListener('click', () => goTo(findPath(tree, shown[Number(el.dataset.node)])));
+      });
+
+      state.interactive.moves = mainLineSan(tree);
+      state.interactive.variations = hasBranches(tree) ? writeVariations(state.interactive.startFen, tree) : '';
       updateSubmitButton();
     };
 
@@ -473,6 +504,50 @@ export function showCreatePuzzleDialog(apiClient) {
       return dests;
     };
 
+    // Show the position after a line of recorded moves
+    const goTo = (path) => {
+      movesState.path = path;
+      interactiveChess = new Chess(state.interactive.startFen);
+      let lastMove;
+      for (const node of path) {
+        const move = interactiveChess.move({ from: node.uci.slice(0, 2), to: node.uci.slice(2, 4), promotion: node.uci[4] });
+        lastMove = [move.from, move.to];
+      }
+
+      interactiveBoard.set({
+        fen: interactiveChess.fen(),
+        lastMove,
+        turnColor: interactiveChess.turn() === 'w' ? 'white' : 'black',
+        movable: {
+          color: interactiveChess.turn() === 'w' ? 'white' : 'black',
+          dests: getDestinations()
+        }
+      });
+      updateBoard();
+    };
+
+    // A move from the cursor follows a recorded one, or adds a move or a
+    // variation. Only the opponent's replies may branch: every ply after the
+    // setup move that has the same side to move as the setup move.
+    const recordMove = (move) => {
+      const uci = `${move.from}${move.to}${move.promotion || ''}`;
+      const level = currentLevel();
+      const ply = movesState.path.length;
+
+      let node = level.find(n => n.uci === uci);
+      if (!node) {
+        if (level.length > 0 && (ply === 0 || ply % 2 !== 0)) {
+          showToast('Only the opponent\'s replies can have variations', 'warning');
+          return false;
+        }
+        node = { uci, san: move.san, children: [] };
+        level.push(node);
+      }
+
+      movesState.path = [...movesState.path, node];
+      return true;
+    };
+
     interactiveBoard = Chessground(boardEl, {
       fen: interactiveChess.fen(),
       orientation: 'white',
@@ -483,17 +558,17 @@ export function showCreatePuzzleDialog(apiClient) {
         events: {
           after: (orig, dest) => {
             const move = interactiveChess.move({ from: orig, to: dest, promotion: 'q' });
-            if (move) {
-              movesState.moves = [...movesState.moves, move.san];
-              interactiveBoard.set({
-                fen: interactiveChess.fen(),
-                movable: {
-                  color: interactiveChess.turn() === 'w' ? 'white' : 'black',
-                  dests: getDestinations()
-                }
-              });
-              updateBoard();
+            if (move && !recordMove(move)) {
+              interactiveChess.undo();
             }
+            interactiveBoard.set({
+              fen: interactiveChess.fen(),
+              movable: {
+                color: interactiveChess.turn() === 'w' ? 'white' : 'black',
+                dests: getDestinations()
+              }
+            });
+            updateBoard();
           }
         }
       },
@@ -502,46 +577,32 @@ export function showCreatePuzzleDialog(apiClient) {
 
     // Controls
     overlay.querySelector('#interactive-reset').addEventListener('click', () => {
-      interactiveChess = new Chess(state.interactive.startFen);
-      movesState.moves = [];
-      interactiveBoard.set({
-        fen: interactiveChess.fen(),
-        movable: {
-          color: interactiveChess.turn() === 'w' ? 'white' : 'black',
-          dests: getDestinations()
-        }
-      });
-      updateBoard();
+      movesState.tree = [];
+      goTo([]);
     });
 
     overlay.querySelector('#interactive-clear').addEventListener('click', () => {
-      interactiveChess = new Chess(state.interactive.startFen);
-      movesState.moves = [];
-      interactiveBoard.set({
-        fen: interactiveChess.fen(),
-        movable: {
-          color: interactiveChess.turn() === 'w' ? 'white' : 'black',
-          dests: getDestinations()
-        }
-      });
-      updateBoard();
+      movesState.tree = [];
+      goTo([]);
     });
 
-    overlay.querySelector('#interactive-undo').addEventListener('click', () => {
-      if (movesState.moves.length > 0) {
-        interactiveChess.undo();
-        movesState.moves = movesState.moves.slice(0, -1);
-        interactiveBoard.set({
-          fen: interactiveChess.fen(),
-          movable: {
-            color: interactiveChess.turn() === 'w' ? 'white' : 'black',
-            dests: getDestinations()
-          }
-        });
-        updateBoard();
+    overlay.querySelector('#interactive-back').addEventListener('click', () => {
+      if (movesState.path.length > 0) {
+        goTo(movesState.path.slice(0, -1));
       }
     });
 
+    // Undo removes the move at the cursor, with any moves recorded after it
+    overlay.querySelector('#interactive-undo').addEventListener('click', () => {
+      const { path } = movesState;
+      if (path.length === 0) return;
+
+      const parentPath = path.slice(0, -1);
+      const level = parentPath.length > 0 ? parentPath[parentPath.length - 1].children : movesState.tree;
+      level.splice(level.indexOf(path[path.length - 1]), 1);
+      goTo(parentPath);
+    });
+
     overlay.querySelector('#interactive-load-fen').addEventListener('click', () => {
       const fenInput = overlay.querySelector('#interactive-start-fen');
       const fen = fenInput.value.trim();
@@ -556,7 +617,8 @@ export function showCreatePuzzleDialog(apiClient) {
 
       state.interactive.startFen = fen;
       interactiveChess = new Chess(fen);
-      movesState.moves = [];
+      movesState.tree = [];
+      movesState.path = [];
       interactiveBoard.set({
         fen: interactiveChess.fen(),
         orientation: interactiveChess.turn() === 'w' ? 'white' : 'black',
@@ -688,7 +750,7 @@ export function showCreatePuzzleDialog(apiClient) {
           puzzleData = {
             id: state.lichess_import.customId || `lichess_${liData.id}`,
             fen: state.lichess_import.fenOverride || liData.fen,
-            moves: liData.solution || [],
+            moves: liData.moves || liData.solution || [],
             source: 'lichess_import',
             themes: liData.themes || [],
             rating: liData.rating,
@@ -701,6 +763,7 @@ export function showCreatePuzzleDialog(apiClient) {
             id: state.interactive.id || undefined,
             fen: state.interactive.startFen,
             moves: state.interactive.moves,
+            variations: state.interactive.variations || undefined,
             source: 'interactive',
             themes: state.interactive.themes,
             rating: state.interactive.rating
@@ -719,8 +782,14 @@ export function showCreatePuzzleDialog(apiClient) {
       }
 
       const result = await apiClient.createPuzzle(puzzleData);
-      showToast(`Puzzle created! ID: ${result.id}`);
+      if (result.duplicates && result.duplicates.length > 0) {
+        const ids = result.duplicates.map(d => (d.mirrored ? `${d.id} (mirrored)` : d.id));
+        showToast(`Puzzle created (ID: ${result.id}), but the same position already exists: ${ids.join(', ')}`, 'warning');
+      } else {
+        showToast(`Puzzle created! ID: ${result.id}`);
+      }
       closeDialog();
+      warnAboutEngineIssues(result.id);
     } catch (error) {
       showToast(`Error: ${error.message}`, 'error');
       submitBtn.disabled = false;
@@ -728,6 +797,20 @@ export function showCreatePuzzleDialog(apiClient) {
     }
   };
 
+  // Helper: engine check of a new puzzle, run after the dialog closes since it
+  // can take minutes (servers without an engine answer 503)
+  const warnAboutEngineIssues = async (puzzleId) => {
+    try {
+      const check = await apiClient.getPuzzleEngineCheck(puzzleId);
+      if (check.issues.length > 0) {
+        const verdict = check.sound ? 'has more than one winning move' : 'looks unsound';
+        showToast(`Engine check of ${puzzleId}: the puzzle ${verdict}: ${check.issues[0].message}`, 'warning');
+      }
+    } catch (error) {
+      // The puzzle is saved either way
+    }
+  };
+
   // Close handler
   const closeDialog = () => {
     if (interactiveBoard && typeof interactiveBoard.destroy === 'function') {
@@ -760,7 +843,7 @@ export function showCreatePuzzleDialog(apiClient) {
 /**
  * Format theme name for display
  */
-function formatThemeName(theme) {
+export function formatThemeName(theme) {
   const special = {
     'matein1': 'Mate in 1',
     'matein2': 'Mate in 2',
@@ -782,4 +865,34 @@ function formatThemeName(theme) {
   return theme.charAt(0).toUpperCase() + theme.slice(1);
 }
 
+/**
+ * SAN moves of a recorded tree's main line
+ */
+function mainLineSan(nodes) {
+  const moves = [];
+  for (let current = nodes; current.length > 0; current = current[0].children) {
+    moves.push(current[0].san);
+  }
+  return moves;
+}
+
+/**
+ * Nodes from the root of a recorded tree down to one of its moves
+ */
+function findPath(nodes, target) {
+  for (const node of nodes) {
+    if (node === target) return [node];
+    const rest = findPath(node.children, target);
+    if (rest) return [node, ...rest];
+  }
+  return null;
+}
+
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
 export default showCreatePuzzleDialog;
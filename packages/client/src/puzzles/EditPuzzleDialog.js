@@ -0,0 +1,549 @@
+/**
+ * EditPuzzleDialog.js
+ * Board-based editor for an existing puzzle, with its revision history and
+ * an engine check of the saved solution
+ */
+
+import { Chess } from 'chess.js';
+import { Chessground } from 'chessground';
+import { validateFEN, validateMoves, validateRating, parseMoves } from './validation/PuzzleValidator.js';
+import { THEME_OPTIONS, formatThemeName } from './CreatePuzzleDialog.js';
+
+const FIELD_LABELS = {
+  fen: 'FEN',
+  moves: 'Moves',
+  alternatives: 'Alternatives',
+  variations: 'Variations',
+  themes: 'Themes',
+  rating: 'Rating',
+  game_url: 'Game URL'
+};
+
+/**
+ * Show the edit puzzle dialog
+ * @param {ApiClient} apiClient - API client instance
+ * @param {string} puzzleId - Puzzle to edit
+ * @param {object} options - { onSaved } called after an edit or revert
+ */
+export function showEditPuzzleDialog(apiClient, puzzleId, { onSaved } = {}) {
+  let board = null;
+  let chess = null;
+  let revisions = [];
+
+  // Starting FEN and SAN moves currently shown on the board, and the SAN
+  // moves also accepted at each solver ply (index into moves)
+  const state = { fen: '', moves: [], alternatives: {} };
+
+  const overlay = document.createElement('div');
+  overlay.className = 'admin-overlay';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+
+  overlay.innerHTML = `
+    <div class="admin-content create-puzzle-dialog edit-puzzle-dialog">
+      <button class="admin-close" aria-label="Close">&times;</button>
+
+      <header class="admin-header">
+        <h2>Edit Puzzle <code>${escapeHtml(puzzleId)}</code></h2>
+      </header>
+
+      <div class="create-puzzle-tabs">
+        <button class="tab-btn active" data-tab="edit">Edit</button>
+        <button class="tab-btn" data-tab="history">History</button>
+        <button class="tab-btn" data-tab="engine">Engine</button>
+      </div>
+
+      <div class="tab-content">
+        <div class="tab-panel active" id="panel-edit">
+          <div class="form-group">
+            <label for="edit-fen">Starting Position (FEN)</label>
+            <div class="input-with-button">
+              <input type="text" id="edit-fen" />
+              <button id="edit-load-fen" class="btn-secondary">Load</button>
+            </div>
+            <div id="edit-fen-validation" class="validation-msg"></div>
+          </div>
+
+          <div class="interactive-controls">
+            <button id="edit-reset" class="btn-secondary">Back to Start</button>
+            <button id="edit-undo" class="btn-secondary">Undo Last</button>
+          </div>
+
+          <div class="interactive-board-container">
+            <div id="edit-board" style="width: 360px; height: 360px;"></div>
+            <div class="interactive-info">
+              <p><strong>Turn:</strong> <span id="edit-turn">-</span></p>
+              <p><strong>Solution (first move is the opponent's):</strong></p>
+              <textarea id="edit-moves" rows="3" class="moves-list edit-moves-input"></textarea>
+              <div id="edit-moves-validation" class="validation-msg"></div>
+              <div id="edit-alternatives" class="edit-alternatives"></div>
+            </div>
+          </div>
+
+          <div class="form-row" style="margin-top: 15px;">
+            <div class="form-group">
+              <label for="edit-rating">Rating</label>
+              <input type="number" id="edit-rating" min="500" max="3500" />
+            </div>
+            <div class="form-group">
+              <label for="edit-game-url">Game URL</label>
+              <input type="text" id="edit-game-url" placeholder="https://lichess.org/..." />
+            </div>
+          </div>
+
+          <div class="form-group">
+            <label for="edit-themes">Themes</label>
+            <select id="edit-themes" multiple size="5"></select>
+            <small>Hold Ctrl/Cmd to select multiple</small>
+          </div>
+        </div>
+
+        <div class="tab-panel" id="panel-history">
+          <div id="edit-history-list" class="revision-list">
+            <p class="ep-cell-muted">Loading history...</p>
+          </div>
+          <div id="edit-history-diff" class="revision-diff"></div>
+        </div>
+
+        <div class="tab-panel" id="panel-engine">
+          <div id="edit-engine-check" class="engine-check"></div>
+        </div>
+      </div>
+
+      <div class="dialog-actions">
+        <button class="cancel-btn">Close</button>
+        <button class="save-btn" id="edit-puzzle-submit" disabled>Save Changes</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const fenInput = overlay.querySelector('#edit-fen');
+  const fenValidation = overlay.querySelector('#edit-fen-validation');
+  const movesInput = overlay.querySelector('#edit-moves');
+  const movesValidation = overlay.querySelector('#edit-moves-validation');
+  const ratingInput = overlay.querySelector('#edit-rating');
+  const gameUrlInput = overlay.querySelector('#edit-game-url');
+  const themesSelect = overlay.querySelector('#edit-themes');
+  const submitBtn = overlay.querySelector('#edit-puzzle-submit');
+
+  const showToast = (message, type = 'success') => {
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.textContent = message;
+    toast.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      background: ${type === 'error' ? '#dc3545' : '#28a745'};
+      color: white;
+      padding: 12px 20px;
+      border-radius: 6px;
+      z-index: 20000;
+      font-weight: 600;
+    `;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 4000);
+  };
+
+  const setMessage = (el, text, valid) => {
+    el.innerHTML = text ? `<span class="${valid ? 'valid' : 'invalid'}">${escapeHtml(text)}</span>` : '';
+    el.className = `validation-msg ${text ? (valid ? 'valid' : 'invalid') : ''}`;
+  };
+
+  const getDestinations = () => {
+    const dests = new Map();
+    chess.moves({ verbose: true }).forEach(m => {
+      if (!dests.has(m.from)) dests.set(m.from, []);
+      dests.get(m.from).push(m.to);
+    });
+    return dests;
+  };
+
+  // Replay state.moves from state.fen and redraw the board
+  const syncBoard = () => {
+    chess = new Chess(state.fen);
+    state.moves.forEach(m => chess.move(m));
+
+    const color = chess.turn() === 'w' ? 'white' : 'black';
+    overlay.querySelector('#edit-turn').textContent = color.charAt(0).toUpperCase() + color.slice(1);
+
+    board.set({
+      fen: chess.fen(),
+      turnColor: color,
+      movable: { color, dests: getDestinations() }
+    });
+    renderAlternatives();
+  };
+
+  // One input per solver move for other moves the player should accept there
+  const renderAlternatives = () => {
+    const el = overlay.querySelector('#edit-alternatives');
+    Object.keys(state.alternatives)
+      .filter(ply => Number(ply) >= state.moves.length)
+      .forEach(ply => delete state.alternatives[ply]);
+
+    const solverPlies = state.moves.map((_, i) => i).filter(i => i % 2 === 1);
+    if (solverPlies.length === 0) {
+      el.innerHTML = '';
+      return;
+    }
+
+    el.innerHTML = `
+      <p><strong>Also accept</strong> <small>(any mate is accepted where the solution mates)</small></p>
+      ${solverPlies.map(ply => `
+        <label class="edit-alternative-row">
+          <span>Instead of ${escapeHtml(state.moves[ply])}</span>
+          <input type="text" data-ply="${ply}" placeholder="e.g. Rd7, Qh5"
+                 value="${escapeHtml((state.alternatives[ply] || []).join(', '))}" />
+        </label>
+      `).join('')}
+    `;
+
+    el.querySelectorAll('input[data-ply]').forEach(input => {
+      input.addEventListener('input', () => {
+        const moves = input.value.split(/[\s,]+/).filter(Boolean);
+        if (moves.length > 0) {
+          state.alternatives[input.dataset.ply] = moves;
+        } else {
+          delete state.alternatives[input.dataset.ply];
+        }
+      });
+    });
+  };
+
+  const updateSubmitButton = () => {
+    const fenOk = validateFEN(state.fen).valid;
+    const movesOk = fenOk && state.moves.length > 0 && validateMoves(state.fen, state.moves).valid;
+    submitBtn.disabled = !(fenOk && movesOk && validateRating(ratingInput.value).valid);
+  };
+
+  const initBoard = () => {
+    board = Chessground(overlay.querySelector('#edit-board'), {
+      orientation: 'white',
+      movable: {
+        free: false,
+        events: {
+          after: (orig, dest) => {
+            const move = chess.move({ from: orig, to: dest, promotion: 'q' });
+            if (move) {
+              state.moves = [...state.moves, move.san];
+              movesInput.value = state.moves.join(' ');
+              setMessage(movesValidation, `${state.moves.length} move(s)`, true);
+              syncBoard();
+              updateSubmitButton();
+            }
+          }
+        }
+      },
+      draggable: { enabled: true }
+    });
+  };
+
+  // Load the puzzle's current values into the form
+  const loadPuzzle = async () => {
+    const puzzle = await apiClient.getPuzzle(puzzleId);
+    const themes = puzzle.themes ? puzzle.themes.split(',').filter(Boolean) : [];
+
+    state.fen = puzzle.fen;
+    state.moves = [];
+    state.alternatives = {};
+    try {
+      const stored = puzzle.alternatives ? JSON.parse(puzzle.alternatives) : {};
+      const replay = new Chess(puzzle.fen);
+      for (const uci of (puzzle.moves || '').split(' ').filter(Boolean)) {
+        const ply = state.moves.length;
+        if (stored[ply]) {
+          state.alternatives[ply] = stored[ply].map(alt =>
+            new Chess(replay.fen()).move({ from: alt.slice(0, 2), to: alt.slice(2, 4), promotion: alt[4] }).san
+          );
+        }
+        const move = replay.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+        state.moves.push(move.san);
+      }
+      setMessage(movesValidation, `${state.moves.length} move(s)`, true);
+    } catch (error) {
+      state.moves = [];
+      state.alternatives = {};
+      setMessage(movesValidation, 'The stored moves do not play from this FEN; record the solution again', false);
+    }
+
+    fenInput.value = state.fen;
+    setMessage(fenValidation, '', true);
+    movesInput.value = state.moves.join(' ');
+    ratingInput.value = puzzle.rating || 1500;
+    gameUrlInput.value = puzzle.game_url || '';
+
+    const options = [...new Set([...THEME_OPTIONS, ...themes])];
+    themesSelect.innerHTML = options.map(t =>
+      `<option value="${escapeHtml(t)}" ${themes.includes(t) ? 'selected' : ''}>${escapeHtml(formatThemeName(t))}</option>`
+    ).join('');
+
+    board.set({ orientation: new Chess(state.fen).turn() === 'w' ? 'black' : 'white' });
+    syncBoard();
+    updateSubmitButton();
+  };
+
+  const renderHistory = async () => {
+    const list = overlay.querySelector('#edit-history-list');
+    overlay.querySelector('#edit-history-diff').innerHTML = '';
+
+    try {
+      revisions = await apiClient.getPuzzleRevisions(puzzleId);
+    } catch (error) {
+      list.innerHTML = `<p class="invalid">Error: ${escapeHtml(error.message)}</p>`;
+      return;
+    }
+
+    if (revisions.length === 0) {
+      list.innerHTML = '<p class="ep-cell-muted">This puzzle has not been edited yet.</p>';
+      return;
+    }
+
+    list.innerHTML = revisions.map((rev, i) => `
+      <button class="revision-item" data-revision="${rev.revision}">
+        <span class="revision-title">
+          ${rev.revision === 0 ? 'Original' : `Revision ${rev.revision}`}
+          ${i === 0 ? '<span class="badge badge-beginner">Current</span>' : ''}
+        </span>
+        <span class="ep-cell-muted">
+          ${rev.revision === 0 ? 'Before the first edit' : escapeHtml(rev.author_name || 'Unknown')}
+          &middot; ${formatDate(rev.created_at)}
+          ${rev.reverted_from !== null ? `&middot; reverted to ${rev.reverted_from === 0 ? 'original' : `revision ${rev.reverted_from}`}` : ''}
+        </span>
+        <span class="ep-cell-muted">${rev.changes.map(c => FIELD_LABELS[c.field]).join(', ')}</span>
+      </button>
+    `).join('');
+
+    list.querySelectorAll('.revision-item').forEach(item => {
+      item.addEventListener('click', () => {
+        list.querySelectorAll('.revision-item').forEach(el => el.classList.toggle('active', el === item));
+        renderDiff(Number(item.dataset.revision));
+      });
+    });
+  };
+
+  const renderDiff = (revision) => {
+    const diffEl = overlay.querySelector('#edit-history-diff');
+    const rev = revisions.find(r => r.revision === revision);
+    const isCurrent = revisions[0].revision === revision;
+
+    const rows = rev.changes.length > 0
+      ? rev.changes.map(c => `
+          <tr>
+            <th>${FIELD_LABELS[c.field]}</th>
+            <td class="revision-before">${escapeHtml(String(c.before ?? ''))}</td>
+            <td class="revision-after">${escapeHtml(String(c.after ?? ''))}</td>
+          </tr>
+        `).join('')
+      : `
+          <tr><th>FEN</th><td colspan="2"><code>${escapeHtml(rev.fen)}</code></td></tr>
+          <tr><th>Moves</th><td colspan="2">${escapeHtml(rev.moves_san)}</td></tr>
+          <tr><th>Themes</th><td colspan="2">${escapeHtml(rev.themes)}</td></tr>
+          <tr><th>Rating</th><td colspan="2">${rev.rating}</td></tr>
+        `;
+
+    diffEl.innerHTML = `
+      <table class="revision-diff-table">
+        ${rev.changes.length > 0 ? '<thead><tr><th></th><th>Before</th><th>After</th></tr></thead>' : ''}
+        <tbody>${rows}</tbody>
+      </table>
+      <button class="btn-secondary" id="edit-revert-btn" ${isCurrent ? 'disabled' : ''}>
+        ${isCurrent ? 'This is the current version' : `Revert to ${revision === 0 ? 'original' : `revision ${revision}`}`}
+      </button>
+    `;
+
+    diffEl.querySelector('#edit-revert-btn').addEventListener('click', async (e) => {
+      e.target.disabled = true;
+      try {
+        const result = await apiClient.revertPuzzle(puzzleId, revision);
+        showToast(`Puzzle reverted (revision ${result.revision})`);
+        await loadPuzzle();
+        await renderHistory();
+        if (onSaved) onSaved(result);
+      } catch (error) {
+        showToast(`Error: ${error.message}`, 'error');
+        e.target.disabled = false;
+      }
+    });
+  };
+
+  const renderEngineCheck = async () => {
+    const el = overlay.querySelector('#edit-engine-check');
+    el.innerHTML = '<p class="ep-cell-muted">Analysing the saved solution...</p>';
+
+    let check;
+    try {
+      check = await apiClient.getPuzzleEngineCheck(puzzleId);
+    } catch (error) {
+      el.innerHTML = `<p class="invalid">${escapeHtml(error.message)}</p>`;
+      return;
+    }
+
+    const verdict = !check.sound
+      ? '<p class="invalid">Unsound: the solution contains a mistake</p>'
+      : !check.unique
+        ? '<p class="engine-check-warning">Sound, but not unique: another move also wins</p>'
+        : '<p class="valid">Sound and unique</p>';
+
+    const issuesByPly = new Map();
+    check.issues.forEach(issue => {
+      issuesByPly.set(issue.ply, [...(issuesByPly.get(issue.ply) || []), issue.message]);
+    });
+
+    el.innerHTML = `
+      <div class="validation-msg">${verdict}</div>
+      <table class="revision-diff-table engine-check-table">
+        <thead><tr><th>Ply</th><th>Move</th><th>Eval</th><th>Engine best</th><th>Notes</th></tr></thead>
+        <tbody>
+          ${check.plies.map(ply => `
+            <tr class="${issuesByPly.has(ply.ply) ? 'engine-check-issue' : ''}">
+              <td>${ply.ply}${ply.side === 'opponent' ? ' <span class="ep-cell-muted">(opp.)</span>' : ''}</td>
+              <td>${escapeHtml(ply.san)}</td>
+              <td>${formatEval(ply.eval)}</td>
+              <td>${ply.best ? `${escapeHtml(ply.best.san)} ${formatEval(ply.best.score)}` : '-'}</td>
+              <td>${(issuesByPly.get(ply.ply) || []).map(escapeHtml).join('<br>')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p class="ep-cell-muted">${escapeHtml(check.engine || 'Engine')}, depth ${check.depth}. Eval is from White's side; engine best is for the side to move.</p>
+    `;
+  };
+
+  const switchTab = (tab) => {
+    overlay.querySelectorAll('.tab-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tab));
+    overlay.querySelectorAll('.tab-panel').forEach(panel => panel.classList.toggle('active', panel.id === `panel-${tab}`));
+    submitBtn.style.display = tab === 'edit' ? '' : 'none';
+    if (tab === 'history') renderHistory();
+    if (tab === 'engine') renderEngineCheck();
+  };
+
+  const handleSubmit = async () => {
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Saving...';
+
+    try {
+      const result = await apiClient.updatePuzzle(puzzleId, {
+        fen: state.fen,
+        moves: state.moves,
+        alternatives: state.alternatives,
+        themes: Array.from(themesSelect.selectedOptions).map(o => o.value),
+        rating: parseInt(ratingInput.value) || 1500,
+        game_url: gameUrlInput.value.trim()
+      });
+      showToast(`Puzzle saved (revision ${result.revision})`);
+      if (onSaved) onSaved(result);
+    } catch (error) {
+      showToast(`Error: ${error.message}`, 'error');
+    }
+
+    submitBtn.textContent = 'Save Changes';
+    updateSubmitButton();
+  };
+
+  const closeDialog = () => {
+    if (board && typeof board.destroy === 'function') {
+      board.destroy();
+      board = null;
+    }
+    overlay.remove();
+  };
+
+  // Event bindings
+  overlay.querySelector('#edit-load-fen').addEventListener('click', () => {
+    const fen = fenInput.value.trim();
+    const result = validateFEN(fen);
+    if (!result.valid) {
+      setMessage(fenValidation, result.error, false);
+      return;
+    }
+
+    state.fen = fen;
+    // Keep the solution if it still plays from the new position
+    if (!validateMoves(fen, state.moves).valid) {
+      state.moves = [];
+      movesInput.value = '';
+      setMessage(movesValidation, 'The solution does not play from this position; record it again', false);
+    }
+    setMessage(fenValidation, 'Position loaded', true);
+    syncBoard();
+    updateSubmitButton();
+  });
+
+  movesInput.addEventListener('input', () => {
+    const moves = parseMoves(movesInput.value);
+    const result = validateMoves(state.fen, moves);
+    if (result.valid) {
+      state.moves = moves;
+      setMessage(movesValidation, `${moves.length} move(s)`, true);
+      syncBoard();
+    } else {
+      setMessage(movesValidation, result.error, false);
+    }
+    updateSubmitButton();
+  });
+
+  overlay.querySelector('#edit-reset').addEventListener('click', () => {
+    state.moves = [];
+    movesInput.value = '';
+    setMessage(movesValidation, '', true);
+    syncBoard();
+    updateSubmitButton();
+  });
+
+  overlay.querySelector('#edit-undo').addEventListener('click', () => {
+    if (state.moves.length === 0) return;
+    state.moves = state.moves.slice(0, -1);
+    movesInput.value = state.moves.join(' ');
+    syncBoard();
+    updateSubmitButton();
+  });
+
+  ratingInput.addEventListener('input', updateSubmitButton);
+
+  overlay.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.addEventListener('click', () => switchTab(btn.dataset.tab));
+  });
+  overlay.querySelector('.admin-close').addEventListener('click', closeDialog);
+  overlay.querySelector('.cancel-btn').addEventListener('click', closeDialog);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeDialog();
+  });
+  submitBtn.addEventListener('click', handleSubmit);
+
+  initBoard();
+  loadPuzzle().catch(error => {
+    showToast(`Error: ${error.message}`, 'error');
+    closeDialog();
+  });
+
+  return { close: closeDialog };
+}
+
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function formatEval(score) {
+  if (!score) return '?';
+  if (score.mate !== undefined) return `#${score.mate}`;
+  return `${score.cp >= 0 ? '+' : ''}${(score.cp / 100).toFixed(2)}`;
+}
+
+export default showEditPuzzleDialog;
@@ -0,0 +1,253 @@
+/**
+ * ImportPuzzlesDialog.js
+ * Admin bulk import of custom puzzles from a PGN, EPD or CSV file
+ *
+ * Every import is previewed first (a dry run on the server); Import only
+ * becomes available once the preview has at least one valid row.
+ */
+
+import { THEME_OPTIONS, formatThemeName } from './CreatePuzzleDialog.js';
+
+const FORMAT_LABELS = {
+  pgn: 'PGN ([FEN] header, main line is the solution)',
+  epd: 'EPD (bm or pv, and id opcodes)',
+  csv: 'CSV (Lichess columns, UCI moves)'
+};
+
+const STATUS_BADGES = {
+  ready: '<span class="badge badge-beginner">Ready</span>',
+  created: '<span class="badge badge-beginner">Created</span>',
+  error: '<span class="badge badge-advanced">Error</span>'
+};
+
+/**
+ * Show the import puzzles dialog
+ * @param {ApiClient} apiClient - API client instance
+ * @param {object} options - { onImported } called after puzzles are saved
+ */
+export function showImportPuzzlesDialog(apiClient, { onImported } = {}) {
+  // Request the current preview was made for; Import resends exactly this
+  let previewed = null;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'admin-overlay';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-labelledby', 'import-title');
+
+  overlay.innerHTML = `
+    <div class="admin-content create-puzzle-dialog import-puzzles-dialog">
+      <button class="admin-close" aria-label="Close">&times;</button>
+
+      <header class="admin-header">
+        <h2 id="import-title">Import Puzzles</h2>
+        <div class="admin-stats" id="import-summary"></div>
+      </header>
+
+      <div class="tab-content">
+        <div class="form-row">
+          <div class="form-group">
+            <label for="import-file">File</label>
+            <input type="file" id="import-file" accept=".pgn,.epd,.csv,.txt" />
+          </div>
+          <div class="form-group">
+            <label for="import-format">Format</label>
+            <select id="import-format">
+              <option value="">Detect automatically</option>
+              ${Object.entries(FORMAT_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label for="import-content">Contents</label>
+          <textarea id="import-content" rows="8" class="import-content" placeholder="Choose a file or paste puzzles here"></textarea>
+          <small>Solutions start with the opponent's move that sets up the puzzle, except EPD bm moves, which are the solver's.</small>
+        </div>
+
+        <div class="form-group">
+          <label class="gd-check-row">
+            <input type="checkbox" id="import-solver-first">
+            <span class="gd-check-name">Solutions start with the solver's move (PGN, and EPD pv without bm)</span>
+          </label>
+        </div>
+
+        <div class="form-row">
+          <div class="form-group">
+            <label for="import-rating">Default rating</label>
+            <input type="number" id="import-rating" min="500" max="3500" placeholder="1500" />
+          </div>
+          <div class="form-group">
+            <label for="import-themes">Default themes</label>
+            <select id="import-themes" multiple size="4">
+              ${THEME_OPTIONS.map(t => `<option value="${t}">${formatThemeName(t)}</option>`).join('')}
+            </select>
+            <small>Used for entries without their own</small>
+          </div>
+        </div>
+
+        <div id="import-results" class="import-results"></div>
+      </div>
+
+      <div class="dialog-actions">
+        <button class="cancel-btn">Close</button>
+        <button class="btn-secondary" id="import-preview">Preview</button>
+        <button class="save-btn" id="import-submit" disabled>Import</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const contentInput = overlay.querySelector('#import-content');
+  const formatSelect = overlay.querySelector('#import-format');
+  const ratingInput = overlay.querySelector('#import-rating');
+  const themesSelect = overlay.querySelector('#import-themes');
+  const solverFirstInput = overlay.querySelector('#import-solver-first');
+  const summary = overlay.querySelector('#import-summary');
+  const results = overlay.querySelector('#import-results');
+  const previewBtn = overlay.querySelector('#import-preview');
+  const submitBtn = overlay.querySelector('#import-submit');
+
+  const buildRequest = () => {
+    const options = {
+      themes: Array.from(themesSelect.selectedOptions).map(o => o.value)
+    };
+    if (formatSelect.value) options.format = formatSelect.value;
+    if (ratingInput.value) options.rating = parseInt(ratingInput.value);
+    if (solverFirstInput.checked) options.solverFirst = true;
+    return { content: contentInput.value, options };
+  };
+
+  // Any change to the input invalidates the preview
+  const resetPreview = () => {
+    previewed = null;
+    submitBtn.disabled = true;
+  };
+
+  const renderReport = (report) => {
+    const ok = report.dryRun ? report.ready : report.created;
+    summary.textContent = report.dryRun
+      ? `${report.format.toUpperCase()}: ${ok} of ${report.total} ready, ${report.failed} with errors`
+      : `${ok} imported, ${report.failed} skipped`;
+
+    results.innerHTML = `
+      <table class="reports-table import-table">
+        <thead>
+          <tr><th>#</th><th>Line</th><th>ID</th><th>Status</th><th>Details</th></tr>
+        </thead>
+        <tbody>
+          ${report.rows.map(row => `
+            <tr class="${row.status === 'error' ? 'import-row-error' : ''}">
+              <td>${row.index}</td>
+              <td>${row.line}</td>
+              <td><code>${row.id ? escapeHtml(row.id) : '<span class="ep-cell-muted">auto</span>'}</code></td>
+              <td>${STATUS_BADGES[row.status]}</td>
+              <td>${renderDetails(row)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  };
+
+  const preview = async () => {
+    const request = buildRequest();
+    if (!request.content.trim()) {
+      summary.textContent = 'Choose a file or paste puzzles first';
+      return;
+    }
+
+    previewBtn.disabled = true;
+    submitBtn.disabled = true;
+    summary.textContent = 'Checking...';
+
+    try {
+      const report = await apiClient.importPuzzles(request.content, { ...request.options, dryRun: true });
+      renderReport(report);
+      previewed = request;
+      submitBtn.disabled = report.ready === 0;
+    } catch (error) {
+      summary.textContent = '';
+      results.innerHTML = `<p class="invalid">Error: ${escapeHtml(error.message)}</p>`;
+    } finally {
+      previewBtn.disabled = false;
+    }
+  };
+
+  const submit = async () => {
+    if (!previewed) return;
+
+    previewBtn.disabled = true;
+    submitBtn.disabled = true;
+    summary.textContent = 'Importing...';
+
+    try {
+      const report = await apiClient.importPuzzles(previewed.content, { ...previewed.options, dryRun: false });
+      renderReport(report);
+      previewed = null;
+      if (onImported && report.created > 0) onImported(report);
+    } catch (error) {
+      summary.textContent = '';
+      results.innerHTML = `<p class="invalid">Error: ${escapeHtml(error.message)}</p>`;
+    } finally {
+      previewBtn.disabled = false;
+    }
+  };
+
+  const closeDialog = () => {
+    overlay.remove();
+  };
+
+  overlay.querySelector('#import-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    contentInput.value = await file.text();
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (FORMAT_LABELS[extension]) formatSelect.value = extension;
+    resetPreview();
+  });
+
+  [contentInput, formatSelect, ratingInput, themesSelect, solverFirstInput].forEach(input => {
+    input.addEventListener('input', resetPreview);
+    input.addEventListener('change', resetPreview);
+  });
+
+  previewBtn.addEventListener('click', preview);
+  submitBtn.addEventListener('click', submit);
+  overlay.querySelector('.cancel-btn').addEventListener('click', closeDialog);
+  overlay.querySelector('.admin-close').addEventListener('click', closeDialog);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeDialog();
+  });
+
+  return { close: closeDialog };
+}
+
+/**
+ * Describe one report row: its error, or the solution and any duplicates
+ * @param {object} row - Row from the import report
+ * @returns {string} - HTML
+ */
+function renderDetails(row) {
+  if (row.status === 'error') {
+    return `<span class="invalid">${escapeHtml(row.error)}</span>`;
+  }
+
+  let html = `<span class="ep-cell-muted">${escapeHtml(row.moves.join(' '))}</span>`;
+  if (row.duplicates && row.duplicates.length > 0) {
+    const ids = row.duplicates.map(d => d.id + (d.mirrored ? ' (mirrored)' : ''));
+    html += `<div class="import-duplicates">Same position as ${escapeHtml(ids.join(', '))}</div>`;
+  }
+  return html;
+}
+
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+export default showImportPuzzlesDialog;
@@ -275,9 +275,13 @@ export async function getThemeDataForMultiSelect(apiClient) {
  * @param {string|string[]|null} themes - Theme ID(s) or null for all
  * @param {string} ratingRange - Rating range string like "1500-2000" or ""
  * @param {number} count - Number of puzzles
+ * @param {string[]} [studentIds] - Skip puzzles already assigned to these students
+ * @param {string|null} [opening] - Opening family or variation tag
+ * @param {object} [themeMatch] - { matchMode: 'any'|'all'|'none', weights: { theme: weight } | null }
+ * @param {object} [structure] - Position filters { material, sideToMove, minPieces, maxPieces, minSolutionMoves, maxSolutionMoves, mateIn }
  * @returns {object} Parameters for apiClient.generatePuzzles()
  */
-export function buildGenerateParams(themes, ratingRange, count) {
+export function buildGenerateParams(themes, ratingRange, count, studentIds = [], opening = null, themeMatch = {}, structure = null) {
   let minRating = 1000;
   let maxRating = 3000;
   if (ratingRange) {
@@ -292,5 +296,26 @@ export function buildGenerateParams(themes, ratingRange, count) {
   } else if (themes) {
     themeValue = themes;
   }
-  return { theme: themeValue, count, minRating, maxRating, minPopularity: 80 };
+  const params = { theme: themeValue, count, minRating, maxRating, minPopularity: 80 };
+  if (studentIds && studentIds.length > 0) {
+    params.studentIds = studentIds;
+  }
+  if (opening) {
+    params.opening = opening;
+  }
+  const { matchMode = 'any', weights = null } = themeMatch;
+  if (themeValue && matchMode !== 'any') {
+    params.matchMode = matchMode;
+  } else if (themeValue && weights) {
+    params.weights = weights;
+  }
+  if (structure) {
+    const filters = Object.fromEntries(
+      Object.entries(structure).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    );
+    if (Object.keys(filters).length > 0) {
+      params.structure = filters;
+    }
+  }
+  return params;
 }
@@ -0,0 +1,224 @@
+/**
+ * solutionTree.js
+ * Branching puzzle solutions, for the puzzle player, the create dialog and
+ * the print view
+ *
+ * Client copy of server/src/shared/SolutionTree.js, which reads and writes
+ * the same movetext when puzzles are saved and exported. Both copies are
+ * checked against server/tests/fixtures/solution-trees.json; change them
+ * together.
+ *
+ * Solutions are stored as PGN movetext in SAN with recursive annotation
+ * variations (RAVs), starting from the puzzle FEN with the setup move, e.g.
+ * "1... Ra2 2. Rd8+ Kh7 (2... Rf8 3. Rxf8#) 3. Qh5#". Trees are arrays of
+ * nodes { uci, san, children }, the first child continuing the main line.
+ */
+
+import { Chess } from 'chess.js';
+
+const MAX_VARIATION_MOVES = 200;
+
+/**
+ * Read a puzzle's solution as a tree. Puzzles without variations (or with
+ * variations that no longer play from the FEN) give a single line.
+ * @param {string} fen - Puzzle FEN
+ * @param {string} moves - Space-separated UCI main line
+ * @param {string|null} variations - Stored PGN movetext
+ * @returns {object[]}
+ */
+export function parseSolutionTree(fen, moves, variations) {
+  if (variations) {
+    try {
+      const tree = parseVariations(fen, variations);
+      if (mainLine(tree).join(' ') === moves) return tree;
+    } catch (error) {
+      // Fall back to the main line below
+    }
+  }
+
+  const tree = [];
+  insertLine(fen, tree, (moves || '').split(' ').filter(Boolean));
+  return tree;
+}
+
+/**
+ * Parse movetext with RAVs into a move tree
+ * @param {string} fen - Position the movetext starts from
+ * @param {string} text - PGN movetext (SAN or UCI moves; comments, NAGs and
+ *   move numbers are skipped)
+ * @returns {object[]} - Tree as nodes { uci, san, children }, the first child
+ *   continuing the main line
+ * @throws {Error} - On an illegal move or unbalanced parentheses
+ */
+export function parseVariations(fen, text) {
+  const root = { children: [] };
+  const stack = [];
+  let count = 0;
+
+  // node: last move played at this level; base: its parent
+  let state = { base: null, node: root, fen, fenBefore: null };
+
+  const tokens = String(text || '')
+    .replace(/\{[^}]*\}/g, ' ')
+    .replace(/;[^\n]*/g, ' ')
+    .replace(/([()])/g, ' $1 ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  for (const token of tokens) {
+    if (token === '(') {
+      if (!state.base) throw new Error('A variation must follow a move');
+      stack.push(state);
+      state = { base: null, node: state.base, fen: state.fenBefore, fenBefore: null };
+      continue;
+    }
+    if (token === ')') {
+      if (stack.length === 0) throw new Error('Unbalanced parentheses');
+      state = stack.pop();
+      continue;
+    }
+
+    const move = token.replace(/^\d+\.+/, '');
+    if (!move || /^\$\d+$/.test(move) || /^(1-0|0-1|1\/2-1\/2|\*)$/.test(move) || /^[!?]+$/.test(move)) {
+      continue;
+    }
+
+    const chess = new Chess(state.fen);
+    const played = playMove(chess, move);
+    if (!played) throw new Error(`Illegal move ${move}`);
+    if (++count > MAX_VARIATION_MOVES) throw new Error(`Solutions are limited to ${MAX_VARIATION_MOVES} moves`);
+
+    const uci = `${played.from}${played.to}${played.promotion || ''}`;
+    let child = state.node.children.find(c => c.uci === uci);
+    if (!child) {
+      child = { uci, san: played.san, children: [] };
+      state.node.children.push(child);
+    }
+
+    state = { base: state.node, node: child, fen: chess.fen(), fenBefore: state.fen };
+  }
+
+  if (stack.length > 0) throw new Error('Unbalanced parentheses');
+  return root.children;
+}
+
+/**
+ * Write a move tree as numbered PGN movetext with RAVs
+ * @param {string} fen - Position the tree starts from
+ * @param {object[]} nodes - Tree from parseVariations
+ * @param {object} options - { decorate(node, text) } to wrap each move, e.g. in HTML
+ * @returns {string}
+ */
+export function writeVariations(fen, nodes, { decorate = (node, text) => text } = {}) {
+  const parts = [];
+  let position = fen;
+  let current = nodes;
+  let numbered = true;
+
+  while (current.length > 0) {
+    const [main, ...others] = current;
+    parts.push(decorate(main, numberMove(position, main.san, numbered)));
+    for (const other of others) {
+      parts.push(`(${writeVariations(position, [other], { decorate })})`);
+    }
+
+    position = afterMove(position, main.uci);
+    numbered = others.length > 0;
+    current = main.children;
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * The main line of a tree as UCI moves
+ * @param {object[]} nodes - Tree
+ * @returns {string[]}
+ */
+export function mainLine(nodes) {
+  const line = [];
+  for (let current = nodes; current.length > 0; current = current[0].children) {
+    line.push(current[0].uci);
+  }
+  return line;
+}
+
+/**
+ * Every line of a tree as UCI moves, the main line first
+ * @param {object[]} nodes - Tree
+ * @returns {string[][]}
+ */
+export function allLines(nodes) {
+  if (nodes.length === 0) return [[]];
+  return nodes.flatMap(node => allLines(node.children).map(line => [node.uci, ...line]));
+}
+
+/**
+ * Follow a tree, taking a random branch wherever it has one
+ * @param {object[]} nodes - Tree
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {string[]} - UCI moves
+ */
+export function pickLine(nodes, random = Math.random) {
+  const line = [];
+  for (let current = nodes; current.length > 0;) {
+    const node = current[Math.floor(random() * current.length)];
+    line.push(node.uci);
+    current = node.children;
+  }
+  return line;
+}
+
+/**
+ * Whether a tree has more than one line
+ * @param {object[]} nodes - Tree
+ * @returns {boolean}
+ */
+export function hasBranches(nodes) {
+  return nodes.some(node => nodes.length > 1 || hasBranches(node.children));
+}
+
+/**
+ * Add a line of UCI moves to a tree, sharing the moves it has in common
+ * @returns {boolean} - false if a move doesn't play
+ */
+export function insertLine(fen, tree, line) {
+  const chess = new Chess(fen);
+  let nodes = tree;
+
+  for (const uci of line) {
+    const played = playMove(chess, uci);
+    if (!played) return false;
+
+    let node = nodes.find(n => n.uci === uci);
+    if (!node) {
+      node = { uci, san: played.san, children: [] };
+      nodes.push(node);
+    }
+    nodes = node.children;
+  }
+
+  return true;
+}
+
+function playMove(chess, move) {
+  try {
+    return /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(move)
+      ? chess.move({ from: move.slice(0, 2), to: move.slice(2, 4), promotion: move[4] })
+      : chess.move(move);
+  } catch (error) {
+    return null;
+  }
+}
+
+function afterMove(fen, uci) {
+  const chess = new Chess(fen);
+  playMove(chess, uci);
+  return chess.fen();
+}
+
+function numberMove(fen, san, numbered) {
+  const [, turn, , , , fullMove] = fen.split(' ');
+  if (turn === 'w') return `${fullMove}. ${san}`;
+  return numbered ? `${fullMove}... ${san}` : san;
+}
@@ -5,8 +5,10 @@
  * Refactored to use API client instead of direct report manager.
  */
 
-import { Chess } from 'chess.js';
 import { showCreatePuzzleDialog } from '../puzzles/CreatePuzzleDialog.js';
+import { showEditPuzzleDialog } from '../puzzles/EditPuzzleDialog.js';
+import { showImportPuzzlesDialog } from '../puzzles/ImportPuzzlesDialog.js';
+import { showDuplicatePuzzlesDialog } from './DuplicatePuzzlesDialog.js';
 
 const REPORT_REASON_LABELS = {
   'wrong_solution': 'Wrong Solution',
@@ -48,9 +50,17 @@ export function showAdminPanel(apiClient) {
             <span>Show dismissed reports</span>
           </label>
         </div>
-        <button id="create-puzzle-btn" class="action-btn" style="background: #28a745; padding: 8px 16px; border-radius: 4px; color: white; font-weight: 600;">
-          + Create Custom Puzzle
-        </button>
+        <div style="display: flex; gap: 8px;">
+          <button id="duplicates-btn" class="action-btn" style="padding: 8px 16px; border-radius: 4px; font-weight: 600;">
+            Find Duplicates
+          </button>
+          <button id="import-puzzles-btn" class="action-btn" style="padding: 8px 16px; border-radius: 4px; font-weight: 600;">
+            Import Puzzles
+          </button>
+          <button id="create-puzzle-btn" class="action-btn" style="background: #28a745; padding: 8px 16px; border-radius: 4px; color: white; font-weight: 600;">
+            + Create Custom Puzzle
+          </button>
+        </div>
       </div>
 
       <div class="reports-table-container">
@@ -184,7 +194,7 @@ export function showAdminPanel(apiClient) {
               dropdown.className = 'gd-dropdown';
               dropdown.innerHTML = `
                 <button class="gd-dd-item" data-dd="unblock"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"/></svg>Unblock Puzzle</button>
-                <button class="gd-dd-item" data-dd="edit"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 3a2.85 2.83 0 114 4L7.5 20.5 2 22l1.5-5.5z"/></svg>Edit FEN</button>
+                <button class="gd-dd-item" data-dd="edit"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 3a2.85 2.83 0 114 4L7.5 20.5 2 22l1.5-5.5z"/></svg>Edit Puzzle</button>
               `;
               const rect = btn.getBoundingClientRect();
               dropdown.style.position = 'fixed';
@@ -205,7 +215,7 @@ export function showAdminPanel(apiClient) {
                       await renderStats();
                       await renderReports();
                     } else if (dd === 'edit') {
-                      showEditFENDialog(puzzleId);
+                      showEditPuzzleDialog(apiClient, puzzleId);
                     }
                   } catch (err) {
                     showToast(`Error: ${err.message}`, 'error');
@@ -256,77 +266,6 @@ export function showAdminPanel(apiClient) {
     });
   };
 
-  const showEditFENDialog = async (puzzleId) => {
-    let currentFen = '';
-
-    try {
-      const puzzle = await apiClient.getPuzzle(puzzleId);
-      currentFen = puzzle.fen || '';
-    } catch (error) {
-      currentFen = '';
-    }
-
-    const dialog = document.createElement('div');
-    dialog.className = 'edit-fen-dialog';
-    dialog.innerHTML = `
-      <div class="edit-fen-content">
-        <h3>Edit FEN for ${escapeHtml(puzzleId)}</h3>
-        <div class="fen-input-group">
-          <textarea id="fen-input" rows="3">${escapeHtml(currentFen)}</textarea>
-          <div id="fen-validation" class="fen-validation"></div>
-        </div>
-        <div class="dialog-actions">
-          <button class="cancel-btn">Cancel</button>
-          <button class="save-btn" disabled>Save</button>
-        </div>
-      </div>
-    `;
-
-    overlay.appendChild(dialog);
-
-    const fenInput = dialog.querySelector('#fen-input');
-    const validation = dialog.querySelector('#fen-validation');
-    const saveBtn = dialog.querySelector('.save-btn');
-    const cancelBtn = dialog.querySelector('.cancel-btn');
-
-    const validateFEN = (fen) => {
-      try {
-        new Chess(fen);
-        validation.innerHTML = '<span class="valid">✓ Valid FEN</span>';
-        validation.className = 'fen-validation valid';
-        saveBtn.disabled = false;
-        return true;
-      } catch (error) {
-        validation.innerHTML = '<span class="invalid">✗ Invalid FEN</span>';
-        validation.className = 'fen-validation invalid';
-        saveBtn.disabled = true;
-        return false;
-      }
-    };
-
-    fenInput.addEventListener('input', () => validateFEN(fenInput.value));
-    validateFEN(currentFen);
-
-    cancelBtn.addEventListener('click', () => dialog.remove());
-
-    saveBtn.addEventListener('click', async () => {
-      const newFen = fenInput.value.trim();
-      if (!validateFEN(newFen)) return;
-
-      try {
-        saveBtn.disabled = true;
-        saveBtn.textContent = 'Saving...';
-        await apiClient.updatePuzzleFEN(puzzleId, newFen);
-        showToast('FEN updated');
-        dialog.remove();
-      } catch (error) {
-        showToast(`Error: ${error.message}`, 'error');
-        saveBtn.disabled = false;
-        saveBtn.textContent = 'Save';
-      }
-    });
-  };
-
   const showToast = (message, type = 'success') => {
     const toast = document.createElement('div');
     toast.className = `toast toast-${type}`;
@@ -365,6 +304,14 @@ export function showAdminPanel(apiClient) {
     showCreatePuzzleDialog(apiClient);
   });
 
+  overlay.querySelector('#duplicates-btn').addEventListener('click', () => {
+    showDuplicatePuzzlesDialog(apiClient);
+  });
+
+  overlay.querySelector('#import-puzzles-btn').addEventListener('click', () => {
+    showImportPuzzlesDialog(apiClient);
+  });
+
   renderStats();
   renderReports();
 }
@@ -406,7 +353,11 @@ export function renderAdminPage(container, apiClient) {
           <h1 class="page-title">Reports</h1>
           <p class="page-subtitle">Manage puzzle reports and blocked puzzles</p>
         </div>
-        <button id="create-puzzle-btn" class="generate-btn">+ Create Custom Puzzle</button>
+        <div style="display:flex;gap:8px">
+          <button id="duplicates-btn" class="btn-secondary">Find Duplicates</button>
+          <button id="import-puzzles-btn" class="btn-secondary">Import Puzzles</button>
+          <button id="create-puzzle-btn" class="generate-btn">+ Create Custom Puzzle</button>
+        </div>
       </div>
 
       <div class="admin-stats" id="admin-stats" style="display:flex;gap:12px;margin-bottom:16px"></div>
@@ -548,7 +499,7 @@ export function renderAdminPage(container, apiClient) {
               dropdown.className = 'gd-dropdown';
               dropdown.innerHTML = `
                 <button class="gd-dd-item" data-dd="unblock"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"/></svg>Unblock Puzzle</button>
-                <button class="gd-dd-item" data-dd="edit"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 3a2.85 2.83 0 114 4L7.5 20.5 2 22l1.5-5.5z"/></svg>Edit FEN</button>
+                <button class="gd-dd-item" data-dd="edit"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 3a2.85 2.83 0 114 4L7.5 20.5 2 22l1.5-5.5z"/></svg>Edit Puzzle</button>
               `;
               const rect = btn.getBoundingClientRect();
               dropdown.style.position = 'fixed';
@@ -569,7 +520,7 @@ export function renderAdminPage(container, apiClient) {
                       await renderStats();
                       await renderReports();
                     } else if (dd === 'edit') {
-                      showEditFENDialog(puzzleId);
+                      openDialogs.push(showEditPuzzleDialog(apiClient, puzzleId));
                     }
                   } catch (err) {
                     showToast(`Error: ${err.message}`, 'error');
@@ -620,84 +571,6 @@ export function renderAdminPage(container, apiClient) {
     });
   };
 
-  const showEditFENDialog = async (puzzleId) => {
-    let currentFen = '';
-
-    try {
-      const puzzle = await apiClient.getPuzzle(puzzleId);
-      currentFen = puzzle.fen || '';
-    } catch (error) {
-      currentFen = '';
-    }
-
-    const dialog = document.createElement('div');
-    dialog.className = 'edit-fen-dialog';
-    dialog.innerHTML = `
-      <div class="edit-fen-content">
-        <h3>Edit FEN for ${escapeHtml(puzzleId)}</h3>
-        <div class="fen-input-group">
-          <textarea id="fen-input" rows="3">${escapeHtml(currentFen)}</textarea>
-          <div id="fen-validation" class="fen-validation"></div>
-        </div>
-        <div class="dialog-actions">
-          <button class="cancel-btn">Cancel</button>
-          <button class="save-btn" disabled>Save</button>
-        </div>
-      </div>
-    `;
-
-    document.body.appendChild(dialog);
-    openDialogs.push(dialog);
-
-    const fenInput = dialog.querySelector('#fen-input');
-    const validation = dialog.querySelector('#fen-validation');
-    const saveBtn = dialog.querySelector('.save-btn');
-    const cancelBtn = dialog.querySelector('.cancel-btn');
-
-    const validateFEN = (fen) => {
-      try {
-        new Chess(fen);
-        validation.innerHTML = '<span class="valid">✓ Valid FEN</span>';
-        validation.className = 'fen-validation valid';
-        saveBtn.disabled = false;
-        return true;
-      } catch (error) {
-        validation.innerHTML = '<span class="invalid">✗ Invalid FEN</span>';
-        validation.className = 'fen-validation invalid';
-        saveBtn.disabled = true;
-        return false;
-      }
-    };
-
-    fenInput.addEventListener('input', () => validateFEN(fenInput.value));
-    validateFEN(currentFen);
-
-    cancelBtn.addEventListener('click', () => removeDialog(dialog));
-
-    saveBtn.addEventListener('click', async () => {
-      const newFen = fenInput.value.trim();
-      if (!validateFEN(newFen)) return;
-
-      try {
-        saveBtn.disabled = true;
-        saveBtn.textContent = 'Saving...';
-        await apiClient.updatePuzzleFEN(puzzleId, newFen);
-        showToast('FEN updated');
-        removeDialog(dialog);
-      } catch (error) {
-        showToast(`Error: ${error.message}`, 'error');
-        saveBtn.disabled = false;
-        saveBtn.textContent = 'Save';
-      }
-    });
-  };
-
-  const removeDialog = (dialog) => {
-    const idx = openDialogs.indexOf(dialog);
-    if (idx !== -1) openDialogs.splice(idx, 1);
-    if (dialog.parentNode) dialog.parentNode.removeChild(dialog);
-  };
-
   // Initialize
   container.querySelector('#include-dismissed').addEventListener('change', (e) => {
     includeDismissed = e.target.checked;
@@ -709,14 +582,20 @@ export function renderAdminPage(container, apiClient) {
     showCreatePuzzleDialog(apiClient);
   });
 
+  container.querySelector('#duplicates-btn').addEventListener('click', () => {
+    openDialogs.push(showDuplicatePuzzlesDialog(apiClient));
+  });
+
+  container.querySelector('#import-puzzles-btn').addEventListener('click', () => {
+    openDialogs.push(showImportPuzzlesDialog(apiClient));
+  });
+
   renderStats();
   renderReports();
 
   // Return cleanup function
   return () => {
-    openDialogs.forEach(d => {
-      if (d.parentNode) d.parentNode.removeChild(d);
-    });
+    openDialogs.forEach(d => d.close());
     openDialogs.length = 0;
   };
 }
@@ -0,0 +1,169 @@
+/**
+ * DuplicatePuzzlesDialog.js
+ * Admin scan for puzzles that share a position
+ */
+
+import { showEditPuzzleDialog } from '../puzzles/EditPuzzleDialog.js';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Show the duplicate puzzles dialog
+ * @param {ApiClient} apiClient - API client instance
+ */
+export function showDuplicatePuzzlesDialog(apiClient) {
+  let currentPage = 1;
+  let editor = null;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'admin-overlay';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-labelledby', 'duplicates-title');
+
+  overlay.innerHTML = `
+    <div class="admin-content duplicates-dialog">
+      <button class="admin-close" aria-label="Close">&times;</button>
+
+      <header class="admin-header">
+        <h2 id="duplicates-title">Duplicate Puzzles</h2>
+        <div class="admin-stats" id="duplicates-summary">Scanning...</div>
+      </header>
+
+      <div class="admin-controls">
+        <div class="filter-controls">
+          <label class="filter-checkbox">
+            <input type="checkbox" id="duplicates-mirrored">
+            <span>Include colour-mirrored positions</span>
+          </label>
+          <label class="filter-checkbox">
+            <input type="checkbox" id="duplicates-cross-source">
+            <span>Only Lichess vs custom</span>
+          </label>
+        </div>
+      </div>
+
+      <div id="duplicates-list" class="duplicate-clusters"></div>
+      <div class="pagination" id="duplicates-pagination"></div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const list = overlay.querySelector('#duplicates-list');
+  const summary = overlay.querySelector('#duplicates-summary');
+
+  const renderClusters = async () => {
+    list.innerHTML = '<p class="ep-cell-muted">Scanning...</p>';
+
+    try {
+      const { clusters, total } = await apiClient.getDuplicatePuzzles({
+        mirrored: overlay.querySelector('#duplicates-mirrored').checked,
+        crossSource: overlay.querySelector('#duplicates-cross-source').checked,
+        page: currentPage,
+        pageSize: PAGE_SIZE
+      });
+
+      summary.textContent = `${total} duplicate ${total === 1 ? 'cluster' : 'clusters'}`;
+
+      if (clusters.length === 0) {
+        list.innerHTML = '<p class="ep-cell-muted">No duplicates found.</p>';
+        renderPagination(total);
+        return;
+      }
+
+      list.innerHTML = clusters.map(cluster => `
+        <div class="duplicate-cluster">
+          <div class="duplicate-cluster-header">
+            <code>${escapeHtml(cluster.key.split('|')[0])}</code>
+            <span class="ep-cell-muted">${cluster.count} puzzles</span>
+          </div>
+          <table class="reports-table">
+            <tbody>
+              ${cluster.puzzles.map(p => `
+                <tr>
+                  <td><code>${escapeHtml(p.id)}</code>${p.mirrored ? ' <span class="badge badge-intermediate">Mirrored</span>' : ''}</td>
+                  <td>${escapeHtml(p.source)}</td>
+                  <td>${p.rating ?? '-'}</td>
+                  <td class="ep-cell-muted">${escapeHtml((p.themes || '').split(',').join(', '))}</td>
+                  <td><button class="btn-secondary" data-edit="${escapeHtml(p.id)}">Edit</button></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `).join('');
+
+      list.querySelectorAll('[data-edit]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          editor = showEditPuzzleDialog(apiClient, btn.dataset.edit, { onSaved: renderClusters });
+        });
+      });
+
+      renderPagination(total);
+    } catch (error) {
+      summary.textContent = '';
+      list.innerHTML = `<p class="invalid">Error: ${escapeHtml(error.message)}</p>`;
+    }
+  };
+
+  const renderPagination = (total) => {
+    const pagination = overlay.querySelector('#duplicates-pagination');
+    const totalPages = Math.ceil(total / PAGE_SIZE);
+
+    if (totalPages <= 1) {
+      pagination.innerHTML = '';
+      return;
+    }
+
+    let html = '';
+
+    if (currentPage > 1) {
+      html += `<button class="page-btn" data-page="${currentPage - 1}">← Previous</button>`;
+    }
+
+    html += `<span class="page-info">Page ${currentPage} of ${totalPages}</span>`;
+
+    if (currentPage < totalPages) {
+      html += `<button class="page-btn" data-page="${currentPage + 1}">Next →</button>`;
+    }
+
+    pagination.innerHTML = html;
+
+    pagination.querySelectorAll('.page-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        currentPage = parseInt(btn.dataset.page);
+        renderClusters();
+      });
+    });
+  };
+
+  const closeDialog = () => {
+    if (editor) editor.close();
+    overlay.remove();
+  };
+
+  overlay.querySelectorAll('.filter-checkbox input').forEach(input => {
+    input.addEventListener('change', () => {
+      currentPage = 1;
+      renderClusters();
+    });
+  });
+  overlay.querySelector('.admin-close').addEventListener('click', closeDialog);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeDialog();
+  });
+
+  renderClusters();
+
+  return { close: closeDialog };
+}
+
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+export default showDuplicatePuzzlesDialog;
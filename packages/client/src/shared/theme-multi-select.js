@@ -1,7 +1,8 @@
 /**
  * theme-multi-select.js
  * Searchable multi-select dropdown for chess themes.
- * Renders selected themes as tags with remove buttons.
+ * Renders selected themes as tags with remove buttons, a match mode
+ * (mix of any / all of / none of) and per-theme weights for mixes.
  */
 
 function escapeHtml(str) {
@@ -13,10 +14,12 @@ function escapeHtml(str) {
  * Create a multi-select theme picker inside a container element.
  * @param {HTMLElement} containerEl - Element to render into
  * @param {Array<{theme: string, count: number, category: string, label: string}>} themes - Available themes
- * @returns {{ getSelected: () => string[], destroy: () => void }}
+ * @returns {{ getSelected: () => string[], setSelected: (ids: string[]) => void, getMatchMode: () => string, getWeights: () => object|null, destroy: () => void }}
  */
 export function createThemeMultiSelect(containerEl, themes) {
   const selected = new Set()
+  const weights = new Map()
+  let matchMode = 'any'
   let isOpen = false
 
   containerEl.innerHTML = `
@@ -26,14 +29,31 @@ export function createThemeMultiSelect(containerEl, themes) {
         <input type="text" class="tms-search" id="tms-search" placeholder="Search themes..." autocomplete="off" />
       </div>
       <div class="tms-dropdown" id="tms-dropdown" style="display:none"></div>
+      <div class="tms-mode-row" style="display:none">
+        <select class="tms-mode">
+          <option value="any">Mix of any theme</option>
+          <option value="all">Puzzles with all themes</option>
+          <option value="none">Puzzles with none of the themes</option>
+        </select>
+        <span class="tms-mode-hint"></span>
+      </div>
     </div>
   `
 
   const tagsEl = containerEl.querySelector('#tms-tags')
   const searchInput = containerEl.querySelector('#tms-search')
   const dropdown = containerEl.querySelector('#tms-dropdown')
+  const modeRow = containerEl.querySelector('.tms-mode-row')
+  const modeSelect = containerEl.querySelector('.tms-mode')
+  const modeHint = containerEl.querySelector('.tms-mode-hint')
+
+  const isWeighted = () => matchMode === 'any' && selected.size > 1
+  const evenShare = () => Math.round(100 / selected.size)
 
   function renderTags() {
+    modeRow.style.display = selected.size > 0 ? 'flex' : 'none'
+    modeHint.textContent = isWeighted() ? 'Set a % per theme to change the mix' : ''
+
     if (selected.size === 0) {
       tagsEl.innerHTML = ''
       searchInput.placeholder = 'Search themes... (leave empty for all)'
@@ -43,19 +63,40 @@ export function createThemeMultiSelect(containerEl, themes) {
     tagsEl.innerHTML = [...selected].map(t => {
       const theme = themes.find(th => th.theme === t)
       const label = theme ? theme.label : t
-      return `<span class="tms-tag">${escapeHtml(label)}<button class="tms-tag-remove" data-theme="${escapeHtml(t)}">&times;</button></span>`
+      const weightInput = isWeighted()
+        ? `<input type="number" class="tms-weight" min="1" max="100" data-theme="${escapeHtml(t)}" value="${weights.get(t) || ''}" placeholder="${evenShare()}" title="Share of the puzzles (%)">`
+        : ''
+      return `<span class="tms-tag">${escapeHtml(label)}${weightInput}<button class="tms-tag-remove" data-theme="${escapeHtml(t)}">&times;</button></span>`
     }).join('')
 
     tagsEl.querySelectorAll('.tms-tag-remove').forEach(btn => {
       btn.addEventListener('click', (e) => {
         e.stopPropagation()
         selected.delete(btn.dataset.theme)
+        weights.delete(btn.dataset.theme)
         renderTags()
         renderDropdown(searchInput.value)
       })
     })
+
+    tagsEl.querySelectorAll('.tms-weight').forEach(input => {
+      input.addEventListener('click', (e) => e.stopPropagation())
+      input.addEventListener('input', () => {
+        const value = Number(input.value)
+        if (input.value && Number.isFinite(value) && value > 0) {
+          weights.set(input.dataset.theme, value)
+        } else {
+          weights.delete(input.dataset.theme)
+        }
+      })
+    })
   }
 
+  modeSelect.addEventListener('change', () => {
+    matchMode = modeSelect.value
+    renderTags()
+  })
+
   function renderDropdown(filter = '') {
     const query = filter.toLowerCase().trim()
     const grouped = {}
@@ -127,6 +168,7 @@ export function createThemeMultiSelect(containerEl, themes) {
     if (e.key === 'Backspace' && searchInput.value === '' && selected.size > 0) {
       const last = [...selected].pop()
       selected.delete(last)
+      weights.delete(last)
       renderTags()
       renderDropdown('')
     }
@@ -142,6 +184,18 @@ export function createThemeMultiSelect(containerEl, themes) {
 
   return {
     getSelected: () => [...selected],
+    setSelected: (ids) => {
+      selected.clear()
+      weights.clear()
+      ids.forEach(id => selected.add(id))
+      renderTags()
+    },
+    getMatchMode: () => selected.size > 0 ? matchMode : 'any',
+    // Weights per theme for a mix, or null for an even split
+    getWeights: () => {
+      if (!isWeighted() || weights.size === 0) return null
+      return Object.fromEntries([...selected].map(t => [t, weights.get(t) || evenShare()]))
+    },
     destroy: () => document.removeEventListener('click', outsideClickHandler)
   }
 }
@@ -41,6 +41,7 @@ export class ChessQuizComposer {
       this.showLoading('Connecting to server...')
       const stats = await this.apiClient.getStats()
       await this.populateThemeSelector()
+      await this.populateOpeningSelector()
       // Update label with total count
       const label = document.querySelector('[for="theme-select-container"], #theme-select-container')?.closest('.control-group')?.querySelector('label')
       if (label) label.textContent = `Themes (${stats.totalPuzzles.toLocaleString()} puzzles available)`
@@ -74,12 +75,36 @@ export class ChessQuizComposer {
     }
   }
 
+  async populateOpeningSelector() {
+    const select = document.getElementById('opening-select')
+    if (!select) return
+    try {
+      const openings = await this.apiClient.getOpenings()
+      select.innerHTML = '<option value="">All Openings</option>' + openings.map(family => {
+        const variations = family.variations.map(v =>
+          `<option value="${escapeHtml(v.tag)}">${escapeHtml(v.name.slice(family.name.length).trim() || v.name)} (${v.count.toLocaleString()})</option>`
+        ).join('')
+        return `<optgroup label="${escapeHtml(family.name)}">
+          <option value="${escapeHtml(family.tag)}">All ${escapeHtml(family.name)} (${family.count.toLocaleString()})</option>
+          ${variations}
+        </optgroup>`
+      }).join('')
+    } catch {
+      select.disabled = true
+    }
+  }
+
   formatThemeName(themeId) { return formatThemeNameUtil(themeId) }
 
   async handleGenerate() {
     const countInput = document.getElementById('puzzle-count')
     const ratingRangeSelect = document.getElementById('rating-range')
+    const openingSelect = document.getElementById('opening-select')
+    const opening = openingSelect ? openingSelect.value : ''
     const selectedThemes = this.themeMultiSelect ? this.themeMultiSelect.getSelected() : []
+    const themeMatch = this.themeMultiSelect
+      ? { matchMode: this.themeMultiSelect.getMatchMode(), weights: this.themeMultiSelect.getWeights() }
+      : {}
     const count = parseInt(countInput.value)
     const ratingRange = ratingRangeSelect.value
 
@@ -89,13 +114,17 @@ export class ChessQuizComposer {
     }
 
     try {
-      const themeName = selectedThemes.length > 0 ? selectedThemes.map(t => this.formatThemeName(t)).join(', ') : 'All Themes'
+      const joiner = themeMatch.matchMode === 'all' ? ' + ' : ', '
+      const themeName = selectedThemes.length > 0
+        ? `${themeMatch.matchMode === 'none' ? 'everything but ' : ''}${selectedThemes.map(t => this.formatThemeName(t)).join(joiner)}`
+        : 'All Themes'
       const ratingText = ratingRange ? ` (${ratingRange})` : ''
-      this.showLoading(`Generating ${count} puzzles for ${themeName}${ratingText}...`)
+      const openingText = opening ? ` in the ${opening.replace(/_/g, ' ')}` : ''
+      this.showLoading(`Generating ${count} puzzles for ${themeName}${openingText}${ratingText}...`)
 
-      const params = buildGenerateParams(selectedThemes, ratingRange, count)
+      const params = buildGenerateParams(selectedThemes, ratingRange, count, [], opening, themeMatch, this.readStructureFilters())
       const puzzleData = await this.apiClient.generatePuzzles(params)
-      this.puzzles = processPuzzlesUtil(puzzleData, selectedThemes)
+      this.puzzles = processPuzzlesUtil(puzzleData, themeMatch.matchMode === 'none' ? [] : selectedThemes)
       this.solvedPuzzles = new Set()
       this.hideLoading()
       this.renderPuzzles()
@@ -106,6 +135,20 @@ export class ChessQuizComposer {
     }
   }
 
+  readStructureFilters() {
+    const value = (id) => document.getElementById(id)?.value.trim() || ''
+    const number = (id) => value(id) ? parseInt(value(id)) : null
+    return {
+      material: value('filter-material'),
+      sideToMove: value('filter-side'),
+      minPieces: number('filter-min-pieces'),
+      maxPieces: number('filter-max-pieces'),
+      minSolutionMoves: number('filter-min-moves'),
+      maxSolutionMoves: number('filter-max-moves'),
+      mateIn: number('filter-mate-in')
+    }
+  }
+
   // ==================== Simplified Puzzle Cards ====================
 
   renderPuzzles() {
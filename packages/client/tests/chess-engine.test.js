@@ -0,0 +1,110 @@
+/**
+ * Tests for the engine service — reading UCI info lines and a new search
+ * stopping the one before it. A fake worker stands in for Stockfish.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { ChessEngine, parseInfoLine } from '../src/core/ChessEngine.js'
+
+const START = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'
+const AFTER_E4 = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1'
+
+// Answers the handshake at once and each search only when told to
+function createFakeWorker() {
+  const worker = {
+    sent: [],
+    onmessage: null,
+    postMessage(command) {
+      worker.sent.push(command)
+      if (command === 'uci') worker.reply('uciok')
+      if (command === 'isready') worker.reply('readyok')
+      if (command === 'stop') worker.reply('bestmove e2e4')
+    },
+    reply(line) {
+      queueMicrotask(() => worker.onmessage({ data: line }))
+    },
+    terminate() {}
+  }
+  return worker
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('parseInfoLine', () => {
+  it('reads depth, multipv, a centipawn score and the pv', () => {
+    expect(parseInfoLine('info depth 12 seldepth 18 multipv 2 score cp -35 nodes 1200 pv e7e5 g1f3 b8c6'))
+      .toEqual({ depth: 12, multipv: 2, score: { cp: -35 }, pv: ['e7e5', 'g1f3', 'b8c6'] })
+  })
+
+  it('reads mate scores and defaults multipv to 1', () => {
+    expect(parseInfoLine('info depth 5 score mate -2 pv h7h6 d1h5'))
+      .toEqual({ depth: 5, multipv: 1, score: { mate: -2 }, pv: ['h7h6', 'd1h5'] })
+  })
+
+  it('ignores lines without a score or a pv', () => {
+    expect(parseInfoLine('info depth 1 currmove e2e4 currmovenumber 1')).toBeNull()
+    expect(parseInfoLine('info string NNUE evaluation enabled')).toBeNull()
+    expect(parseInfoLine('bestmove e2e4 ponder e7e5')).toBeNull()
+  })
+})
+
+describe('ChessEngine searches', () => {
+  it('resolves with the lines reported before bestmove, best first', async () => {
+    const worker = createFakeWorker()
+    const engine = new ChessEngine({ createWorker: () => worker })
+    const updates = []
+
+    const search = engine.analyse(START, { depth: 10, multiPv: 2, onUpdate: (lines, depth) => updates.push(depth) })
+    await flush()
+    expect(worker.sent.slice(-3)).toEqual(['setoption name MultiPV value 2', `position fen ${START}`, 'go depth 10'])
+
+    worker.reply('info depth 10 multipv 2 score cp 20 pv d2d4')
+    worker.reply('info depth 10 multipv 1 score cp 30 pv e2e4 e7e5')
+    worker.reply('bestmove e2e4')
+
+    expect(await search).toEqual({
+      bestMove: 'e2e4',
+      depth: 10,
+      lines: [
+        { multipv: 1, move: 'e2e4', score: { cp: 30 }, pv: ['e2e4', 'e7e5'] },
+        { multipv: 2, move: 'd2d4', score: { cp: 20 }, pv: ['d2d4'] }
+      ]
+    })
+    expect(updates).toEqual([10])
+  })
+
+  it('stops the running search when a new one starts', async () => {
+    const worker = createFakeWorker()
+    const engine = new ChessEngine({ createWorker: () => worker })
+
+    const first = engine.analyse(START)
+    await flush()
+    worker.reply('info depth 8 score cp 25 pv e2e4')
+    await flush()
+
+    const second = engine.analyse(AFTER_E4)
+    expect((await first).lines[0].pv).toEqual(['e2e4'])
+    expect(worker.sent).toContain('stop')
+
+    await flush()
+    expect(worker.sent.at(-1)).toBe('go depth 18')
+    expect(worker.sent.at(-2)).toBe(`position fen ${AFTER_E4}`)
+    worker.reply('info depth 18 score cp -30 pv e7e5')
+    worker.reply('bestmove e7e5')
+    expect((await second).bestMove).toBe('e7e5')
+  })
+
+  it('gives null to a search replaced before it started', async () => {
+    const worker = createFakeWorker()
+    const engine = new ChessEngine({ createWorker: () => worker })
+
+    const replaced = engine.analyse(START)
+    const latest = engine.analyse(AFTER_E4)
+
+    expect(await replaced).toBeNull()
+    await flush()
+    expect(worker.sent.filter(command => command.startsWith('position'))).toEqual([`position fen ${AFTER_E4}`])
+    worker.reply('bestmove e7e5')
+    expect((await latest).bestMove).toBe('e7e5')
+  })
+})
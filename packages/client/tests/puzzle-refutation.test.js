@@ -0,0 +1,45 @@
+/**
+ * Tests for explaining a wrong puzzle move from the engine's answer —
+ * material won over the next few plies, mates, and wrong moves that end
+ * the game themselves.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { explainRefutation } from '../src/exercises/PuzzleRefutation.js'
+
+const TRADE = '4k3/4p3/5n2/6B1/8/8/8/4K3 w - - 0 1'
+const HANGING_QUEEN = '3rk3/8/8/8/3Q4/8/P7/4K3 w - - 0 1'
+const BACK_RANK = 'r5k1/5ppp/8/8/8/8/5PPP/6K1 w - - 0 1'
+const MATE_IN_ONE = '6k1/5ppp/8/8/8/8/r4PPP/3R2K1 w - - 0 1'
+
+describe('explainRefutation', () => {
+  it('counts the wrong move\'s own capture, so an even trade wins nothing', () => {
+    const result = explainRefutation(TRADE, 'g5f6', { score: { cp: 0 }, pv: ['e7f6'] })
+    expect(result.text).toBe('After Bxf6, exf6 holds and the advantage is gone.')
+    expect(result.moves).toEqual([{ uci: 'e7f6', from: 'e7', to: 'f6', san: 'exf6', color: 'b' }])
+  })
+
+  it('names the piece the reply wins', () => {
+    const result = explainRefutation(HANGING_QUEEN, 'a2a3', { score: { cp: 850 }, pv: ['d8d4', 'e1e2'] })
+    expect(result).toMatchObject({ san: 'a3', text: 'After a3, Rxd4 wins the queen.' })
+    expect(result.moves.map(m => m.san)).toEqual(['Rxd4', 'Ke2'])
+  })
+
+  it('reports mates the wrong move allows', () => {
+    expect(explainRefutation(BACK_RANK, 'g1h1', { score: { mate: 1 }, pv: ['a8a1'] }).text)
+      .toBe('After Kh1, Ra1# is mate.')
+    expect(explainRefutation(BACK_RANK, 'g1h1', { score: { mate: 3 }, pv: ['a8a1', 'h1g1'] }).text)
+      .toBe('Kh1 allows mate in 3, starting with Ra1#.')
+  })
+
+  it('explains wrong moves that end the game or have no engine line', () => {
+    expect(explainRefutation(MATE_IN_ONE, 'd1d8', null).text)
+      .toBe('Rd8# is mate as well, but the stored solution takes a different route.')
+    expect(explainRefutation(TRADE, 'g5h6', null).text).toBe('Bh6 is not the solution.')
+  })
+
+  it('stops at the first engine move that does not play', () => {
+    const result = explainRefutation(TRADE, 'g5f6', { score: { cp: 0 }, pv: ['e7f6', 'a1a8'] })
+    expect(result.moves).toHaveLength(1)
+  })
+})
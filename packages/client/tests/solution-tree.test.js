@@ -0,0 +1,92 @@
+/**
+ * Tests for the client's solution trees — the puzzle player, create dialog
+ * and print view falling back to the main line, picking a random defence
+ * and writing the tree back with decorated moves. The shared vectors keep
+ * this copy in step with the server's.
+ */
+
+import { describe, it, expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+  parseSolutionTree,
+  parseVariations,
+  pickLine,
+  allLines,
+  hasBranches,
+  writeVariations
+} from '../src/puzzles/solutionTree.js'
+
+const vectors = JSON.parse(fs.readFileSync(
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '../../server/tests/fixtures/solution-trees.json'),
+  'utf8'
+))
+
+// Black plays Ra2; after Rd8+ Black can block with the rook or the bishop
+const TWO_DEFENCES = 'r6k/6pp/2b5/8/5r2/8/4QPPP/3R2K1 b - - 0 1'
+const MAIN_LINE = 'a8a2 d1d8 f4f8 d8f8'
+const BISHOP_LINE = ['a8a2', 'd1d8', 'c6e8', 'e2e8', 'f4f8', 'e8f8']
+const TREE = '1... Ra2 2. Rd8+ Rf8 (2... Be8 3. Qxe8+ Rf8 4. Qxf8#) 3. Rxf8#'
+
+describe('parseSolutionTree', () => {
+  it('reads stored variations whose main line is the solution', () => {
+    const tree = parseSolutionTree(TWO_DEFENCES, MAIN_LINE, TREE)
+    expect(hasBranches(tree)).toBe(true)
+    expect(allLines(tree)).toEqual([MAIN_LINE.split(' '), BISHOP_LINE])
+  })
+
+  it('falls back to the main line when the variations do not fit', () => {
+    for (const variations of [null, '1. e4 e5', 'Ra2 Rd8+ Be8 Qxe8+ Rf8 Qxf8#', 'Ra2 (']) {
+      const tree = parseSolutionTree(TWO_DEFENCES, MAIN_LINE, variations)
+      expect(hasBranches(tree)).toBe(false)
+      expect(allLines(tree)).toEqual([MAIN_LINE.split(' ')])
+    }
+  })
+
+  it('skips comments and stops the main line at an illegal move', () => {
+    expect(allLines(parseSolutionTree(TWO_DEFENCES, MAIN_LINE, `${TREE} ; from a club game`))).toHaveLength(2)
+    expect(allLines(parseSolutionTree(TWO_DEFENCES, 'a8a2 d1d8 a2a1 d8f8', null))).toEqual([['a8a2', 'd1d8']])
+  })
+})
+
+describe('pickLine', () => {
+  const tree = parseSolutionTree(TWO_DEFENCES, MAIN_LINE, TREE)
+
+  it('follows the branch the random number lands on', () => {
+    expect(pickLine(tree, () => 0)).toEqual(MAIN_LINE.split(' '))
+    expect(pickLine(tree, () => 0.99)).toEqual(BISHOP_LINE)
+  })
+
+  it('returns the only line of a tree without branches', () => {
+    expect(pickLine(parseSolutionTree(TWO_DEFENCES, MAIN_LINE, null), () => 0.99)).toEqual(MAIN_LINE.split(' '))
+    expect(pickLine([])).toEqual([])
+  })
+})
+
+describe('writeVariations', () => {
+  const tree = parseSolutionTree(TWO_DEFENCES, MAIN_LINE, TREE)
+
+  it('numbers moves and restarts the numbering after a variation', () => {
+    expect(writeVariations(TWO_DEFENCES, tree)).toBe(TREE)
+  })
+
+  it('passes every move through decorate', () => {
+    const text = writeVariations(TWO_DEFENCES, tree, { decorate: (node, text) => `<${node.uci}|${text}>` })
+    expect(text).toBe(
+      '<a8a2|1... Ra2> <d1d8|2. Rd8+> <f4f8|Rf8> (<c6e8|2... Be8> <e2e8|3. Qxe8+> <f4f8|Rf8> <e8f8|4. Qxf8#>) <d8f8|3. Rxf8#>'
+    )
+  })
+})
+
+describe('shared vectors', () => {
+  it.each(vectors.trees)('reads and writes $name like the server', ({ fen, moves, variations, lines, movetext }) => {
+    const tree = parseSolutionTree(fen, moves, variations)
+    expect(allLines(tree).map(line => line.join(' '))).toEqual(lines)
+    expect(writeVariations(fen, tree)).toBe(movetext)
+  })
+
+  it.each(vectors.errors)('refuses $text', ({ fen, text, error }) => {
+    expect(() => parseVariations(fen, text)).toThrow(error)
+  })
+})
@@ -1,6 +1,43 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
 import { defineConfig } from 'vite';
 import { VitePWA } from 'vite-plugin-pwa';
 
+const require = createRequire(import.meta.url);
+const stockfishDir = path.dirname(require.resolve('stockfish/package.json'));
+
+/**
+ * Ship the license of the bundled Stockfish engine (GPL-3.0, unlike the rest
+ * of the app) and where to get its source next to the build, in dist/stockfish
+ */
+function stockfishLicense() {
+  return {
+    name: 'stockfish-license',
+    apply: 'build',
+    generateBundle() {
+      const { version, license } = JSON.parse(fs.readFileSync(path.join(stockfishDir, 'package.json'), 'utf8'));
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'stockfish/COPYING.txt',
+        source: fs.readFileSync(path.join(stockfishDir, 'Copying.txt'), 'utf8')
+      });
+      this.emitFile({
+        type: 'asset',
+        fileName: 'stockfish/NOTICE.txt',
+        source: [
+          `The analysis engine in assets/stockfish-18-lite-single-*.js and .wasm is Stockfish.js ${version},`,
+          'a WebAssembly build of Stockfish (https://github.com/official-stockfish/Stockfish).',
+          `It is licensed under ${license} (see COPYING.txt), not under the MIT license of this app.`,
+          `Its source code is available at https://github.com/nmrugg/stockfish.js (version ${version}).`,
+          ''
+        ].join('\n')
+      });
+    }
+  };
+}
+
 export default defineConfig({
   root: '.',
   publicDir: 'public',
@@ -9,10 +46,13 @@ export default defineConfig({
     assetsDir: 'assets',
   },
   plugins: [
+    stockfishLicense(),
     VitePWA({
       registerType: 'autoUpdate',
       workbox: {
-        globPatterns: ['**/*.{js,css,html,svg}'],
+        globPatterns: ['**/*.{js,css,html,svg,wasm}'],
+        // The bundled Stockfish .wasm is about 7 MB; precache it for offline analysis
+        maximumFileSizeToCacheInBytes: 10 * 1024 * 1024,
         runtimeCaching: [
           {
             urlPattern: /^https:\/\/fonts\.googleapis\.com/,
@@ -106,9 +106,15 @@ export class DatabaseGenerator {
 
   /**
    * Generate puzzles for a specific theme
-   * @param {string} theme - Theme identifier
+   *
+   * matchMode decides how a comma-separated theme list is read:
+   * - 'any': a mix of puzzles from each theme, split evenly or by weights
+   *   (e.g. { fork: 50, pin: 30, skewer: 20 })
+   * - 'all': every puzzle carries all of the themes
+   * - 'none': no puzzle carries any of the themes
+   * @param {string} theme - Theme identifier (comma-separated for several)
    * @param {number} count - Number of puzzles
-   * @param {object} options - Filter options
+   * @param {object} options - Filter options { minRating, maxRating, minPopularity, excludeIds, opening, matchMode, weights, structure }
    */
   generatePuzzles(theme, count = 10, options = {}) {
     if (!this.initialized) {
@@ -118,9 +124,20 @@ export class DatabaseGenerator {
     const {
       minRating = 1200,
       maxRating = 2400,
-      minPopularity = 85
+      minPopularity = 85,
+      excludeIds = null,
+      opening = null,
+      matchMode = 'any',
+      weights = null,
+      structure = {}
     } = options;
 
+    const openings = opening ? [opening] : [];
+    const tagsFor = (t) => {
+      const lichessTags = this.toLichessTag(t);
+      return Array.isArray(lichessTags) ? lichessTags : [lichessTags];
+    };
+
     // Parse theme(s) — supports comma-separated multi-theme
     const themeList = theme
       ? (theme.includes(',') ? theme.split(',').map(t => t.trim()).filter(Boolean) : [theme])
@@ -128,42 +145,59 @@ export class DatabaseGenerator {
 
     let selected;
 
-    if (themeList.length > 1) {
-      // Multi-theme: distribute evenly across themes, then shuffle
-      const perTheme = Math.ceil(count / themeList.length);
+    if (matchMode === 'any' && themeList.length > 1) {
+      // Multi-theme mix: split the count across themes by weight, then shuffle
+      const quotas = this.allocateByWeight(themeList.map(t => (weights && weights[t]) || 1), count);
       const allCandidates = [];
+      const spare = [];
       const usedIds = new Set();
 
-      for (const t of themeList) {
-        const lichessTags = this.toLichessTag(t);
-        const tags = Array.isArray(lichessTags) ? lichessTags : [lichessTags];
-        let candidates = this.loader.queryPuzzles({ themes: tags, minRating, maxRating, minPopularity, limit: perTheme * 2 });
+      themeList.forEach((t, i) => {
+        if (quotas[i] === 0) return;
+        // Fetch more than the quota so short themes can be topped up from the rest
+        let candidates = this.loader.queryPuzzles({ themes: tagsFor(t), openings, structure, minRating, maxRating, minPopularity, limit: count * 2, excludeIds });
         // Deduplicate across themes
         candidates = candidates.filter(p => !usedIds.has(p.id));
-        const picked = candidates.slice(0, perTheme);
+        const picked = candidates.slice(0, quotas[i]);
         picked.forEach(p => usedIds.add(p.id));
         allCandidates.push(...picked);
+        spare.push(...candidates.slice(quotas[i]));
+      });
+
+      // Top up from the other themes if one of them ran short
+      for (const puzzle of spare) {
+        if (allCandidates.length >= count) break;
+        if (usedIds.has(puzzle.id)) continue;
+        usedIds.add(puzzle.id);
+        allCandidates.push(puzzle);
       }
+
       // Shuffle the mixed results
       selected = this.loader.shuffleArray(allCandidates).slice(0, count);
     } else {
-      // Single theme or no theme
-      let themes = [];
-      if (themeList.length === 1) {
-        const lichessTags = this.toLichessTag(themeList[0]);
-        themes = Array.isArray(lichessTags) ? lichessTags : [lichessTags];
+      // Single theme, no theme, or a require-all / none-of theme list
+      const themeFilter = { themes: [] };
+      if (matchMode === 'all') {
+        themeFilter.requireThemes = themeList.map(tagsFor);
+      } else if (matchMode === 'none') {
+        themeFilter.excludeThemes = themeList.flatMap(tagsFor);
+      } else if (themeList.length === 1) {
+        themeFilter.themes = tagsFor(themeList[0]);
       }
 
-      let candidates = this.loader.queryPuzzles({ themes, minRating, maxRating, minPopularity, limit: count * 2 });
+      let candidates = this.loader.queryPuzzles({ ...themeFilter, openings, structure, minRating, maxRating, minPopularity, limit: count * 2, excludeIds });
 
       // Relax criteria if not enough puzzles
       if (candidates.length < count) {
         candidates = this.loader.queryPuzzles({
-          themes,
+          ...themeFilter,
+          openings,
+          structure,
           minRating: minRating - 200,
           maxRating: maxRating + 200,
           minPopularity: Math.max(70, minPopularity - 15),
-          limit: count * 2
+          limit: count * 2,
+          excludeIds
         });
       }
 
@@ -187,12 +221,40 @@ export class DatabaseGenerator {
         rating: puzzle.rating,
         popularity: puzzle.popularity,
         themes: puzzle.themes,
+        openings: puzzle.openings,
+        material: puzzle.material,
         mateIn: this.detectMateIn(puzzle.themes, puzzle.moves),
         gameUrl: puzzle.gameUrl
       };
     });
   }
 
+  /**
+   * Split a puzzle count across themes in proportion to their weights.
+   * Leftover puzzles from rounding go to the largest remainders.
+   * @param {number[]} weights - Positive weight per theme
+   * @param {number} count - Total puzzles
+   * @returns {number[]} - Puzzle count per theme, summing to count
+   */
+  allocateByWeight(weights, count) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const exact = weights.map(w => (w / total) * count);
+    const quotas = exact.map(Math.floor);
+    let remaining = count - quotas.reduce((sum, q) => sum + q, 0);
+
+    exact
+      .map((value, i) => ({ i, fraction: value - quotas[i] }))
+      .sort((a, b) => b.fraction - a.fraction || a.i - b.i)
+      .forEach(({ i }) => {
+        if (remaining > 0) {
+          quotas[i]++;
+          remaining--;
+        }
+      });
+
+    return quotas;
+  }
+
   /**
    * Convert UCI move to SAN notation
    */
@@ -298,6 +360,17 @@ export class DatabaseGenerator {
     return rows.map(row => row.lichess_tag);
   }
 
+  /**
+   * Get opening families and variations with puzzle counts
+   */
+  getOpenings() {
+    if (!this.initialized || !database.isReady()) {
+      return [];
+    }
+
+    return this.loader.getOpenings();
+  }
+
   /**
    * Get themes grouped by category
    */
@@ -325,6 +398,18 @@ export class DatabaseGenerator {
     return { categories, themes };
   }
 
+  /**
+   * Reload the in-memory puzzle indexes from the database
+   * @returns {{ success: boolean, data?: { themes: number, openings: number }, error?: string }}
+   */
+  reloadIndexes() {
+    if (!this.initialized || !database.isReady()) {
+      return { success: false, error: 'Database not loaded' };
+    }
+
+    return { success: true, data: database.reloadIndexes() };
+  }
+
   /**
    * Get database statistics
    */
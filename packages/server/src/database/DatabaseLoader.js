@@ -6,12 +6,18 @@
  */
 
 import { database } from './SqliteDatabase.js';
+import { puzzleResolver } from '../puzzles/PuzzleResolver.js';
+
+// Theme matches up to this many are checked against the position filters by ID
+const MAX_STRUCTURE_LOOKUP_IDS = 5000;
+const STRUCTURE_LOOKUP_BATCH = 500;
 
 export class DatabaseLoader {
   constructor() {
     this.db = database;
     this.loaded = false;
     this.blockedIds = new Set();
+    this._openings = null;  // getOpenings result for the current opening index
   }
 
   /**
@@ -41,52 +47,83 @@ export class DatabaseLoader {
 
   /**
    * Query puzzles with filters (uses fast in-memory theme index)
+   *
+   * themes matches puzzles carrying any of the tags. requireThemes is a list
+   * of tag groups and matches puzzles carrying a tag from every group (e.g.
+   * [['fork', 'knightfork'], ['endgame']]). excludeThemes drops puzzles
+   * carrying any of the tags. structure filters on the precomputed position
+   * columns (see PositionFeatures.validateStructureFilters).
    * @param {object} options - Query options
    * @returns {array} - Array of puzzle objects
    */
   queryPuzzles({
     themes = [],
+    requireThemes = [],
+    excludeThemes = [],
+    openings = [],
+    structure = {},
     minRating = 0,
     maxRating = 5000,
     minPopularity = 0,
     limit = 100,
-    excludeBlocked = true
+    excludeBlocked = true,
+    excludeIds = null
   } = {}) {
     if (!this.isLoaded()) {
       throw new Error('Database not loaded');
     }
 
+    const filters = { minRating, maxRating, minPopularity };
+    const themeIds = tags => this._collectIds(tags, tag => this.db.getPuzzleIdsByTheme(tag, filters));
+    const structureSql = this._structureConditions(structure);
     let puzzleIds = [];
 
-    if (themes.length > 0 && this.db.themeIndex) {
-      // Use fast in-memory index
-      const idSets = themes.map(theme =>
-        new Set(this.db.getPuzzleIdsByTheme(theme, { minRating, maxRating, minPopularity }))
-      );
+    const themeGroups = themes.length > 0 ? [themes, ...requireThemes] : requireThemes;
+    const openingIds = openings.length > 0
+      ? this._collectIds(openings, tag => this.db.getPuzzleIdsByOpening(tag, filters))
+      : null;
+
+    if ((themeGroups.length > 0 && this.db.themeIndex) || openingIds) {
+      // Use fast in-memory indexes: walk the smallest match set and keep IDs
+      // found in every other one
+      const idSets = this.db.themeIndex ? themeGroups.map(themeIds) : [];
+      if (openingIds) idSets.push(openingIds);
+      const [smallest, ...rest] = idSets.sort((a, b) => a.size - b.size);
+      puzzleIds = Array.from(smallest).filter(id => rest.every(idSet => idSet.has(id)));
 
-      // Union of all theme matches
-      const allIds = new Set();
-      for (const idSet of idSets) {
-        for (const id of idSet) {
-          allIds.add(id);
-        }
+      // Keep only puzzles matching the position filters (indexed columns)
+      if (structureSql.where.length > 0) {
+        const structureIds = this._structureMatches(puzzleIds, structureSql, filters);
+        puzzleIds = puzzleIds.filter(id => structureIds.has(id));
       }
-      puzzleIds = Array.from(allIds);
     } else {
-      // No theme filter or no index - use SQL (slower fallback)
+      // No theme or opening filter, or no index - use SQL (slower fallback)
       const rows = this.db.query(`
         SELECT id FROM puzzles
         WHERE rating BETWEEN ? AND ?
           AND popularity >= ?
-      `, [minRating, maxRating, minPopularity]);
+          AND ${this.db.availablePuzzleCondition()}
+          ${structureSql.where.map(condition => `AND ${condition}`).join(' ')}
+      `, [minRating, maxRating, minPopularity, ...structureSql.params]);
       puzzleIds = rows.map(r => r.id);
     }
 
+    // Drop puzzles carrying any excluded theme
+    if (excludeThemes.length > 0 && this.db.themeIndex) {
+      const excluded = themeIds(excludeThemes);
+      puzzleIds = puzzleIds.filter(id => !excluded.has(id));
+    }
+
     // Filter out blocked puzzles
     if (excludeBlocked && this.blockedIds.size > 0) {
       puzzleIds = puzzleIds.filter(id => !this.blockedIds.has(id));
     }
 
+    // Filter out caller-supplied IDs (e.g. puzzles a student has already seen)
+    if (excludeIds && excludeIds.size > 0) {
+      puzzleIds = puzzleIds.filter(id => !excludeIds.has(id));
+    }
+
     if (puzzleIds.length === 0) {
       return [];
     }
@@ -94,8 +131,8 @@ export class DatabaseLoader {
     // Random sample
     const sampled = this.randomSample(puzzleIds, limit);
 
-    // Fetch full puzzle data for sampled IDs
-    const rows = this.db.getPuzzlesByIds(sampled);
+    // Fetch full puzzle data for sampled IDs, with admin edits applied
+    const rows = puzzleResolver.resolve(this.db.getPuzzlesByIds(sampled));
 
     // Shuffle for randomness
     const shuffled = this.shuffleArray(rows);
@@ -103,6 +140,80 @@ export class DatabaseLoader {
     return shuffled.map(row => this.parsePuzzle(row));
   }
 
+  /**
+   * SQL conditions for the structural position filters
+   * @param {object} structure - { material, sideToMove, minPieces, maxPieces, minSolutionMoves, maxSolutionMoves, mateIn }
+   * @returns {{ where: string[], params: array }}
+   */
+  _structureConditions(structure) {
+    const where = [];
+    const params = [];
+    const add = (condition, value) => {
+      if (value === undefined || value === null) return;
+      where.push(condition);
+      params.push(value);
+    };
+
+    add('material = ?', structure.material);
+    add('side_to_move = ?', structure.sideToMove);
+    add('piece_count >= ?', structure.minPieces);
+    add('piece_count <= ?', structure.maxPieces);
+    add('solution_length >= ?', structure.minSolutionMoves);
+    add('solution_length <= ?', structure.maxSolutionMoves);
+    add('mate_in = ?', structure.mateIn);
+
+    return { where, params };
+  }
+
+  /**
+   * Which of the theme matches also match the position filters. Small match
+   * sets are looked up by ID; larger ones against the puzzles inside the same
+   * rating and popularity bounds.
+   * @param {string[]} ids - Candidate puzzle IDs
+   * @param {{ where: string[], params: array }} structureSql - From _structureConditions
+   * @param {object} filters - { minRating, maxRating, minPopularity }
+   * @returns {Set<string>}
+   */
+  _structureMatches(ids, structureSql, { minRating, maxRating, minPopularity }) {
+    const conditions = structureSql.where.join(' AND ');
+
+    if (ids.length > MAX_STRUCTURE_LOOKUP_IDS) {
+      const rows = this.db.query(
+        `SELECT id FROM puzzles
+         WHERE rating BETWEEN ? AND ? AND popularity >= ? AND ${conditions}`,
+        [minRating, maxRating, minPopularity, ...structureSql.params]
+      );
+      return new Set(rows.map(r => r.id));
+    }
+
+    const matches = new Set();
+    for (let i = 0; i < ids.length; i += STRUCTURE_LOOKUP_BATCH) {
+      const batch = ids.slice(i, i + STRUCTURE_LOOKUP_BATCH);
+      const rows = this.db.query(
+        `SELECT id FROM puzzles WHERE id IN (${batch.map(() => '?').join(',')}) AND ${conditions}`,
+        [...batch, ...structureSql.params]
+      );
+      rows.forEach(r => matches.add(r.id));
+    }
+    return matches;
+  }
+
+  /**
+   * Union of the puzzle IDs an index lookup returns for each tag
+   * @param {string[]} tags - Index keys
+   * @param {Function} lookup - tag => array of puzzle IDs
+   * @returns {Set<string>}
+   */
+  _collectIds(tags, lookup) {
+    const ids = new Set();
+    for (const tag of tags) {
+      for (const id of lookup(tag)) {
+        ids.add(id);
+      }
+    }
+    return ids;
+  }
+
   /**
    * Get random sample from array (efficient)
    */
@@ -143,6 +254,7 @@ export class DatabaseLoader {
   parsePuzzle(row) {
     const moves = row.moves ? row.moves.split(' ') : [];
     const themes = row.themes ? row.themes.split(',').filter(t => t) : [];
+    const openings = row.opening_tags ? row.opening_tags.split(' ').filter(t => t) : [];
 
     return {
       id: row.id,
@@ -156,6 +268,8 @@ export class DatabaseLoader {
       popularity: row.popularity || 0,
       nbPlays: row.nb_plays || 0,
       themes: themes,
+      openings: openings,
+      material: row.material || null,
       gameUrl: row.game_url || ''
     };
   }
@@ -178,6 +292,53 @@ export class DatabaseLoader {
     return Array.from(this.db.themeIndex.keys());
   }
 
+  /**
+   * Get opening families with their variations from the opening index.
+   * Lichess variation tags are prefixed with their family tag, so a tag that
+   * extends another tag is listed as a variation of it.
+   * @returns {array} - [{ tag, name, count, variations: [{ tag, name, count }] }]
+   */
+  getOpenings() {
+    if (!this.db.openingIndex) return [];
+
+    // The list only changes when the index is rebuilt
+    if (this._openings && this._openings.index === this.db.openingIndex) {
+      return this._openings.result;
+    }
+
+    const tags = Array.from(this.db.openingIndex.keys()).sort((a, b) => a.length - b.length);
+    const families = new Map();
+
+    for (const tag of tags) {
+      const entry = {
+        tag,
+        name: tag.replace(/_/g, ' '),
+        count: this.db.openingIndex.get(tag).length
+      };
+
+      // Shortest family first, matching whole words of the tag
+      const words = tag.split('_');
+      let family = null;
+      for (let n = 1; n < words.length && !family; n++) {
+        const prefix = words.slice(0, n).join('_');
+        if (families.has(prefix)) family = prefix;
+      }
+
+      if (family) {
+        families.get(family).variations.push(entry);
+      } else {
+        families.set(tag, { ...entry, variations: [] });
+      }
+    }
+
+    const byCount = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+    const result = Array.from(families.values()).sort(byCount);
+    result.forEach(family => family.variations.sort(byCount));
+
+    this._openings = { index: this.db.openingIndex, result };
+    return result;
+  }
+
   /**
    * Get statistics about themes
    * @returns {object} - Stats object
@@ -0,0 +1,260 @@
+/**
+ * DatabaseUpdater.js
+ * Refresh the Lichess puzzles in a live database from a newer CSV dump
+ *
+ * Unlike the build scripts this never recreates the file: custom puzzles,
+ * reports, modifications, revisions and exercise tables are left alone.
+ * Lichess rows are upserted, new puzzles inserted, and puzzles missing from
+ * the dump flagged with removed_upstream. Puzzles an admin has edited
+ * (puzzle_revisions) keep their local FEN, moves, themes, rating and game
+ * URL; only the play statistics are taken from the dump.
+ *
+ * Works on a raw better-sqlite3 connection, like the migrations, so the
+ * refresh script can run it without starting the server. Rows are fed in
+ * batches by the caller (see scripts/update-sqlite-db.js).
+ */
+
+import { computePositionFeatures } from '../shared/PositionFeatures.js';
+import { computePositionKeys } from '../shared/PositionKey.js';
+
+// Fields an admin edit owns once a puzzle has revisions
+const CONTENT_FIELDS = ['fen', 'moves', 'themes', 'rating', 'game_url'];
+
+// Fields always refreshed from the dump
+const STAT_FIELDS = ['rating_deviation', 'popularity', 'nb_plays', 'opening_tags'];
+
+/**
+ * Convert a Lichess CSV row (parsed with headers) to a puzzle
+ * @param {object} row - { PuzzleId, FEN, Moves, Rating, RatingDeviation, Popularity, NbPlays, Themes, GameUrl, OpeningTags }
+ * @returns {object|null} - Puzzle with stored column names, or null if the row is incomplete
+ */
+export function parseLichessRow(row) {
+  if (!row.PuzzleId || !row.FEN || !row.Moves) {
+    return null;
+  }
+
+  return {
+    id: row.PuzzleId,
+    fen: row.FEN,
+    moves: row.Moves,
+    rating: parseInt(row.Rating) || 1500,
+    rating_deviation: parseInt(row.RatingDeviation) || 0,
+    popularity: parseInt(row.Popularity) || 0,
+    nb_plays: parseInt(row.NbPlays) || 0,
+    themes: (row.Themes || '').trim().split(' ').filter(t => t).map(t => t.toLowerCase()).join(','),
+    game_url: row.GameUrl || '',
+    opening_tags: row.OpeningTags || ''
+  };
+}
+
+export class DatabaseUpdater {
+  /**
+   * @param {Database} db - better-sqlite3 connection, migrated to at least 018
+   */
+  constructor(db) {
+    this.db = db;
+    this.summary = {
+      processed: 0,
+      added: 0,
+      updated: 0,
+      unchanged: 0,
+      restored: 0,
+      removed: 0,
+      keptLocalEdits: 0,
+      skippedCustom: 0,
+      changes: { rating: 0, popularity: 0, themes: 0, position: 0 }
+    };
+
+    // IDs seen in the dump, to find puzzles removed upstream at the end
+    this.db.exec('CREATE TEMP TABLE IF NOT EXISTS refresh_seen (id TEXT PRIMARY KEY)');
+    this.db.exec('DELETE FROM temp.refresh_seen');
+
+    this.statements = {
+      select: this.db.prepare(`
+        SELECT id, fen, moves, rating, rating_deviation, popularity, nb_plays,
+               themes, game_url, opening_tags, source, removed_upstream
+        FROM puzzles WHERE id = ?
+      `),
+      edited: this._hasTable('puzzle_revisions')
+        ? this.db.prepare('SELECT 1 FROM puzzle_revisions WHERE puzzle_id = ? LIMIT 1')
+        : null,
+      insert: this.db.prepare(`
+        INSERT INTO puzzles (
+          id, fen, moves, rating, rating_deviation, popularity, nb_plays,
+          themes, game_url, opening_tags, source,
+          material, side_to_move, piece_count, solution_length, mate_in,
+          position_key, mirror_key
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'lichess', ?, ?, ?, ?, ?, ?, ?)
+      `),
+      update: this.db.prepare(`
+        UPDATE puzzles SET
+          fen = ?, moves = ?, rating = ?, rating_deviation = ?, popularity = ?, nb_plays = ?,
+          themes = ?, game_url = ?, opening_tags = ?, removed_upstream = 0
+        WHERE id = ?
+      `),
+      updateFeatures: this.db.prepare(`
+        UPDATE puzzles SET
+          material = ?, side_to_move = ?, piece_count = ?, solution_length = ?, mate_in = ?,
+          position_key = ?, mirror_key = ?
+        WHERE id = ?
+      `),
+      seen: this.db.prepare('INSERT OR IGNORE INTO temp.refresh_seen (id) VALUES (?)')
+    };
+
+    this._applyRows = this.db.transaction(rows => rows.forEach(row => this.applyRow(row)));
+  }
+
+  /**
+   * Upsert a batch of puzzles in one transaction
+   * @param {object[]} puzzles - From parseLichessRow
+   */
+  applyBatch(puzzles) {
+    this._applyRows(puzzles);
+  }
+
+  /**
+   * Upsert one puzzle from the dump
+   * @param {object} puzzle - From parseLichessRow
+   */
+  applyRow(puzzle) {
+    const { statements, summary } = this;
+    summary.processed++;
+    statements.seen.run(puzzle.id);
+
+    const existing = statements.select.get(puzzle.id);
+
+    if (!existing) {
+      const features = computePositionFeatures(puzzle.fen, puzzle.moves, puzzle.themes) || {};
+      const keys = computePositionKeys(puzzle.fen, puzzle.moves) || {};
+      statements.insert.run(
+        puzzle.id, puzzle.fen, puzzle.moves, puzzle.rating, puzzle.rating_deviation,
+        puzzle.popularity, puzzle.nb_plays, puzzle.themes, puzzle.game_url, puzzle.opening_tags,
+        features.material ?? null, features.sideToMove ?? null, features.pieceCount ?? null,
+        features.solutionLength ?? null, features.mateIn ?? null,
+        keys.positionKey ?? null, keys.mirrorKey ?? null
+      );
+      summary.added++;
+      return;
+    }
+
+    // A custom puzzle that happens to use a Lichess ID is never overwritten
+    if (existing.source && existing.source !== 'lichess') {
+      summary.skippedCustom++;
+      return;
+    }
+
+    const next = { ...existing };
+    for (const field of STAT_FIELDS) next[field] = puzzle[field];
+
+    const edited = statements.edited && statements.edited.get(puzzle.id);
+    if (edited) {
+      if (CONTENT_FIELDS.some(field => (existing[field] ?? '') !== puzzle[field])) {
+        summary.keptLocalEdits++;
+      }
+    } else {
+      for (const field of CONTENT_FIELDS) next[field] = puzzle[field];
+    }
+
+    const changed = [...CONTENT_FIELDS, ...STAT_FIELDS].filter(field => (existing[field] ?? '') !== next[field]);
+    const restored = existing.removed_upstream === 1;
+
+    if (changed.length === 0 && !restored) {
+      summary.unchanged++;
+      return;
+    }
+
+    statements.update.run(
+      next.fen, next.moves, next.rating, next.rating_deviation, next.popularity, next.nb_plays,
+      next.themes, next.game_url, next.opening_tags, puzzle.id
+    );
+
+    const positionChanged = changed.includes('fen') || changed.includes('moves');
+    if (positionChanged || changed.includes('themes')) {
+      const features = computePositionFeatures(next.fen, next.moves, next.themes) || {};
+      const keys = computePositionKeys(next.fen, next.moves) || {};
+      statements.updateFeatures.run(
+        features.material ?? null, features.sideToMove ?? null, features.pieceCount ?? null,
+        features.solutionLength ?? null, features.mateIn ?? null,
+        keys.positionKey ?? null, keys.mirrorKey ?? null, puzzle.id
+      );
+    }
+
+    if (changed.length > 0) summary.updated++;
+    if (restored) summary.restored++;
+    if (changed.includes('rating')) summary.changes.rating++;
+    if (changed.includes('popularity')) summary.changes.popularity++;
+    if (changed.includes('themes')) summary.changes.themes++;
+    if (positionChanged) summary.changes.position++;
+  }
+
+  /**
+   * Flag puzzles missing from the dump and recount themes.puzzle_count
+   * @param {object} options - { markRemoved } false when only part of the dump was read
+   * @returns {object} - The change summary
+   */
+  finish({ markRemoved = true } = {}) {
+    if (markRemoved) {
+      const result = this.db.prepare(`
+        UPDATE puzzles SET removed_upstream = 1
+        WHERE COALESCE(source, 'lichess') = 'lichess'
+          AND removed_upstream = 0
+          AND id NOT IN (SELECT id FROM temp.refresh_seen)
+      `).run();
+      this.summary.removed = result.changes;
+    }
+
+    this.updateThemeCounts();
+    this.db.exec('DROP TABLE IF EXISTS temp.refresh_seen');
+
+    return this.summary;
+  }
+
+  /**
+   * Recount puzzles per theme, leaving out puzzles removed upstream
+   */
+  updateThemeCounts() {
+    if (!this._hasTable('themes')) return;
+
+    const counts = new Map();
+    const rows = this.db.prepare('SELECT themes FROM puzzles WHERE removed_upstream = 0').iterate();
+    for (const row of rows) {
+      for (const theme of (row.themes || '').split(',')) {
+        if (theme) counts.set(theme, (counts.get(theme) || 0) + 1);
+      }
+    }
+
+    const update = this.db.prepare('UPDATE themes SET puzzle_count = ? WHERE lichess_tag = ?');
+    const tags = this.db.prepare('SELECT lichess_tag FROM themes').all();
+    this.db.transaction(() => {
+      for (const { lichess_tag: tag } of tags) {
+        update.run(counts.get(tag) || 0, tag);
+      }
+    })();
+  }
+
+  _hasTable(name) {
+    return !!this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+  }
+}
+
+/**
+ * Format a change summary for the console
+ * @param {object} summary - From DatabaseUpdater.finish
+ * @returns {string[]}
+ */
+export function formatSummary(summary) {
+  return [
+    `  Rows read:          ${summary.processed.toLocaleString()}`,
+    `  Added:              ${summary.added.toLocaleString()}`,
+    `  Updated:            ${summary.updated.toLocaleString()}`,
+    `    rating:           ${summary.changes.rating.toLocaleString()}`,
+    `    popularity:       ${summary.changes.popularity.toLocaleString()}`,
+    `    themes:           ${summary.changes.themes.toLocaleString()}`,
+    `    FEN/moves:        ${summary.changes.position.toLocaleString()}`,
+    `  Unchanged:          ${summary.unchanged.toLocaleString()}`,
+    `  Removed upstream:   ${summary.removed.toLocaleString()}`,
+    `  Back upstream:      ${summary.restored.toLocaleString()}`,
+    `  Kept local edits:   ${summary.keptLocalEdits.toLocaleString()}`,
+    `  Skipped (custom):   ${summary.skippedCustom.toLocaleString()}`
+  ];
+}
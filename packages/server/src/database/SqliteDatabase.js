@@ -18,6 +18,8 @@ export class SqliteDatabase {
     this.db = null;
     this.initialized = false;
     this.themeIndex = null;  // In-memory theme -> puzzle IDs index for fast lookups
+    this.openingIndex = null;  // In-memory opening tag -> puzzle IDs index
+    this.hasUpstreamStatus = null;  // Whether puzzles has removed_upstream (see detectColumns)
   }
 
   /**
@@ -42,8 +44,9 @@ export class SqliteDatabase {
 
       this.initialized = true;
 
-      // Build theme index for fast lookups
+      // Build theme and opening indexes for fast lookups
       this.buildThemeIndex();
+      this.buildOpeningIndex();
 
     } catch (error) {
       throw new Error(`Failed to initialize database: ${error.message}`);
@@ -57,7 +60,7 @@ export class SqliteDatabase {
   buildThemeIndex() {
     this.themeIndex = new Map();
 
-    const stmt = this.db.prepare('SELECT id, themes, rating, popularity FROM puzzles');
+    const stmt = this.db.prepare(`SELECT id, themes, rating, popularity FROM puzzles WHERE ${this.availablePuzzleCondition()}`);
     const rows = stmt.all();
 
     for (const row of rows) {
@@ -75,6 +78,72 @@ export class SqliteDatabase {
     }
   }
 
+  /**
+   * Build in-memory opening index from the Lichess OpeningTags column
+   * Maps opening tag -> array of { id, rating, popularity }. The first tag of a
+   * puzzle is the opening family (e.g. Italian_Game), any further tags are its
+   * variations (e.g. Italian_Game_Two_Knights_Defense).
+   */
+  buildOpeningIndex() {
+    this.openingIndex = new Map();
+
+    const columns = this.db.prepare('PRAGMA table_info(puzzles)').all();
+    if (!columns.some(col => col.name === 'opening_tags')) return;
+
+    const stmt = this.db.prepare(`
+      SELECT id, opening_tags, rating, popularity FROM puzzles
+      WHERE opening_tags IS NOT NULL AND opening_tags != ''
+        AND ${this.availablePuzzleCondition()}
+    `);
+
+    for (const row of stmt.all()) {
+      const tags = row.opening_tags.split(' ').filter(Boolean);
+      for (const tag of tags) {
+        if (!this.openingIndex.has(tag)) {
+          this.openingIndex.set(tag, []);
+        }
+        this.openingIndex.get(tag).push({
+          id: row.id,
+          rating: row.rating,
+          popularity: row.popularity
+        });
+      }
+    }
+  }
+
+  /**
+   * SQL condition leaving out puzzles a Lichess refresh flagged as removed
+   * upstream (always true on databases without the removed_upstream column)
+   * @returns {string}
+   */
+  availablePuzzleCondition() {
+    if (this.hasUpstreamStatus === null) {
+      this.detectColumns();
+    }
+    return this.hasUpstreamStatus ? 'removed_upstream = 0' : '1 = 1';
+  }
+
+  /**
+   * Look up which optional puzzle columns exist. Runs on first use; call it
+   * again after migrations that add one.
+   */
+  detectColumns() {
+    const columns = this.db.prepare('PRAGMA table_info(puzzles)').all();
+    this.hasUpstreamStatus = columns.some(col => col.name === 'removed_upstream');
+  }
+
+  /**
+   * Rebuild the theme and opening indexes after the puzzles table was changed
+   * outside the server (npm run update:db)
+   * @returns {{ themes: number, openings: number }} - Number of indexed tags
+   */
+  reloadIndexes() {
+    this.detectColumns();
+    this.buildThemeIndex();
+    this.buildOpeningIndex();
+    return { themes: this.themeIndex.size, openings: this.openingIndex.size };
+  }
+
   /**
    * Add a puzzle to the theme index (for newly created puzzles)
    * @param {string} id - Puzzle ID
@@ -94,6 +163,28 @@ export class SqliteDatabase {
     }
   }
 
+  /**
+   * Remove a puzzle from the theme index (before re-adding an edited puzzle)
+   * @param {string} id - Puzzle ID
+   * @param {string} themesStr - Comma-separated themes the puzzle was indexed under
+   */
+  removeFromThemeIndex(id, themesStr) {
+    if (!this.themeIndex) return;
+
+    const themes = themesStr ? themesStr.split(',') : [];
+    for (const theme of themes) {
+      const entries = this.themeIndex.get(theme);
+      if (!entries) continue;
+
+      const remaining = entries.filter(p => p.id !== id);
+      if (remaining.length > 0) {
+        this.themeIndex.set(theme, remaining);
+      } else {
+        this.themeIndex.delete(theme);
+      }
+    }
+  }
+
   /**
    * Get puzzle IDs for a theme (fast, uses in-memory index)
    */
@@ -106,6 +197,18 @@ export class SqliteDatabase {
       .map(p => p.id);
   }
 
+  /**
+   * Get puzzle IDs for an opening family or variation tag (uses in-memory index)
+   */
+  getPuzzleIdsByOpening(tag, { minRating = 0, maxRating = 5000, minPopularity = 0 } = {}) {
+    if (!this.openingIndex) return [];
+
+    const puzzles = this.openingIndex.get(tag) || [];
+    return puzzles
+      .filter(p => p.rating >= minRating && p.rating <= maxRating && p.popularity >= minPopularity)
+      .map(p => p.id);
+  }
+
   /**
    * Get puzzles by IDs (batch fetch)
    */
@@ -171,6 +274,19 @@ export class SqliteDatabase {
     return stmt.run(...params);
   }
 
+  /**
+   * Run a function inside one transaction; it is rolled back if the function throws
+   * @param {Function} fn - Work to do
+   * @returns {*} - What fn returns
+   */
+  transaction(fn) {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    return this.db.transaction(fn)();
+  }
+
   /**
    * Execute multiple SQL statements
    * @param {string} sql - SQL statements (can be multiple separated by ;)
@@ -198,6 +314,7 @@ export class SqliteDatabase {
       this.db.close();
       this.db = null;
       this.initialized = false;
+      this.hasUpstreamStatus = null;
     }
   }
 }
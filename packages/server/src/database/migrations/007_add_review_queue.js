@@ -0,0 +1,51 @@
+/**
+ * Migration: Add spaced-repetition review queue tables
+ * - review_items: Per-student puzzles scheduled for review (SM-2 state)
+ * - review_log: History of every review a student completed
+ */
+
+export function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS review_items (
+      id TEXT PRIMARY KEY,
+      student_id TEXT NOT NULL,
+      puzzle_id TEXT NOT NULL,
+      source_student_exercise_id TEXT,
+      reason TEXT NOT NULL DEFAULT 'missed',
+      ease_factor REAL NOT NULL DEFAULT 2.5,
+      interval_days INTEGER NOT NULL DEFAULT 0,
+      repetitions INTEGER NOT NULL DEFAULT 0,
+      lapses INTEGER NOT NULL DEFAULT 0,
+      due_at TEXT NOT NULL,
+      last_reviewed_at TEXT,
+      last_quality INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (student_id, puzzle_id),
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+    );
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS review_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      review_item_id TEXT NOT NULL,
+      quality INTEGER NOT NULL,
+      interval_days INTEGER NOT NULL,
+      ease_factor REAL NOT NULL,
+      reviewed_at TEXT NOT NULL,
+      FOREIGN KEY (review_item_id) REFERENCES review_items(id) ON DELETE CASCADE
+    );
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_review_items_student_due ON review_items(student_id, due_at);
+    CREATE INDEX IF NOT EXISTS idx_review_log_item ON review_log(review_item_id);
+  `);
+}
+
+export function rollback(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS review_log;
+    DROP TABLE IF EXISTS review_items;
+  `);
+}
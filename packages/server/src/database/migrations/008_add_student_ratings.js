@@ -0,0 +1,49 @@
+/**
+ * Migration: Add per-student puzzle ratings (Glicko-2)
+ * - student_ratings: Current rating, deviation and volatility per student
+ * - student_rating_history: One row per rated puzzle result
+ */
+
+export function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS student_ratings (
+      student_id TEXT PRIMARY KEY,
+      rating REAL NOT NULL DEFAULT 1500,
+      rating_deviation REAL NOT NULL DEFAULT 350,
+      volatility REAL NOT NULL DEFAULT 0.06,
+      games INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+    );
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS student_rating_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id TEXT NOT NULL,
+      student_exercise_id TEXT NOT NULL,
+      puzzle_id TEXT NOT NULL,
+      puzzle_rating INTEGER NOT NULL,
+      result INTEGER NOT NULL,
+      rating_before REAL NOT NULL,
+      rating_after REAL NOT NULL,
+      rd_before REAL NOT NULL,
+      rd_after REAL NOT NULL,
+      volatility REAL NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE (student_exercise_id, puzzle_id),
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+    );
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_rating_history_student ON student_rating_history(student_id, id);
+  `);
+}
+
+export function rollback(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS student_rating_history;
+    DROP TABLE IF EXISTS student_ratings;
+  `);
+}
@@ -0,0 +1,50 @@
+/**
+ * Migration: Add recurring exercise schedules
+ * - exercise_schedules: Saved generation settings, target students and run weekday
+ * - exercise_schedule_runs: One row per attempted run, linking to the created exercise
+ */
+
+export function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS exercise_schedules (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      themes TEXT,
+      min_rating INTEGER NOT NULL DEFAULT 1000,
+      max_rating INTEGER NOT NULL DEFAULT 3000,
+      puzzle_count INTEGER NOT NULL DEFAULT 10,
+      student_ids TEXT NOT NULL,
+      weekday INTEGER NOT NULL DEFAULT 1 CHECK (weekday BETWEEN 0 AND 6),
+      exclude_seen INTEGER NOT NULL DEFAULT 1,
+      active INTEGER NOT NULL DEFAULT 1,
+      starts_on TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS exercise_schedule_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      schedule_id TEXT NOT NULL,
+      week_start TEXT NOT NULL,
+      exercise_id TEXT,
+      status TEXT NOT NULL CHECK (status IN ('created', 'failed')),
+      error TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (schedule_id) REFERENCES exercise_schedules(id) ON DELETE CASCADE,
+      FOREIGN KEY (exercise_id) REFERENCES weekly_exercises(id) ON DELETE SET NULL
+    );
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule ON exercise_schedule_runs(schedule_id, week_start);
+  `);
+}
+
+export function rollback(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS exercise_schedule_runs;
+    DROP TABLE IF EXISTS exercise_schedules;
+  `);
+}
@@ -0,0 +1,48 @@
+/**
+ * Migration: Add due dates and late tracking to student_exercises
+ * - due_at: Deadline for the assignment (ISO timestamp), defaults to the end of week_end
+ * - submitted_at: When the student last saved an attempt or uploaded answers
+ * - is_late: 1 if that submission came after due_at
+ */
+
+export function migrate(db) {
+  const tableInfo = db.prepare('PRAGMA table_info(student_exercises)').all();
+  const columns = new Set(tableInfo.map(col => col.name));
+
+  if (!columns.has('due_at')) {
+    db.exec('ALTER TABLE student_exercises ADD COLUMN due_at TEXT');
+    console.log('   Added due_at column');
+  }
+
+  if (!columns.has('submitted_at')) {
+    db.exec('ALTER TABLE student_exercises ADD COLUMN submitted_at TEXT');
+    console.log('   Added submitted_at column');
+  }
+
+  if (!columns.has('is_late')) {
+    db.exec('ALTER TABLE student_exercises ADD COLUMN is_late INTEGER DEFAULT 0');
+    console.log('   Added is_late column');
+  }
+
+  // Existing assignments were due at the end of their exercise week
+  const rows = db.prepare(`
+    SELECT se.id, we.week_end
+    FROM student_exercises se
+    JOIN weekly_exercises we ON se.exercise_id = we.id
+    WHERE se.due_at IS NULL
+  `).all();
+
+  const update = db.prepare('UPDATE student_exercises SET due_at = ? WHERE id = ?');
+  for (const row of rows) {
+    const [y, m, d] = row.week_end.split('-').map(Number);
+    update.run(new Date(y, m - 1, d, 23, 59, 59, 999).toISOString(), row.id);
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_student_exercises_due ON student_exercises(due_at);
+  `);
+}
+
+export function rollback(db) {
+  // SQLite doesn't support DROP COLUMN directly
+}
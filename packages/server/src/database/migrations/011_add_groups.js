@@ -0,0 +1,56 @@
+/**
+ * Migration: Add student groups (classes)
+ * - groups: Named set of students, e.g. a weekly class
+ * - group_members: Group membership
+ * - group_exercises: Exercises assigned to a whole group; backfill = 1 also assigns
+ *   the exercise to students who join the group later
+ */
+
+export function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS groups (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS group_members (
+      group_id TEXT NOT NULL,
+      student_id TEXT NOT NULL,
+      joined_at TEXT NOT NULL,
+      PRIMARY KEY (group_id, student_id),
+      FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+    );
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS group_exercises (
+      group_id TEXT NOT NULL,
+      exercise_id TEXT NOT NULL,
+      backfill INTEGER NOT NULL DEFAULT 0,
+      due_at TEXT,
+      assigned_at TEXT NOT NULL,
+      PRIMARY KEY (group_id, exercise_id),
+      FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE,
+      FOREIGN KEY (exercise_id) REFERENCES weekly_exercises(id) ON DELETE CASCADE
+    );
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_group_members_student ON group_members(student_id);
+    CREATE INDEX IF NOT EXISTS idx_group_exercises_exercise ON group_exercises(exercise_id);
+  `);
+}
+
+export function rollback(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS group_exercises;
+    DROP TABLE IF EXISTS group_members;
+    DROP TABLE IF EXISTS groups;
+  `);
+}
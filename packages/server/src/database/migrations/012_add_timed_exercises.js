@@ -0,0 +1,41 @@
+/**
+ * Migration: Add timed exercises and per-puzzle solve times
+ * - weekly_exercises.time_limit_seconds: Time limit (NULL = untimed)
+ * - weekly_exercises.time_limit_mode: 'total' (whole exercise) or 'per_puzzle'
+ * - student_exercises.puzzle_times: Comma-separated solve time per puzzle in ms ('' = not attempted)
+ * - student_exercises.started_at: When the student first opened a timed exercise
+ */
+
+export function migrate(db) {
+  const exerciseColumns = new Set(
+    db.prepare('PRAGMA table_info(weekly_exercises)').all().map(col => col.name)
+  );
+
+  if (!exerciseColumns.has('time_limit_seconds')) {
+    db.exec('ALTER TABLE weekly_exercises ADD COLUMN time_limit_seconds INTEGER');
+    console.log('   Added time_limit_seconds column');
+  }
+
+  if (!exerciseColumns.has('time_limit_mode')) {
+    db.exec(`ALTER TABLE weekly_exercises ADD COLUMN time_limit_mode TEXT CHECK (time_limit_mode IN ('total', 'per_puzzle'))`);
+    console.log('   Added time_limit_mode column');
+  }
+
+  const assignmentColumns = new Set(
+    db.prepare('PRAGMA table_info(student_exercises)').all().map(col => col.name)
+  );
+
+  if (!assignmentColumns.has('puzzle_times')) {
+    db.exec('ALTER TABLE student_exercises ADD COLUMN puzzle_times TEXT');
+    console.log('   Added puzzle_times column');
+  }
+
+  if (!assignmentColumns.has('started_at')) {
+    db.exec('ALTER TABLE student_exercises ADD COLUMN started_at TEXT');
+    console.log('   Added started_at column');
+  }
+}
+
+export function rollback(db) {
+  // SQLite doesn't support DROP COLUMN directly
+}
@@ -0,0 +1,32 @@
+/**
+ * Migration: Add move-by-move attempt logs
+ * - puzzle_attempts: Every move a student tried on an exercise puzzle, in order.
+ *   ply is the index into the puzzle's solution moves at the time of the move,
+ *   so the line leading up to a wrong move can be rebuilt from the solution.
+ */
+
+export function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS puzzle_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_exercise_id TEXT NOT NULL,
+      puzzle_index INTEGER NOT NULL,
+      puzzle_id TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      ply INTEGER NOT NULL,
+      move TEXT NOT NULL,
+      is_correct INTEGER NOT NULL,
+      played_at TEXT NOT NULL,
+      UNIQUE (student_exercise_id, puzzle_index, seq),
+      FOREIGN KEY (student_exercise_id) REFERENCES student_exercises(id) ON DELETE CASCADE
+    );
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_puzzle_attempts_puzzle ON puzzle_attempts(puzzle_id);
+  `);
+}
+
+export function rollback(db) {
+  db.exec('DROP TABLE IF EXISTS puzzle_attempts;');
+}
@@ -0,0 +1,82 @@
+/**
+ * Migration: Move per-puzzle results into a relational table
+ * - student_puzzle_results: One row per student exercise and puzzle with the
+ *   result (1/0, NULL = not graded), hint usage and solve time. Keyed by puzzle
+ *   ID so results stay attached to the right puzzle if an exercise is edited.
+ *
+ * Backfills from the comma-separated student_exercises.puzzle_results,
+ * puzzle_hints and puzzle_times columns (lined up with weekly_exercises.puzzle_ids)
+ * when the table is created. The old columns are left as they are, so a
+ * rollback and rerun rebuilds the same results.
+ */
+
+export function migrate(db) {
+  const exists = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'student_puzzle_results'"
+  ).get();
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS student_puzzle_results (
+      student_exercise_id TEXT NOT NULL,
+      puzzle_id TEXT NOT NULL,
+      correct INTEGER CHECK (correct IN (0, 1)),
+      hint_used INTEGER NOT NULL DEFAULT 0,
+      solve_time_ms INTEGER,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (student_exercise_id, puzzle_id),
+      FOREIGN KEY (student_exercise_id) REFERENCES student_exercises(id) ON DELETE CASCADE
+    );
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_student_puzzle_results_puzzle ON student_puzzle_results(puzzle_id);
+  `);
+
+  if (exists) return;
+
+  const columns = new Set(
+    db.prepare('PRAGMA table_info(student_exercises)').all().map(col => col.name)
+  );
+  const legacy = ['puzzle_results', 'puzzle_hints', 'puzzle_times'].filter(col => columns.has(col));
+  if (legacy.length === 0) return;
+
+  const rows = db.prepare(`
+    SELECT se.id, ${legacy.map(col => `se.${col}`).join(', ')}, we.puzzle_ids
+    FROM student_exercises se
+    JOIN weekly_exercises we ON se.exercise_id = we.id
+    WHERE ${legacy.map(col => `se.${col} IS NOT NULL`).join(' OR ')}
+  `).all();
+
+  if (rows.length === 0) return;
+
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO student_puzzle_results
+      (student_exercise_id, puzzle_id, correct, hint_used, solve_time_ms, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    for (const row of rows) {
+      const results = (row.puzzle_results || '').split(',');
+      const hints = (row.puzzle_hints || '').split(',');
+      const times = (row.puzzle_times || '').split(',');
+
+      row.puzzle_ids.split(',').forEach((puzzleId, i) => {
+        const correct = results[i] === '1' ? 1 : results[i] === '0' ? 0 : null;
+        const hintUsed = hints[i] === '1' ? 1 : 0;
+        const solveTime = times[i] ? Number(times[i]) : null;
+
+        if (correct !== null || hintUsed || solveTime !== null) {
+          insert.run(row.id, puzzleId.trim(), correct, hintUsed, solveTime, now);
+        }
+      });
+    }
+  })();
+
+  console.log(`   Backfilled per-puzzle results for ${rows.length} assignments`);
+}
+
+export function rollback(db) {
+  db.exec('DROP TABLE IF EXISTS student_puzzle_results;');
+}
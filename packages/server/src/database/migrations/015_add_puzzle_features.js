@@ -0,0 +1,99 @@
+/**
+ * Migration: Add structural position columns to puzzles
+ * - material: Material signature of the solving side vs the other side, kings
+ *   left out (e.g. "R+P vs R")
+ * - side_to_move: Solving side ('w' or 'b')
+ * - piece_count: Pieces on the board, kings included
+ * - solution_length: Number of moves the solving side plays
+ * - mate_in: N for mate-in-N puzzles, NULL otherwise
+ *
+ * All describe the position after the opponent's first move. Computed once for
+ * every puzzle that doesn't have them yet (new databases and puzzles added
+ * before this migration); PuzzleRepository fills them in for new puzzles.
+ * Puzzles whose position can't be read get an empty material so later runs
+ * skip them.
+ */
+
+import { computePositionFeatures } from '../../shared/PositionFeatures.js';
+
+const BATCH_SIZE = 5000;
+
+export function migrate(db) {
+  const columns = new Set(
+    db.prepare('PRAGMA table_info(puzzles)').all().map(col => col.name)
+  );
+
+  const added = [
+    ['material', 'TEXT'],
+    ['side_to_move', 'TEXT'],
+    ['piece_count', 'INTEGER'],
+    ['solution_length', 'INTEGER'],
+    ['mate_in', 'INTEGER']
+  ].filter(([name]) => !columns.has(name));
+
+  for (const [name, type] of added) {
+    db.exec(`ALTER TABLE puzzles ADD COLUMN ${name} ${type}`);
+  }
+
+  // side_to_move is too coarse to be worth an index of its own
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_puzzles_material ON puzzles(material);
+    CREATE INDEX IF NOT EXISTS idx_puzzles_piece_count ON puzzles(piece_count);
+    CREATE INDEX IF NOT EXISTS idx_puzzles_solution_length ON puzzles(solution_length);
+    CREATE INDEX IF NOT EXISTS idx_puzzles_mate_in ON puzzles(mate_in);
+  `);
+
+  const select = db.prepare(`
+    SELECT rowid, fen, moves, themes FROM puzzles
+    WHERE rowid > ? AND material IS NULL
+    ORDER BY rowid
+    LIMIT ${BATCH_SIZE}
+  `);
+  const update = db.prepare(`
+    UPDATE puzzles
+    SET material = ?, side_to_move = ?, piece_count = ?, solution_length = ?, mate_in = ?
+    WHERE rowid = ?
+  `);
+  const markUnreadable = db.prepare(`
+    UPDATE puzzles SET material = '' WHERE rowid = ?
+  `);
+  const updateBatch = db.transaction((rows) => {
+    let updated = 0;
+    for (const row of rows) {
+      const features = computePositionFeatures(row.fen, row.moves, row.themes);
+      if (!features) {
+        markUnreadable.run(row.rowid);
+        continue;
+      }
+      update.run(
+        features.material, features.sideToMove, features.pieceCount,
+        features.solutionLength, features.mateIn, row.rowid
+      );
+      updated++;
+    }
+    return updated;
+  });
+
+  let lastRowid = 0;
+  let total = 0;
+  for (;;) {
+    const rows = select.all(lastRowid);
+    if (rows.length === 0) break;
+    total += updateBatch(rows);
+    lastRowid = rows[rows.length - 1].rowid;
+  }
+
+  if (total > 0) {
+    console.log(`   Computed position features for ${total.toLocaleString()} puzzles`);
+  }
+}
+
+export function rollback(db) {
+  // SQLite doesn't support DROP COLUMN directly, so only the indexes go
+  db.exec(`
+    DROP INDEX IF EXISTS idx_puzzles_material;
+    DROP INDEX IF EXISTS idx_puzzles_piece_count;
+    DROP INDEX IF EXISTS idx_puzzles_solution_length;
+    DROP INDEX IF EXISTS idx_puzzles_mate_in;
+  `);
+}
@@ -0,0 +1,39 @@
+/**
+ * Migration: Add puzzle revision history
+ * - puzzle_revisions: Full snapshot of a puzzle after every admin edit.
+ *   Revision 0 is the puzzle as it was before its first edit; revisions are
+ *   never changed, a revert adds a new one
+ * - weekly_exercises.puzzle_revisions: JSON map of puzzle ID -> revision the
+ *   exercise was built with, so edits made later don't change what students see
+ */
+
+export function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS puzzle_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      puzzle_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      fen TEXT NOT NULL,
+      moves TEXT NOT NULL,
+      themes TEXT,
+      rating INTEGER,
+      game_url TEXT,
+      author_id TEXT,
+      reverted_from INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (puzzle_id, revision),
+      FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+
+  const columns = db.prepare('PRAGMA table_info(weekly_exercises)').all();
+  if (!columns.some(col => col.name === 'puzzle_revisions')) {
+    db.exec('ALTER TABLE weekly_exercises ADD COLUMN puzzle_revisions TEXT');
+  }
+}
+
+export function rollback(db) {
+  db.exec('DROP TABLE IF EXISTS puzzle_revisions');
+  // SQLite doesn't support DROP COLUMN directly; puzzle_revisions on
+  // weekly_exercises is left in place
+}
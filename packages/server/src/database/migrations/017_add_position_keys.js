@@ -0,0 +1,73 @@
+/**
+ * Migration: Add duplicate detection keys to puzzles
+ * - position_key: FEN without move counters plus the first solution move
+ * - mirror_key: Same for a position and its colour-mirrored twin
+ *
+ * See shared/PositionKey.js. Computed once for every puzzle that doesn't have
+ * them yet (unreadable positions get empty keys); PuzzleRepository fills them
+ * in for new and edited puzzles.
+ */
+
+import { computePositionKeys } from '../../shared/PositionKey.js';
+
+const BATCH_SIZE = 5000;
+
+export function migrate(db) {
+  const columns = new Set(
+    db.prepare('PRAGMA table_info(puzzles)').all().map(col => col.name)
+  );
+
+  for (const name of ['position_key', 'mirror_key']) {
+    if (!columns.has(name)) {
+      db.exec(`ALTER TABLE puzzles ADD COLUMN ${name} TEXT`);
+    }
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_puzzles_position_key ON puzzles(position_key);
+    CREATE INDEX IF NOT EXISTS idx_puzzles_mirror_key ON puzzles(mirror_key);
+  `);
+
+  const select = db.prepare(`
+    SELECT rowid, fen, moves FROM puzzles
+    WHERE rowid > ? AND position_key IS NULL
+    ORDER BY rowid
+    LIMIT ${BATCH_SIZE}
+  `);
+  const update = db.prepare('UPDATE puzzles SET position_key = ?, mirror_key = ? WHERE rowid = ?');
+  const updateBatch = db.transaction((rows) => {
+    let updated = 0;
+    for (const row of rows) {
+      const keys = computePositionKeys(row.fen, row.moves);
+      if (!keys) {
+        // Empty keys mark the position as unreadable so later runs skip it
+        update.run('', '', row.rowid);
+        continue;
+      }
+      update.run(keys.positionKey, keys.mirrorKey, row.rowid);
+      updated++;
+    }
+    return updated;
+  });
+
+  let lastRowid = 0;
+  let total = 0;
+  for (;;) {
+    const rows = select.all(lastRowid);
+    if (rows.length === 0) break;
+    total += updateBatch(rows);
+    lastRowid = rows[rows.length - 1].rowid;
+  }
+
+  if (total > 0) {
+    console.log(`   Computed position keys for ${total.toLocaleString()} puzzles`);
+  }
+}
+
+export function rollback(db) {
+  // SQLite doesn't support DROP COLUMN directly, so only the indexes go
+  db.exec(`
+    DROP INDEX IF EXISTS idx_puzzles_position_key;
+    DROP INDEX IF EXISTS idx_puzzles_mirror_key;
+  `);
+}
@@ -0,0 +1,20 @@
+/**
+ * Migration: Track Lichess puzzles that disappear from newer dumps
+ * - removed_upstream: 1 once a refresh (scripts/update-sqlite-db.js) no
+ *   longer finds the puzzle in the Lichess CSV, back to 0 if it returns
+ *
+ * Removed puzzles are kept so exercises, results and reports that use them
+ * keep working.
+ */
+
+export function migrate(db) {
+  const columns = db.prepare('PRAGMA table_info(puzzles)').all();
+
+  if (!columns.some(col => col.name === 'removed_upstream')) {
+    db.exec('ALTER TABLE puzzles ADD COLUMN removed_upstream INTEGER NOT NULL DEFAULT 0');
+  }
+}
+
+export function rollback(db) {
+  // SQLite doesn't support DROP COLUMN directly; the column is left in place
+}
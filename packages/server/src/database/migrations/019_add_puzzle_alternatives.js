@@ -0,0 +1,29 @@
+/**
+ * Migration: Add alternative solution moves
+ * - puzzles.alternatives / puzzle_revisions.alternatives: JSON map of solution
+ *   ply -> UCI moves accepted in place of the stored move, e.g. {"3":["d1d7"]}
+ * - puzzle_attempts.is_alternative: 1 when a move was accepted as an
+ *   alternative (another mate, or one listed in alternatives) rather than
+ *   the stored move
+ */
+
+export function migrate(db) {
+  const added = [
+    ['puzzles', 'alternatives', 'TEXT'],
+    ['puzzle_revisions', 'alternatives', 'TEXT'],
+    ['puzzle_attempts', 'is_alternative', 'INTEGER NOT NULL DEFAULT 0']
+  ];
+
+  for (const [table, column, definition] of added) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+    // Skip tables that don't exist (e.g. a puzzles-only database)
+    if (columns.length > 0 && !columns.some(col => col.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+}
+
+export function rollback(db) {
+  // SQLite doesn't support DROP COLUMN directly; the columns are left in place
+}
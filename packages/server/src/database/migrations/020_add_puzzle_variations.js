@@ -0,0 +1,30 @@
+/**
+ * Migration: Add branching solutions
+ * - puzzles.variations / puzzle_revisions.variations: the whole solution as
+ *   PGN movetext with RAVs when the opponent has more than one defence
+ *   (see puzzles/PuzzleVariations.js); NULL for single-line puzzles
+ * - puzzle_attempts.line: the line (space-separated UCI) the student was given
+ *   when the puzzle has variations, since the opponent's defence is picked at
+ *   random; NULL for single-line puzzles
+ */
+
+export function migrate(db) {
+  const added = [
+    ['puzzles', 'variations', 'TEXT'],
+    ['puzzle_revisions', 'variations', 'TEXT'],
+    ['puzzle_attempts', 'line', 'TEXT']
+  ];
+
+  for (const [table, column, definition] of added) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+    // Skip tables that don't exist (e.g. a puzzles-only database)
+    if (columns.length > 0 && !columns.some(col => col.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+}
+
+export function rollback(db) {
+  // SQLite doesn't support DROP COLUMN directly; the columns are left in place
+}
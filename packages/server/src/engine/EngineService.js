@@ -0,0 +1,93 @@
+/**
+ * EngineService.js
+ * Shared engine for puzzle checks, started on first use
+ *
+ * Configured with environment variables:
+ * - STOCKFISH_PATH: engine binary, or a Node-runnable JS/WASM build
+ * - ENGINE_DEPTH: search depth for puzzle checks (default 18)
+ * Without STOCKFISH_PATH engine checks are skipped.
+ */
+
+import { UciEngine } from './UciEngine.js';
+import { checkPuzzle } from '../puzzles/validation/PuzzleEngineCheck.js';
+
+const DEFAULT_DEPTH = 18;
+
+export class EngineService {
+  constructor() {
+    this.enginePath = process.env.STOCKFISH_PATH || null;
+    this.depth = parseInt(process.env.ENGINE_DEPTH) || DEFAULT_DEPTH;
+    this.engine = null;
+    this.starting = null;
+  }
+
+  /**
+   * Whether an engine is configured
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!(this.engine || this.enginePath);
+  }
+
+  /**
+   * Get the running engine, starting it if needed
+   * @returns {Promise<UciEngine>}
+   */
+  async getEngine() {
+    if (this.engine && !this.engine.exited) {
+      return this.engine;
+    }
+    if (!this.enginePath) {
+      throw new Error('No engine configured (set STOCKFISH_PATH)');
+    }
+
+    if (!this.starting) {
+      this.starting = UciEngine.spawn(this.enginePath)
+        .then(engine => {
+          this.engine = engine;
+          return engine;
+        })
+        .finally(() => {
+          this.starting = null;
+        });
+    }
+    return this.starting;
+  }
+
+  /**
+   * Check a puzzle's soundness and uniqueness with the engine
+   * @param {string} fen - Puzzle FEN
+   * @param {string|string[]} moves - UCI moves, opponent's move first
+   * @returns {Promise<{ success: boolean, data?: object, error?: string }>}
+   *   data is the checkPuzzle result plus the engine name and depth
+   */
+  async checkPuzzle(fen, moves) {
+    try {
+      const engine = await this.getEngine();
+      const result = await checkPuzzle(engine, fen, moves, { depth: this.depth });
+      return { success: true, data: { engine: engine.name, depth: this.depth, ...result } };
+    } catch (error) {
+      return { success: false, error: `Engine check failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Use an already started engine (scripts and tests)
+   * @param {UciEngine|null} engine
+   */
+  setEngine(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * Stop the engine process if one is running
+   */
+  shutdown() {
+    if (this.engine) {
+      this.engine.quit();
+      this.engine = null;
+    }
+  }
+}
+
+export const engineService = new EngineService();
@@ -0,0 +1,281 @@
+/**
+ * UciEngine.js
+ * Drive a UCI chess engine (Stockfish) from Node
+ *
+ * The engine talks over a transport: { write(line), onLine(handler), close() }.
+ * createProcessTransport runs a native binary, or a JavaScript/WASM build
+ * (such as the stockfish npm package's Node script) with the current Node
+ * executable. Tests pass a scripted transport instead.
+ *
+ * Commands are queued, so one engine can serve several callers in turn.
+ * Scores are from the side to move: { cp } in centipawns or { mate } in
+ * moves, negative when the side to move is losing.
+ */
+
+import { spawn } from 'child_process';
+import readline from 'readline';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Start an engine process
+ * @param {string} enginePath - Native binary, or a .js/.mjs/.cjs engine build
+ * @returns {object} - Transport for UciEngine
+ */
+export function createProcessTransport(enginePath) {
+  const isScript = /\.(c|m)?js$/.test(enginePath);
+  const child = isScript
+    ? spawn(process.execPath, [enginePath], { stdio: ['pipe', 'pipe', 'ignore'] })
+    : spawn(enginePath, [], { stdio: ['pipe', 'pipe', 'ignore'] });
+
+  // Writes after the process has gone would otherwise crash the server;
+  // UciEngine notices the exit instead
+  child.stdin.on('error', () => {});
+
+  const lines = readline.createInterface({ input: child.stdout });
+  const handlers = [];
+  lines.on('line', line => handlers.forEach(handler => handler(line)));
+
+  return {
+    write(line) {
+      child.stdin.write(`${line}\n`);
+    },
+    onLine(handler) {
+      handlers.push(handler);
+    },
+    onExit(handler) {
+      child.on('exit', handler);
+      child.on('error', handler);
+    },
+    close() {
+      lines.close();
+      child.kill();
+    }
+  };
+}
+
+/**
+ * Parse a UCI "info" line
+ * @param {string} line - e.g. "info depth 18 multipv 1 score cp 245 nodes ... pv e2e4 e7e5"
+ * @returns {object|null} - { depth, multipv, score, pv } or null for lines without a score and pv
+ */
+export function parseInfoLine(line) {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'info') return null;
+
+  const info = { depth: null, multipv: 1, score: null, pv: [] };
+
+  for (let i = 1; i < tokens.length; i++) {
+    switch (tokens[i]) {
+      case 'depth':
+        info.depth = parseInt(tokens[++i]);
+        break;
+      case 'multipv':
+        info.multipv = parseInt(tokens[++i]);
+        break;
+      case 'score': {
+        const type = tokens[++i];
+        const value = parseInt(tokens[++i]);
+        info.score = type === 'mate' ? { mate: value } : { cp: value };
+        // Skip "lowerbound"/"upperbound" markers
+        if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') i++;
+        break;
+      }
+      case 'pv':
+        info.pv = tokens.slice(i + 1);
+        i = tokens.length;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return info.score && info.pv.length > 0 ? info : null;
+}
+
+export class UciEngine {
+  /**
+   * @param {object} transport - { write(line), onLine(handler), close(), onExit?(handler) }
+   * @param {object} options - { timeoutMs } per command
+   */
+  constructor(transport, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.transport = transport;
+    this.timeoutMs = timeoutMs;
+    this.queue = Promise.resolve();
+    this.listener = null;
+    this.ready = false;
+    this.exited = false;
+    this.name = null;
+
+    transport.onLine(line => {
+      if (this.listener) this.listener(line);
+    });
+
+    if (transport.onExit) {
+      transport.onExit(() => {
+        this.exited = true;
+        if (this.listener) this.listener(null);
+      });
+    }
+  }
+
+  /**
+   * Start an engine process and run the UCI handshake
+   * @param {string} enginePath - Binary or script path
+   * @param {object} options - { timeoutMs, threads, hash }
+   * @returns {Promise<UciEngine>}
+   */
+  static async spawn(enginePath, { timeoutMs, threads = 1, hash = 64 } = {}) {
+    const engine = new UciEngine(createProcessTransport(enginePath), { timeoutMs });
+    try {
+      await engine.start({ Threads: threads, Hash: hash });
+    } catch (error) {
+      engine.quit();
+      throw error;
+    }
+    return engine;
+  }
+
+  /**
+   * Run the UCI handshake and set options
+   * @param {object} options - UCI option name -> value
+   */
+  async start(options = {}) {
+    await this._enqueue(async () => {
+      const lines = await this._command('uci', line => line === 'uciok');
+      const idLine = lines.find(line => line.startsWith('id name '));
+      this.name = idLine ? idLine.slice('id name '.length) : 'UCI engine';
+
+      for (const [name, value] of Object.entries(options)) {
+        this.transport.write(`setoption name ${name} value ${value}`);
+      }
+      await this._command('isready', line => line === 'readyok');
+    });
+    this.ready = true;
+  }
+
+  /**
+   * Search a position
+   * @param {string} fen - Position to search
+   * @param {object} options - { depth, movetime, multiPv, searchMoves }
+   *   searchMoves limits the search to these UCI moves
+   * @returns {Promise<{ bestMove: string, depth: number, lines: { multipv: number, move: string, score: object, pv: string[] }[] }>}
+   *   lines are sorted by multipv, best first
+   */
+  analyse(fen, { depth = 18, movetime = null, multiPv = 1, searchMoves = [] } = {}) {
+    return this._enqueue(async () => {
+      // isready also flushes output left over from a search that timed out
+      this.transport.write(`setoption name MultiPV value ${multiPv}`);
+      await this._command('isready', line => line === 'readyok');
+
+      this.transport.write(`position fen ${fen}`);
+      const go = ['go', movetime ? `movetime ${movetime}` : `depth ${depth}`];
+      if (searchMoves.length > 0) go.push(`searchmoves ${searchMoves.join(' ')}`);
+
+      const output = await this._command(go.join(' '), line => line.startsWith('bestmove'));
+
+      // Keep the deepest line for each multipv slot
+      const byRank = new Map();
+      for (const line of output) {
+        const info = parseInfoLine(line);
+        if (info) byRank.set(info.multipv, info);
+      }
+
+      const lines = [...byRank.values()]
+        .sort((a, b) => a.multipv - b.multipv)
+        .map(info => ({ multipv: info.multipv, move: info.pv[0], score: info.score, pv: info.pv }));
+
+      const bestMove = output[output.length - 1].split(/\s+/)[1];
+
+      return {
+        bestMove: bestMove === '(none)' ? null : bestMove,
+        depth: lines.length > 0 ? Math.max(...[...byRank.values()].map(info => info.depth || 0)) : 0,
+        lines
+      };
+    });
+  }
+
+  /**
+   * Stop the engine process
+   */
+  quit() {
+    if (this.exited) return;
+    try {
+      this.transport.write('quit');
+    } finally {
+      this.exited = true;
+      this.transport.close();
+    }
+  }
+
+  _enqueue(task) {
+    const run = this.queue.then(task);
+    // Keep the queue going after a failed command
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Send a command and collect output until a line matches done
+   * @returns {Promise<string[]>}
+   */
+  _command(command, done) {
+    if (this.exited) {
+      return Promise.reject(new Error('Engine has stopped'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const output = [];
+
+      const timer = setTimeout(() => {
+        this.listener = null;
+        this.transport.write('stop');
+        reject(new Error(`Engine did not answer "${command}" within ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+
+      this.listener = (line) => {
+        if (line === null) {
+          clearTimeout(timer);
+          this.listener = null;
+          reject(new Error('Engine has stopped'));
+          return;
+        }
+
+        output.push(line);
+        if (done(line)) {
+          clearTimeout(timer);
+          this.listener = null;
+          resolve(output);
+        }
+      };
+
+      this.transport.write(command);
+    });
+  }
+}
+
+/**
+ * Compare engine scores on one scale (mates beyond any centipawn score)
+ * @param {object} score - { cp } or { mate }
+ * @returns {number}
+ */
+export function scoreValue(score) {
+  if (!score) return 0;
+  if (score.mate !== undefined) {
+    // mate 0 means the side to move is already mated
+    return score.mate > 0 ? 100000 - score.mate : -100000 - score.mate;
+  }
+  return score.cp;
+}
+
+/**
+ * Flip a score to the other side's point of view
+ * @param {object} score - { cp } or { mate }
+ * @returns {object}
+ */
+export function negateScore(score) {
+  if (!score) return score;
+  return score.mate !== undefined ? { mate: -score.mate } : { cp: -score.cp };
+}
+
+export default UciEngine;
@@ -0,0 +1,184 @@
+/**
+ * ExerciseExporter.js
+ * Export an exercise as PGN, EPD or JSON for other chess tools
+ *
+ * Puzzles start one move early, like everywhere else in the app: the FEN is
+ * the position before the opponent's move and the move list begins with that
+ * move. PGN and EPD files written here can be read back by the bulk import
+ * (puzzles/PuzzleImportParser.js).
+ */
+
+import { Chess } from 'chess.js';
+import { databaseGenerator } from '../database/DatabaseGenerator.js';
+import { parseVariations, writeVariations } from '../shared/SolutionTree.js';
+
+export const EXPORT_FORMATS = {
+  pgn: { contentType: 'application/x-chess-pgn', extension: 'pgn' },
+  epd: { contentType: 'text/plain', extension: 'epd' },
+  json: { contentType: 'application/json', extension: 'json' }
+};
+
+export class ExerciseExporter {
+  /**
+   * Export an exercise in one of EXPORT_FORMATS
+   * @param {object} exercise - From ExerciseService.getExerciseWithPuzzles
+   * @param {string} format - 'pgn', 'epd' or 'json'
+   * @returns {{ content: string, contentType: string, filename: string }}
+   */
+  exportExercise(exercise, format) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const content = format === 'pgn'
+      ? this.toPGN(exercise)
+      : format === 'epd'
+        ? this.toEPD(exercise)
+        : this.toJSON(exercise);
+
+    return { content, contentType, filename: `exercise-${exercise.week_start}.${extension}` };
+  }
+
+  /**
+   * One game per puzzle, with the opponent's move and the solution line.
+   * Puzzles with other defences get them as variations.
+   * @param {object} exercise - Exercise with puzzles
+   * @returns {string}
+   */
+  toPGN(exercise) {
+    const event = exercise.name || exercise.week_label || 'Exercise';
+
+    return (exercise.puzzles || []).map((puzzle, i) => {
+      const headers = [
+        ['Event', event],
+        ['Site', puzzle.game_url || '?'],
+        ['Date', (exercise.week_start || '????.??.??').replace(/-/g, '.')],
+        ['Round', String(i + 1)],
+        ['White', '?'],
+        ['Black', '?'],
+        ['Result', '*'],
+        ['FEN', puzzle.fen],
+        ['SetUp', '1'],
+        ['PuzzleId', puzzle.id],
+        ['Themes', splitThemes(puzzle.themes).join(' ')],
+        ['Rating', String(puzzle.rating)]
+      ];
+
+      const moves = databaseGenerator.convertSolutionToSAN(puzzle.fen, splitMoves(puzzle.moves));
+      const movetext = formatVariations(puzzle) || formatMovetext(puzzle.fen, moves);
+
+      return [
+        ...headers.map(([name, value]) => `[${name} "${cleanTagValue(value)}"]`),
+        '',
+        `${movetext} *`,
+        ''
+      ].join('\n');
+    }).join('\n');
+  }
+
+  /**
+   * One EPD record per puzzle; pv holds the opponent's move and the solution,
+   * c0 the themes and c1 the rating, which the EPD import reads back
+   * @param {object} exercise - Exercise with puzzles
+   * @returns {string}
+   */
+  toEPD(exercise) {
+    return (exercise.puzzles || []).map(puzzle => {
+      const position = puzzle.fen.split(' ').slice(0, 4).join(' ');
+      const moves = databaseGenerator.convertSolutionToSAN(puzzle.fen, splitMoves(puzzle.moves));
+
+      const opcodes = [
+        `pv ${moves.join(' ')}`,
+        `id "${puzzle.id}"`,
+        `c0 "${splitThemes(puzzle.themes).join(' ')}"`,
+        `c1 "${puzzle.rating}"`
+      ];
+
+      return `${position} ${opcodes.join('; ')};`;
+    }).join('\n') + '\n';
+  }
+
+  /**
+   * The exercise and its puzzles as stored, for moving sets between installations
+   * @param {object} exercise - Exercise with puzzles
+   * @returns {string}
+   */
+  toJSON(exercise) {
+    return JSON.stringify({
+      exercise: {
+        id: exercise.id,
+        name: exercise.name,
+        week_start: exercise.week_start,
+        week_end: exercise.week_end,
+        filters: exercise.filters,
+        time_limit_seconds: exercise.time_limit_seconds ?? null,
+        time_limit_mode: exercise.time_limit_mode ?? null
+      },
+      puzzles: (exercise.puzzles || []).map(puzzle => ({
+        id: puzzle.id,
+        fen: puzzle.fen,
+        moves: puzzle.moves,
+        solutionSAN: databaseGenerator.convertSolutionToSAN(puzzle.fen, splitMoves(puzzle.moves)),
+        variations: puzzle.variations || '',
+        rating: puzzle.rating,
+        popularity: puzzle.popularity,
+        themes: splitThemes(puzzle.themes),
+        opening_tags: puzzle.opening_tags || '',
+        game_url: puzzle.game_url || '',
+        source: puzzle.source || 'lichess'
+      }))
+    }, null, 2);
+  }
+}
+
+/**
+ * Number SAN moves from a FEN, e.g. "23... Ra2 24. Rd8#"
+ * @param {string} fen - Starting position
+ * @param {string[]} moves - SAN moves
+ * @returns {string}
+ */
+function formatMovetext(fen, moves) {
+  const chess = new Chess(fen);
+  let number = chess.moveNumber();
+  let white = chess.turn() === 'w';
+
+  return moves.map((san, i) => {
+    let text = san;
+    if (white) {
+      text = `${number}. ${san}`;
+    } else if (i === 0) {
+      text = `${number}... ${san}`;
+    }
+    if (!white) number++;
+    white = !white;
+    return text;
+  }).join(' ');
+}
+
+/**
+ * The puzzle's solution tree as movetext, or null when it has none (or it no
+ * longer plays from the puzzle's FEN, e.g. after a FEN modification)
+ * @param {object} puzzle - Puzzle row
+ * @returns {string|null}
+ */
+function formatVariations(puzzle) {
+  if (!puzzle.variations) return null;
+  try {
+    return writeVariations(puzzle.fen, parseVariations(puzzle.fen, puzzle.variations));
+  } catch (error) {
+    return null;
+  }
+}
+
+function splitMoves(moves) {
+  return (moves || '').split(' ').filter(Boolean);
+}
+
+function splitThemes(themes) {
+  return Array.isArray(themes) ? themes : (themes || '').split(',').filter(Boolean);
+}
+
+// Tag values lose their double quotes and backslashes rather than escaping
+// them: chess.js (and so the bulk import) cannot read escaped quotes
+function cleanTagValue(value) {
+  return String(value ?? '').replace(/["\\]/g, "'");
+}
+
+export const exerciseExporter = new ExerciseExporter();
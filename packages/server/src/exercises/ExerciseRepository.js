@@ -39,15 +39,18 @@ export class ExerciseRepository {
       const now = new Date().toISOString();
 
       database.run(
-        `INSERT INTO weekly_exercises (id, week_start, week_end, name, puzzle_ids, filters, created_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO weekly_exercises (id, week_start, week_end, name, puzzle_ids, puzzle_revisions, filters, time_limit_seconds, time_limit_mode, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           id,
           data.week_start,
           data.week_end,
           data.name || null,
           data.puzzle_ids,
+          data.puzzle_revisions ? JSON.stringify(data.puzzle_revisions) : null,
           data.filters ? JSON.stringify(data.filters) : null,
+          data.time_limit_seconds || null,
+          data.time_limit_seconds ? data.time_limit_mode : null,
           now
         ]
       );
@@ -60,7 +63,10 @@ export class ExerciseRepository {
           week_end: data.week_end,
           name: data.name || null,
           puzzle_ids: data.puzzle_ids,
+          puzzle_revisions: data.puzzle_revisions || null,
           filters: data.filters || null,
+          time_limit_seconds: data.time_limit_seconds || null,
+          time_limit_mode: data.time_limit_seconds ? data.time_limit_mode : null,
           created_at: now
         }
       };
@@ -157,9 +163,9 @@ export class ExerciseRepository {
 
       database.run(
         `INSERT INTO student_exercises
-         (id, student_id, exercise_id, total_puzzles, status, assigned_at)
-         VALUES (?, ?, ?, ?, 'assigned', ?)`,
-        [id, data.student_id, data.exercise_id, data.total_puzzles, now]
+         (id, student_id, exercise_id, total_puzzles, status, assigned_at, due_at)
+         VALUES (?, ?, ?, ?, 'assigned', ?, ?)`,
+        [id, data.student_id, data.exercise_id, data.total_puzzles, now, data.due_at || null]
       );
 
       return {
@@ -170,7 +176,8 @@ export class ExerciseRepository {
           exercise_id: data.exercise_id,
           total_puzzles: data.total_puzzles,
           status: 'assigned',
-          assigned_at: now
+          assigned_at: now,
+          due_at: data.due_at || null
         }
       };
     } catch (error) {
@@ -184,14 +191,15 @@ export class ExerciseRepository {
    * @returns {object[]}
    */
   findStudentExercises(studentId) {
-    return database.query(
-      `SELECT se.*, we.week_start, we.week_end, we.name as exercise_name
+    return this.withResultStrings(database.query(
+      `SELECT se.*, we.week_start, we.week_end, we.name as exercise_name,
+              we.time_limit_seconds, we.time_limit_mode, we.puzzle_ids
        FROM student_exercises se
        JOIN weekly_exercises we ON se.exercise_id = we.id
        WHERE se.student_id = ?
        ORDER BY we.week_start DESC`,
       [studentId]
-    );
+    ));
   }
 
   /**
@@ -200,14 +208,15 @@ export class ExerciseRepository {
    * @returns {object[]}
    */
   findExerciseAssignments(exerciseId) {
-    return database.query(
-      `SELECT se.*, s.name as student_name, s.skill_level
+    return this.withResultStrings(database.query(
+      `SELECT se.*, s.name as student_name, s.skill_level, we.puzzle_ids
        FROM student_exercises se
        JOIN students s ON se.student_id = s.id
+       JOIN weekly_exercises we ON se.exercise_id = we.id
        WHERE se.exercise_id = ?
        ORDER BY s.name ASC`,
       [exerciseId]
-    );
+    ));
   }
 
   /**
@@ -216,14 +225,16 @@ export class ExerciseRepository {
    * @returns {object|null}
    */
   findStudentExerciseById(id) {
-    return database.queryOne(
-      `SELECT se.*, s.name as student_name, we.week_start, we.week_end
+    const row = database.queryOne(
+      `SELECT se.*, s.name as student_name, we.week_start, we.week_end,
+              we.time_limit_seconds, we.time_limit_mode, we.puzzle_ids
        FROM student_exercises se
        JOIN students s ON se.student_id = s.id
        JOIN weekly_exercises we ON se.exercise_id = we.id
        WHERE se.id = ?`,
       [id]
     );
+    return row ? this.withResultStrings([row])[0] : null;
   }
 
   /**
@@ -262,14 +273,9 @@ export class ExerciseRepository {
         params.push(data.notes);
       }
 
-      if (data.puzzle_results !== undefined) {
-        updates.push('puzzle_results = ?');
-        params.push(data.puzzle_results);
-      }
-
-      if (data.puzzle_hints !== undefined) {
-        updates.push('puzzle_hints = ?');
-        params.push(data.puzzle_hints);
+      if (data.started_at !== undefined) {
+        updates.push('started_at = ?');
+        params.push(data.started_at);
       }
 
       if (data.is_final !== undefined) {
@@ -277,6 +283,21 @@ export class ExerciseRepository {
         params.push(data.is_final);
       }
 
+      if (data.due_at !== undefined) {
+        updates.push('due_at = ?');
+        params.push(data.due_at);
+      }
+
+      if (data.submitted_at !== undefined) {
+        updates.push('submitted_at = ?');
+        params.push(data.submitted_at);
+      }
+
+      if (data.is_late !== undefined) {
+        updates.push('is_late = ?');
+        params.push(data.is_late);
+      }
+
       if (data.status === 'graded') {
         updates.push('graded_at = ?');
         params.push(new Date().toISOString());
@@ -346,7 +367,8 @@ export class ExerciseRepository {
 
   /**
    * Reset a student exercise score back to 0
-   * Clears score, puzzle_results, puzzle_hints, and is_final. Preserves status.
+   * Clears score, per-puzzle results, is_final, the timer start, the
+   * submission time/late flag and the move log. Preserves status and due date.
    * @param {string} id - Student exercise ID
    * @returns {{ success: boolean, data?: object, error?: string }}
    */
@@ -359,10 +381,12 @@ export class ExerciseRepository {
 
       database.run(
         `UPDATE student_exercises
-         SET score = 0, puzzle_results = NULL, puzzle_hints = NULL, is_final = 0
+         SET score = 0, is_final = 0, started_at = NULL, submitted_at = NULL, is_late = 0
          WHERE id = ?`,
         [id]
       );
+      database.run('DELETE FROM student_puzzle_results WHERE student_exercise_id = ?', [id]);
+      database.run('DELETE FROM puzzle_attempts WHERE student_exercise_id = ?', [id]);
 
       return {
         success: true,
@@ -373,6 +397,215 @@ export class ExerciseRepository {
     }
   }
 
+  // ==================== Per-Puzzle Results ====================
+
+  /**
+   * Record per-puzzle results for a student exercise. Each list is lined up with
+   * puzzleIds; a list that is not given leaves that field as it was. Puzzles left
+   * with no result, hint or time have their row removed.
+   * @param {string} studentExerciseId - Student exercise ID
+   * @param {string[]} puzzleIds - Exercise puzzle IDs, in order
+   * @param {object} values - { results?: (boolean|null)[], hints?: boolean[], times?: (number|null)[] }
+   */
+  savePuzzleResults(studentExerciseId, puzzleIds, { results, hints, times } = {}) {
+    const existing = new Map(
+      database.query(
+        'SELECT puzzle_id, correct, hint_used, solve_time_ms FROM student_puzzle_results WHERE student_exercise_id = ?',
+        [studentExerciseId]
+      ).map(r => [r.puzzle_id, r])
+    );
+    const now = new Date().toISOString();
+    const seen = new Set();
+
+    puzzleIds.forEach((puzzleId, i) => {
+      if (seen.has(puzzleId)) return;
+      seen.add(puzzleId);
+
+      const current = existing.get(puzzleId);
+      const result = results ? results[i] ?? null : null;
+      const correct = results ? (result === null ? null : result ? 1 : 0) : current?.correct ?? null;
+      const hintUsed = hints ? (hints[i] ? 1 : 0) : current?.hint_used ?? 0;
+      const solveTime = times ? times[i] ?? null : current?.solve_time_ms ?? null;
+
+      if (correct === null && !hintUsed && solveTime === null) {
+        if (current) {
+          database.run(
+            'DELETE FROM student_puzzle_results WHERE student_exercise_id = ? AND puzzle_id = ?',
+            [studentExerciseId, puzzleId]
+          );
+        }
+        return;
+      }
+
+      database.run(
+        `INSERT INTO student_puzzle_results
+           (student_exercise_id, puzzle_id, correct, hint_used, solve_time_ms, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT (student_exercise_id, puzzle_id) DO UPDATE SET
+           correct = excluded.correct,
+           hint_used = excluded.hint_used,
+           solve_time_ms = excluded.solve_time_ms,
+           updated_at = excluded.updated_at`,
+        [studentExerciseId, puzzleId, correct, hintUsed, solveTime, now]
+      );
+    });
+  }
+
+  /**
+   * Get per-puzzle results of a student exercise, in exercise order
+   * @param {string} studentExerciseId - Student exercise ID
+   * @returns {object[]} - { puzzle_id, position, correct, hint_used, solve_time_ms, updated_at }
+   */
+  findPuzzleResults(studentExerciseId) {
+    return database.query(
+      `SELECT r.puzzle_id,
+              INSTR(',' || we.puzzle_ids || ',', ',' || r.puzzle_id || ',') AS position,
+              r.correct, r.hint_used, r.solve_time_ms, r.updated_at
+       FROM student_puzzle_results r
+       JOIN student_exercises se ON se.id = r.student_exercise_id
+       JOIN weekly_exercises we ON we.id = se.exercise_id
+       WHERE r.student_exercise_id = ?
+       ORDER BY position`,
+      [studentExerciseId]
+    );
+  }
+
+  /**
+   * Fill in puzzle_results, puzzle_hints and puzzle_times on assignment rows as
+   * comma-separated strings in the exercise's current puzzle order, which is how
+   * the client consumes them. Rows must include puzzle_ids.
+   * @param {object[]} rows - Student exercise rows
+   * @returns {object[]}
+   */
+  withResultStrings(rows) {
+    if (rows.length === 0) return rows;
+
+    const byAssignment = new Map();
+    const ids = rows.map(r => r.id);
+
+    for (let i = 0; i < ids.length; i += 500) {
+      const batch = ids.slice(i, i + 500);
+      const placeholders = batch.map(() => '?').join(',');
+      const results = database.query(
+        `SELECT student_exercise_id, puzzle_id, correct, hint_used, solve_time_ms
+         FROM student_puzzle_results WHERE student_exercise_id IN (${placeholders})`,
+        batch
+      );
+      for (const r of results) {
+        if (!byAssignment.has(r.student_exercise_id)) byAssignment.set(r.student_exercise_id, new Map());
+        byAssignment.get(r.student_exercise_id).set(r.puzzle_id, r);
+      }
+    }
+
+    return rows.map(row => {
+      const results = byAssignment.get(row.id);
+      if (!results) {
+        return { ...row, puzzle_results: null, puzzle_hints: null, puzzle_times: null };
+      }
+
+      const perPuzzle = row.puzzle_ids.split(',').map(id => results.get(id.trim()));
+      const hasResults = perPuzzle.some(r => r && r.correct !== null);
+      const hasTimes = perPuzzle.some(r => r && r.solve_time_ms !== null);
+
+      return {
+        ...row,
+        puzzle_results: hasResults ? perPuzzle.map(r => (r && r.correct !== null ? String(r.correct) : '')).join(',') : null,
+        puzzle_hints: perPuzzle.map(r => (r && r.hint_used ? '1' : '0')).join(','),
+        puzzle_times: hasTimes ? perPuzzle.map(r => (r && r.solve_time_ms !== null ? String(r.solve_time_ms) : '')).join(',') : null
+      };
+    });
+  }
+
+  /**
+   * Average and slowest solve time per puzzle across an exercise's assignments
+   * @param {string} exerciseId - Exercise ID
+   * @returns {Map<string, object>} - puzzle_id -> { attempts, average_ms, max_ms }
+   */
+  getSolveTimeAggregates(exerciseId) {
+    const rows = database.query(
+      `SELECT r.puzzle_id, COUNT(*) AS attempts,
+              ROUND(AVG(r.solve_time_ms)) AS average_ms, MAX(r.solve_time_ms) AS max_ms
+       FROM student_puzzle_results r
+       JOIN student_exercises se ON se.id = r.student_exercise_id
+       WHERE se.exercise_id = ? AND r.solve_time_ms IS NOT NULL
+       GROUP BY r.puzzle_id`,
+      [exerciseId]
+    );
+    return new Map(rows.map(r => [r.puzzle_id, r]));
+  }
+
+  // ==================== Attempt Logs ====================
+
+  /**
+   * Append moves to a student's attempt log. Each puzzle's moves are numbered
+   * after any moves already logged for it.
+   * @param {string} studentExerciseId - Student exercise ID
+   * @param {object[]} moves - { puzzle_index, puzzle_id, ply, move, is_correct, is_alternative, line, played_at }
+   * @returns {number} - Number of moves stored
+   */
+  appendPuzzleAttempts(studentExerciseId, moves) {
+    const nextSeq = new Map();
+
+    for (const m of moves) {
+      if (!nextSeq.has(m.puzzle_index)) {
+        const last = database.queryOne(
+          `SELECT MAX(seq) as seq FROM puzzle_attempts
+           WHERE student_exercise_id = ? AND puzzle_index = ?`,
+          [studentExerciseId, m.puzzle_index]
+        );
+        nextSeq.set(m.puzzle_index, last && last.seq !== null ? last.seq + 1 : 0);
+      }
+
+      const seq = nextSeq.get(m.puzzle_index);
+      nextSeq.set(m.puzzle_index, seq + 1);
+
+      database.run(
+        `INSERT INTO puzzle_attempts
+         (student_exercise_id, puzzle_index, puzzle_id, seq, ply, move, is_correct, is_alternative, line, played_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [studentExerciseId, m.puzzle_index, m.puzzle_id, seq, m.ply, m.move, m.is_correct ? 1 : 0, m.is_alternative ? 1 : 0, m.line || null, m.played_at]
+      );
+    }
+
+    return moves.length;
+  }
+
+  /**
+   * Get every logged move for a student exercise, in play order per puzzle
+   * @param {string} studentExerciseId - Student exercise ID
+   * @returns {object[]}
+   */
+  findPuzzleAttempts(studentExerciseId) {
+    return database.query(
+      `SELECT puzzle_index, puzzle_id, seq, ply, move, is_correct, is_alternative, line, played_at
+       FROM puzzle_attempts
+       WHERE student_exercise_id = ?
+       ORDER BY puzzle_index, seq`,
+      [studentExerciseId]
+    );
+  }
+
+  /**
+   * Get assignments that are past due with nothing submitted
+   * @param {string} now - Reference time (ISO timestamp)
+   * @returns {object[]}
+   */
+  findOverdueAssignments(now) {
+    return database.query(
+      `SELECT se.*, s.name as student_name, we.name as exercise_name,
+              we.week_start, we.week_end
+       FROM student_exercises se
+       JOIN students s ON se.student_id = s.id
+       JOIN weekly_exercises we ON se.exercise_id = we.id
+       WHERE se.status = 'assigned'
+         AND se.submitted_at IS NULL
+         AND se.due_at IS NOT NULL
+         AND se.due_at < ?
+       ORDER BY se.due_at ASC, s.name ASC`,
+      [now]
+    );
+  }
+
   /**
    * Check if student is already assigned to exercise
    * @param {string} studentId - Student ID
@@ -387,6 +620,31 @@ export class ExerciseRepository {
     );
     return result !== null;
   }
+
+  /**
+   * Collect every puzzle ID already assigned to any of the given students
+   * @param {string[]} studentIds - Student IDs
+   * @returns {Set<string>}
+   */
+  findSeenPuzzleIds(studentIds) {
+    const seen = new Set();
+    if (!studentIds || studentIds.length === 0) return seen;
+
+    const placeholders = studentIds.map(() => '?').join(',');
+    const rows = database.query(
+      `SELECT DISTINCT we.puzzle_ids
+       FROM student_exercises se
+       JOIN weekly_exercises we ON se.exercise_id = we.id
+       WHERE se.student_id IN (${placeholders})`,
+      studentIds
+    );
+
+    for (const row of rows) {
+      row.puzzle_ids.split(',').forEach(id => seen.add(id.trim()));
+    }
+
+    return seen;
+  }
 }
 
 export const exerciseRepository = new ExerciseRepository();
@@ -0,0 +1,558 @@
+/**
+ * ExerciseScheduleService.js
+ * Recurring exercise schedules: saved generation settings that create and
+ * assign a weekly exercise automatically on a chosen weekday.
+ */
+
+import { database } from '../database/SqliteDatabase.js';
+import { databaseGenerator } from '../database/DatabaseGenerator.js';
+import { reportManager } from '../reports/PuzzleReportManager.js';
+import { exerciseService } from './ExerciseService.js';
+import { exerciseRepository } from './ExerciseRepository.js';
+import { studentRepository } from '../students/StudentRepository.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const MIN_POPULARITY = 80;
+
+/** Format a Date as YYYY-MM-DD using local timezone */
+function formatLocalDate(d) {
+  const year = d.getFullYear();
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return formatLocalDate(new Date(y, m - 1, d + days));
+}
+
+/**
+ * Date a schedule runs within a given week
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday), as Date#getDay()
+ * @returns {string} YYYY-MM-DD
+ */
+export function runDateForWeek(weekStart, weekday) {
+  return addDays(weekStart, (weekday + 6) % 7);
+}
+
+export class ExerciseScheduleService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Generate a unique schedule ID
+   * @returns {string}
+   */
+  generateScheduleId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `schedule_${timestamp}_${random}`;
+  }
+
+  /**
+   * Validate schedule fields. Missing fields are only checked when required.
+   * @param {object} data - Schedule fields (API shape)
+   * @param {boolean} partial - Allow missing fields (for updates)
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate(data, partial = false) {
+    const has = (key) => data[key] !== undefined;
+
+    if (!partial || has('name')) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        return 'Name is required';
+      }
+    }
+
+    if (has('themes')) {
+      if (!Array.isArray(data.themes) || !data.themes.every(t => typeof t === 'string' && t.trim())) {
+        return 'Themes must be an array of theme names';
+      }
+    }
+
+    if (!partial || has('studentIds')) {
+      if (!Array.isArray(data.studentIds) || data.studentIds.length === 0) {
+        return 'At least one student ID is required';
+      }
+      const unknown = data.studentIds.filter(id =>
+        typeof id !== 'string' || id.includes(',') || !studentRepository.findById(id)
+      );
+      if (unknown.length > 0) {
+        return `Unknown student IDs: ${unknown.join(', ')}`;
+      }
+    }
+
+    if (has('count')) {
+      if (!Number.isInteger(data.count) || data.count < 1 || data.count > 20) {
+        return 'Count must be an integer between 1 and 20';
+      }
+    }
+
+    for (const key of ['minRating', 'maxRating']) {
+      if (has(key) && !Number.isInteger(data[key])) {
+        return `${key} must be an integer`;
+      }
+    }
+
+    if (has('minRating') && has('maxRating') && data.minRating > data.maxRating) {
+      return 'minRating cannot be greater than maxRating';
+    }
+
+    if (has('weekday')) {
+      if (!Number.isInteger(data.weekday) || data.weekday < 0 || data.weekday > 6) {
+        return 'Weekday must be an integer from 0 (Sunday) to 6 (Saturday)';
+      }
+    }
+
+    if (has('startsOn') && !DATE_PATTERN.test(data.startsOn)) {
+      return 'startsOn must be in YYYY-MM-DD format';
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a database row to the API shape
+   * @param {object} row - exercise_schedules row
+   * @returns {object}
+   */
+  formatSchedule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      themes: row.themes ? row.themes.split(',') : [],
+      min_rating: row.min_rating,
+      max_rating: row.max_rating,
+      count: row.puzzle_count,
+      student_ids: row.student_ids.split(','),
+      weekday: row.weekday,
+      exclude_seen: row.exclude_seen === 1,
+      active: row.active === 1,
+      starts_on: row.starts_on,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Create a schedule
+   * @param {object} data - { name, themes, minRating, maxRating, count, studentIds, weekday, excludeSeen, startsOn }
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  createSchedule(data) {
+    const error = this.validate(data);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const id = this.generateScheduleId();
+    const now = new Date().toISOString();
+
+    database.run(
+      `INSERT INTO exercise_schedules
+       (id, name, themes, min_rating, max_rating, puzzle_count, student_ids, weekday,
+        exclude_seen, active, starts_on, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)`,
+      [
+        id,
+        data.name.trim(),
+        data.themes && data.themes.length > 0 ? data.themes.join(',') : null,
+        data.minRating ?? 1000,
+        data.maxRating ?? 3000,
+        data.count ?? 10,
+        data.studentIds.join(','),
+        data.weekday ?? 1,
+        data.excludeSeen === false ? 0 : 1,
+        data.startsOn || formatLocalDate(new Date()),
+        now,
+        now
+      ]
+    );
+
+    return { success: true, data: this.getSchedule(id) };
+  }
+
+  /**
+   * Get a schedule by ID
+   * @param {string} id - Schedule ID
+   * @returns {object|null}
+   */
+  getSchedule(id) {
+    const row = database.queryOne('SELECT * FROM exercise_schedules WHERE id = ?', [id]);
+    return row ? this.formatSchedule(row) : null;
+  }
+
+  /**
+   * List all schedules with their upcoming runs and latest run
+   * @param {Date} now - Reference time
+   * @returns {object[]}
+   */
+  listSchedules(now = new Date()) {
+    const rows = database.query('SELECT * FROM exercise_schedules ORDER BY created_at ASC');
+
+    return rows.map(row => {
+      const schedule = this.formatSchedule(row);
+      const lastRun = database.queryOne(
+        `SELECT * FROM exercise_schedule_runs WHERE schedule_id = ?
+         ORDER BY id DESC LIMIT 1`,
+        [schedule.id]
+      );
+      return {
+        ...schedule,
+        upcoming: this.getUpcomingRuns(schedule, now),
+        last_run: lastRun
+      };
+    });
+  }
+
+  /**
+   * Update schedule settings, or pause/resume it via { active }
+   * @param {string} id - Schedule ID
+   * @param {object} data - Fields to change
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  updateSchedule(id, data) {
+    const existing = this.getSchedule(id);
+    if (!existing) {
+      return { success: false, error: 'Schedule not found' };
+    }
+
+    const error = this.validate({
+      minRating: existing.min_rating,
+      maxRating: existing.max_rating,
+      ...data
+    }, true);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const columns = {
+      name: (v) => ['name', v.trim()],
+      themes: (v) => ['themes', v.length > 0 ? v.join(',') : null],
+      minRating: (v) => ['min_rating', v],
+      maxRating: (v) => ['max_rating', v],
+      count: (v) => ['puzzle_count', v],
+      studentIds: (v) => ['student_ids', v.join(',')],
+      weekday: (v) => ['weekday', v],
+      excludeSeen: (v) => ['exclude_seen', v ? 1 : 0],
+      active: (v) => ['active', v ? 1 : 0],
+      startsOn: (v) => ['starts_on', v]
+    };
+
+    const updates = [];
+    const params = [];
+
+    for (const [key, toColumn] of Object.entries(columns)) {
+      if (data[key] === undefined) continue;
+      const [column, value] = toColumn(data[key]);
+      updates.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    if (updates.length === 0) {
+      return { success: true, data: existing };
+    }
+
+    updates.push('updated_at = ?');
+    params.push(new Date().toISOString(), id);
+
+    database.run(`UPDATE exercise_schedules SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    return { success: true, data: this.getSchedule(id) };
+  }
+
+  /**
+   * Delete a schedule. Exercises it already created are kept.
+   * @param {string} id - Schedule ID
+   * @returns {{ success: boolean, error?: string }}
+   */
+  deleteSchedule(id) {
+    database.run('DELETE FROM exercise_schedule_runs WHERE schedule_id = ?', [id]);
+    const result = database.run('DELETE FROM exercise_schedules WHERE id = ?', [id]);
+    if (result.changes === 0) {
+      return { success: false, error: 'Schedule not found' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Run history for a schedule, newest first
+   * @param {string} id - Schedule ID
+   * @param {number} limit - Max rows
+   * @returns {object[]}
+   */
+  getRuns(id, limit = 20) {
+    return database.query(
+      `SELECT * FROM exercise_schedule_runs WHERE schedule_id = ?
+       ORDER BY id DESC LIMIT ?`,
+      [id, limit]
+    );
+  }
+
+  /**
+   * Whether a schedule already created its exercise for a week
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} weekStart - Monday (YYYY-MM-DD)
+   * @returns {boolean}
+   */
+  hasRunForWeek(scheduleId, weekStart) {
+    const row = database.queryOne(
+      `SELECT id FROM exercise_schedule_runs
+       WHERE schedule_id = ? AND week_start = ? AND status = 'created'`,
+      [scheduleId, weekStart]
+    );
+    return row !== null;
+  }
+
+  /**
+   * Next weeks a schedule will run for. Paused schedules have none.
+   * @param {object} schedule - Formatted schedule
+   * @param {Date} now - Reference time
+   * @param {number} count - Number of runs to list
+   * @returns {{ week_start: string, run_on: string }[]}
+   */
+  getUpcomingRuns(schedule, now = new Date(), count = 4) {
+    if (!schedule.active) return [];
+
+    const runs = [];
+    let weekStart = exerciseService.getWeekStart(now);
+
+    // This week counts even if its weekday has passed, as long as it has not
+    // run yet. Bounded so a far-future starts_on cannot loop forever.
+    for (let i = 0; i < 520 && runs.length < count; i++) {
+      const runOn = runDateForWeek(weekStart, schedule.weekday);
+      if (runOn >= schedule.starts_on && !this.hasRunForWeek(schedule.id, weekStart)) {
+        runs.push({ week_start: weekStart, run_on: runOn });
+      }
+      weekStart = addDays(weekStart, 7);
+    }
+
+    return runs;
+  }
+
+  /**
+   * Whether a schedule should create this week's exercise now
+   * @param {object} schedule - Formatted schedule
+   * @param {Date} now - Reference time
+   * @returns {boolean}
+   */
+  isDue(schedule, now = new Date()) {
+    if (!schedule.active) return false;
+    const weekStart = exerciseService.getWeekStart(now);
+    const runOn = runDateForWeek(weekStart, schedule.weekday);
+    return runOn <= formatLocalDate(now) &&
+      runOn >= schedule.starts_on &&
+      !this.hasRunForWeek(schedule.id, weekStart);
+  }
+
+  /**
+   * Pick puzzles for a schedule without saving anything
+   * @param {object} schedule - Formatted schedule
+   * @returns {{ puzzles: object[], excluded: number }}
+   */
+  generateForSchedule(schedule) {
+    databaseGenerator.setBlockedIds(reportManager.getBlockedPuzzleIds());
+
+    const excludeIds = schedule.exclude_seen
+      ? exerciseRepository.findSeenPuzzleIds(schedule.student_ids)
+      : new Set();
+
+    const puzzles = databaseGenerator.generatePuzzles(
+      schedule.themes.length > 0 ? schedule.themes.join(',') : null,
+      schedule.count,
+      {
+        minRating: schedule.min_rating,
+        maxRating: schedule.max_rating,
+        minPopularity: MIN_POPULARITY,
+        excludeIds
+      }
+    );
+
+    return { puzzles, excluded: excludeIds.size };
+  }
+
+  /**
+   * Show what the next run of a schedule would generate. Nothing is saved.
+   * @param {string} id - Schedule ID
+   * @param {Date} now - Reference time
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  dryRun(id, now = new Date()) {
+    const schedule = this.getSchedule(id);
+    if (!schedule) {
+      return { success: false, error: 'Schedule not found' };
+    }
+
+    const [next] = this.getUpcomingRuns({ ...schedule, active: true }, now, 1);
+    const { puzzles, excluded } = this.generateForSchedule(schedule);
+    const students = schedule.student_ids.map(studentId => {
+      const student = studentRepository.findById(studentId);
+      return { id: studentId, name: student ? student.name : null, missing: !student };
+    });
+
+    return {
+      success: true,
+      data: {
+        schedule,
+        week_start: next ? next.week_start : null,
+        run_on: next ? next.run_on : null,
+        students,
+        puzzles,
+        excluded
+      }
+    };
+  }
+
+  /**
+   * Create and assign this week's exercise for a schedule, recording the run
+   * @param {object} schedule - Formatted schedule
+   * @param {Date} now - Reference time
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  runSchedule(schedule, now = new Date()) {
+    const weekStart = exerciseService.getWeekStart(now);
+    const createdAt = new Date().toISOString();
+
+    // Retries on later checks update the week's failed run instead of adding one per check
+    const recordFailure = (error) => {
+      const previous = database.queryOne(
+        `SELECT id FROM exercise_schedule_runs
+         WHERE schedule_id = ? AND week_start = ? AND status = 'failed'`,
+        [schedule.id, weekStart]
+      );
+
+      if (previous) {
+        database.run(
+          'UPDATE exercise_schedule_runs SET error = ?, created_at = ? WHERE id = ?',
+          [error, createdAt, previous.id]
+        );
+      } else {
+        database.run(
+          `INSERT INTO exercise_schedule_runs (schedule_id, week_start, status, error, created_at)
+           VALUES (?, ?, 'failed', ?, ?)`,
+          [schedule.id, weekStart, error, createdAt]
+        );
+      }
+      return { success: false, error, retry: previous !== null };
+    };
+
+    const { puzzles } = this.generateForSchedule(schedule);
+    if (puzzles.length === 0) {
+      return recordFailure('No puzzles matched the schedule filters');
+    }
+
+    const created = exerciseService.createWeeklyExercise({
+      puzzleIds: puzzles.map(p => p.id),
+      name: `${schedule.name} (${exerciseService.formatWeekLabel(weekStart, exerciseService.getWeekEnd(weekStart))})`,
+      weekStart,
+      filters: {
+        count: puzzles.length,
+        schedule_id: schedule.id,
+        themes: schedule.themes,
+        min_rating: schedule.min_rating,
+        max_rating: schedule.max_rating
+      }
+    });
+
+    if (!created.success) {
+      return recordFailure(created.error);
+    }
+
+    const assigned = exerciseService.assignExerciseToStudents(created.data.id, schedule.student_ids);
+
+    database.run(
+      `INSERT INTO exercise_schedule_runs (schedule_id, week_start, exercise_id, status, error, created_at)
+       VALUES (?, ?, ?, 'created', ?, ?)`,
+      [
+        schedule.id,
+        weekStart,
+        created.data.id,
+        assigned.data.errors.length > 0 ? assigned.data.errors.join('; ') : null,
+        createdAt
+      ]
+    );
+
+    return {
+      success: true,
+      data: {
+        exercise: created.data,
+        assigned: assigned.data.assigned,
+        errors: assigned.data.errors
+      }
+    };
+  }
+
+  /**
+   * Run every active schedule that is due this week. A schedule that already
+   * failed this week is retried but only listed in failed the first time.
+   * @param {Date} now - Reference time
+   * @returns {{ ran: object[], failed: object[] }}
+   */
+  runDueSchedules(now = new Date()) {
+    const rows = database.query('SELECT * FROM exercise_schedules WHERE active = 1');
+    const ran = [];
+    const failed = [];
+
+    for (const row of rows) {
+      const schedule = this.formatSchedule(row);
+      if (!this.isDue(schedule, now)) continue;
+
+      const result = this.runSchedule(schedule, now);
+      if (result.success) {
+        ran.push({ schedule_id: schedule.id, exercise_id: result.data.exercise.id });
+      } else if (!result.retry) {
+        failed.push({ schedule_id: schedule.id, error: result.error });
+      }
+    }
+
+    return { ran, failed };
+  }
+
+  /**
+   * Run due schedules now and then on a timer
+   * @param {number} intervalMs - Time between checks
+   */
+  start(intervalMs = DEFAULT_CHECK_INTERVAL_MS) {
+    this.stop();
+
+    const tick = () => {
+      try {
+        const { ran, failed } = this.runDueSchedules();
+        if (ran.length > 0) {
+          console.log(`Exercise schedules: created ${ran.length} exercise(s)`);
+        }
+        for (const f of failed) {
+          console.error(`Exercise schedule ${f.schedule_id} failed: ${f.error}`);
+        }
+      } catch (error) {
+        console.error('Exercise scheduler error:', error.message);
+      }
+    };
+
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop the scheduler timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export const exerciseScheduleService = new ExerciseScheduleService();
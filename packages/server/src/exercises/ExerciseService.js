@@ -3,13 +3,57 @@
  * Business logic for exercise management
  */
 
+import { database } from '../database/SqliteDatabase.js';
 import { exerciseRepository } from './ExerciseRepository.js';
 import { studentRepository } from '../students/StudentRepository.js';
-import { database } from '../database/SqliteDatabase.js';
+import { reviewQueueService } from './ReviewQueueService.js';
+import { studentRatingService } from '../students/StudentRatingService.js';
+import { puzzleResolver } from '../puzzles/PuzzleResolver.js';
+import { puzzleRevisionService } from '../puzzles/PuzzleRevisionService.js';
 
 // Valid puzzle ID pattern (alphanumeric, underscore, hyphen)
 const PUZZLE_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
 
+const HOUR_MS = 60 * 60 * 1000;
+
+const TIME_LIMIT_MODES = ['total', 'per_puzzle'];
+const MIN_TIME_LIMIT_SECONDS = 10;
+const MAX_TIME_LIMIT_SECONDS = 4 * 60 * 60;
+
+// Saves arriving this long after a total time limit expired are still accepted,
+// so the player's auto-submit is not lost to network latency
+const TIMER_SLACK_MS = 30 * 1000;
+
+// Moves are logged in UCI notation, e.g. e2e4 or e7e8q
+const UCI_MOVE_PATTERN = /^[a-h][1-8][a-h][1-8][qrbn]?$/;
+const MAX_LOGGED_MOVES_PER_SAVE = 500;
+const MAX_LOGGED_LINE_MOVES = 200;
+
+/**
+ * Whether a logged line is space-separated UCI moves within the length limit
+ */
+function isLoggedLine(line) {
+  if (typeof line !== 'string') return false;
+  const moves = line.split(' ');
+  return moves.length <= MAX_LOGGED_LINE_MOVES && moves.every(uci => UCI_MOVE_PATTERN.test(uci));
+}
+
+/**
+ * Split the comma-separated per-puzzle strings the API accepts into lists
+ * lined up with the exercise's puzzles
+ */
+function parseResultList(csv) {
+  return csv.split(',').map(r => (r === '1' ? true : r === '0' ? false : null));
+}
+
+function parseHintList(csv) {
+  return csv.split(',').map(h => h === '1');
+}
+
+function parseTimeList(csv) {
+  return csv.split(',').map(t => (t === '' ? null : Number(t)));
+}
+
 /** Format a Date as YYYY-MM-DD using local timezone */
 function formatLocalDate(d) {
   const year = d.getFullYear();
@@ -19,6 +63,17 @@ function formatLocalDate(d) {
 }
 
 export class ExerciseService {
+  constructor() {
+    // Hours after the due date that attempts are still accepted.
+    // Unset means late attempts are always accepted (and flagged as late).
+    const grace = process.env.ATTEMPT_GRACE_HOURS;
+    this.attemptGraceHours = grace !== undefined && grace !== '' ? Number(grace) : null;
+
+    if (this.attemptGraceHours !== null && !(this.attemptGraceHours >= 0)) {
+      throw new Error(`ATTEMPT_GRACE_HOURS must be a number of hours, got "${grace}"`);
+    }
+  }
+
   /**
    * Get the Monday of the current week
    * @param {Date} date - Reference date
@@ -44,6 +99,131 @@ export class ExerciseService {
     return formatLocalDate(sunday);
   }
 
+  /**
+   * Default due date for an exercise week: the last moment of its Sunday
+   * @param {string} weekEnd - Sunday date (YYYY-MM-DD)
+   * @returns {string} - ISO timestamp
+   */
+  getDefaultDueAt(weekEnd) {
+    const [y, m, d] = weekEnd.split('-').map(Number);
+    return new Date(y, m - 1, d, 23, 59, 59, 999).toISOString();
+  }
+
+  /**
+   * When attempts stop being accepted for an assignment
+   * @param {object} assignment - Student exercise row
+   * @returns {Date|null} - null if attempts are never locked
+   */
+  getAttemptLockTime(assignment) {
+    if (this.attemptGraceHours === null || !assignment.due_at) return null;
+    return new Date(new Date(assignment.due_at).getTime() + this.attemptGraceHours * HOUR_MS);
+  }
+
+  /**
+   * Add deadline fields the client needs to a student exercise row
+   * @param {object} assignment - Student exercise row
+   * @param {Date} now - Reference time
+   * @returns {object}
+   */
+  withDeadlineStatus(assignment, now = new Date()) {
+    const lockTime = this.getAttemptLockTime(assignment);
+    return {
+      ...assignment,
+      is_overdue: assignment.status === 'assigned' && !assignment.submitted_at &&
+        !!assignment.due_at && new Date(assignment.due_at) < now,
+      locks_at: lockTime ? lockTime.toISOString() : null
+    };
+  }
+
+  /**
+   * Validate an optional exercise time limit
+   * @param {number|null} seconds - Time limit in seconds (null/undefined = untimed)
+   * @param {string} mode - 'total' or 'per_puzzle'
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateTimeLimit(seconds, mode) {
+    if (seconds === undefined || seconds === null) return null;
+
+    if (!Number.isInteger(seconds) || seconds < MIN_TIME_LIMIT_SECONDS || seconds > MAX_TIME_LIMIT_SECONDS) {
+      return `Time limit must be a whole number of seconds between ${MIN_TIME_LIMIT_SECONDS} and ${MAX_TIME_LIMIT_SECONDS}`;
+    }
+
+    if (!TIME_LIMIT_MODES.includes(mode)) {
+      return `Time limit mode must be one of: ${TIME_LIMIT_MODES.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * When a timed attempt runs out (total time limits only)
+   * @param {object} assignment - Student exercise row joined with the exercise time limit
+   * @returns {Date|null} - null if untimed, per-puzzle, or not started
+   */
+  getTimerExpiry(assignment) {
+    if (assignment.time_limit_mode !== 'total' || !assignment.time_limit_seconds || !assignment.started_at) {
+      return null;
+    }
+    return new Date(new Date(assignment.started_at).getTime() + assignment.time_limit_seconds * 1000);
+  }
+
+  /**
+   * Validate a move log sent with an attempt and flatten it into rows
+   * @param {object[]} moveLog - [{ puzzleIndex, moves: [{ move, ply, correct, alternative?, line?, playedAt }] }]
+   *   alternative marks a correct move that was not the stored solution move;
+   *   line is the UCI line played against, for puzzles with variations
+   * @param {string[]} puzzleIds - Exercise puzzle IDs, in order
+   * @returns {{ success: boolean, data?: object[], error?: string }}
+   */
+  normalizeMoveLog(moveLog, puzzleIds) {
+    if (!Array.isArray(moveLog)) {
+      return { success: false, error: 'Move log must be an array' };
+    }
+
+    const rows = [];
+
+    for (const entry of moveLog) {
+      const index = entry?.puzzleIndex;
+
+      if (!Number.isInteger(index) || index < 0 || index >= puzzleIds.length) {
+        return { success: false, error: 'Move log has an invalid puzzle index' };
+      }
+
+      if (!Array.isArray(entry.moves)) {
+        return { success: false, error: `Move log for puzzle ${index + 1} must have a moves array` };
+      }
+
+      for (const m of entry.moves) {
+        const playedAt = new Date(m?.playedAt);
+
+        if (typeof m?.move !== 'string' || !UCI_MOVE_PATTERN.test(m.move) ||
+            !Number.isInteger(m.ply) || m.ply < 0 ||
+            typeof m.correct !== 'boolean' || isNaN(playedAt.getTime()) ||
+            (m.alternative !== undefined && typeof m.alternative !== 'boolean') ||
+            (m.line !== undefined && !isLoggedLine(m.line))) {
+          return { success: false, error: `Move log for puzzle ${index + 1} has an invalid move` };
+        }
+
+        rows.push({
+          puzzle_index: index,
+          puzzle_id: puzzleIds[index],
+          ply: m.ply,
+          move: m.move,
+          is_correct: m.correct,
+          is_alternative: m.alternative === true,
+          line: m.line === undefined ? null : m.line,
+          played_at: playedAt.toISOString()
+        });
+      }
+    }
+
+    if (rows.length > MAX_LOGGED_MOVES_PER_SAVE) {
+      return { success: false, error: `Move log can contain at most ${MAX_LOGGED_MOVES_PER_SAVE} moves per save` };
+    }
+
+    return { success: true, data: rows };
+  }
+
   /**
    * Format week for display
    * @param {string} weekStart - Monday date
@@ -62,11 +242,11 @@ export class ExerciseService {
 
   /**
    * Create a weekly exercise from puzzle IDs
-   * @param {object} data - { puzzleIds, filters, name, weekStart? }
+   * @param {object} data - { puzzleIds, filters, name, weekStart?, timeLimitSeconds?, timeLimitMode? }
    * @returns {{ success: boolean, data?: object, error?: string }}
    */
   createWeeklyExercise(data) {
-    const { puzzleIds, filters, name } = data;
+    const { puzzleIds, filters, name, timeLimitSeconds = null, timeLimitMode = 'total' } = data;
 
     if (!puzzleIds || !Array.isArray(puzzleIds) || puzzleIds.length === 0) {
       return { success: false, error: 'At least one puzzle is required' };
@@ -79,6 +259,11 @@ export class ExerciseService {
       }
     }
 
+    const timeLimitError = this.validateTimeLimit(timeLimitSeconds, timeLimitMode);
+    if (timeLimitError) {
+      return { success: false, error: timeLimitError };
+    }
+
     const weekStart = data.weekStart || this.getWeekStart();
     const weekEnd = this.getWeekEnd(weekStart);
 
@@ -88,7 +273,11 @@ export class ExerciseService {
       week_end: weekEnd,
       name: name || `Week of ${this.formatWeekLabel(weekStart, weekEnd)}`,
       puzzle_ids: puzzleIds.join(','),
-      filters
+      // Keep serving these revisions if the puzzles are edited later
+      puzzle_revisions: puzzleRevisionService.getCurrentRevisions(puzzleIds),
+      filters,
+      time_limit_seconds: timeLimitSeconds,
+      time_limit_mode: timeLimitMode
     });
 
     if (!result.success) {
@@ -117,9 +306,10 @@ export class ExerciseService {
       return { success: false, error: 'Exercise not found' };
     }
 
-    // Get puzzle details
+    // Get puzzle details as they were when the exercise was built
     const puzzleIds = exercise.puzzle_ids.split(',');
-    const puzzles = database.getPuzzlesByIds(puzzleIds);
+    const revisions = exercise.puzzle_revisions ? JSON.parse(exercise.puzzle_revisions) : {};
+    const puzzles = puzzleResolver.getPuzzlesByIds(puzzleIds, { revisions });
 
     // Sort puzzles in the same order as puzzle_ids
     const orderedPuzzles = puzzleIds.map(id =>
@@ -132,6 +322,7 @@ export class ExerciseService {
         ...exercise,
         week_label: this.formatWeekLabel(exercise.week_start, exercise.week_end),
         filters: exercise.filters ? JSON.parse(exercise.filters) : null,
+        puzzle_revisions: revisions,
         puzzles: orderedPuzzles
       }
     };
@@ -141,9 +332,10 @@ export class ExerciseService {
    * Assign exercise to students
    * @param {string} exerciseId - Exercise ID
    * @param {string[]} studentIds - Array of student IDs
+   * @param {object} options - { dueAt } ISO timestamp; defaults to the end of the exercise week
    * @returns {{ success: boolean, data?: object, error?: string }}
    */
-  assignExerciseToStudents(exerciseId, studentIds) {
+  assignExerciseToStudents(exerciseId, studentIds, { dueAt } = {}) {
     const exercise = exerciseRepository.findExerciseById(exerciseId);
 
     if (!exercise) {
@@ -151,6 +343,7 @@ export class ExerciseService {
     }
 
     const puzzleCount = exercise.puzzle_ids.split(',').length;
+    const dueAtValue = dueAt || this.getDefaultDueAt(exercise.week_end);
     const results = [];
     const errors = [];
 
@@ -171,7 +364,8 @@ export class ExerciseService {
       const result = exerciseRepository.assignExercise({
         student_id: studentId,
         exercise_id: exerciseId,
-        total_puzzles: puzzleCount
+        total_puzzles: puzzleCount,
+        due_at: dueAtValue
       });
 
       if (result.success) {
@@ -221,22 +415,46 @@ export class ExerciseService {
       notes
     };
 
-    if (puzzleResults !== null) {
-      updateData.puzzle_results = puzzleResults;
+    // Per-puzzle results and the grade are written together or not at all
+    let result;
+    try {
+      result = database.transaction(() => {
+        if (puzzleResults !== null) {
+          exerciseRepository.savePuzzleResults(studentExerciseId, assignment.puzzle_ids.split(','), {
+            results: parseResultList(puzzleResults)
+          });
+        }
+
+        const updated = exerciseRepository.updateStudentExercise(studentExerciseId, updateData);
+        if (!updated.success) {
+          throw new Error(updated.error);
+        }
+        return updated;
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
     }
 
-    return exerciseRepository.updateStudentExercise(studentExerciseId, updateData);
+    this._processPuzzleResults(studentExerciseId);
+
+    return result;
   }
 
   /**
    * Save a student's puzzle attempt (temporary score, not final grade)
-   * Only saves if the exercise hasn't been graded by teacher yet.
+   * The first save stamps submitted_at and flags the attempt late if it comes
+   * after due_at.
+   * Refused once the exercise is final, or once the grace period (if any) has run out.
    * @param {string} studentExerciseId - Student exercise ID
    * @param {number} score - Number of correct answers
    * @param {string} puzzleResults - Comma-separated puzzle results (1=correct, 0=wrong)
+   * @param {string} puzzleHints - Comma-separated hint usage (1=used)
+   * @param {string} puzzleTimes - Comma-separated solve time per puzzle in ms
+   * @param {object[]} moveLog - Moves tried since the last save, appended to the attempt log
+   *   ([{ puzzleIndex, moves: [{ move, ply, correct, playedAt }] }])
    * @returns {{ success: boolean, data?: object, error?: string }}
    */
-  saveStudentAttempt(studentExerciseId, score, puzzleResults = null, puzzleHints = null) {
+  saveStudentAttempt(studentExerciseId, score, puzzleResults = null, puzzleHints = null, puzzleTimes = null, moveLog = null) {
     const assignment = exerciseRepository.findStudentExerciseById(studentExerciseId);
 
     if (!assignment) {
@@ -250,6 +468,25 @@ export class ExerciseService {
       };
     }
 
+    const now = new Date();
+    const lockTime = this.getAttemptLockTime(assignment);
+
+    if (lockTime && now > lockTime) {
+      return {
+        success: false,
+        error: 'The deadline for this exercise has passed and it can no longer be modified'
+      };
+    }
+
+    const timerExpiry = this.getTimerExpiry(assignment);
+
+    if (timerExpiry && now.getTime() > timerExpiry.getTime() + TIMER_SLACK_MS) {
+      return {
+        success: false,
+        error: 'Time is up for this exercise and it can no longer be modified'
+      };
+    }
+
     if (score < 0 || score > assignment.total_puzzles) {
       return {
         success: false,
@@ -257,19 +494,247 @@ export class ExerciseService {
       };
     }
 
-    const updateData = { score };
+    let loggedMoves = [];
+
+    if (moveLog !== null) {
+      const normalized = this.normalizeMoveLog(moveLog, assignment.puzzle_ids.split(','));
+      if (!normalized.success) {
+        return normalized;
+      }
+      loggedMoves = normalized.data;
+    }
+
+    const updateData = { score, ...this._submissionFields(assignment, now) };
+
+    // Per-puzzle results, the score and the move log are written together or not at all
+    let result;
+    try {
+      result = database.transaction(() => {
+        if (puzzleResults !== null || puzzleHints !== null || puzzleTimes !== null) {
+          exerciseRepository.savePuzzleResults(studentExerciseId, assignment.puzzle_ids.split(','), {
+            results: puzzleResults !== null ? parseResultList(puzzleResults) : undefined,
+            hints: puzzleHints !== null ? parseHintList(puzzleHints) : undefined,
+            times: puzzleTimes !== null ? parseTimeList(puzzleTimes) : undefined
+          });
+        }
+
+        const updated = exerciseRepository.updateStudentExercise(studentExerciseId, updateData);
+        if (!updated.success) {
+          throw new Error(updated.error);
+        }
+
+        if (loggedMoves.length > 0) {
+          exerciseRepository.appendPuzzleAttempts(studentExerciseId, loggedMoves);
+        }
+        return updated;
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    this._processPuzzleResults(studentExerciseId);
+
+    return result;
+  }
+
+  /**
+   * Per-puzzle results of a student exercise, in exercise order
+   * @param {string} studentExerciseId - Student exercise ID
+   * @returns {{ success: boolean, data?: object[], error?: string }}
+   */
+  getPuzzleResults(studentExerciseId) {
+    if (!exerciseRepository.findStudentExerciseById(studentExerciseId)) {
+      return { success: false, error: 'Assignment not found' };
+    }
+
+    return {
+      success: true,
+      data: exerciseRepository.findPuzzleResults(studentExerciseId).map(r => ({
+        puzzle_id: r.puzzle_id,
+        correct: r.correct === null ? null : r.correct === 1,
+        hint_used: r.hint_used === 1,
+        solve_time_ms: r.solve_time_ms,
+        updated_at: r.updated_at
+      }))
+    };
+  }
+
+  /**
+   * Move-by-move attempt log for a student exercise, grouped by puzzle.
+   * first_wrong is the earliest wrong move, with the solution ply it was played at;
+   * moves accepted in place of the solution move have alternative set, and
+   * moves on puzzles with variations carry the line (UCI moves) they were
+   * played against.
+   * @param {string} studentExerciseId - Student exercise ID
+   * @returns {{ success: boolean, data?: object[], error?: string }}
+   */
+  getAttemptLog(studentExerciseId) {
+    const assignment = exerciseRepository.findStudentExerciseById(studentExerciseId);
+
+    if (!assignment) {
+      return { success: false, error: 'Assignment not found' };
+    }
+
+    const byPuzzle = new Map();
+
+    for (const row of exerciseRepository.findPuzzleAttempts(studentExerciseId)) {
+      if (!byPuzzle.has(row.puzzle_index)) {
+        byPuzzle.set(row.puzzle_index, {
+          puzzle_index: row.puzzle_index,
+          puzzle_id: row.puzzle_id,
+          moves: [],
+          first_wrong: null
+        });
+      }
+
+      const entry = byPuzzle.get(row.puzzle_index);
+      const move = {
+        seq: row.seq,
+        ply: row.ply,
+        move: row.move,
+        correct: row.is_correct === 1,
+        alternative: row.is_alternative === 1,
+        line: row.line ? row.line.split(' ') : null,
+        played_at: row.played_at
+      };
+
+      entry.moves.push(move);
+      if (!move.correct && !entry.first_wrong) {
+        entry.first_wrong = move;
+      }
+    }
+
+    return { success: true, data: [...byPuzzle.values()] };
+  }
+
+  /**
+   * Start (or resume) a student's attempt. The first call stamps started_at so
+   * a total time limit keeps running if the player is closed and reopened.
+   * @param {string} studentExerciseId - Student exercise ID
+   * @param {Date} now - Reference time
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  startAttempt(studentExerciseId, now = new Date()) {
+    const assignment = exerciseRepository.findStudentExerciseById(studentExerciseId);
+
+    if (!assignment) {
+      return { success: false, error: 'Assignment not found' };
+    }
+
+    let startedAt = assignment.started_at;
+    if (!startedAt && !assignment.is_final) {
+      startedAt = now.toISOString();
+      exerciseRepository.updateStudentExercise(studentExerciseId, { started_at: startedAt });
+    }
+
+    const expiry = this.getTimerExpiry({ ...assignment, started_at: startedAt });
+
+    return {
+      success: true,
+      data: {
+        started_at: startedAt,
+        time_limit_seconds: assignment.time_limit_seconds,
+        time_limit_mode: assignment.time_limit_mode,
+        expires_at: expiry ? expiry.toISOString() : null,
+        remaining_ms: expiry ? Math.max(0, expiry.getTime() - now.getTime()) : null
+      }
+    };
+  }
+
+  /**
+   * Per-puzzle solve times across an exercise's assignments, in puzzle order
+   * @param {string} exerciseId - Exercise ID
+   * @returns {{ success: boolean, data?: object[], error?: string }}
+   */
+  getSolveTimeStats(exerciseId) {
+    const exercise = exerciseRepository.findExerciseById(exerciseId);
+
+    if (!exercise) {
+      return { success: false, error: 'Exercise not found' };
+    }
+
+    const aggregates = exerciseRepository.getSolveTimeAggregates(exerciseId);
+
+    return {
+      success: true,
+      data: exercise.puzzle_ids.split(',').map((puzzleId, index) => {
+        const stats = aggregates.get(puzzleId);
+        return {
+          puzzle_id: puzzleId,
+          index,
+          attempts: stats ? stats.attempts : 0,
+          average_ms: stats ? stats.average_ms : null,
+          max_ms: stats ? stats.max_ms : null
+        };
+      })
+    };
+  }
+
+  /**
+   * Submission timestamp and late flag for a submission made now. Only the
+   * first submission sets them; later saves keep the original time and flag.
+   * @param {object} assignment - Student exercise row
+   * @param {Date} now - Submission time
+   * @returns {{ submitted_at?: string, is_late?: number }}
+   */
+  _submissionFields(assignment, now) {
+    if (assignment.submitted_at) return {};
+
+    return {
+      submitted_at: now.toISOString(),
+      is_late: assignment.due_at && now > new Date(assignment.due_at) ? 1 : 0
+    };
+  }
+
+  /**
+   * Change the due date of a single assignment.
+   * The late flag is re-evaluated against any existing submission.
+   * @param {string} studentExerciseId - Student exercise ID
+   * @param {string} dueAt - ISO timestamp
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  setDueDate(studentExerciseId, dueAt) {
+    const assignment = exerciseRepository.findStudentExerciseById(studentExerciseId);
+
+    if (!assignment) {
+      return { success: false, error: 'Assignment not found' };
+    }
 
-    if (puzzleResults !== null) {
-      updateData.puzzle_results = puzzleResults;
+    const due = new Date(dueAt);
+    if (isNaN(due.getTime())) {
+      return { success: false, error: 'Invalid due date' };
     }
 
-    if (puzzleHints !== null) {
-      updateData.puzzle_hints = puzzleHints;
+    const updateData = { due_at: due.toISOString() };
+    if (assignment.submitted_at) {
+      updateData.is_late = new Date(assignment.submitted_at) > due ? 1 : 0;
     }
 
     return exerciseRepository.updateStudentExercise(studentExerciseId, updateData);
   }
 
+  /**
+   * Assignments past their due date with nothing submitted
+   * @param {Date} now - Reference time
+   * @returns {object[]}
+   */
+  getOverdueAssignments(now = new Date()) {
+    return exerciseRepository.findOverdueAssignments(now.toISOString()).map(a => ({
+      ...a,
+      week_label: this.formatWeekLabel(a.week_start, a.week_end),
+      days_overdue: Math.floor((now - new Date(a.due_at)) / (24 * HOUR_MS))
+    }));
+  }
+
+  /**
+   * Feed newly recorded per-puzzle results into the review queue and the student's rating
+   * @param {string} studentExerciseId - Student exercise ID
+   */
+  _processPuzzleResults(studentExerciseId) {
+    reviewQueueService.syncFromStudentExercise(studentExerciseId);
+    studentRatingService.recordExerciseResults(studentExerciseId);
+  }
+
   /**
    * Mark a student's exercise as final (no further solving allowed)
    * @param {string} studentExerciseId - Student exercise ID
@@ -287,7 +752,7 @@ export class ExerciseService {
 
   /**
    * Reset a student's exercise score to 0
-   * Clears score, puzzle_results, puzzle_hints, and is_final
+   * Clears score, per-puzzle results, is_final, the timer and the move log
    * Does NOT change status
    * @param {string} studentExerciseId - Student exercise ID
    * @returns {{ success: boolean, data?: object, error?: string }}
@@ -303,9 +768,16 @@ export class ExerciseService {
    * @returns {{ success: boolean, data?: object, error?: string }}
    */
   uploadAnswerPdf(studentExerciseId, pdfPath) {
+    const assignment = exerciseRepository.findStudentExerciseById(studentExerciseId);
+
+    if (!assignment) {
+      return { success: false, error: 'Assignment not found' };
+    }
+
     return exerciseRepository.updateStudentExercise(studentExerciseId, {
       answer_pdf_path: pdfPath,
-      status: 'submitted'
+      status: 'submitted',
+      ...this._submissionFields(assignment, new Date())
     });
   }
 
@@ -315,10 +787,12 @@ export class ExerciseService {
    */
   getAllExercisesWithStats() {
     const exercises = exerciseRepository.findAllExercises();
+    const now = new Date();
 
     return exercises.map(exercise => {
       const assignments = exerciseRepository.findExerciseAssignments(exercise.id);
       const graded = assignments.filter(a => a.status === 'graded');
+      const overdue = assignments.filter(a => this.withDeadlineStatus(a, now).is_overdue);
 
       return {
         ...exercise,
@@ -326,6 +800,7 @@ export class ExerciseService {
         puzzle_count: exercise.puzzle_ids.split(',').length,
         total_assigned: assignments.length,
         total_graded: graded.length,
+        total_overdue: overdue.length,
         filters: exercise.filters ? JSON.parse(exercise.filters) : null
       };
     });
@@ -0,0 +1,201 @@
+/**
+ * PersonalizedExerciseService.js
+ * Builds a per-student weekly exercise weighted towards the student's weakest
+ * themes, rated around their current puzzle rating, skipping puzzles they have
+ * already been assigned.
+ */
+
+import { database } from '../database/SqliteDatabase.js';
+import { databaseGenerator } from '../database/DatabaseGenerator.js';
+import { exerciseService } from './ExerciseService.js';
+import { exerciseRepository } from './ExerciseRepository.js';
+import { themeAnalyticsService } from './ThemeAnalyticsService.js';
+import { studentRepository } from '../students/StudentRepository.js';
+import { studentRatingService } from '../students/StudentRatingService.js';
+
+// Starting point for students who have no rated puzzles yet
+const SKILL_LEVEL_RATINGS = {
+  beginner: 1200,
+  intermediate: 1600,
+  advanced: 2000
+};
+
+const WEAK_ACCURACY_THRESHOLD = 75;
+const MAX_WEAK_THEMES = 3;
+const MAX_MAINTENANCE_THEMES = 2;
+const WEAK_SHARE = 0.7;
+const MIN_POPULARITY = 80;
+
+export class PersonalizedExerciseService {
+  /**
+   * Decide which themes and rating bands a student's exercise should use.
+   * Weak themes are pitched slightly below the student's rating so they can
+   * build the pattern; maintenance themes slightly above to keep them sharp.
+   * @param {object} student - Student row
+   * @param {number} count - Total number of puzzles
+   * @returns {object} plan
+   */
+  buildPlan(student, count) {
+    const { themes } = themeAnalyticsService.getStudentThemeAnalytics(student.id);
+
+    // themes are sorted weakest first
+    const weakThemes = themes
+      .filter(t => t.accuracy < WEAK_ACCURACY_THRESHOLD)
+      .slice(0, MAX_WEAK_THEMES)
+      .map(t => t.theme);
+    const maintenanceThemes = themes
+      .filter(t => t.accuracy >= WEAK_ACCURACY_THRESHOLD)
+      .slice(-MAX_MAINTENANCE_THEMES)
+      .reverse()
+      .map(t => t.theme);
+
+    const rating = studentRatingService.getRating(student.id);
+    const targetRating = rating.games > 0
+      ? Math.round(rating.rating)
+      : (SKILL_LEVEL_RATINGS[student.skill_level] || SKILL_LEVEL_RATINGS.beginner);
+
+    let weakCount = 0;
+    if (weakThemes.length > 0) {
+      weakCount = maintenanceThemes.length > 0 ? Math.round(count * WEAK_SHARE) : count;
+    }
+    const maintenanceCount = maintenanceThemes.length > 0 ? count - weakCount : 0;
+
+    return {
+      target_rating: targetRating,
+      weak_themes: weakThemes,
+      weak_count: weakCount,
+      weak_rating: { min: targetRating - 200, max: targetRating + 100 },
+      maintenance_themes: maintenanceThemes,
+      maintenance_count: maintenanceCount,
+      maintenance_rating: { min: targetRating - 100, max: targetRating + 200 }
+    };
+  }
+
+  /**
+   * Pick unseen puzzles for a plan
+   * @param {object} plan - From buildPlan()
+   * @param {number} count - Total number of puzzles
+   * @param {Set<string>} excludeIds - Puzzle IDs to skip (mutated as puzzles are picked)
+   * @returns {object[]} puzzles
+   */
+  pickPuzzles(plan, count, excludeIds) {
+    const picked = [];
+
+    const take = (themes, n, band) => {
+      if (n <= 0) return;
+      const puzzles = databaseGenerator.generatePuzzles(themes.length > 0 ? themes.join(',') : null, n, {
+        minRating: band.min,
+        maxRating: band.max,
+        minPopularity: MIN_POPULARITY,
+        excludeIds
+      });
+      for (const puzzle of puzzles) {
+        if (picked.length >= count || excludeIds.has(puzzle.id)) continue;
+        picked.push(puzzle);
+        excludeIds.add(puzzle.id);
+      }
+    };
+
+    take(plan.weak_themes, plan.weak_count, plan.weak_rating);
+    take(plan.maintenance_themes, plan.maintenance_count, plan.maintenance_rating);
+
+    // Top up with any theme near the student's level if the themed pools ran dry
+    take([], count - picked.length, {
+      min: plan.target_rating - 300,
+      max: plan.target_rating + 300
+    });
+
+    return picked;
+  }
+
+  /**
+   * Create and assign a personalized exercise for one student
+   * @param {string} studentId - Student ID
+   * @param {object} options - { count, weekStart, name }
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  createForStudent(studentId, { count = 10, weekStart, name } = {}) {
+    const student = studentRepository.findById(studentId);
+
+    if (!student) {
+      return { success: false, error: `Student ${studentId} not found` };
+    }
+
+    const plan = this.buildPlan(student, count);
+    const seen = exerciseRepository.findSeenPuzzleIds([studentId]);
+    const puzzles = this.pickPuzzles(plan, count, seen);
+
+    if (puzzles.length === 0) {
+      return { success: false, error: `No unseen puzzles available for ${student.name}` };
+    }
+
+    // The exercise is only kept if the student ends up assigned to it
+    let created;
+    let assignment;
+    try {
+      database.transaction(() => {
+        created = exerciseService.createWeeklyExercise({
+          puzzleIds: puzzles.map(p => p.id),
+          name: name || `${student.name}: Personalized Practice`,
+          weekStart,
+          filters: {
+            count: puzzles.length,
+            personalized: true,
+            student_id: studentId,
+            target_rating: plan.target_rating,
+            weak_themes: plan.weak_themes,
+            maintenance_themes: plan.maintenance_themes
+          }
+        });
+        if (!created.success) {
+          throw new Error(created.error);
+        }
+
+        const assigned = exerciseService.assignExerciseToStudents(created.data.id, [studentId]);
+        if (!assigned.success) {
+          throw new Error(assigned.error);
+        }
+        [assignment] = assigned.data.assigned;
+        if (!assignment) {
+          throw new Error(assigned.data.errors[0] || `Could not assign the exercise to ${student.name}`);
+        }
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    return {
+      success: true,
+      data: {
+        student: { id: student.id, name: student.name },
+        exercise: created.data,
+        assignment,
+        plan
+      }
+    };
+  }
+
+  /**
+   * Create and assign personalized exercises for several students
+   * @param {string[]} studentIds - Student IDs
+   * @param {object} options - { count, weekStart }
+   * @returns {{ created: object[], failed: { student_id: string, error: string }[] }}
+   */
+  createForStudents(studentIds, options = {}) {
+    const created = [];
+    const failed = [];
+
+    for (const studentId of studentIds) {
+      const result = this.createForStudent(studentId, options);
+      if (result.success) {
+        created.push(result.data);
+      } else {
+        failed.push({ student_id: studentId, error: result.error });
+      }
+    }
+
+    return { created, failed };
+  }
+}
+
+export const personalizedExerciseService = new PersonalizedExerciseService();
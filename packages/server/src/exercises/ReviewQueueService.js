@@ -0,0 +1,226 @@
+/**
+ * ReviewQueueService.js
+ * Spaced-repetition (SM-2) review queue built from puzzles a student missed
+ * or only solved with a hint.
+ */
+
+import { database } from '../database/SqliteDatabase.js';
+import { puzzleResolver } from '../puzzles/PuzzleResolver.js';
+
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Map a review outcome to an SM-2 quality grade (0-5)
+ * @param {boolean} correct - Whether the student solved the puzzle
+ * @param {boolean} usedHint - Whether a hint was needed
+ * @returns {number}
+ */
+export function qualityFromOutcome(correct, usedHint = false) {
+  if (!correct) return 1;
+  return usedHint ? 3 : 5;
+}
+
+/**
+ * Compute the next SM-2 schedule for a review item.
+ * A quality below 3 counts as a lapse: repetitions restart and the item is
+ * due again tomorrow, with the ease factor left unchanged.
+ * @param {object} item - { ease_factor, interval_days, repetitions, lapses }
+ * @param {number} quality - Review quality (0-5)
+ * @param {Date} now - Review time
+ * @returns {{ ease_factor: number, interval_days: number, repetitions: number, lapses: number, due_at: string }}
+ */
+export function scheduleReview(item, quality, now = new Date()) {
+  let easeFactor = item.ease_factor ?? DEFAULT_EASE_FACTOR;
+  let interval = item.interval_days ?? 0;
+  let repetitions = item.repetitions ?? 0;
+  let lapses = item.lapses ?? 0;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+    lapses++;
+  } else {
+    repetitions++;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+
+    easeFactor += 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+    easeFactor = Math.max(MIN_EASE_FACTOR, Math.round(easeFactor * 100) / 100);
+  }
+
+  return {
+    ease_factor: easeFactor,
+    interval_days: interval,
+    repetitions,
+    lapses,
+    due_at: new Date(now.getTime() + interval * DAY_MS).toISOString()
+  };
+}
+
+export class ReviewQueueService {
+  /**
+   * Generate a unique review item ID
+   * @returns {string}
+   */
+  generateReviewItemId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `review_${timestamp}_${random}`;
+  }
+
+  /**
+   * Queue every missed or hinted puzzle of a student exercise for review.
+   * Puzzles already in the student's queue keep their current schedule.
+   * @param {string} studentExerciseId - Student exercise ID
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  syncFromStudentExercise(studentExerciseId) {
+    try {
+      const row = database.queryOne(
+        'SELECT id, student_id FROM student_exercises WHERE id = ?',
+        [studentExerciseId]
+      );
+
+      if (!row) {
+        return { success: false, error: 'Assignment not found' };
+      }
+
+      const flagged = database.query(
+        `SELECT r.puzzle_id, r.correct
+         FROM student_puzzle_results r
+         JOIN student_exercises se ON se.id = r.student_exercise_id
+         JOIN weekly_exercises we ON we.id = se.exercise_id
+         WHERE r.student_exercise_id = ? AND (r.correct = 0 OR r.hint_used = 1)
+         ORDER BY INSTR(',' || we.puzzle_ids || ',', ',' || r.puzzle_id || ',')`,
+        [studentExerciseId]
+      );
+      const now = new Date().toISOString();
+      let queued = 0;
+
+      for (const { puzzle_id: puzzleId, correct } of flagged) {
+        const result = database.run(
+          `INSERT OR IGNORE INTO review_items
+             (id, student_id, puzzle_id, source_student_exercise_id, reason, due_at, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            this.generateReviewItemId(),
+            row.student_id,
+            puzzleId,
+            row.id,
+            correct === 0 ? 'missed' : 'hint',
+            now,
+            now
+          ]
+        );
+        queued += result.changes;
+      }
+
+      return { success: true, data: { queued } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a student's review queue with puzzle details
+   * @param {string} studentId - Student ID
+   * @param {object} options - { dueOnly, limit }
+   * @returns {{ items: object[], due_count: number, total_count: number }}
+   */
+  getReviewQueue(studentId, { dueOnly = true, limit = 20 } = {}) {
+    const now = new Date().toISOString();
+
+    const rows = database.query(
+      `SELECT ri.*, p.fen, p.moves, p.rating, p.themes
+       FROM review_items ri
+       JOIN puzzles p ON p.id = ri.puzzle_id
+       WHERE ri.student_id = ? ${dueOnly ? 'AND ri.due_at <= ?' : ''}
+       ORDER BY ri.due_at ASC
+       LIMIT ?`,
+      dueOnly ? [studentId, now, limit] : [studentId, limit]
+    );
+    const items = puzzleResolver.resolve(rows, 'puzzle_id');
+
+    const dueCount = database.queryScalar(
+      'SELECT COUNT(*) FROM review_items WHERE student_id = ? AND due_at <= ?',
+      [studentId, now]
+    );
+    const totalCount = database.queryScalar(
+      'SELECT COUNT(*) FROM review_items WHERE student_id = ?',
+      [studentId]
+    );
+    const nextDue = database.queryScalar(
+      'SELECT MIN(due_at) FROM review_items WHERE student_id = ? AND due_at > ?',
+      [studentId, now]
+    );
+
+    return {
+      items,
+      due_count: dueCount || 0,
+      total_count: totalCount || 0,
+      next_due_at: nextDue || null
+    };
+  }
+
+  /**
+   * Record a review and reschedule the item
+   * @param {string} studentId - Student ID (owner of the item)
+   * @param {string} itemId - Review item ID
+   * @param {number} quality - Review quality (0-5)
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  recordReview(studentId, itemId, quality) {
+    try {
+      const item = database.queryOne(
+        'SELECT * FROM review_items WHERE id = ? AND student_id = ?',
+        [itemId, studentId]
+      );
+
+      if (!item) {
+        return { success: false, error: 'Review item not found' };
+      }
+
+      const now = new Date();
+      const next = scheduleReview(item, quality, now);
+
+      database.run(
+        `UPDATE review_items
+         SET ease_factor = ?, interval_days = ?, repetitions = ?, lapses = ?,
+             due_at = ?, last_reviewed_at = ?, last_quality = ?
+         WHERE id = ?`,
+        [
+          next.ease_factor,
+          next.interval_days,
+          next.repetitions,
+          next.lapses,
+          next.due_at,
+          now.toISOString(),
+          quality,
+          itemId
+        ]
+      );
+
+      database.run(
+        `INSERT INTO review_log (review_item_id, quality, interval_days, ease_factor, reviewed_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [itemId, quality, next.interval_days, next.ease_factor, now.toISOString()]
+      );
+
+      return {
+        success: true,
+        data: { ...item, ...next, last_reviewed_at: now.toISOString(), last_quality: quality }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export const reviewQueueService = new ReviewQueueService();
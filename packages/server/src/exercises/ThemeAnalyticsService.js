@@ -31,6 +31,78 @@ const SKIP_THEMES = new Set([
   'short', 'long', 'verylong', 'onemove', 'crushing', 'advantage', 'mate', 'master', 'brilliant'
 ])
 
+const splitCsv = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean)
+
+/**
+ * Per-puzzle results ({ student_id, puzzle_id, correct }) of the graded
+ * assignments matching `where`. Graded assignments with no per-puzzle results
+ * (scored without puzzle detail) count their first `score` puzzles as correct
+ * and the rest as wrong.
+ */
+function gradedResults(where, params) {
+  const results = database.query(
+    `SELECT se.student_id, r.puzzle_id, r.correct
+     FROM student_puzzle_results r
+     JOIN student_exercises se ON se.id = r.student_exercise_id
+     WHERE ${where} AND se.status = 'graded' AND r.correct IS NOT NULL`,
+    params
+  )
+
+  const scoredOnly = database.query(
+    `SELECT se.student_id, se.score, we.puzzle_ids
+     FROM student_exercises se
+     JOIN weekly_exercises we ON we.id = se.exercise_id
+     WHERE ${where} AND se.status = 'graded' AND se.score IS NOT NULL AND se.total_puzzles > 0
+       AND NOT EXISTS (SELECT 1 FROM student_puzzle_results x WHERE x.student_exercise_id = se.id)`,
+    params
+  )
+  for (const row of scoredOnly) {
+    splitCsv(row.puzzle_ids).forEach((puzzleId, i) => {
+      results.push({ student_id: row.student_id, puzzle_id: puzzleId, correct: i < row.score ? 1 : 0 })
+    })
+  }
+
+  return results
+}
+
+/**
+ * Attempted/correct counts per student and theme over the results above
+ * @returns {Map<string, Map<string, { attempted, correct }>>} - student → theme → counts
+ */
+function studentThemeStats(where, params) {
+  const results = gradedResults(where, params)
+  const puzzleIds = [...new Set(results.map(r => r.puzzle_id))]
+  const themesByPuzzle = new Map()
+  if (puzzleIds.length > 0) {
+    const rows = database.query(
+      `SELECT id, themes FROM puzzles WHERE id IN (${puzzleIds.map(() => '?').join(',')})`,
+      puzzleIds
+    )
+    for (const row of rows) {
+      themesByPuzzle.set(row.id, splitCsv(row.themes).map(t => t.toLowerCase()).filter(t => !SKIP_THEMES.has(t)))
+    }
+  }
+
+  const stats = new Map()
+  for (const result of results) {
+    if (!stats.has(result.student_id)) stats.set(result.student_id, new Map())
+    const byTheme = stats.get(result.student_id)
+
+    for (const theme of themesByPuzzle.get(result.puzzle_id) || []) {
+      if (!byTheme.has(theme)) byTheme.set(theme, { attempted: 0, correct: 0 })
+      const stat = byTheme.get(theme)
+      stat.attempted++
+      stat.correct += result.correct
+    }
+  }
+  return stats
+}
+
+// Weakest first, alphabetical among equals
+const byAccuracy = (a, b) => a.accuracy - b.accuracy || a.theme.localeCompare(b.theme)
+
+const accuracyOf = (stat) => Math.round((stat.correct / stat.attempted) * 100)
+
 export class ThemeAnalyticsService {
   /**
    * Get per-theme accuracy for a student across all graded exercises.
@@ -38,85 +110,33 @@ export class ThemeAnalyticsService {
    * @returns {{ summary, themes[] }}
    */
   getStudentThemeAnalytics(studentId) {
-    // Fetch all graded assignments for this student (include those without puzzle_results for summary stats)
-    const assignments = database.query(
-      `SELECT se.puzzle_results, se.score, se.total_puzzles, we.puzzle_ids
-       FROM student_exercises se
-       JOIN weekly_exercises we ON se.exercise_id = we.id
-       WHERE se.student_id = ? AND se.status = 'graded'`,
+    const totals = database.queryOne(
+      `SELECT COUNT(*) AS total_exercises, SUM(score) AS total_score, SUM(total_puzzles) AS total_puzzles
+       FROM student_exercises
+       WHERE student_id = ? AND status = 'graded'`,
       [studentId]
     )
 
-    if (assignments.length === 0) {
+    if (!totals || totals.total_exercises === 0) {
       return { summary: { total_exercises: 0, average_score: null, strongest: null, weakest: null }, themes: [] }
     }
 
-    // Collect all puzzle IDs from all graded assignments
-    const allPuzzleIds = new Set()
-    for (const a of assignments) {
-      a.puzzle_ids.split(',').forEach(id => allPuzzleIds.add(id.trim()))
-    }
-
-    // Batch fetch puzzle themes
-    const puzzleThemes = this._getPuzzleThemes([...allPuzzleIds])
-
-    // Accumulate per-theme stats
-    const themeStats = new Map()
-
-    for (const a of assignments) {
-      const puzzleIds = a.puzzle_ids.split(',').map(id => id.trim())
-
-      // Use actual puzzle_results if available, otherwise synthesize from score
-      let results
-      if (a.puzzle_results) {
-        results = a.puzzle_results.split(',').map(r => r.trim())
-      } else if (a.score !== null && a.total_puzzles > 0) {
-        // Synthesize: distribute correct answers across puzzles
-        results = puzzleIds.map((_, i) => i < a.score ? '1' : '0')
-      } else {
-        continue // skip if no grading data at all
-      }
-
-      for (let i = 0; i < puzzleIds.length && i < results.length; i++) {
-        const result = results[i]
-        if (result !== '1' && result !== '0') continue
+    const byTheme = studentThemeStats('se.student_id = ?', [studentId]).get(studentId) || new Map()
 
-        const themes = puzzleThemes.get(puzzleIds[i])
-        if (!themes) continue
-
-        const correct = result === '1'
-        for (const theme of themes) {
-          if (SKIP_THEMES.has(theme)) continue
-
-          if (!themeStats.has(theme)) {
-            themeStats.set(theme, { attempted: 0, correct: 0 })
-          }
-          const stat = themeStats.get(theme)
-          stat.attempted++
-          if (correct) stat.correct++
-        }
-      }
-    }
-
-    // Build sorted result (weakest first)
-    const themes = [...themeStats.entries()]
+    const themes = [...byTheme]
       .map(([theme, stat]) => ({
         theme,
         label: formatLabel(theme),
         attempted: stat.attempted,
         correct: stat.correct,
-        accuracy: Math.round((stat.correct / stat.attempted) * 100)
+        accuracy: accuracyOf(stat)
       }))
-      .sort((a, b) => a.accuracy - b.accuracy)
-
-    // Summary
-    const totalScore = assignments.reduce((sum, a) => sum + (a.score || 0), 0)
-    const totalPuzzles = assignments.reduce((sum, a) => sum + (a.total_puzzles || 0), 0)
+      .sort(byAccuracy)
 
     return {
       summary: {
-        total_exercises: assignments.length,
-        average_score: totalPuzzles > 0 ? Math.round((totalScore / totalPuzzles) * 100) : null,
+        total_exercises: totals.total_exercises,
+        average_score: totals.total_puzzles > 0 ? Math.round(((totals.total_score || 0) / totals.total_puzzles) * 100) : null,
         strongest: themes.length > 0 ? { theme: themes[themes.length - 1].label, accuracy: themes[themes.length - 1].accuracy } : null,
         weakest: themes.length > 0 ? { theme: themes[0].label, accuracy: themes[0].accuracy } : null
       },
@@ -125,29 +145,42 @@ export class ThemeAnalyticsService {
   }
 
   /**
-   * Batch fetch themes for puzzle IDs
-   * @param {string[]} puzzleIds
-   * @returns {Map<string, string[]>}
+   * Per-theme totals across several students, weakest first. `students` is how
+   * many of them attempted the theme and `struggling` how many of those are
+   * below weakAccuracy.
+   * @param {string[]} studentIds
+   * @param {number} weakAccuracy - Accuracy (%) below which a student is struggling
+   * @returns {object[]}
    */
-  _getPuzzleThemes(puzzleIds) {
-    const result = new Map()
-    if (puzzleIds.length === 0) return result
-
-    // Query in batches of 500
-    for (let i = 0; i < puzzleIds.length; i += 500) {
-      const batch = puzzleIds.slice(i, i + 500)
-      const placeholders = batch.map(() => '?').join(',')
-      const rows = database.query(
-        `SELECT id, themes FROM puzzles WHERE id IN (${placeholders})`,
-        batch
-      )
-      for (const row of rows) {
-        const themes = (row.themes || '').split(',').map(t => t.trim().toLowerCase()).filter(Boolean)
-        result.set(row.id, themes)
+  getThemeStatsForStudents(studentIds, weakAccuracy) {
+    if (studentIds.length === 0) return []
+
+    const placeholders = studentIds.map(() => '?').join(',')
+    const stats = studentThemeStats(`se.student_id IN (${placeholders})`, studentIds)
+
+    const totals = new Map()
+    for (const byTheme of stats.values()) {
+      for (const [theme, stat] of byTheme) {
+        if (!totals.has(theme)) totals.set(theme, { attempted: 0, correct: 0, students: 0, struggling: 0 })
+        const total = totals.get(theme)
+        total.attempted += stat.attempted
+        total.correct += stat.correct
+        total.students++
+        if (accuracyOf(stat) < weakAccuracy) total.struggling++
       }
     }
 
-    return result
+    return [...totals]
+      .map(([theme, total]) => ({
+        theme,
+        label: formatLabel(theme),
+        attempted: total.attempted,
+        correct: total.correct,
+        accuracy: accuracyOf(total),
+        students: total.students,
+        struggling: total.struggling
+      }))
+      .sort(byAccuracy)
   }
 }
 
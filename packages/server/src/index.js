@@ -17,17 +17,35 @@ import { migrate as migratePuzzleResults } from './database/migrations/003_add_p
 import { migrate as migrateAuth } from './database/migrations/004_add_users_auth.js';
 import { migrate as migratePuzzleHints } from './database/migrations/005_add_puzzle_hints.js';
 import { migrate as migrateIsFinal } from './database/migrations/006_add_is_final_flag.js';
+import { migrate as migrateReviewQueue } from './database/migrations/007_add_review_queue.js';
+import { migrate as migrateStudentRatings } from './database/migrations/008_add_student_ratings.js';
+import { migrate as migrateExerciseSchedules } from './database/migrations/009_add_exercise_schedules.js';
+import { migrate as migrateDueDates } from './database/migrations/010_add_due_dates.js';
+import { migrate as migrateGroups } from './database/migrations/011_add_groups.js';
+import { migrate as migrateTimedExercises } from './database/migrations/012_add_timed_exercises.js';
+import { migrate as migratePuzzleAttempts } from './database/migrations/013_add_puzzle_attempts.js';
+import { migrate as migrateStudentPuzzleResults } from './database/migrations/014_add_student_puzzle_results.js';
+import { migrate as migratePuzzleFeatures } from './database/migrations/015_add_puzzle_features.js';
+import { migrate as migratePuzzleRevisions } from './database/migrations/016_add_puzzle_revisions.js';
+import { migrate as migratePositionKeys } from './database/migrations/017_add_position_keys.js';
+import { migrate as migrateUpstreamStatus } from './database/migrations/018_add_upstream_status.js';
+import { migrate as migratePuzzleAlternatives } from './database/migrations/019_add_puzzle_alternatives.js';
+import { migrate as migratePuzzleVariations } from './database/migrations/020_add_puzzle_variations.js';
+import { exerciseScheduleService } from './exercises/ExerciseScheduleService.js';
+import { engineService } from './engine/EngineService.js';
 
 import { authRequired } from './middleware/authMiddleware.js';
 import auth from './routes/auth.js';
 import usersRoute from './routes/users.js';
 import puzzles from './routes/puzzles.js';
 import themes from './routes/themes.js';
+import openings from './routes/openings.js';
 import reports from './routes/reports.js';
 import lichess from './routes/lichess.js';
 import students from './routes/students.js';
 import exercises from './routes/exercises.js';
 import studentExercises from './routes/student-exercises.js';
+import groups from './routes/groups.js';
 
 const app = new Hono();
 
@@ -59,7 +77,25 @@ function initializeServices() {
     migrateAuth(database.db);
     migratePuzzleHints(database.db);
     migrateIsFinal(database.db);
+    migrateReviewQueue(database.db);
+    migrateStudentRatings(database.db);
+    migrateExerciseSchedules(database.db);
+    migrateDueDates(database.db);
+    migrateGroups(database.db);
+    migrateTimedExercises(database.db);
+    migratePuzzleAttempts(database.db);
+    migrateStudentPuzzleResults(database.db);
+    migratePuzzleFeatures(database.db);
+    migratePuzzleRevisions(database.db);
+    migratePositionKeys(database.db);
+    migrateUpstreamStatus(database.db);
+    migratePuzzleAlternatives(database.db);
+    migratePuzzleVariations(database.db);
     console.log('Migrations completed');
+
+    // Migrations may have added removed_upstream since the indexes were built
+    // (all puzzles start out available, so the indexes stay valid)
+    database.detectColumns();
   } catch (error) {
     console.error('Migration error:', error.message);
   }
@@ -74,6 +110,9 @@ function initializeServices() {
   // Log stats
   const stats = databaseGenerator.getStats();
   console.log(`Loaded ${stats.totalPuzzles.toLocaleString()} puzzles with ${stats.totalThemes} themes`);
+
+  // Create any scheduled exercises that are due, then keep checking hourly
+  exerciseScheduleService.start();
 }
 
 // Initialize on startup
@@ -87,11 +126,13 @@ app.use('/api/*', authRequired());
 app.route('/api/users', usersRoute);
 app.route('/api/puzzles', puzzles);
 app.route('/api/themes', themes);
+app.route('/api/openings', openings);
 app.route('/api/reports', reports);
 app.route('/api/lichess', lichess);
 app.route('/api/students', students);
 app.route('/api/exercises', exercises);
 app.route('/api/student-exercises', studentExercises);
+app.route('/api/groups', groups);
 
 // Health check
 app.get('/health', (c) => {
@@ -123,3 +164,10 @@ serve({
 });
 
 console.log(`Server running at http://localhost:${port}`);
+
+if (engineService.isAvailable()) {
+  console.log(`Engine checks enabled (${engineService.enginePath}, depth ${engineService.depth})`);
+}
+
+// Don't leave the engine process behind
+process.on('exit', () => engineService.shutdown());
@@ -0,0 +1,137 @@
+/**
+ * LichessClient.js
+ * Fetch puzzles from the Lichess API and turn them into importable puzzles
+ *
+ * The API does not send a FEN. It sends the game's moves up to the puzzle
+ * (game.pgn, SAN) and puzzle.initialPly; replaying the first initialPly moves
+ * gives the position before the opponent's move, and the next move in the
+ * game is that opponent's move. This matches the layout of the Lichess CSV
+ * dump, where the FEN is followed by the opponent's move and the solution.
+ *
+ * HTTP goes through an injected fetch function so tests can answer with
+ * recorded responses.
+ */
+
+import { Chess } from 'chess.js';
+import { uciToSAN } from '../shared/MoveConverter.js';
+
+const LICHESS_URL = 'https://lichess.org';
+
+export class LichessClient {
+  /**
+   * @param {object} options - { fetch, baseUrl }
+   *   fetch defaults to the global fetch
+   */
+  constructor({ fetch = globalThis.fetch, baseUrl = LICHESS_URL } = {}) {
+    this.fetch = fetch;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Fetch a puzzle by ID
+   * @param {string} puzzleId - Lichess puzzle ID
+   * @returns {Promise<{ status: number, data?: object }>} - data is the raw API response
+   */
+  async getPuzzle(puzzleId) {
+    return this._get(`/api/puzzle/${puzzleId}`);
+  }
+
+  /**
+   * Fetch the daily puzzle
+   * @returns {Promise<{ status: number, data?: object }>}
+   */
+  async getDailyPuzzle() {
+    return this._get('/api/puzzle/daily');
+  }
+
+  async _get(path) {
+    const response = await this.fetch(`${this.baseUrl}${path}`, {
+      headers: { Accept: 'application/json' }
+    });
+
+    if (!response.ok) {
+      return { status: response.status };
+    }
+
+    return { status: response.status, data: await response.json() };
+  }
+}
+
+/**
+ * Build an importable puzzle from a Lichess API response
+ * @param {object} data - { game: { id, pgn }, puzzle: { id, initialPly, solution, rating, themes, plays } }
+ * @returns {object} - { id, fen, moves, opponentMove, solution, rating, themes, plays, game_url }
+ *   moves is SAN, starting with the opponent's move, ready for
+ *   PuzzleCreationService.importFromLichess. fen and moves are null (with a
+ *   note) if the game cannot be replayed.
+ */
+export function buildLichessPuzzle(data) {
+  const { game = {}, puzzle } = data;
+  const initialPly = puzzle.initialPly;
+
+  const result = {
+    id: puzzle.id,
+    fen: null,
+    moves: null,
+    opponentMove: null,
+    solution: puzzle.solution || [],
+    rating: puzzle.rating,
+    themes: puzzle.themes || [],
+    plays: puzzle.plays,
+    game_url: `${LICHESS_URL}/${game.id}${Number.isInteger(initialPly) ? `#${initialPly + 1}` : ''}`
+  };
+
+  const replay = replayToPuzzle(game.pgn, initialPly);
+  if (!replay.success) {
+    return { ...result, note: `Could not rebuild the position from the game (${replay.error}) - please enter the FEN manually` };
+  }
+
+  const fenAfterOpponent = new Chess(replay.fen);
+  fenAfterOpponent.move(replay.opponentMove);
+
+  const solution = uciToSAN(fenAfterOpponent.fen(), result.solution.join(' '));
+  if (!solution.success) {
+    return { ...result, note: `The solution does not fit the game position (${solution.error})` };
+  }
+
+  return {
+    ...result,
+    fen: replay.fen,
+    moves: [replay.opponentMove, ...solution.san],
+    opponentMove: replay.opponentMove
+  };
+}
+
+/**
+ * Replay a game's SAN moves to the position before the opponent's move
+ * @param {string} pgn - Space-separated SAN moves from the start position
+ * @param {number} initialPly - Plies played before the opponent's move
+ * @returns {{ success: boolean, fen?: string, opponentMove?: string, error?: string }}
+ */
+export function replayToPuzzle(pgn, initialPly) {
+  if (!pgn) {
+    return { success: false, error: 'no game moves' };
+  }
+  if (!Number.isInteger(initialPly) || initialPly < 0) {
+    return { success: false, error: 'no initial ply' };
+  }
+
+  const chess = new Chess();
+  try {
+    chess.loadPgn(pgn);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const history = chess.history();
+  if (history.length <= initialPly) {
+    return { success: false, error: `game has ${history.length} moves, puzzle starts after ${initialPly + 1}` };
+  }
+
+  const replay = new Chess();
+  history.slice(0, initialPly).forEach(move => replay.move(move));
+
+  return { success: true, fen: replay.fen(), opponentMove: history[initialPly] };
+}
+
+export const lichessClient = new LichessClient();
@@ -0,0 +1,164 @@
+/**
+ * PuzzleAlternatives.js
+ * Moves accepted in place of a puzzle's stored solution move
+ *
+ * Stored on the puzzle as JSON: solution ply -> UCI moves, where ply indexes
+ * the puzzle's moves (0 is the opponent's setup move, so only odd plies are
+ * the solver's), e.g. {"1":["d1d7"]}. The puzzle player also accepts any
+ * mate where the stored move mates, without it being listed here.
+ */
+
+import { Chess } from 'chess.js';
+
+const MAX_ALTERNATIVES_PER_MOVE = 5;
+
+/**
+ * Read a stored alternatives value
+ * @param {string|object|null} value - JSON text or an already parsed map
+ * @returns {object} - ply -> UCI moves ({} when empty or unreadable)
+ */
+export function parseAlternatives(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Validate alternatives from an admin edit and convert them to stored form
+ * @param {string} fen - Puzzle FEN
+ * @param {string} moves - Space-separated UCI solution moves
+ * @param {object|null} alternatives - ply -> SAN (or UCI) moves; null or {} clears them
+ * @returns {{ valid: boolean, alternatives?: string, error?: string }}
+ *   alternatives is the JSON to store, '' when there are none
+ */
+export function normalizeAlternatives(fen, moves, alternatives) {
+  if (alternatives === null || alternatives === '') {
+    return { valid: true, alternatives: '' };
+  }
+  if (typeof alternatives !== 'object' || Array.isArray(alternatives)) {
+    return { valid: false, error: 'Alternatives must map solution plies to moves' };
+  }
+
+  const solution = moves.split(' ').filter(Boolean);
+  const positions = replayPositions(fen, solution);
+  const result = {};
+
+  for (const [key, list] of Object.entries(alternatives)) {
+    const ply = Number(key);
+
+    if (!Number.isInteger(ply) || ply < 1 || ply >= solution.length || ply % 2 === 0) {
+      return { valid: false, error: `Alternatives can only be given for the solver's moves (ply ${key})` };
+    }
+    if (!Array.isArray(list) || list.length > MAX_ALTERNATIVES_PER_MOVE) {
+      return { valid: false, error: `Each solver move can have at most ${MAX_ALTERNATIVES_PER_MOVE} alternatives` };
+    }
+
+    const accepted = [];
+    for (const entry of list) {
+      const uci = typeof entry === 'string' ? toUCI(positions[ply], entry.trim()) : null;
+      if (!uci) {
+        return { valid: false, error: `Alternative ${entry} is not a legal move at ply ${ply}` };
+      }
+      if (uci === solution[ply]) {
+        return { valid: false, error: `Alternative ${entry} is already the solution move at ply ${ply}` };
+      }
+      if (!accepted.includes(uci)) accepted.push(uci);
+    }
+
+    if (accepted.length > 0) result[ply] = accepted;
+  }
+
+  return { valid: true, alternatives: serialize(result) };
+}
+
+/**
+ * Keep only the stored alternatives that still fit a changed solution
+ * @param {string} fen - New puzzle FEN
+ * @param {string} moves - New space-separated UCI moves
+ * @param {string|object|null} stored - Current alternatives
+ * @returns {string} - JSON to store, '' when none are left
+ */
+export function fitAlternatives(fen, moves, stored) {
+  const solution = moves.split(' ').filter(Boolean);
+  const positions = replayPositions(fen, solution);
+  const result = {};
+
+  for (const [key, list] of Object.entries(parseAlternatives(stored))) {
+    const ply = Number(key);
+    if (ply % 2 === 0 || !positions[ply] || ply >= solution.length || !Array.isArray(list)) continue;
+
+    const kept = list.filter(uci => uci !== solution[ply] && toUCI(positions[ply], uci) === uci);
+    if (kept.length > 0) result[ply] = kept;
+  }
+
+  return serialize(result);
+}
+
+/**
+ * Alternatives as SAN for display, e.g. "Rd8# or Rd7, Qh5"
+ * @param {string} fen - Puzzle FEN
+ * @param {string} moves - Space-separated UCI moves
+ * @param {string|object|null} stored - Alternatives
+ * @returns {string} - '' when there are none
+ */
+export function formatAlternatives(fen, moves, stored) {
+  const solution = (moves || '').split(' ').filter(Boolean);
+  const positions = replayPositions(fen, solution);
+
+  return Object.entries(parseAlternatives(stored))
+    .filter(([key]) => positions[Number(key)])
+    .map(([key, list]) => {
+      const position = positions[Number(key)];
+      return `${toSAN(position, solution[Number(key)])} or ${list.map(uci => toSAN(position, uci)).join(', ')}`;
+    })
+    .join('; ');
+}
+
+/**
+ * FEN before each solution ply, as far as the moves play
+ * @returns {string[]}
+ */
+function replayPositions(fen, solution) {
+  const positions = [];
+  try {
+    const chess = new Chess(fen);
+    for (const uci of solution) {
+      positions.push(chess.fen());
+      chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+    }
+  } catch (error) {
+    // Positions stop at the first move that doesn't play
+  }
+  return positions;
+}
+
+function toUCI(fen, move) {
+  if (!fen || !move) return null;
+  const chess = new Chess(fen);
+  try {
+    const played = /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(move)
+      ? chess.move({ from: move.slice(0, 2), to: move.slice(2, 4), promotion: move[4] })
+      : chess.move(move);
+    return `${played.from}${played.to}${played.promotion || ''}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+function toSAN(fen, uci) {
+  try {
+    return new Chess(fen).move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] }).san;
+  } catch (error) {
+    return uci;
+  }
+}
+
+function serialize(alternatives) {
+  return Object.keys(alternatives).length > 0 ? JSON.stringify(alternatives) : '';
+}
@@ -5,7 +5,9 @@
 
 import { validatePuzzle, verifySolution } from './validation/PuzzleValidator.js';
 import { puzzleRepository } from './PuzzleRepository.js';
+import { puzzleDuplicateService } from './PuzzleDuplicateService.js';
 import { sanToUCI, uciToSAN } from '../shared/MoveConverter.js';
+import { normalizeVariations } from './PuzzleVariations.js';
 
 export class PuzzleCreationService {
   /**
@@ -14,7 +16,63 @@ export class PuzzleCreationService {
    * @returns {{ success: boolean, data?: object, error?: string }}
    */
   createPuzzle(data) {
-    const { id, fen, moves, source, themes = [], rating, game_url } = data;
+    // 1-6. Validate, verify and convert
+    const prepared = this.preparePuzzle(data);
+    if (!prepared.success) {
+      return prepared;
+    }
+
+    const { puzzleData, normalized, solutionCheck, duplicates } = prepared;
+
+    // Note: Race condition between the ID check and insert is mitigated by
+    // database UNIQUE constraint on id column. If a concurrent insert wins,
+    // createPuzzle will return an error which we handle below.
+
+    // 7. Persist to database
+    const result = puzzleRepository.createPuzzle(puzzleData);
+
+    if (!result.success) {
+      // Handle duplicate ID from database constraint (race condition fallback)
+      if (result.error && result.error.includes('UNIQUE constraint')) {
+        return {
+          success: false,
+          error: `Puzzle with ID "${normalized.id}" already exists`
+        };
+      }
+      return {
+        success: false,
+        error: 'Failed to save puzzle'
+      };
+    }
+
+    // 8. Return created puzzle data
+    return {
+      success: true,
+      data: {
+        id: puzzleData.id,
+        fen: puzzleData.fen,
+        movesUCI: puzzleData.moves,
+        movesSAN: normalized.moves,
+        variations: puzzleData.variations,
+        rating: puzzleData.rating,
+        themes: normalized.themes,
+        source: puzzleData.source,
+        game_url: puzzleData.game_url,
+        isCheckmate: solutionCheck.isCheckmate,
+        finalFen: solutionCheck.finalFen,
+        duplicates
+      }
+    };
+  }
+
+  /**
+   * Run every check createPuzzle makes without saving anything
+   * @param {object} data - Puzzle creation data
+   * @returns {{ success: boolean, puzzleData?: object, normalized?: object, solutionCheck?: object, duplicates?: object[], error?: string }}
+   *   puzzleData is ready for PuzzleRepository.createPuzzle
+   */
+  preparePuzzle(data) {
+    const { id, fen, moves, variations, source, themes = [], rating, game_url } = data;
 
     // 1. Validate all input
     const validation = validatePuzzle({
@@ -44,10 +102,6 @@ export class PuzzleCreationService {
       };
     }
 
-    // Note: Race condition between check and insert is mitigated by database
-    // UNIQUE constraint on id column. If a concurrent insert wins,
-    // createPuzzle will return an error which we handle below.
-
     // 3. Verify solution is playable
     const solutionCheck = verifySolution(normalized.fen, normalized.moves);
     if (!solutionCheck.valid) {
@@ -66,48 +120,34 @@ export class PuzzleCreationService {
       };
     }
 
-    // 5. Prepare data for storage
-    const puzzleData = {
-      id: normalized.id,
-      fen: normalized.fen,
-      moves: uciConversion.uci,
-      rating: normalized.rating,
-      themes: normalized.themes.join(','),
-      game_url: normalized.game_url,
-      source: normalized.source
-    };
-
-    // 6. Persist to database
-    const result = puzzleRepository.createPuzzle(puzzleData);
-
-    if (!result.success) {
-      // Handle duplicate ID from database constraint (race condition fallback)
-      if (result.error && result.error.includes('UNIQUE constraint')) {
-        return {
-          success: false,
-          error: `Puzzle with ID "${normalized.id}" already exists`
-        };
-      }
+    // 5. Check the other defences, if the solution branches
+    const variationCheck = normalizeVariations(normalized.fen, uciConversion.uci, variations);
+    if (!variationCheck.valid) {
       return {
         success: false,
-        error: 'Failed to save puzzle'
+        error: variationCheck.error
       };
     }
 
-    // 7. Return created puzzle data
+    // 6. Look for existing copies of the position. These don't block
+    // creation (a teacher may want the same position with other themes),
+    // they are returned so the caller can warn about them.
+    const duplicates = puzzleDuplicateService.findDuplicates(normalized.fen, uciConversion.uci);
+
     return {
       success: true,
-      data: {
-        id: puzzleData.id,
-        fen: puzzleData.fen,
-        movesUCI: puzzleData.moves,
-        movesSAN: normalized.moves,
-        rating: puzzleData.rating,
-        themes: normalized.themes,
-        source: puzzleData.source,
-        game_url: puzzleData.game_url,
-        isCheckmate: solutionCheck.isCheckmate,
-        finalFen: solutionCheck.finalFen
+      normalized,
+      solutionCheck,
+      duplicates,
+      puzzleData: {
+        id: normalized.id,
+        fen: normalized.fen,
+        moves: uciConversion.uci,
+        variations: variationCheck.variations,
+        rating: normalized.rating,
+        themes: normalized.themes.join(','),
+        game_url: normalized.game_url,
+        source: normalized.source
       }
     };
   }
@@ -148,7 +188,7 @@ export class PuzzleCreationService {
    * @returns {object}
    */
   getCustomPuzzleStats() {
-    const sources = ['manual', 'lichess_import', 'interactive', 'pgn'];
+    const sources = ['manual', 'lichess_import', 'interactive', 'pgn', 'epd', 'csv'];
     const stats = {};
 
     for (const source of sources) {
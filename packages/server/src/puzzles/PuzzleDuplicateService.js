@@ -0,0 +1,112 @@
+/**
+ * PuzzleDuplicateService.js
+ * Finds puzzles that repeat a position already in the database
+ *
+ * Matching uses the position keys from shared/PositionKey.js, so a puzzle is
+ * a duplicate when it starts from the same position (move counters aside)
+ * with the same first move. Colour-mirrored copies are matched through
+ * mirror_key.
+ */
+
+import { database } from '../database/SqliteDatabase.js';
+import { puzzleRepository } from './PuzzleRepository.js';
+import { computePositionKeys } from '../shared/PositionKey.js';
+
+const DEFAULT_SCAN_LIMIT = 50;
+const MAX_SCAN_LIMIT = 200;
+
+export class PuzzleDuplicateService {
+  /**
+   * Find existing puzzles with the same position as a new one
+   * @param {string} fen - Puzzle FEN
+   * @param {string} moves - Space-separated UCI moves
+   * @param {object} options - { excludeId } puzzle to leave out (e.g. the one being edited)
+   * @returns {{ id: string, source: string, rating: number, themes: string, mirrored: boolean }[]}
+   *   Exact matches first; mirrored is set for colour-mirrored copies
+   */
+  findDuplicates(fen, moves, { excludeId = null } = {}) {
+    const keys = computePositionKeys(fen, moves);
+    if (!keys) return [];
+
+    return puzzleRepository.findByPositionKey(keys, { mirrored: true })
+      .filter(row => row.id !== excludeId)
+      .map(row => ({
+        id: row.id,
+        source: row.source || 'lichess',
+        rating: row.rating,
+        themes: row.themes,
+        mirrored: row.position_key !== keys.positionKey
+      }))
+      .sort((a, b) => a.mirrored - b.mirrored);
+  }
+
+  /**
+   * List clusters of puzzles that share a position
+   * @param {object} options
+   * @param {boolean} options.mirrored - Group colour-mirrored positions together
+   * @param {boolean} options.crossSource - Only clusters mixing Lichess and custom puzzles
+   * @param {number} options.limit - Clusters per page
+   * @param {number} options.offset - Clusters to skip
+   * @returns {{ clusters: object[], total: number }} - Largest clusters first
+   */
+  scanDuplicates({ mirrored = false, crossSource = false, limit = DEFAULT_SCAN_LIMIT, offset = 0 } = {}) {
+    const column = mirrored ? 'mirror_key' : 'position_key';
+    const pageSize = Math.min(Math.max(1, limit), MAX_SCAN_LIMIT);
+
+    const having = crossSource
+      ? `HAVING SUM(COALESCE(source, 'lichess') = 'lichess') > 0
+           AND SUM(COALESCE(source, 'lichess') != 'lichess') > 0`
+      : 'HAVING COUNT(*) > 1';
+    const grouped = `
+      SELECT ${column} AS key, COUNT(*) AS count
+      FROM puzzles
+      WHERE ${column} IS NOT NULL AND ${column} != ''
+      GROUP BY ${column}
+      ${having}
+    `;
+
+    const total = database.queryScalar(`SELECT COUNT(*) FROM (${grouped})`) || 0;
+    const groups = database.query(
+      `${grouped} ORDER BY count DESC, key LIMIT ? OFFSET ?`,
+      [pageSize, Math.max(0, offset)]
+    );
+    if (groups.length === 0) {
+      return { clusters: [], total };
+    }
+
+    const placeholders = groups.map(() => '?').join(',');
+    const rows = database.query(
+      `SELECT id, source, rating, themes, position_key, ${column} AS key
+       FROM puzzles
+       WHERE ${column} IN (${placeholders})
+       ORDER BY id`,
+      groups.map(g => g.key)
+    );
+
+    const members = new Map(groups.map(g => [g.key, []]));
+    for (const row of rows) {
+      members.get(row.key).push(row);
+    }
+
+    const clusters = groups.map(({ key, count }) => {
+      const puzzles = members.get(key);
+      return {
+        key,
+        count,
+        puzzles: puzzles.map(row => ({
+          id: row.id,
+          source: row.source || 'lichess',
+          rating: row.rating,
+          themes: row.themes,
+          mirrored: row.position_key !== puzzles[0].position_key
+        }))
+      };
+    });
+
+    return { clusters, total };
+  }
+}
+
+export const puzzleDuplicateService = new PuzzleDuplicateService();
+
+export default PuzzleDuplicateService;
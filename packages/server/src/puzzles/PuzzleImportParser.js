@@ -0,0 +1,376 @@
+/**
+ * PuzzleImportParser.js
+ * Split bulk import files into puzzle entries
+ *
+ * Three layouts are read:
+ * - PGN: one puzzle per game, starting from the [FEN] header (or the initial
+ *   position) with the main line as the solution; variations and comments
+ *   are ignored
+ * - EPD: one puzzle per line; id names the puzzle, c0 holds its themes and
+ *   c1 its rating (as the exercise export writes them). The solution is the
+ *   pv opcode, or the bm move when there is no pv. bm is the solver's move,
+ *   so a pv that starts with it (test suites like WAC) is read solver-first
+ * - CSV: the Lichess column layout (PuzzleId, FEN, Moves, Rating, ...), with
+ *   or without a header row; moves are UCI
+ *
+ * Solutions follow the layout of every other puzzle: the first move is the
+ * opponent's move that sets the puzzle up. Solutions that start with the
+ * solver's move (bm records, and PGN or pv lines when the admin says so)
+ * get a setup move retracted from the position, so the puzzle still starts
+ * with the solver to move in the given position. Entries carry SAN moves so
+ * they can go through PuzzleCreationService like a puzzle created by hand.
+ */
+
+import { Chess, SQUARES } from 'chess.js';
+import { uciToSAN } from '../shared/MoveConverter.js';
+
+export const IMPORT_FORMATS = ['pgn', 'epd', 'csv'];
+
+const LICHESS_COLUMNS = [
+  'PuzzleId', 'FEN', 'Moves', 'Rating', 'RatingDeviation',
+  'Popularity', 'NbPlays', 'Themes', 'GameUrl', 'OpeningTags'
+];
+
+/**
+ * Guess the format of an import file from its first line
+ * @param {string} content - File contents
+ * @returns {string} - 'pgn', 'csv' or 'epd'
+ */
+export function detectFormat(content) {
+  const firstLine = content.split(/\r?\n/).find(line => line.trim()) || '';
+
+  if (firstLine.trim().startsWith('[')) return 'pgn';
+  if (/^PuzzleId,/i.test(firstLine) || firstLine.split(',').length >= 3) return 'csv';
+  return 'epd';
+}
+
+/**
+ * Parse an import file into entries
+ * @param {string} content - File contents
+ * @param {string} format - 'pgn', 'epd' or 'csv'
+ * @param {object} options - { solverFirst }: PGN main lines and EPD pv lines
+ *   without bm start with the solver's move
+ * @returns {object[]} - { line, id, fen, moves, rating, themes, game_url } or { line, error }
+ */
+export function parseImport(content, format, options = {}) {
+  switch (format) {
+    case 'pgn':
+      return parsePGN(content, options);
+    case 'epd':
+      return parseEPD(content, options);
+    case 'csv':
+      return parseCSV(content);
+    default:
+      throw new Error(`Unknown import format: ${format}`);
+  }
+}
+
+/**
+ * Split a multi-game PGN and read each game
+ * @param {string} content - PGN text
+ * @param {object} options - { solverFirst }: the main line starts with the solver's move
+ * @returns {object[]}
+ */
+export function parsePGN(content, { solverFirst = false } = {}) {
+  const games = [];
+  let current = null;
+  let inMoves = false;
+
+  content.split(/\r?\n/).forEach((text, i) => {
+    const line = text.trim();
+    const isHeader = line.startsWith('[');
+
+    // A header after movetext starts the next game
+    if (!current || (isHeader && inMoves)) {
+      if (!line) return;
+      current = { line: i + 1, lines: [] };
+      games.push(current);
+      inMoves = false;
+    }
+
+    current.lines.push(text);
+    if (line && !isHeader) inMoves = true;
+  });
+
+  return games.map(({ line, lines }) => {
+    try {
+      const chess = new Chess();
+      chess.loadPgn(lines.join('\n'));
+
+      const headers = chess.getHeaders();
+      const start = new Chess(headers.FEN || undefined);
+      const { fen, moves } = solverFirst
+        ? addSetupMove(start.fen(), chess.history())
+        : { fen: start.fen(), moves: chess.history() };
+
+      return {
+        line,
+        id: headers.PuzzleId || null,
+        fen,
+        moves,
+        rating: headers.Rating ? parseInt(headers.Rating) : undefined,
+        themes: splitThemes(headers.Themes),
+        game_url: /^https?:\/\//.test(headers.Site || '') ? headers.Site : ''
+      };
+    } catch (error) {
+      return { line, error: `Invalid PGN: ${error.message}` };
+    }
+  });
+}
+
+/**
+ * Read EPD records, one per line
+ * @param {string} content - EPD text
+ * @param {object} options - { solverFirst }: pv lines without bm start with the solver's move
+ * @returns {object[]}
+ */
+export function parseEPD(content, { solverFirst = false } = {}) {
+  const entries = [];
+
+  content.split(/\r?\n/).forEach((text, i) => {
+    const line = text.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const fields = line.split(/\s+/);
+    if (fields.length < 4) {
+      entries.push({ line: i + 1, error: 'EPD needs piece placement, side, castling and en passant fields' });
+      return;
+    }
+
+    const opcodes = parseOpcodes(fields.slice(4).join(' '));
+    const fen = `${fields.slice(0, 4).join(' ')} ${opcodes.hmvc || 0} ${opcodes.fmvn || 1}`;
+    const pv = splitMoves(opcodes.pv);
+    const [bm] = splitMoves(opcodes.bm);
+
+    let puzzle;
+    try {
+      if (pv.length > 0 && (bm ? sameMove(fen, pv[0], bm) : solverFirst)) {
+        puzzle = addSetupMove(fen, pv);
+      } else if (pv.length > 0) {
+        if (pv.length < 2) {
+          throw new Error("EPD pv needs the opponent's setup move and the solver's reply");
+        }
+        puzzle = { fen, moves: pv };
+      } else if (bm) {
+        puzzle = addSetupMove(fen, [bm]);
+      } else {
+        throw new Error('EPD record has no pv or bm opcode');
+      }
+    } catch (error) {
+      entries.push({ line: i + 1, id: opcodes.id || null, error: error.message });
+      return;
+    }
+
+    entries.push({
+      line: i + 1,
+      id: opcodes.id || null,
+      fen: puzzle.fen,
+      moves: puzzle.moves,
+      rating: opcodes.c1 ? parseInt(opcodes.c1) : undefined,
+      themes: splitThemes(opcodes.c0)
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Read CSV rows in the Lichess column layout
+ * @param {string} content - CSV text
+ * @returns {object[]}
+ */
+export function parseCSV(content) {
+  const entries = [];
+  let columns = LICHESS_COLUMNS;
+
+  content.split(/\r?\n/).forEach((text, i) => {
+    if (!text.trim()) return;
+
+    const values = splitCSVLine(text);
+    if (entries.length === 0 && values[0] === 'PuzzleId') {
+      columns = values;
+      return;
+    }
+
+    const row = Object.fromEntries(columns.map((column, c) => [column, (values[c] || '').trim()]));
+    if (!row.FEN || !row.Moves) {
+      entries.push({ line: i + 1, error: 'Row needs FEN and Moves columns' });
+      return;
+    }
+
+    const conversion = uciToSAN(row.FEN, row.Moves);
+    if (!conversion.success) {
+      entries.push({ line: i + 1, id: row.PuzzleId || null, error: `Moves are not legal from this FEN (${conversion.error})` });
+      return;
+    }
+
+    entries.push({
+      line: i + 1,
+      id: row.PuzzleId || null,
+      fen: row.FEN,
+      moves: conversion.san,
+      rating: row.Rating ? parseInt(row.Rating) : undefined,
+      themes: splitThemes(row.Themes),
+      game_url: row.GameUrl || ''
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Put an opponent's move in front of a solution that starts with the
+ * solver's move. The move is retracted from the position: the first
+ * opponent piece that could legally have arrived on its square from a
+ * nearby empty one, or the double pawn push an en passant square records.
+ * @param {string} fen - Position with the solver to move
+ * @param {string[]} moves - Solution starting with the solver's move (SAN)
+ * @returns {{ fen: string, moves: string[] }} - Position before the setup move, and the moves with it in front
+ * @throws {Error} When no move leads to the position
+ */
+export function addSetupMove(fen, moves) {
+  const target = new Chess(fen);
+  const [, solver, , enPassant, halfmoves, fullmoves] = target.fen().split(' ');
+  const opponent = solver === 'w' ? 'b' : 'w';
+  const position = target.fen().split(' ').slice(0, 4).join(' ');
+
+  const retractions = [];
+  if (enPassant !== '-') {
+    const pushed = `${enPassant[0]}${opponent === 'w' ? 4 : 5}`;
+    retractions.push([pushed, `${enPassant[0]}${opponent === 'w' ? 2 : 7}`]);
+  } else {
+    for (const square of SQUARES) {
+      const piece = target.get(square);
+      if (!piece || piece.color !== opponent || piece.type === 'p') continue;
+      for (const from of SQUARES) {
+        if (!target.get(from)) retractions.push([square, from]);
+      }
+    }
+    // Short moves first, so the setup move looks like a quiet move
+    retractions.sort((a, b) => distance(a) - distance(b));
+  }
+
+  for (const [to, from] of retractions) {
+    try {
+      const before = new Chess(fen);
+      const piece = before.remove(to);
+      if (!piece || !before.put(piece, from)) continue;
+
+      const fields = before.fen().split(' ');
+      fields[1] = opponent;
+      fields[3] = '-';
+      fields[4] = String(Math.max(0, parseInt(halfmoves) - 1));
+      fields[5] = String(solver === 'w' ? Math.max(1, parseInt(fullmoves) - 1) : parseInt(fullmoves));
+
+      const previous = new Chess(fields.join(' '));
+      const [king] = previous.findPiece({ type: 'k', color: solver });
+      if (king && previous.isAttacked(king, opponent)) continue;
+
+      const setup = previous.move({ from, to });
+      if (setup.promotion || previous.fen().split(' ').slice(0, 4).join(' ') !== position) continue;
+
+      return { fen: setup.before, moves: [setup.san, ...moves] };
+    } catch {
+      // Not a legal position or move; try the next square
+    }
+  }
+
+  throw new Error("No opponent move leads to this position, so the solver's first move cannot be set up");
+}
+
+/**
+ * King-move distance between two squares
+ * @param {string[]} squares - [from, to], e.g. ['a8', 'c8']
+ * @returns {number}
+ */
+function distance([a, b]) {
+  return Math.max(
+    Math.abs(a.charCodeAt(0) - b.charCodeAt(0)),
+    Math.abs(a.charCodeAt(1) - b.charCodeAt(1))
+  );
+}
+
+/**
+ * Whether two SAN moves are the same move in a position
+ * @param {string} fen - Position
+ * @param {string} a - Move
+ * @param {string} b - Move
+ * @returns {boolean}
+ */
+function sameMove(fen, a, b) {
+  try {
+    return new Chess(fen).move(a).lan === new Chess(fen).move(b).lan;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Split an EPD move list, dropping move numbers
+ * @param {string} text - e.g. "1. Qd8+ Kxd8" or undefined
+ * @returns {string[]}
+ */
+function splitMoves(text) {
+  return (text || '').split(/\s+/).filter(token => token && !/^\d+\.+$/.test(token));
+}
+
+/**
+ * Parse EPD opcodes ("bm Qd8+; id \"pos 1\";") into an object
+ * @param {string} text - Everything after the four position fields
+ * @returns {object} - Opcode -> operand string
+ */
+function parseOpcodes(text) {
+  const opcodes = {};
+  const pattern = /(\w+)\s*((?:"[^"]*"|[^;])*);/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    opcodes[match[1]] = match[2].trim().replace(/^"(.*)"$/, '$1');
+  }
+
+  return opcodes;
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {string[]}
+ */
+function splitCSVLine(line) {
+  const values = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        value += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      values.push(value);
+      value = '';
+    } else {
+      value += ch;
+    }
+  }
+
+  values.push(value);
+  return values;
+}
+
+/**
+ * Split a theme list written with spaces or commas
+ * @param {string} text - e.g. "fork pin" or "fork,pin"
+ * @returns {string[]}
+ */
+function splitThemes(text) {
+  return (text || '').split(/[\s,]+/).filter(Boolean);
+}
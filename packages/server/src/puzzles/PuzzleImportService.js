@@ -0,0 +1,122 @@
+/**
+ * PuzzleImportService.js
+ * Bulk import of custom puzzles from PGN, EPD or CSV files
+ *
+ * Every entry goes through the same checks as a puzzle created by hand
+ * (PuzzleCreationService). A dry run reports what would happen row by row
+ * without saving; a real import saves the rows that pass and reports the rest.
+ */
+
+import { puzzleCreationService } from './PuzzleCreationService.js';
+import { IMPORT_FORMATS, detectFormat, parseImport } from './PuzzleImportParser.js';
+
+export const MAX_IMPORT_ENTRIES = 500;
+
+export class PuzzleImportService {
+  /**
+   * Import puzzles from a file
+   * @param {string} content - File contents
+   * @param {object} options - { format, dryRun, rating, themes, solverFirst }
+   *   format defaults to detection from the first line; rating and themes
+   *   fill in entries that do not carry their own; solverFirst reads PGN main
+   *   lines and EPD pv lines without bm as starting with the solver's move
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   *   data: { format, dryRun, total, ready, created, failed, rows }
+   */
+  importPuzzles(content, { format = null, dryRun = true, rating, themes = [], solverFirst = false } = {}) {
+    if (typeof content !== 'string' || !content.trim()) {
+      return { success: false, error: 'Import file is empty' };
+    }
+
+    const resolvedFormat = format || detectFormat(content);
+    if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+      return { success: false, error: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` };
+    }
+
+    let entries;
+    try {
+      entries = parseImport(content, resolvedFormat, { solverFirst });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    if (entries.length === 0) {
+      return { success: false, error: `No ${resolvedFormat.toUpperCase()} entries found` };
+    }
+
+    if (entries.length > MAX_IMPORT_ENTRIES) {
+      return { success: false, error: `Import is limited to ${MAX_IMPORT_ENTRIES} puzzles per file (found ${entries.length})` };
+    }
+
+    const seenIds = new Set();
+    const rows = entries.map((entry, index) => {
+      const row = {
+        index: index + 1,
+        line: entry.line,
+        id: entry.id ? sanitizeId(entry.id) : null,
+        fen: entry.fen || null,
+        moves: entry.moves || [],
+        rating: entry.rating ?? rating,
+        themes: entry.themes && entry.themes.length > 0 ? entry.themes : themes
+      };
+
+      if (entry.error) {
+        return { ...row, status: 'error', error: entry.error };
+      }
+
+      if (row.id && seenIds.has(row.id)) {
+        return { ...row, status: 'error', error: `Puzzle ID "${row.id}" appears more than once in this file` };
+      }
+      if (row.id) seenIds.add(row.id);
+
+      const data = {
+        id: row.id || puzzleCreationService.generatePuzzleId(resolvedFormat),
+        fen: row.fen,
+        moves: row.moves,
+        source: resolvedFormat,
+        themes: row.themes,
+        rating: row.rating,
+        game_url: entry.game_url || ''
+      };
+
+      if (dryRun) {
+        const prepared = puzzleCreationService.preparePuzzle(data);
+        return prepared.success
+          ? { ...row, status: 'ready', duplicates: prepared.duplicates }
+          : { ...row, status: 'error', error: prepared.error };
+      }
+
+      const result = puzzleCreationService.createPuzzle(data);
+      return result.success
+        ? { ...row, id: result.data.id, status: 'created', duplicates: result.data.duplicates }
+        : { ...row, status: 'error', error: result.error };
+    });
+
+    const failed = rows.filter(row => row.status === 'error').length;
+
+    return {
+      success: true,
+      data: {
+        format: resolvedFormat,
+        dryRun,
+        total: rows.length,
+        ready: dryRun ? rows.length - failed : 0,
+        created: dryRun ? 0 : rows.length - failed,
+        failed,
+        rows
+      }
+    };
+  }
+}
+
+/**
+ * Turn an ID from a file (e.g. EPD "WAC.001") into a valid puzzle ID
+ * @param {string} id - ID as written in the file
+ * @returns {string}
+ */
+function sanitizeId(id) {
+  const cleaned = String(id).trim().replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 50);
+  return cleaned.length >= 3 ? cleaned : `import_${cleaned}`;
+}
+
+export const puzzleImportService = new PuzzleImportService();
@@ -4,6 +4,8 @@
  */
 
 import { database } from '../database/SqliteDatabase.js';
+import { computePositionFeatures } from '../shared/PositionFeatures.js';
+import { computePositionKeys } from '../shared/PositionKey.js';
 
 export class PuzzleRepository {
   /**
@@ -27,21 +29,28 @@ export class PuzzleRepository {
         id,
         fen,
         moves,
+        variations,
         rating,
         themes,
         game_url,
         source
       } = puzzleData;
 
+      const features = computePositionFeatures(fen, moves, themes) || {};
+      const keys = computePositionKeys(fen, moves) || {};
+
       database.run(
         `INSERT INTO puzzles (
-          id, fen, moves, rating, rating_deviation, popularity,
-          nb_plays, themes, game_url, opening_tags, source
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          id, fen, moves, variations, rating, rating_deviation, popularity,
+          nb_plays, themes, game_url, opening_tags, source,
+          material, side_to_move, piece_count, solution_length, mate_in,
+          position_key, mirror_key
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           id,
           fen,
           moves,
+          variations || null,
           rating,
           75, // rating_deviation default
           100, // popularity default for custom puzzles
@@ -49,7 +58,14 @@ export class PuzzleRepository {
           themes,
           game_url || '',
           '', // opening_tags
-          source
+          source,
+          features.material ?? null,
+          features.sideToMove ?? null,
+          features.pieceCount ?? null,
+          features.solutionLength ?? null,
+          features.mateIn ?? null,
+          keys.positionKey ?? null,
+          keys.mirrorKey ?? null
         ]
       );
 
@@ -62,6 +78,58 @@ export class PuzzleRepository {
     }
   }
 
+  /**
+   * Update the editable fields of a puzzle
+   * @param {string} id - Puzzle ID
+   * @param {object} puzzleData - Validated { fen, moves, alternatives, variations, themes, rating, game_url }
+   * @returns {{ success: boolean, error?: string }}
+   */
+  updatePuzzle(id, puzzleData) {
+    try {
+      const existing = database.queryOne('SELECT themes, popularity FROM puzzles WHERE id = ?', [id]);
+      if (!existing) {
+        return { success: false, error: 'Puzzle not found' };
+      }
+
+      const { fen, moves, alternatives, variations, themes, rating, game_url } = puzzleData;
+      const features = computePositionFeatures(fen, moves, themes) || {};
+      const keys = computePositionKeys(fen, moves) || {};
+
+      database.run(
+        `UPDATE puzzles SET
+          fen = ?, moves = ?, alternatives = ?, variations = ?, rating = ?, themes = ?, game_url = ?,
+          material = ?, side_to_move = ?, piece_count = ?, solution_length = ?, mate_in = ?,
+          position_key = ?, mirror_key = ?
+        WHERE id = ?`,
+        [
+          fen,
+          moves,
+          alternatives || null,
+          variations || null,
+          rating,
+          themes,
+          game_url || '',
+          features.material ?? null,
+          features.sideToMove ?? null,
+          features.pieceCount ?? null,
+          features.solutionLength ?? null,
+          features.mateIn ?? null,
+          keys.positionKey ?? null,
+          keys.mirrorKey ?? null,
+          id
+        ]
+      );
+
+      // Re-index under the new themes and rating
+      database.removeFromThemeIndex(id, existing.themes);
+      database.addToThemeIndex(id, themes, rating, existing.popularity);
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get puzzle by ID
    * @param {string} id - Puzzle ID
@@ -71,6 +139,22 @@ export class PuzzleRepository {
     return database.queryOne('SELECT * FROM puzzles WHERE id = ?', [id]);
   }
 
+  /**
+   * Find puzzles sharing a position key
+   * @param {object} keys - { positionKey, mirrorKey } from computePositionKeys
+   * @param {object} options - { mirrored } also match colour-mirrored positions
+   * @returns {object[]} - Puzzle rows, ordered by ID
+   */
+  findByPositionKey(keys, { mirrored = false } = {}) {
+    const column = mirrored ? 'mirror_key' : 'position_key';
+    return database.query(
+      `SELECT id, fen, moves, rating, themes, source, position_key FROM puzzles
+       WHERE ${column} = ?
+       ORDER BY id`,
+      [mirrored ? keys.mirrorKey : keys.positionKey]
+    );
+  }
+
   /**
    * Get puzzles by source type
    * @param {string} source - Source type (e.g., 'manual', 'lichess')
@@ -0,0 +1,165 @@
+/**
+ * PuzzleResolver.js
+ * Overlays admin modifications (puzzle_modifications) on base puzzle rows.
+ *
+ * Every path that serves puzzles reads them through here, so an edited FEN
+ * from the Reports page shows up in generation, exercises, PDFs, the review
+ * queue and the puzzle API alike. Exercises can also ask for the revision
+ * (puzzle_revisions) each puzzle was at when they were built.
+ */
+
+import { database } from '../database/SqliteDatabase.js';
+import { uciToSAN } from '../shared/MoveConverter.js';
+
+export class PuzzleResolver {
+  /**
+   * Get puzzles by IDs with modifications applied
+   * @param {string[]} ids - Puzzle IDs
+   * @param {object} options - { revisions } puzzle ID -> revision to serve
+   *   instead of the current puzzle (see pinRevisions)
+   * @returns {object[]} - Puzzle rows
+   */
+  getPuzzlesByIds(ids, { revisions = null } = {}) {
+    const rows = this.resolve(database.getPuzzlesByIds(ids));
+    return revisions ? this.pinRevisions(rows, revisions) : rows;
+  }
+
+  /**
+   * Serve puzzles as they were at the given revisions, for exercises built
+   * before a puzzle was edited. A puzzle left out of the map predates its
+   * first edit, which is revision 0.
+   * @param {object[]} rows - Puzzle rows
+   * @param {object} revisions - Puzzle ID -> pinned revision
+   * @returns {object[]}
+   */
+  pinRevisions(rows, revisions) {
+    if (rows.length === 0) return rows;
+
+    const history = this._getRevisions(rows.map(row => row.id));
+    if (history.size === 0) return rows;
+
+    return rows.map(row => {
+      const snapshots = history.get(row.id);
+      if (!snapshots) return row;
+
+      const pinned = revisions[row.id] ?? 0;
+      const latest = snapshots[snapshots.length - 1].revision;
+      const snapshot = snapshots.find(s => s.revision === pinned);
+      if (pinned >= latest || !snapshot) return row;
+
+      return {
+        ...row,
+        fen: snapshot.fen,
+        moves: snapshot.moves,
+        alternatives: snapshot.alternatives,
+        variations: snapshot.variations,
+        themes: snapshot.themes,
+        rating: snapshot.rating,
+        game_url: snapshot.game_url,
+        revision: pinned
+      };
+    });
+  }
+
+  /**
+   * Apply modifications to rows already read from the puzzles table
+   * @param {object[]} rows - Rows with at least the ID, fen and moves columns
+   * @param {string} idKey - Column holding the puzzle ID (e.g. 'puzzle_id' for joins)
+   * @returns {object[]} - Rows with the edited FEN swapped in where one applies
+   */
+  resolve(rows, idKey = 'id') {
+    if (rows.length === 0) return rows;
+
+    const modifications = this._getModifications(rows.map(row => row[idKey]));
+    if (modifications.size === 0) return rows;
+
+    return rows.map(row => this.applyModification(row, modifications.get(row[idKey])));
+  }
+
+  /**
+   * Overlay one modification on a puzzle row. An edited FEN is only used if
+   * the stored moves still play from it; otherwise the base FEN is kept and
+   * the row is flagged with modification_error.
+   * @param {object} row - Puzzle row
+   * @param {object|undefined} modification - puzzle_modifications row
+   * @returns {object}
+   */
+  applyModification(row, modification) {
+    if (!modification?.modified_fen || modification.modified_fen === row.fen) {
+      return row;
+    }
+
+    const check = this.verifyMoves(modification.modified_fen, row.moves);
+    if (!check.valid) {
+      return { ...row, modification_error: check.error };
+    }
+
+    return {
+      ...row,
+      fen: modification.modified_fen,
+      original_fen: row.fen,
+      modified: true
+    };
+  }
+
+  /**
+   * Check that a puzzle's UCI moves are legal from a FEN
+   * @param {string} fen - Starting FEN
+   * @param {string} moves - Space-separated UCI moves
+   * @returns {{ valid: boolean, error?: string }}
+   */
+  verifyMoves(fen, moves) {
+    const result = uciToSAN(fen, moves || '');
+    return result.success
+      ? { valid: true }
+      : { valid: false, error: `Puzzle moves are not legal from this FEN (${result.error})` };
+  }
+
+  /**
+   * Load modifications for a set of puzzle IDs
+   * @param {string[]} ids - Puzzle IDs
+   * @returns {Map<string, object>}
+   */
+  _getModifications(ids) {
+    try {
+      const placeholders = ids.map(() => '?').join(',');
+      const rows = database.query(
+        `SELECT * FROM puzzle_modifications WHERE modified_fen IS NOT NULL AND puzzle_id IN (${placeholders})`,
+        ids
+      );
+      return new Map(rows.map(row => [row.puzzle_id, row]));
+    } catch (error) {
+      // No modifications table yet (report manager not initialized)
+      return new Map();
+    }
+  }
+
+  /**
+   * Load revision snapshots for a set of puzzle IDs
+   * @param {string[]} ids - Puzzle IDs
+   * @returns {Map<string, object[]>} - Puzzle ID -> snapshots in revision order
+   */
+  _getRevisions(ids) {
+    try {
+      const placeholders = ids.map(() => '?').join(',');
+      const rows = database.query(
+        `SELECT * FROM puzzle_revisions WHERE puzzle_id IN (${placeholders}) ORDER BY revision`,
+        ids
+      );
+
+      const history = new Map();
+      for (const row of rows) {
+        if (!history.has(row.puzzle_id)) history.set(row.puzzle_id, []);
+        history.get(row.puzzle_id).push(row);
+      }
+      return history;
+    } catch (error) {
+      // No revisions table yet (migrations not run)
+      return new Map();
+    }
+  }
+}
+
+export const puzzleResolver = new PuzzleResolver();
+
+export default PuzzleResolver;
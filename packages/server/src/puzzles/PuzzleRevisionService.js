@@ -0,0 +1,357 @@
+/**
+ * PuzzleRevisionService.js
+ * Admin edits to existing puzzles, with a revision recorded for every change
+ *
+ * Edits are written to the puzzles row itself (so theme filters, features and
+ * every read path pick them up) and a full snapshot is appended to
+ * puzzle_revisions. The first edit also records revision 0, the puzzle as it
+ * was before, so history can always be diffed and reverted to the original.
+ */
+
+import { database } from '../database/SqliteDatabase.js';
+import { puzzleRepository } from './PuzzleRepository.js';
+import { puzzleResolver } from './PuzzleResolver.js';
+import { validateThemes, validateRating } from './validation/PuzzleValidator.js';
+import { sanToUCI, uciToSAN, validateFEN } from '../shared/MoveConverter.js';
+import { normalizeAlternatives, fitAlternatives, formatAlternatives } from './PuzzleAlternatives.js';
+import { normalizeVariations, fitVariations } from './PuzzleVariations.js';
+
+// Fields an admin can edit, in the order diffs list them
+export const EDITABLE_FIELDS = ['fen', 'moves', 'alternatives', 'variations', 'themes', 'rating', 'game_url'];
+
+const MAX_FEN_LENGTH = 200;
+const MAX_MOVES = 50;
+
+export class PuzzleRevisionService {
+  /**
+   * Edit a puzzle. Fields left out of changes keep their current value.
+   * @param {string} puzzleId - Puzzle ID
+   * @param {object} changes - { fen, moves (SAN array), alternatives (ply -> SAN moves), variations (PGN movetext), themes (array), rating, game_url }
+   * @param {string|null} authorId - User making the edit
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  editPuzzle(puzzleId, changes, authorId = null) {
+    try {
+      const [current] = puzzleResolver.getPuzzlesByIds([puzzleId]);
+      if (!current) {
+        return { success: false, error: 'Puzzle not found' };
+      }
+
+      const result = this.applyChanges(this.snapshotOf(current), changes);
+      if (!result.valid) {
+        return { success: false, error: result.error };
+      }
+
+      return this._saveRevision(current, result.snapshot, authorId);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Restore a puzzle to an earlier revision. Recorded as a new revision so
+   * the history is never rewritten.
+   * @param {string} puzzleId - Puzzle ID
+   * @param {number} revision - Revision to restore
+   * @param {string|null} authorId - User making the revert
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  revertPuzzle(puzzleId, revision, authorId = null) {
+    try {
+      const [current] = puzzleResolver.getPuzzlesByIds([puzzleId]);
+      if (!current) {
+        return { success: false, error: 'Puzzle not found' };
+      }
+
+      const target = database.queryOne(
+        'SELECT * FROM puzzle_revisions WHERE puzzle_id = ? AND revision = ?',
+        [puzzleId, revision]
+      );
+      if (!target) {
+        return { success: false, error: 'Revision not found' };
+      }
+
+      return this._saveRevision(current, this.snapshotOf(target), authorId, revision);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the revision history of a puzzle, newest first, each with the
+   * fields it changed from the revision before
+   * @param {string} puzzleId - Puzzle ID
+   * @returns {object[]}
+   */
+  getRevisions(puzzleId) {
+    const rows = database.query(
+      `SELECT r.*, u.username AS author_name
+       FROM puzzle_revisions r
+       LEFT JOIN users u ON u.id = r.author_id
+       WHERE r.puzzle_id = ?
+       ORDER BY r.revision ASC`,
+      [puzzleId]
+    );
+
+    return rows.map((row, i) => ({
+      revision: row.revision,
+      author_id: row.author_id,
+      author_name: row.author_name || null,
+      reverted_from: row.reverted_from,
+      created_at: row.created_at,
+      ...this.snapshotOf(row),
+      moves_san: this.formatMoves(row.fen, row.moves),
+      changes: i > 0 ? this.diff(rows[i - 1], row) : []
+    })).reverse();
+  }
+
+  /**
+   * Get the latest revision of each puzzle that has been edited
+   * @param {string[]} puzzleIds - Puzzle IDs
+   * @returns {object} - Puzzle ID -> revision, unedited puzzles left out
+   */
+  getCurrentRevisions(puzzleIds) {
+    if (puzzleIds.length === 0) return {};
+
+    const placeholders = puzzleIds.map(() => '?').join(',');
+    const rows = database.query(
+      `SELECT puzzle_id, MAX(revision) AS revision FROM puzzle_revisions
+       WHERE puzzle_id IN (${placeholders})
+       GROUP BY puzzle_id`,
+      puzzleIds
+    );
+
+    return Object.fromEntries(rows.map(row => [row.puzzle_id, row.revision]));
+  }
+
+  /**
+   * Validate changes and merge them into a snapshot
+   * @param {object} snapshot - Current { fen, moves, alternatives, variations, themes, rating, game_url }
+   * @param {object} changes - Requested changes
+   * @returns {{ valid: boolean, snapshot?: object, error?: string }}
+   */
+  applyChanges(snapshot, changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return { valid: false, error: 'Changes must be an object' };
+    }
+
+    const { fen, moves, alternatives, variations, themes, rating, game_url } = changes;
+    const next = { ...snapshot };
+
+    if (fen !== undefined) {
+      if (typeof fen !== 'string' || !fen.trim()) {
+        return { valid: false, error: 'FEN is required' };
+      }
+      if (fen.length > MAX_FEN_LENGTH) {
+        return { valid: false, error: `FEN exceeds maximum length of ${MAX_FEN_LENGTH}` };
+      }
+      const fenResult = validateFEN(fen.trim());
+      if (!fenResult.valid) {
+        return { valid: false, error: `Invalid FEN: ${fenResult.error}` };
+      }
+      next.fen = fen.trim();
+    }
+
+    if (moves !== undefined) {
+      if (!Array.isArray(moves) || moves.length === 0) {
+        return { valid: false, error: 'At least one move is required' };
+      }
+      if (moves.length > MAX_MOVES) {
+        return { valid: false, error: `Too many moves. Maximum is ${MAX_MOVES}` };
+      }
+      if (!moves.every(m => typeof m === 'string' && m.trim())) {
+        return { valid: false, error: 'All moves must be non-empty strings in SAN notation' };
+      }
+      const conversion = sanToUCI(next.fen, moves.map(m => m.trim()));
+      if (!conversion.success) {
+        return { valid: false, error: `Puzzle moves are not legal from this FEN (${conversion.error})` };
+      }
+      next.moves = conversion.uci;
+    } else if (next.fen !== snapshot.fen) {
+      const check = puzzleResolver.verifyMoves(next.fen, next.moves);
+      if (!check.valid) {
+        return { valid: false, error: check.error };
+      }
+    }
+
+    if (alternatives !== undefined) {
+      const alternativesResult = normalizeAlternatives(next.fen, next.moves, alternatives);
+      if (!alternativesResult.valid) {
+        return { valid: false, error: alternativesResult.error };
+      }
+      next.alternatives = alternativesResult.alternatives;
+    } else if (next.fen !== snapshot.fen || next.moves !== snapshot.moves) {
+      // Drop alternatives the new solution no longer has room for
+      next.alternatives = fitAlternatives(next.fen, next.moves, snapshot.alternatives);
+    }
+
+    if (variations !== undefined) {
+      const variationsResult = normalizeVariations(next.fen, next.moves, variations);
+      if (!variationsResult.valid) {
+        return { valid: false, error: variationsResult.error };
+      }
+      next.variations = variationsResult.variations;
+    } else if (next.fen !== snapshot.fen || next.moves !== snapshot.moves) {
+      // Keep the side lines that still branch off the new solution
+      next.variations = fitVariations(next.fen, next.moves, snapshot.variations, snapshot.fen);
+    }
+
+    if (themes !== undefined) {
+      const themesResult = validateThemes(themes);
+      if (!themesResult.valid) {
+        return { valid: false, error: themesResult.error };
+      }
+      next.themes = themesResult.normalizedThemes.join(',');
+    }
+
+    if (rating !== undefined) {
+      const ratingResult = validateRating(rating);
+      if (!ratingResult.valid) {
+        return { valid: false, error: ratingResult.error };
+      }
+      next.rating = ratingResult.normalizedRating;
+    }
+
+    if (game_url !== undefined && game_url !== null) {
+      if (typeof game_url !== 'string') {
+        return { valid: false, error: 'Game URL must be a string' };
+      }
+      const url = game_url.trim();
+      if (url && !/^https?:\/\//.test(url)) {
+        return { valid: false, error: 'Game URL must start with http:// or https://' };
+      }
+      next.game_url = url;
+    }
+
+    return { valid: true, snapshot: next };
+  }
+
+  /**
+   * Fields that differ between two revisions
+   * @param {object} before - Earlier revision row
+   * @param {object} after - Later revision row
+   * @returns {{ field: string, before: any, after: any }[]} - Moves are given in SAN
+   */
+  diff(before, after) {
+    const display = (row, field) => {
+      if (field === 'moves') return this.formatMoves(row.fen, row.moves);
+      if (field === 'alternatives') return formatAlternatives(row.fen, row.moves, row.alternatives);
+      if (field === 'variations') return row.variations || '';
+      return row[field];
+    };
+
+    return EDITABLE_FIELDS
+      .filter(field => (before[field] ?? '') !== (after[field] ?? ''))
+      .map(field => ({ field, before: display(before, field), after: display(after, field) }));
+  }
+
+  /**
+   * The editable fields of a puzzle or revision row
+   * @param {object} row - Puzzle or puzzle_revisions row
+   * @returns {{ fen: string, moves: string, alternatives: string, variations: string, themes: string, rating: number, game_url: string }}
+   */
+  snapshotOf(row) {
+    return {
+      fen: row.fen,
+      moves: row.moves,
+      alternatives: row.alternatives || '',
+      variations: row.variations || '',
+      themes: row.themes || '',
+      rating: row.rating,
+      game_url: row.game_url || ''
+    };
+  }
+
+  /**
+   * UCI moves as a SAN string for display, or the UCI if they don't play
+   * @param {string} fen - Starting FEN
+   * @param {string} moves - Space-separated UCI moves
+   * @returns {string}
+   */
+  formatMoves(fen, moves) {
+    const result = uciToSAN(fen, moves || '');
+    return result.success ? result.san.join(' ') : moves;
+  }
+
+  /**
+   * Write a new snapshot to the puzzle and record it as the next revision
+   * @param {object} current - Current puzzle row
+   * @param {object} snapshot - New { fen, moves, alternatives, variations, themes, rating, game_url }
+   * @param {string|null} authorId - User making the change
+   * @param {number|null} revertedFrom - Revision restored, for reverts
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  _saveRevision(current, snapshot, authorId, revertedFrom = null) {
+    const before = this.snapshotOf(current);
+    if (this.diff(before, snapshot).length === 0) {
+      return { success: false, error: 'No changes to save' };
+    }
+
+    const now = new Date().toISOString();
+    let revision;
+
+    // The puzzle and its revisions are written together, so an edit is never
+    // saved without its history. The puzzle goes last: updating it also
+    // re-indexes its themes in memory, which a rollback would not undo.
+    try {
+      database.transaction(() => {
+        const latest = database.queryScalar(
+          'SELECT MAX(revision) FROM puzzle_revisions WHERE puzzle_id = ?',
+          [current.id]
+        );
+
+        if (latest === null) {
+          this._insertRevision(current.id, 0, before, null, null, now);
+        }
+        revision = (latest ?? 0) + 1;
+        this._insertRevision(current.id, revision, snapshot, authorId, revertedFrom, now);
+
+        // The edit replaces any FEN set through the old FEN-only override
+        if (current.modified || current.modification_error) {
+          database.run('UPDATE puzzle_modifications SET modified_fen = NULL WHERE puzzle_id = ?', [current.id]);
+        }
+
+        const result = puzzleRepository.updatePuzzle(current.id, snapshot);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    return {
+      success: true,
+      data: { puzzleId: current.id, revision, ...snapshot }
+    };
+  }
+
+  /**
+   * Insert one puzzle_revisions row
+   */
+  _insertRevision(puzzleId, revision, snapshot, authorId, revertedFrom, createdAt) {
+    database.run(
+      `INSERT INTO puzzle_revisions
+         (puzzle_id, revision, fen, moves, alternatives, variations, themes, rating, game_url, author_id, reverted_from, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        puzzleId,
+        revision,
+        snapshot.fen,
+        snapshot.moves,
+        snapshot.alternatives || null,
+        snapshot.variations || null,
+        snapshot.themes,
+        snapshot.rating,
+        snapshot.game_url,
+        authorId,
+        revertedFrom,
+        createdAt
+      ]
+    );
+  }
+}
+
+export const puzzleRevisionService = new PuzzleRevisionService();
+
+export default PuzzleRevisionService;
@@ -0,0 +1,121 @@
+/**
+ * PuzzleVariations.js
+ * Branching solutions: other opponent defences and how the solver answers them
+ *
+ * Stored on the puzzle as PGN movetext in SAN with recursive annotation
+ * variations (RAVs), starting from the puzzle FEN with the setup move, e.g.
+ * "1... Ra2 2. Rd8+ Kh7 (2... Rf8 3. Rxf8#) 3. Qh5#". The main line is always
+ * the puzzle's moves column, so everything that reads a single line keeps
+ * working; puzzles without branches store nothing here.
+ *
+ * Branches may only start at the opponent's replies (even plies after the
+ * setup move) and every line must end with a solver move. Reading and
+ * writing the movetext lives in shared/SolutionTree.js (the client keeps a
+ * copy of it).
+ */
+
+import {
+  parseVariations,
+  writeVariations,
+  mainLine,
+  allLines,
+  hasBranches,
+  insertLine
+} from '../shared/SolutionTree.js';
+
+/**
+ * Validate a solution tree sent with a new or edited puzzle
+ * @param {string} fen - Puzzle FEN
+ * @param {string} moves - Space-separated UCI main line
+ * @param {string|null} variations - PGN movetext of the whole solution
+ * @returns {{ valid: boolean, variations?: string, error?: string }}
+ *   variations is the movetext to store, '' when the solution doesn't branch
+ */
+export function normalizeVariations(fen, moves, variations) {
+  if (variations === null || variations === undefined || variations === '') {
+    return { valid: true, variations: '' };
+  }
+  if (typeof variations !== 'string') {
+    return { valid: false, error: 'Variations must be PGN movetext' };
+  }
+
+  let tree;
+  try {
+    tree = parseVariations(fen, variations);
+  } catch (error) {
+    return { valid: false, error: `Invalid variations: ${error.message}` };
+  }
+
+  const main = mainLine(tree);
+  if (main.join(' ') !== moves) {
+    return { valid: false, error: 'The main line of the variations must be the solution moves' };
+  }
+
+  const problem = findTreeProblem(tree, 0, true);
+  if (problem) {
+    return { valid: false, error: problem };
+  }
+
+  return { valid: true, variations: hasBranches(tree) ? writeVariations(fen, tree) : '' };
+}
+
+/**
+ * Keep the branches of a stored tree that still fit a changed solution
+ * @param {string} fen - New puzzle FEN
+ * @param {string} moves - New space-separated UCI moves
+ * @param {string|null} stored - Current variations
+ * @param {string} storedFen - FEN the stored variations start from
+ * @returns {string} - Movetext to store, '' when no branch is left
+ */
+export function fitVariations(fen, moves, stored, storedFen) {
+  if (!stored || fen !== storedFen) return '';
+
+  let tree;
+  try {
+    tree = parseVariations(fen, stored);
+  } catch (error) {
+    return '';
+  }
+
+  const solution = moves.split(' ').filter(Boolean);
+  const fitted = lineTree(fen, solution);
+  if (!fitted) return '';
+
+  // A side line is kept when the new solution still reaches the position it branches from
+  for (const line of allLines(tree).slice(1)) {
+    const branchPly = line.findIndex((uci, i) => uci !== solution[i]);
+    if (branchPly <= 0 || branchPly >= solution.length) continue;
+    if (line.slice(0, branchPly).join(' ') !== solution.slice(0, branchPly).join(' ')) continue;
+    if (branchPly % 2 !== 0 || line.length % 2 !== 0) continue;
+    insertLine(fen, fitted, line);
+  }
+
+  return hasBranches(fitted) ? writeVariations(fen, fitted) : '';
+}
+
+/**
+ * First problem in a tree: a branch outside the opponent's replies or a side
+ * line ending on an opponent move
+ * @returns {string|null}
+ */
+function findTreeProblem(nodes, ply, onMainLine) {
+  if (nodes.length > 1 && (ply === 0 || ply % 2 !== 0)) {
+    return `Variations can only branch at the opponent's replies (ply ${ply})`;
+  }
+
+  for (const [i, node] of nodes.entries()) {
+    const isMain = onMainLine && i === 0;
+    if (node.children.length === 0 && ply % 2 === 0 && !isMain) {
+      return `The variation ending with ${node.san} needs the solver's answer`;
+    }
+    const problem = findTreeProblem(node.children, ply + 1, isMain);
+    if (problem) return problem;
+  }
+
+  return null;
+}
+
+function lineTree(fen, line) {
+  const tree = [];
+  return insertLine(fen, tree, line) ? tree : null;
+}
@@ -0,0 +1,124 @@
+/**
+ * PuzzleEngineCheck.js
+ * Engine check of a puzzle's soundness and uniqueness
+ *
+ * verifySolution only proves the moves are legal. This asks a UCI engine
+ * about every position in the solution:
+ * - solver moves must be the engine's choice, or close to it (sound)
+ * - a solver move must not leave the solver worse off (sound)
+ * - no other move may be clearly winning as well (unique)
+ * Opponent moves (the setup move and replies) are evaluated but not judged.
+ */
+
+import { Chess } from 'chess.js';
+import { scoreValue, negateScore } from '../../engine/UciEngine.js';
+
+// A move is clearly winning at +2 pawns or a forced mate
+export const WINNING_CP = 200;
+
+// A solver move this far below the engine's best is a mistake
+export const MISTAKE_CP = 100;
+
+/**
+ * Check a puzzle with an engine
+ * @param {UciEngine} engine - Started engine
+ * @param {string} fen - Puzzle FEN (before the opponent's move)
+ * @param {string|string[]} moves - UCI moves, opponent's move first
+ * @param {object} options - { depth }
+ * @returns {Promise<{ sound: boolean, unique: boolean, issues: object[], plies: object[] }>}
+ *   plies: { ply, side, move, san, score, eval, best, alternative } per move, where
+ *   score is the move's value for the side playing it and eval is from White's view;
+ *   issues: { ply, type: 'not_best' | 'losing' | 'multiple_winning_moves', message }
+ */
+export async function checkPuzzle(engine, fen, moves, { depth = 18 } = {}) {
+  const uciMoves = Array.isArray(moves) ? moves : moves.split(' ').filter(Boolean);
+  const chess = new Chess(fen);
+  const plies = [];
+  const issues = [];
+
+  for (let i = 0; i < uciMoves.length; i++) {
+    const move = uciMoves[i];
+    const side = i % 2 === 1 ? 'solver' : 'opponent';
+    const position = chess.fen();
+    const white = chess.turn() === 'w';
+
+    const search = await engine.analyse(position, { depth, multiPv: side === 'solver' ? 2 : 1 });
+    const played = search.lines.find(line => line.move === move)
+      || (await engine.analyse(position, { depth, searchMoves: [move] })).lines[0];
+
+    const best = search.lines[0] || played;
+    const alternative = search.lines.find(line => line.move !== move) || null;
+
+    const san = chess.move({ from: move.slice(0, 2), to: move.slice(2, 4), promotion: move[4] }).san;
+    const score = played ? played.score : null;
+
+    plies.push({
+      ply: i + 1,
+      side,
+      move,
+      san,
+      score,
+      eval: score && !white ? negateScore(score) : score,
+      best: best ? { move: best.move, san: toSAN(position, best.move), score: best.score } : null,
+      alternative: alternative
+        ? { move: alternative.move, san: toSAN(position, alternative.move), score: alternative.score }
+        : null
+    });
+
+    if (side !== 'solver' || !score) continue;
+
+    const value = scoreValue(score);
+
+    if (best.move !== move && scoreValue(best.score) - value > MISTAKE_CP) {
+      issues.push({
+        ply: i + 1,
+        type: 'not_best',
+        message: `${san} is not the best move; the engine prefers ${toSAN(position, best.move)} (${formatScore(best.score)} vs ${formatScore(score)})`
+      });
+    }
+
+    if (value < 0) {
+      issues.push({
+        ply: i + 1,
+        type: 'losing',
+        message: `${san} leaves the solver worse off (${formatScore(score)})`
+      });
+    }
+
+    if (alternative && scoreValue(alternative.score) >= WINNING_CP) {
+      issues.push({
+        ply: i + 1,
+        type: 'multiple_winning_moves',
+        message: `${toSAN(position, alternative.move)} also wins (${formatScore(alternative.score)})`
+      });
+    }
+  }
+
+  return {
+    sound: !issues.some(issue => issue.type === 'not_best' || issue.type === 'losing'),
+    unique: !issues.some(issue => issue.type === 'multiple_winning_moves'),
+    issues,
+    plies
+  };
+}
+
+/**
+ * Format a score for messages, e.g. "+2.45" or "#3"
+ * @param {object} score - { cp } or { mate }
+ * @returns {string}
+ */
+export function formatScore(score) {
+  if (!score) return '?';
+  if (score.mate !== undefined) return `#${score.mate}`;
+  return `${score.cp >= 0 ? '+' : ''}${(score.cp / 100).toFixed(2)}`;
+}
+
+function toSAN(fen, uciMove) {
+  if (!uciMove) return null;
+  try {
+    const chess = new Chess(fen);
+    return chess.move({ from: uciMove.slice(0, 2), to: uciMove.slice(2, 4), promotion: uciMove[4] }).san;
+  } catch (error) {
+    return uciMove;
+  }
+}
@@ -11,7 +11,7 @@ const MAX_PUZZLE_ID_LENGTH = 50;
 const MIN_PUZZLE_ID_LENGTH = 3;
 const MAX_FEN_LENGTH = 200;
 const MAX_MOVES = 50;
-const VALID_SOURCES = ['manual', 'lichess_import', 'interactive', 'pgn', 'lichess'];
+const VALID_SOURCES = ['manual', 'lichess_import', 'interactive', 'pgn', 'epd', 'csv', 'lichess'];
 
 /**
  * Validate puzzle ID format
@@ -7,6 +7,7 @@
  */
 
 import { database } from '../database/SqliteDatabase.js';
+import { puzzleResolver } from '../puzzles/PuzzleResolver.js';
 
 // Report reason constants
 export const REPORT_REASONS = {
@@ -26,7 +27,6 @@ export const REPORT_REASON_LABELS = {
 // Constants
 const MAX_NOTES_LENGTH = 500;
 const MAX_PUZZLE_ID_LENGTH = 20;
-const MAX_FEN_LENGTH = 200;
 
 export class PuzzleReportManager {
   constructor() {
@@ -245,35 +245,6 @@ export class PuzzleReportManager {
     }
   }
 
-  /**
-   * Update puzzle FEN
-   * @param {string} puzzleId - Puzzle ID
-   * @param {string} newFen - New FEN string
-   * @returns {object} - { success, error? }
-   */
-  updatePuzzleFEN(puzzleId, newFen) {
-    try {
-      if (!newFen || newFen.length > MAX_FEN_LENGTH) {
-        throw new Error('Invalid FEN string length');
-      }
-
-      const existing = this.db.queryOne(
-        'SELECT blocked FROM puzzle_modifications WHERE puzzle_id = ?',
-        [puzzleId]
-      );
-
-      this.db.run(
-        `INSERT OR REPLACE INTO puzzle_modifications (puzzle_id, blocked, modified_fen, modified_at)
-         VALUES (?, ?, ?, ?)`,
-        [puzzleId, existing?.blocked || 0, newFen, Date.now()]
-      );
-
-      return { success: true };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
-
   /**
    * Get modification for a puzzle
    * @param {string} puzzleId - Puzzle ID
@@ -304,15 +275,16 @@ export class PuzzleReportManager {
   }
 
   /**
-   * Get puzzle info
+   * Get puzzle info, with any edited FEN applied
    * @param {string} puzzleId - Puzzle ID
    * @returns {object|null}
    */
   getPuzzleInfo(puzzleId) {
-    return this.db.queryOne(
-      'SELECT id, fen, rating, themes FROM puzzles WHERE id = ?',
+    const row = this.db.queryOne(
+      'SELECT id, fen, moves, alternatives, variations, rating, themes, game_url FROM puzzles WHERE id = ?',
       [puzzleId]
     );
+    return row ? puzzleResolver.resolve([row])[0] : null;
   }
 
   /**
@@ -6,6 +6,9 @@ import { Hono } from 'hono';
 import { exerciseService } from '../exercises/ExerciseService.js';
 import { exerciseRepository } from '../exercises/ExerciseRepository.js';
 import { pdfGenerator } from '../exercises/PdfGenerator.js';
+import { exerciseExporter, EXPORT_FORMATS } from '../exercises/ExerciseExporter.js';
+import { personalizedExerciseService } from '../exercises/PersonalizedExerciseService.js';
+import { exerciseScheduleService } from '../exercises/ExerciseScheduleService.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -38,11 +41,12 @@ exercises.get('/', (c) => {
 /**
  * POST /api/exercises
  * Create a new weekly exercise from puzzle IDs
+ * Body: { puzzleIds, filters?, name?, weekStart?, timeLimitSeconds?, timeLimitMode?: 'total' | 'per_puzzle' }
  */
 exercises.post('/', async (c) => {
   try {
     const body = await c.req.json();
-    const { puzzleIds, filters, name, weekStart } = body;
+    const { puzzleIds, filters, name, weekStart, timeLimitSeconds, timeLimitMode } = body;
 
     if (!puzzleIds || !Array.isArray(puzzleIds) || puzzleIds.length === 0) {
       return c.json({ success: false, error: 'At least one puzzle ID is required' }, 400);
@@ -52,7 +56,9 @@ exercises.post('/', async (c) => {
       puzzleIds,
       filters,
       name,
-      weekStart
+      weekStart,
+      timeLimitSeconds: timeLimitSeconds ?? null,
+      timeLimitMode: timeLimitMode || 'total'
     });
 
     if (!result.success) {
@@ -90,6 +96,169 @@ exercises.get('/current-week', (c) => {
   }
 });
 
+/**
+ * POST /api/exercises/personalized
+ * Build and assign a personalized exercise for each student
+ * Body: { studentIds: string[], count?: number (1-20), weekStart?: 'YYYY-MM-DD' }
+ * Responds 422 with the failed students when none could be created
+ */
+exercises.post('/personalized', requireRole('admin'), async (c) => {
+  try {
+    const body = await c.req.json();
+    const { studentIds, weekStart } = body;
+    const count = body.count ?? 10;
+
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+      return c.json({ success: false, error: 'At least one student ID is required' }, 400);
+    }
+
+    if (!Number.isInteger(count) || count < 1 || count > 20) {
+      return c.json({ success: false, error: 'Count must be between 1 and 20' }, 400);
+    }
+
+    if (weekStart && !/^\d{4}-\d{2}-\d{2}$/.test(weekStart)) {
+      return c.json({ success: false, error: 'weekStart must be in YYYY-MM-DD format' }, 400);
+    }
+
+    const result = personalizedExerciseService.createForStudents(studentIds, { count, weekStart });
+
+    if (result.created.length === 0) {
+      return c.json({
+        success: false,
+        error: `No personalized exercises created: ${result.failed.map(f => f.error).join('; ')}`,
+        data: result
+      }, 422);
+    }
+
+    return c.json({ success: true, data: result }, 201);
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/exercises/overdue
+ * List assignments past their due date with nothing submitted
+ */
+exercises.get('/overdue', requireRole('admin'), (c) => {
+  try {
+    const overdue = exerciseService.getOverdueAssignments();
+    return c.json({ success: true, data: overdue });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/exercises/schedules
+ * List recurring schedules with upcoming runs
+ */
+exercises.get('/schedules', requireRole('admin'), (c) => {
+  try {
+    const schedules = exerciseScheduleService.listSchedules();
+    return c.json({ success: true, data: schedules });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/exercises/schedules
+ * Create a recurring schedule
+ * Body: { name, studentIds, themes?, minRating?, maxRating?, count?, weekday?, excludeSeen?, startsOn? }
+ */
+exercises.post('/schedules', requireRole('admin'), async (c) => {
+  try {
+    const body = await c.req.json();
+    const result = exerciseScheduleService.createSchedule(body);
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 400);
+    }
+
+    return c.json({ success: true, data: result.data }, 201);
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/exercises/schedules/:scheduleId
+ * Update a schedule; { active: false } pauses it
+ */
+exercises.put('/schedules/:scheduleId', requireRole('admin'), async (c) => {
+  try {
+    const scheduleId = c.req.param('scheduleId');
+    const body = await c.req.json();
+    const result = exerciseScheduleService.updateSchedule(scheduleId, body);
+
+    if (!result.success) {
+      const status = result.error === 'Schedule not found' ? 404 : 400;
+      return c.json({ success: false, error: result.error }, status);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /api/exercises/schedules/:scheduleId
+ * Delete a schedule (exercises it created are kept)
+ */
+exercises.delete('/schedules/:scheduleId', requireRole('admin'), (c) => {
+  try {
+    const scheduleId = c.req.param('scheduleId');
+    const result = exerciseScheduleService.deleteSchedule(scheduleId);
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    return c.json({ success: true, message: 'Schedule deleted' });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/exercises/schedules/:scheduleId/runs
+ * Run history for a schedule
+ */
+exercises.get('/schedules/:scheduleId/runs', requireRole('admin'), (c) => {
+  try {
+    const scheduleId = c.req.param('scheduleId');
+
+    if (!exerciseScheduleService.getSchedule(scheduleId)) {
+      return c.json({ success: false, error: 'Schedule not found' }, 404);
+    }
+
+    return c.json({ success: true, data: exerciseScheduleService.getRuns(scheduleId) });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/exercises/schedules/:scheduleId/dry-run
+ * Show the puzzles and students the next run would use, without saving
+ */
+exercises.post('/schedules/:scheduleId/dry-run', requireRole('admin'), (c) => {
+  try {
+    const scheduleId = c.req.param('scheduleId');
+    const result = exerciseScheduleService.dryRun(scheduleId);
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 /**
  * GET /api/exercises/:id
  * Get exercise with full puzzle details
@@ -138,6 +307,39 @@ exercises.get('/:id/pdf', async (c) => {
   }
 });
 
+/**
+ * GET /api/exercises/:id/export
+ * Download exercise puzzles for other chess tools
+ * Query: format=pgn (default), epd or json
+ */
+exercises.get('/:id/export', (c) => {
+  try {
+    const id = c.req.param('id');
+    const format = c.req.query('format') || 'pgn';
+
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return c.json({ success: false, error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }, 400);
+    }
+
+    const result = exerciseService.getExerciseWithPuzzles(id);
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    const { content, contentType, filename } = exerciseExporter.exportExercise(result.data, format);
+
+    return new Response(content, {
+      headers: {
+        'Content-Type': `${contentType}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="${filename}"`
+      }
+    });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 /**
  * PUT /api/exercises/:id
  * Update exercise (name)
@@ -188,18 +390,25 @@ exercises.delete('/:id', (c) => {
 /**
  * POST /api/exercises/:id/assign
  * Assign exercise to students
+ * Body: { studentIds: string[], dueAt?: ISO timestamp (defaults to end of the exercise week) }
  */
 exercises.post('/:id/assign', async (c) => {
   try {
     const id = c.req.param('id');
     const body = await c.req.json();
-    const { studentIds } = body;
+    const { studentIds, dueAt } = body;
 
     if (!studentIds || !Array.isArray(studentIds) || studentIds.length === 0) {
       return c.json({ success: false, error: 'At least one student ID is required' }, 400);
     }
 
-    const result = exerciseService.assignExerciseToStudents(id, studentIds);
+    if (dueAt !== undefined && dueAt !== null && isNaN(new Date(dueAt).getTime())) {
+      return c.json({ success: false, error: 'Invalid due date' }, 400);
+    }
+
+    const result = exerciseService.assignExerciseToStudents(id, studentIds, {
+      dueAt: dueAt ? new Date(dueAt).toISOString() : null
+    });
 
     if (!result.success) {
       return c.json({ success: false, error: result.error }, 400);
@@ -225,4 +434,22 @@ exercises.get('/:id/assignments', (c) => {
   }
 });
 
+/**
+ * GET /api/exercises/:id/solve-times
+ * Average and slowest solve time per puzzle across the exercise's assignments
+ */
+exercises.get('/:id/solve-times', requireRole('admin'), (c) => {
+  try {
+    const result = exerciseService.getSolveTimeStats(c.req.param('id'));
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 export default exercises;
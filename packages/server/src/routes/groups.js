@@ -0,0 +1,211 @@
+/**
+ * groups.js - Student group (class) API routes (Admin only)
+ */
+
+import { Hono } from 'hono';
+import { groupService } from '../students/GroupService.js';
+import { requireRole } from '../middleware/roleMiddleware.js';
+
+const groups = new Hono();
+
+groups.use('*', requireRole('admin'));
+
+const isStringArray = (value) => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+/**
+ * GET /api/groups
+ * List all groups with member counts
+ */
+groups.get('/', (c) => {
+  try {
+    return c.json({ success: true, data: groupService.listGroups() });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/groups
+ * Create a group. The response lists the students added and errors for
+ * those that could not be, as POST /api/groups/:id/members does.
+ * Body: { name, description?, studentIds? }
+ */
+groups.post('/', async (c) => {
+  try {
+    const body = await c.req.json();
+
+    if (body.studentIds !== undefined && !isStringArray(body.studentIds)) {
+      return c.json({ success: false, error: 'studentIds must be an array of student IDs' }, 400);
+    }
+
+    const result = groupService.createGroup(body);
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 400);
+    }
+
+    return c.json({ success: true, data: result.data }, 201);
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/groups/:id
+ * Get a group with its members
+ */
+groups.get('/:id', (c) => {
+  try {
+    const group = groupService.getGroup(c.req.param('id'));
+
+    if (!group) {
+      return c.json({ success: false, error: 'Group not found' }, 404);
+    }
+
+    return c.json({ success: true, data: group });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/groups/:id
+ * Update a group's name or description
+ * Body: { name?, description? }
+ */
+groups.put('/:id', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const body = await c.req.json();
+
+    if (!groupService.getGroup(id)) {
+      return c.json({ success: false, error: 'Group not found' }, 404);
+    }
+
+    const result = groupService.updateGroup(id, body);
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 400);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /api/groups/:id
+ * Delete a group (members' existing assignments are kept)
+ */
+groups.delete('/:id', (c) => {
+  try {
+    const result = groupService.deleteGroup(c.req.param('id'));
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    return c.json({ success: true, message: 'Group deleted' });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/groups/:id/members
+ * Add students to a group. Exercises assigned to the group with backfill
+ * enabled are assigned to the new members.
+ * Body: { studentIds: string[] }
+ */
+groups.post('/:id/members', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const { studentIds } = await c.req.json();
+
+    if (!isStringArray(studentIds) || studentIds.length === 0) {
+      return c.json({ success: false, error: 'At least one student ID is required' }, 400);
+    }
+
+    const result = groupService.addMembers(id, studentIds);
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /api/groups/:id/members/:studentId
+ * Remove a student from a group
+ */
+groups.delete('/:id/members/:studentId', (c) => {
+  try {
+    const result = groupService.removeMember(c.req.param('id'), c.req.param('studentId'));
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    return c.json({ success: true, message: 'Student removed from group' });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/groups/:id/assign
+ * Assign an exercise to every member of the group
+ * Body: { exerciseId, dueAt?: ISO timestamp, backfill?: boolean (also assign to later joiners) }
+ */
+groups.post('/:id/assign', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const { exerciseId, dueAt, backfill } = await c.req.json();
+
+    if (!exerciseId || typeof exerciseId !== 'string') {
+      return c.json({ success: false, error: 'Exercise ID is required' }, 400);
+    }
+
+    if (dueAt !== undefined && dueAt !== null && isNaN(new Date(dueAt).getTime())) {
+      return c.json({ success: false, error: 'Invalid due date' }, 400);
+    }
+
+    const result = groupService.assignExercise(id, exerciseId, {
+      dueAt: dueAt ? new Date(dueAt).toISOString() : null,
+      backfill: backfill === true
+    });
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/groups/:id/dashboard
+ * Class dashboard: average score per exercise and class-wide theme weaknesses
+ */
+groups.get('/:id/dashboard', (c) => {
+  try {
+    const dashboard = groupService.getDashboard(c.req.param('id'));
+
+    if (!dashboard) {
+      return c.json({ success: false, error: 'Group not found' }, 404);
+    }
+
+    return c.json({ success: true, data: dashboard });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+export default groups;
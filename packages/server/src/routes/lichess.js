@@ -4,85 +4,76 @@
  */
 
 import { Hono } from 'hono';
-
-const lichess = new Hono();
+import { lichessClient, buildLichessPuzzle } from '../puzzles/LichessClient.js';
 
 /**
- * GET /api/lichess/puzzle/:id
- * Fetch puzzle data from Lichess API
+ * Build the Lichess routes around an HTTP client
+ * @param {LichessClient} client - Defaults to the shared client; tests pass one
+ *   backed by recorded responses
+ * @returns {Hono}
  */
-lichess.get('/puzzle/:id', async (c) => {
-  try {
-    const puzzleId = c.req.param('id');
-
-    if (!puzzleId || !/^[a-zA-Z0-9]+$/.test(puzzleId)) {
-      return c.json({ success: false, error: 'Invalid puzzle ID format' }, 400);
-    }
+export function createLichessRoutes(client = lichessClient) {
+  const lichess = new Hono();
 
-    // Fetch from Lichess API
-    const response = await fetch(`https://lichess.org/api/puzzle/${puzzleId}`);
+  /**
+   * GET /api/lichess/puzzle/:id
+   * Fetch a puzzle from Lichess, with the starting FEN rebuilt from the game
+   * and SAN moves (opponent's move first) ready for import
+   */
+  lichess.get('/puzzle/:id', async (c) => {
+    try {
+      const puzzleId = c.req.param('id');
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        return c.json({ success: false, error: 'Puzzle not found on Lichess' }, 404);
+      if (!puzzleId || !/^[a-zA-Z0-9]+$/.test(puzzleId)) {
+        return c.json({ success: false, error: 'Invalid puzzle ID format' }, 400);
       }
-      return c.json({ success: false, error: 'Failed to fetch from Lichess' }, 502);
-    }
 
-    const data = await response.json();
+      const response = await client.getPuzzle(puzzleId);
 
-    // Transform Lichess format to our format
-    const puzzle = {
-      id: data.puzzle.id,
-      fen: data.game.pgn ? null : data.puzzle.initialPly, // Lichess uses different formats
-      rating: data.puzzle.rating,
-      themes: data.puzzle.themes || [],
-      solution: data.puzzle.solution || [], // UCI moves from Lichess
-      plays: data.puzzle.plays,
-      game_url: `https://lichess.org/${data.game.id}`
-    };
+      if (!response.data) {
+        if (response.status === 404) {
+          return c.json({ success: false, error: 'Puzzle not found on Lichess' }, 404);
+        }
+        return c.json({ success: false, error: 'Failed to fetch from Lichess' }, 502);
+      }
 
-    // Get FEN from game data if available
-    if (data.game && data.game.pgn) {
-      // Parse PGN to get the initial position - simplified approach
-      // In practice, we'd need to replay the game to the puzzle position
-      puzzle.note = 'FEN extraction from PGN not implemented - please enter FEN manually';
+      return c.json({ success: true, data: buildLichessPuzzle(response.data) });
+    } catch (error) {
+      console.error('Lichess fetch error:', error);
+      return c.json({ success: false, error: 'Failed to communicate with Lichess API' }, 502);
     }
+  });
 
-    return c.json({ success: true, data: puzzle });
-  } catch (error) {
-    console.error('Lichess fetch error:', error);
-    return c.json({ success: false, error: 'Failed to communicate with Lichess API' }, 502);
-  }
-});
+  /**
+   * GET /api/lichess/daily
+   * Get the daily puzzle from Lichess
+   */
+  lichess.get('/daily', async (c) => {
+    try {
+      const response = await client.getDailyPuzzle();
 
-/**
- * GET /api/lichess/daily
- * Get the daily puzzle from Lichess
- */
-lichess.get('/daily', async (c) => {
-  try {
-    const response = await fetch('https://lichess.org/api/puzzle/daily');
+      if (!response.data) {
+        return c.json({ success: false, error: 'Failed to fetch daily puzzle' }, 502);
+      }
+
+      const data = response.data;
 
-    if (!response.ok) {
+      return c.json({
+        success: true,
+        data: {
+          id: data.puzzle.id,
+          rating: data.puzzle.rating,
+          themes: data.puzzle.themes || [],
+          solution: data.puzzle.solution || []
+        }
+      });
+    } catch (error) {
+      console.error('Lichess daily fetch error:', error);
       return c.json({ success: false, error: 'Failed to fetch daily puzzle' }, 502);
     }
+  });
 
-    const data = await response.json();
-
-    return c.json({
-      success: true,
-      data: {
-        id: data.puzzle.id,
-        rating: data.puzzle.rating,
-        themes: data.puzzle.themes || [],
-        solution: data.puzzle.solution || []
-      }
-    });
-  } catch (error) {
-    console.error('Lichess daily fetch error:', error);
-    return c.json({ success: false, error: 'Failed to fetch daily puzzle' }, 502);
-  }
-});
+  return lichess;
+}
 
-export default lichess;
+export default createLichessRoutes();
@@ -0,0 +1,27 @@
+/**
+ * openings.js - Opening API routes
+ */
+
+import { Hono } from 'hono';
+import { databaseGenerator } from '../database/DatabaseGenerator.js';
+
+const openings = new Hono();
+
+/**
+ * GET /api/openings
+ * Get opening families with their variations and puzzle counts
+ */
+openings.get('/', (c) => {
+  try {
+    const openingList = databaseGenerator.getOpenings();
+
+    return c.json({
+      success: true,
+      data: openingList
+    });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+export default openings;
@@ -6,17 +6,35 @@ import { Hono } from 'hono';
 import { databaseGenerator } from '../database/DatabaseGenerator.js';
 import { reportManager } from '../reports/PuzzleReportManager.js';
 import { puzzleCreationService } from '../puzzles/PuzzleCreationService.js';
+import { puzzleRevisionService } from '../puzzles/PuzzleRevisionService.js';
+import { puzzleDuplicateService } from '../puzzles/PuzzleDuplicateService.js';
+import { puzzleImportService } from '../puzzles/PuzzleImportService.js';
+import { IMPORT_FORMATS } from '../puzzles/PuzzleImportParser.js';
+import { engineService } from '../engine/EngineService.js';
+import { exerciseRepository } from '../exercises/ExerciseRepository.js';
+import { validateStructureFilters } from '../shared/PositionFeatures.js';
+import { requireRole } from '../middleware/roleMiddleware.js';
 
 const puzzles = new Hono();
 
+// How a comma-separated theme list is matched: a mix of any, require all, or none of them
+const MATCH_MODES = ['any', 'all', 'none'];
+
+// Largest import file accepted by POST /api/puzzles/import
+const MAX_IMPORT_SIZE = 2000000;
+
 /**
  * POST /api/puzzles
- * Create a new custom puzzle
+ * Create a new custom puzzle. Engine checks can take minutes, so they are not
+ * run here; check the new puzzle with GET /api/puzzles/:id/engine-check.
+ * Body: { id?, fen, moves (SAN main line), variations?, source?, themes?, rating?, game_url? }
+ *   variations is the whole solution as PGN movetext with RAVs, for puzzles
+ *   where the opponent has more than one defence
  */
 puzzles.post('/', async (c) => {
   try {
     const body = await c.req.json();
-    const { id, fen, moves, source, themes, rating, game_url } = body;
+    const { id, fen, moves, variations, source, themes, rating, game_url } = body;
 
     // Basic validation
     if (!fen || !moves) {
@@ -39,6 +57,7 @@ puzzles.post('/', async (c) => {
       id: puzzleId,
       fen,
       moves,
+      variations,
       source: source || 'manual',
       themes: themes || [],
       rating,
@@ -68,9 +87,106 @@ puzzles.get('/custom/stats', (c) => {
   }
 });
 
+/**
+ * POST /api/puzzles/import
+ * Bulk import custom puzzles from a PGN, EPD or CSV file (admin only)
+ * Body: { content, format?, dryRun?, rating?, themes?, solverFirst? }
+ * dryRun defaults to true and only reports what would be imported; format is
+ * detected from the content when omitted. rating and themes apply to entries
+ * that do not set their own. solverFirst marks PGN main lines (and EPD pv
+ * lines without bm) that start with the solver's move instead of the setup move.
+ */
+puzzles.post('/import', requireRole('admin'), async (c) => {
+  try {
+    const body = await c.req.json();
+    const { content, format = null, dryRun = true, rating, themes = [], solverFirst = false } = body;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return c.json({ success: false, error: 'content is required' }, 400);
+    }
+
+    if (content.length > MAX_IMPORT_SIZE) {
+      return c.json({ success: false, error: `Import files are limited to ${MAX_IMPORT_SIZE / 1000000} MB` }, 400);
+    }
+
+    if (format !== null && !IMPORT_FORMATS.includes(format)) {
+      return c.json({ success: false, error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` }, 400);
+    }
+
+    if (!Array.isArray(themes) || !themes.every(t => typeof t === 'string')) {
+      return c.json({ success: false, error: 'themes must be an array of theme tags' }, 400);
+    }
+
+    const result = puzzleImportService.importPuzzles(content, {
+      format,
+      dryRun: dryRun !== false,
+      rating,
+      themes,
+      solverFirst: solverFirst === true
+    });
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 400);
+    }
+
+    return c.json({ success: true, data: result.data }, result.data.dryRun ? 200 : 201);
+  } catch (error) {
+    return c.json({ success: false, error: 'Failed to import puzzles' }, 500);
+  }
+});
+
+/**
+ * GET /api/puzzles/duplicates
+ * List clusters of puzzles sharing a position (admin only)
+ * Query: mirrored=true to group colour-mirrored copies, crossSource=true for
+ * clusters mixing Lichess and custom puzzles, page, pageSize
+ */
+puzzles.get('/duplicates', requireRole('admin'), (c) => {
+  try {
+    const page = Math.max(parseInt(c.req.query('page') || '1') || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(c.req.query('pageSize') || '50') || 50, 1), 200);
+
+    const result = puzzleDuplicateService.scanDuplicates({
+      mirrored: c.req.query('mirrored') === 'true',
+      crossSource: c.req.query('crossSource') === 'true',
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+
+    return c.json({ success: true, data: { ...result, page, pageSize } });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/puzzles/reload-indexes
+ * Rebuild the theme and opening indexes after the database was refreshed with
+ * npm run update:db while the server was running (admin only)
+ */
+puzzles.post('/reload-indexes', requireRole('admin'), (c) => {
+  try {
+    const result = databaseGenerator.reloadIndexes();
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 503);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 /**
  * POST /api/puzzles/generate
- * Generate puzzles with filters
+ * Generate puzzles with filters. Pass studentIds to skip puzzles already
+ * assigned to any of those students, and an opening family or variation tag
+ * (from GET /api/openings) to only draw puzzles from that opening.
+ * matchMode ('any', 'all' or 'none') decides how a theme list is matched;
+ * with 'any', weights (e.g. { fork: 50, pin: 30, skewer: 20 }) set the mix.
+ * structure filters on the position: { material: 'R+P vs R', sideToMove,
+ * minPieces, maxPieces, minSolutionMoves, maxSolutionMoves, mateIn }.
  */
 puzzles.post('/generate', async (c) => {
   try {
@@ -80,7 +196,12 @@ puzzles.post('/generate', async (c) => {
       count = 10,
       minRating = 1000,
       maxRating = 3000,
-      minPopularity = 80
+      minPopularity = 80,
+      studentIds = [],
+      opening = null,
+      matchMode = 'any',
+      weights = null,
+      structure = null
     } = body;
 
     // Validate count
@@ -88,14 +209,61 @@ puzzles.post('/generate', async (c) => {
       return c.json({ success: false, error: 'Count must be between 1 and 20' }, 400);
     }
 
+    if (!Array.isArray(studentIds) || !studentIds.every(id => typeof id === 'string')) {
+      return c.json({ success: false, error: 'studentIds must be an array of student IDs' }, 400);
+    }
+
+    if (opening !== null && (typeof opening !== 'string' || !opening.trim())) {
+      return c.json({ success: false, error: 'opening must be an opening tag' }, 400);
+    }
+
+    if (!MATCH_MODES.includes(matchMode)) {
+      return c.json({ success: false, error: `matchMode must be one of: ${MATCH_MODES.join(', ')}` }, 400);
+    }
+
+    const themeList = theme ? theme.split(',').map(t => t.trim()).filter(Boolean) : [];
+
+    if (matchMode !== 'any' && themeList.length === 0) {
+      return c.json({ success: false, error: `matchMode '${matchMode}' needs at least one theme` }, 400);
+    }
+
+    if (weights !== null) {
+      if (matchMode !== 'any') {
+        return c.json({ success: false, error: 'Theme weights only apply when matching any theme' }, 400);
+      }
+      if (typeof weights !== 'object' || Array.isArray(weights)) {
+        return c.json({ success: false, error: 'weights must map each theme to a weight' }, 400);
+      }
+      const keys = Object.keys(weights);
+      if (keys.some(t => !themeList.includes(t))) {
+        return c.json({ success: false, error: 'weights may only contain requested themes' }, 400);
+      }
+      if (!themeList.every(t => Number.isFinite(weights[t]) && weights[t] > 0)) {
+        return c.json({ success: false, error: 'Every theme needs a positive weight' }, 400);
+      }
+    }
+
+    const structureCheck = validateStructureFilters(structure);
+    if (!structureCheck.valid) {
+      return c.json({ success: false, error: structureCheck.error }, 400);
+    }
+
     // Update blocked IDs in generator
     databaseGenerator.setBlockedIds(reportManager.getBlockedPuzzleIds());
 
+    // Skip anything these students have already been assigned
+    const excludeIds = exerciseRepository.findSeenPuzzleIds(studentIds);
+
     // Generate puzzles
     const puzzleData = databaseGenerator.generatePuzzles(theme, count, {
       minRating,
       maxRating,
-      minPopularity
+      minPopularity,
+      excludeIds,
+      opening: opening ? opening.trim() : null,
+      matchMode,
+      weights,
+      structure: structureCheck.filters
     });
 
     return c.json({
@@ -103,7 +271,8 @@ puzzles.post('/generate', async (c) => {
       data: puzzleData,
       meta: {
         count: puzzleData.length,
-        filters: { theme, count, minRating, maxRating, minPopularity }
+        excluded: excludeIds.size,
+        filters: { theme, matchMode, weights, opening, structure: structureCheck.filters, count, minRating, maxRating, minPopularity, studentIds }
       }
     });
   } catch (error) {
@@ -170,9 +339,9 @@ puzzles.put('/:id/unblock', (c) => {
 
 /**
  * PUT /api/puzzles/:id/fen
- * Update puzzle FEN
+ * Update puzzle FEN (admin only; recorded as a revision, like any other edit)
  */
-puzzles.put('/:id/fen', async (c) => {
+puzzles.put('/:id/fen', requireRole('admin'), async (c) => {
   try {
     const id = c.req.param('id');
     const body = await c.req.json();
@@ -182,13 +351,113 @@ puzzles.put('/:id/fen', async (c) => {
       return c.json({ success: false, error: 'FEN is required' }, 400);
     }
 
-    const result = reportManager.updatePuzzleFEN(id, fen);
+    const result = puzzleRevisionService.editPuzzle(id, { fen }, c.get('user')?.id || null);
 
     if (result.success) {
-      return c.json({ success: true, data: { puzzleId: id, fen } });
+      return c.json({ success: true, data: { puzzleId: id, fen: result.data.fen, revision: result.data.revision } });
     } else {
-      return c.json({ success: false, error: result.error }, 400);
+      return c.json({ success: false, error: result.error }, result.error === 'Puzzle not found' ? 404 : 400);
+    }
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/puzzles/:id
+ * Edit a puzzle's FEN, moves (SAN), alternative moves, variations, themes, rating and/or game URL.
+ * Body: { fen?, moves?, alternatives?, variations?, themes?, rating?, game_url? }
+ *   alternatives maps a solver ply (index into moves) to SAN moves the
+ *   player should also accept there; null clears them. variations is PGN
+ *   movetext whose main line is the moves; '' or null removes the branches
+ */
+puzzles.put('/:id', requireRole('admin'), async (c) => {
+  try {
+    const id = c.req.param('id');
+    const body = await c.req.json();
+    const { fen, moves, alternatives, variations, themes, rating, game_url } = body;
+
+    const result = puzzleRevisionService.editPuzzle(
+      id,
+      { fen, moves, alternatives, variations, themes, rating, game_url },
+      c.get('user').id
+    );
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, result.error === 'Puzzle not found' ? 404 : 400);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/puzzles/:id/revisions
+ * Revision history of a puzzle, newest first, with the changes each made
+ */
+puzzles.get('/:id/revisions', requireRole('admin'), (c) => {
+  try {
+    const id = c.req.param('id');
+    const revisions = puzzleRevisionService.getRevisions(id);
+    return c.json({ success: true, data: revisions });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/puzzles/:id/engine-check
+ * Engine evaluation of every ply of a puzzle, with soundness and uniqueness
+ * issues (admin only). 503 when no engine is configured.
+ */
+puzzles.get('/:id/engine-check', requireRole('admin'), async (c) => {
+  try {
+    const id = c.req.param('id');
+    const puzzle = reportManager.getPuzzleInfo(id);
+
+    if (!puzzle) {
+      return c.json({ success: false, error: 'Puzzle not found' }, 404);
+    }
+
+    if (!engineService.isAvailable()) {
+      return c.json({ success: false, error: 'No engine configured on the server' }, 503);
+    }
+
+    const result = await engineService.checkPuzzle(puzzle.fen, puzzle.moves);
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 500);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/puzzles/:id/revisions/:revision/revert
+ * Restore a puzzle to an earlier revision (recorded as a new revision)
+ */
+puzzles.post('/:id/revisions/:revision/revert', requireRole('admin'), (c) => {
+  try {
+    const id = c.req.param('id');
+    const revision = Number(c.req.param('revision'));
+
+    if (!Number.isInteger(revision) || revision < 0) {
+      return c.json({ success: false, error: 'Invalid revision' }, 400);
+    }
+
+    const result = puzzleRevisionService.revertPuzzle(id, revision, c.get('user').id);
+
+    if (!result.success) {
+      const status = result.error === 'Puzzle not found' || result.error === 'Revision not found' ? 404 : 400;
+      return c.json({ success: false, error: result.error }, status);
     }
+
+    return c.json({ success: true, data: result.data });
   } catch (error) {
     return c.json({ success: false, error: error.message }, 500);
   }
@@ -81,13 +81,17 @@ studentExercises.put('/:id/grade', async (c) => {
 /**
  * PUT /api/student-exercises/:id/attempt
  * Save a student's puzzle attempt (temporary score, not final grade).
- * Only works if exercise has NOT been graded by teacher yet.
+ * Records submitted_at and flags the attempt late if it is past due_at.
+ * Rejected once marked final, after the grace period if one is configured,
+ * or once a total time limit has run out.
+ * Body: { score, puzzleResults?, puzzleHints?, puzzleTimes?: comma-separated ms per puzzle,
+ *         moveLog?: [{ puzzleIndex, moves: [{ move (UCI), ply, correct, alternative?, playedAt }] }] (appended) }
  */
 studentExercises.put('/:id/attempt', async (c) => {
   try {
     const id = c.req.param('id');
     const body = await c.req.json();
-    const { score, puzzleResults, puzzleHints } = body;
+    const { score, puzzleResults, puzzleHints, puzzleTimes, moveLog } = body;
 
     if (score === undefined || score === null) {
       return c.json({ success: false, error: 'Score is required' }, 400);
@@ -109,7 +113,19 @@ studentExercises.put('/:id/attempt', async (c) => {
       }
     }
 
-    const result = exerciseService.saveStudentAttempt(id, score, puzzleResults || null, puzzleHints || null);
+    if (puzzleTimes !== undefined && puzzleTimes !== null) {
+      if (typeof puzzleTimes !== 'string' || !/^[0-9,]*$/.test(puzzleTimes)) {
+        return c.json({ success: false, error: 'Invalid puzzleTimes format' }, 400);
+      }
+    }
+
+    if (moveLog !== undefined && moveLog !== null && !Array.isArray(moveLog)) {
+      return c.json({ success: false, error: 'Invalid moveLog format' }, 400);
+    }
+
+    const result = exerciseService.saveStudentAttempt(
+      id, score, puzzleResults || null, puzzleHints || null, puzzleTimes || null, moveLog || null
+    );
 
     if (!result.success) {
       return c.json({ success: false, error: result.error }, 400);
@@ -121,6 +137,62 @@ studentExercises.put('/:id/attempt', async (c) => {
   }
 });
 
+/**
+ * POST /api/student-exercises/:id/start
+ * Start (or resume) an attempt. Stamps started_at on first call and returns
+ * the exercise time limit and, for total limits, when it expires.
+ */
+studentExercises.post('/:id/start', (c) => {
+  try {
+    const id = c.req.param('id');
+    const result = exerciseService.startAttempt(id);
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/student-exercises/:id/results
+ * Per-puzzle results (correct, hint used, solve time), in exercise order
+ */
+studentExercises.get('/:id/results', (c) => {
+  try {
+    const result = exerciseService.getPuzzleResults(c.req.param('id'));
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/student-exercises/:id/attempt-log
+ * Move-by-move attempt log per puzzle, with each puzzle's first wrong move
+ */
+studentExercises.get('/:id/attempt-log', (c) => {
+  try {
+    const result = exerciseService.getAttemptLog(c.req.param('id'));
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 /**
  * POST /api/student-exercises/:id/upload
  * Upload answer PDF for a student exercise
@@ -269,6 +341,34 @@ studentExercises.put('/:id/notes', async (c) => {
   }
 });
 
+/**
+ * PUT /api/student-exercises/:id/due-date
+ * Change the due date of one assignment
+ * Body: { dueAt: ISO timestamp }
+ */
+studentExercises.put('/:id/due-date', requireRole('admin'), async (c) => {
+  try {
+    const id = c.req.param('id');
+    const body = await c.req.json();
+    const { dueAt } = body;
+
+    if (!dueAt) {
+      return c.json({ success: false, error: 'dueAt is required' }, 400);
+    }
+
+    const result = exerciseService.setDueDate(id, dueAt);
+
+    if (!result.success) {
+      const status = result.error === 'Assignment not found' ? 404 : 400;
+      return c.json({ success: false, error: result.error }, status);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 /**
  * PUT /api/student-exercises/:id/mark-final
  * Mark a student exercise as final (no further solving allowed)
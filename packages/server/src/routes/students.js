@@ -6,6 +6,9 @@ import { Hono } from 'hono';
 import { studentRepository } from '../students/StudentRepository.js';
 import { exerciseRepository } from '../exercises/ExerciseRepository.js';
 import { themeAnalyticsService } from '../exercises/ThemeAnalyticsService.js';
+import { reviewQueueService, qualityFromOutcome } from '../exercises/ReviewQueueService.js';
+import { studentRatingService } from '../students/StudentRatingService.js';
+import { exerciseService } from '../exercises/ExerciseService.js';
 
 const students = new Hono();
 
@@ -148,7 +151,7 @@ students.delete('/:id', (c) => {
 
 /**
  * GET /api/students/:id/exercises
- * Get a student's exercise assignments
+ * Get a student's exercise assignments, with is_overdue and locks_at
  */
 students.get('/:id/exercises', (c) => {
   try {
@@ -159,7 +162,9 @@ students.get('/:id/exercises', (c) => {
       return c.json({ success: false, error: 'Student not found' }, 404);
     }
 
-    const exercises = exerciseRepository.findStudentExercises(id);
+    const now = new Date();
+    const exercises = exerciseRepository.findStudentExercises(id)
+      .map(e => exerciseService.withDeadlineStatus(e, now));
     return c.json({ success: true, data: exercises });
   } catch (error) {
     return c.json({ success: false, error: error.message }, 500);
@@ -219,4 +224,87 @@ students.get('/:id/theme-analytics', (c) => {
   }
 });
 
+/**
+ * GET /api/students/:id/rating
+ * Get a student's Glicko-2 puzzle rating and its full history
+ */
+students.get('/:id/rating', (c) => {
+  try {
+    const id = c.req.param('id');
+    const student = studentRepository.findById(id);
+
+    if (!student) {
+      return c.json({ success: false, error: 'Student not found' }, 404);
+    }
+
+    return c.json({
+      success: true,
+      data: {
+        current: studentRatingService.getRating(id),
+        history: studentRatingService.getRatingHistory(id)
+      }
+    });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/students/:id/review-queue
+ * Get a student's spaced-repetition review queue (due items by default, ?all=true for everything)
+ */
+students.get('/:id/review-queue', (c) => {
+  try {
+    const id = c.req.param('id');
+    const student = studentRepository.findById(id);
+
+    if (!student) {
+      return c.json({ success: false, error: 'Student not found' }, 404);
+    }
+
+    const dueOnly = c.req.query('all') !== 'true';
+    const limit = Math.min(Math.max(parseInt(c.req.query('limit') || '20'), 1), 100);
+
+    const queue = reviewQueueService.getReviewQueue(id, { dueOnly, limit });
+    return c.json({ success: true, data: queue });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/students/:id/review-queue/:itemId
+ * Record a review result and reschedule the item.
+ * Body: { quality: 0-5 } or { correct: boolean, usedHint?: boolean }
+ */
+students.post('/:id/review-queue/:itemId', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const itemId = c.req.param('itemId');
+    const body = await c.req.json();
+
+    let quality = body.quality;
+    if (quality === undefined || quality === null) {
+      if (typeof body.correct !== 'boolean') {
+        return c.json({ success: false, error: 'Either quality or correct is required' }, 400);
+      }
+      quality = qualityFromOutcome(body.correct, body.usedHint === true);
+    }
+
+    if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+      return c.json({ success: false, error: 'Quality must be an integer between 0 and 5' }, 400);
+    }
+
+    const result = reviewQueueService.recordReview(id, itemId, quality);
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, 404);
+    }
+
+    return c.json({ success: true, data: result.data });
+  } catch (error) {
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 export default students;
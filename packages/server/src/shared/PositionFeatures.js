@@ -0,0 +1,223 @@
+/**
+ * PositionFeatures.js
+ * Structural properties of a puzzle position, stored alongside each puzzle so
+ * generation can filter on them without replaying moves.
+ *
+ * Puzzles start one move before the position the student sees (the
+ * opponent's move comes first), so features describe the position after
+ * moves[0] and the side to move is the solving side.
+ */
+
+// Order pieces appear in a material signature
+const PIECE_ORDER = ['Q', 'R', 'B', 'N', 'P'];
+
+const SIDES = { white: 'w', black: 'b' };
+
+/**
+ * Count pieces per colour from the placement field of a FEN
+ * @param {string} placement - First FEN field
+ * @returns {{ board: Map<string, string>, counts: { w: object, b: object } }}
+ */
+function readPlacement(placement) {
+  const board = new Map();
+  const counts = { w: {}, b: {} };
+  const ranks = placement.split('/');
+
+  if (ranks.length !== 8) {
+    throw new Error('FEN must have 8 ranks');
+  }
+
+  ranks.forEach((rank, r) => {
+    let file = 0;
+    for (const ch of rank) {
+      if (/\d/.test(ch)) {
+        file += Number(ch);
+        continue;
+      }
+      if (!/[prnbqk]/i.test(ch)) {
+        throw new Error(`Unknown piece: ${ch}`);
+      }
+      const color = ch === ch.toUpperCase() ? 'w' : 'b';
+      const piece = ch.toUpperCase();
+      board.set(`${'abcdefgh'[file]}${8 - r}`, ch);
+      counts[color][piece] = (counts[color][piece] || 0) + 1;
+      file++;
+    }
+  });
+
+  return { board, counts };
+}
+
+/**
+ * Format one side's material, kings left out (bare king is "K")
+ * @param {object} counts - Piece letter -> count
+ * @returns {string} - e.g. "R+2P"
+ */
+function formatSide(counts) {
+  const parts = PIECE_ORDER
+    .filter(piece => counts[piece] > 0)
+    .map(piece => (counts[piece] > 1 ? `${counts[piece]}${piece}` : piece));
+  return parts.length > 0 ? parts.join('+') : 'K';
+}
+
+/**
+ * Parse one side of a material signature ("R+P", "RP", "2P", "K", "-")
+ * @param {string} side - Signature side
+ * @returns {object|null} - Piece letter -> count, or null if invalid
+ */
+function parseSide(side) {
+  const counts = {};
+  const compact = side.replace(/\s+/g, '').toUpperCase();
+  if (compact === '' || compact === '-') return counts;
+
+  for (const token of compact.split('+')) {
+    const match = token.match(/^(\d*)([KQRBNP]+)$/);
+    if (!match) return null;
+
+    const multiplier = match[1] ? Number(match[1]) : 1;
+    if (match[1] && match[2].length > 1) return null;
+
+    for (const piece of match[2]) {
+      if (piece === 'K') continue;
+      counts[piece] = (counts[piece] || 0) + multiplier;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Normalize a material signature typed by a user into the stored form
+ * @param {string} signature - e.g. "r+p vs r", "KRP vs KR", "Q vs -"
+ * @returns {string|null} - e.g. "R+P vs R", or null if it can't be read
+ */
+export function normalizeMaterialSignature(signature) {
+  if (typeof signature !== 'string') return null;
+
+  const sides = signature.trim().split(/\s+vs\.?\s+/i);
+  if (sides.length !== 2) return null;
+
+  const [own, other] = sides.map(parseSide);
+  if (!own || !other) return null;
+
+  return `${formatSide(own)} vs ${formatSide(other)}`;
+}
+
+/**
+ * Compute the structural features of a puzzle
+ * @param {string} fen - Puzzle FEN (before the opponent's move)
+ * @param {string} moves - Space-separated UCI moves, opponent's move first
+ * @param {string} themes - Comma-separated theme tags
+ * @returns {{ material: string, sideToMove: string, pieceCount: number, solutionLength: number, mateIn: number|null }|null}
+ *   null if the FEN or first move can't be read
+ */
+export function computePositionFeatures(fen, moves, themes = '') {
+  try {
+    const [placement, active] = fen.trim().split(/\s+/);
+    const { board, counts } = readPlacement(placement);
+    const moveList = moves ? moves.trim().split(/\s+/).filter(Boolean) : [];
+    const opponent = active === 'b' ? 'b' : 'w';
+    const solver = moveList.length > 0 ? (opponent === 'w' ? 'b' : 'w') : opponent;
+
+    // Apply the opponent's move to the counts: captures and promotion
+    if (moveList.length > 0) {
+      const move = moveList[0];
+      const from = move.slice(0, 2);
+      const to = move.slice(2, 4);
+      const moved = board.get(from);
+      if (!moved) throw new Error(`No piece on ${from}`);
+
+      let captured = board.get(to);
+      if (!captured && moved.toUpperCase() === 'P' && from[0] !== to[0]) {
+        captured = board.get(`${to[0]}${from[1]}`); // en passant
+      }
+      if (captured) {
+        const color = captured === captured.toUpperCase() ? 'w' : 'b';
+        counts[color][captured.toUpperCase()]--;
+      }
+      if (move.length > 4) {
+        counts[opponent].P--;
+        const promoted = move[4].toUpperCase();
+        counts[opponent][promoted] = (counts[opponent][promoted] || 0) + 1;
+      }
+    }
+
+    const total = (side) => Object.values(counts[side]).reduce((sum, n) => sum + n, 0);
+    const solutionLength = Math.ceil(Math.max(0, moveList.length - 1) / 2);
+
+    const themeList = themes ? themes.toLowerCase().split(',').map(t => t.trim()) : [];
+    const mateTag = themeList.map(t => t.match(/^matein(\d+)$/)).find(Boolean);
+    const mateIn = mateTag
+      ? Number(mateTag[1])
+      : (themeList.includes('mate') ? solutionLength : null);
+
+    return {
+      material: `${formatSide(counts[solver])} vs ${formatSide(counts[solver === 'w' ? 'b' : 'w'])}`,
+      sideToMove: solver,
+      pieceCount: total('w') + total('b'),
+      solutionLength,
+      mateIn
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate structural filters from a generate request and convert them to
+ * the stored column values
+ * @param {object} structure - { material, sideToMove, minPieces, maxPieces, minSolutionMoves, maxSolutionMoves, mateIn }
+ * @returns {{ valid: boolean, error?: string, filters?: object }}
+ */
+export function validateStructureFilters(structure) {
+  if (structure === null || structure === undefined) {
+    return { valid: true, filters: {} };
+  }
+  if (typeof structure !== 'object' || Array.isArray(structure)) {
+    return { valid: false, error: 'structure must be an object' };
+  }
+
+  const filters = {};
+  const { material, sideToMove, mateIn } = structure;
+
+  if (material !== undefined && material !== null && material !== '') {
+    filters.material = normalizeMaterialSignature(material);
+    if (!filters.material) {
+      return { valid: false, error: 'material must look like "R+P vs R"' };
+    }
+  }
+
+  if (sideToMove !== undefined && sideToMove !== null && sideToMove !== '') {
+    if (!SIDES[sideToMove]) {
+      return { valid: false, error: 'sideToMove must be white or black' };
+    }
+    filters.sideToMove = SIDES[sideToMove];
+  }
+
+  const ranges = [
+    ['minPieces', 'maxPieces', 2, 32],
+    ['minSolutionMoves', 'maxSolutionMoves', 1, 50]
+  ];
+  for (const [minKey, maxKey, lowest, highest] of ranges) {
+    for (const key of [minKey, maxKey]) {
+      const value = structure[key];
+      if (value === undefined || value === null || value === '') continue;
+      if (!Number.isInteger(value) || value < lowest || value > highest) {
+        return { valid: false, error: `${key} must be a whole number from ${lowest} to ${highest}` };
+      }
+      filters[key] = value;
+    }
+    if (filters[minKey] !== undefined && filters[maxKey] !== undefined && filters[minKey] > filters[maxKey]) {
+      return { valid: false, error: `${minKey} cannot be greater than ${maxKey}` };
+    }
+  }
+
+  if (mateIn !== undefined && mateIn !== null && mateIn !== '') {
+    if (!Number.isInteger(mateIn) || mateIn < 1 || mateIn > 10) {
+      return { valid: false, error: 'mateIn must be a whole number from 1 to 10' };
+    }
+    filters.mateIn = mateIn;
+  }
+
+  return { valid: true, filters };
+}
@@ -0,0 +1,112 @@
+/**
+ * PositionKey.js
+ * Normalized keys for spotting duplicate puzzles.
+ *
+ * A position key is the FEN without the move counters plus the first
+ * solution move, so the same puzzle reached through a different move order
+ * (or copied with other counters) gets the same key. The en passant square
+ * is only kept when a capture onto it is actually possible, since FEN
+ * writers disagree about including it otherwise.
+ *
+ * The mirror key is shared by a position and its colour-mirrored twin
+ * (board flipped top to bottom, colours swapped): it is whichever of the two
+ * position keys sorts first.
+ */
+
+const FILES = 'abcdefgh';
+
+/**
+ * Mirror a square across the middle of the board (e4 -> e5)
+ * @param {string} square - e.g. "e4"
+ * @returns {string}
+ */
+function mirrorSquare(square) {
+  return `${square[0]}${9 - Number(square[1])}`;
+}
+
+/**
+ * Swap the colour of every piece letter in a string
+ * @param {string} text - FEN placement or castling field
+ * @returns {string}
+ */
+function swapCase(text) {
+  return text.replace(/[a-z]/gi, ch => (ch === ch.toUpperCase() ? ch.toLowerCase() : ch.toUpperCase()));
+}
+
+/**
+ * Whether a pawn of the side to move could capture en passant on a square
+ * @param {string[]} ranks - Placement ranks, rank 8 first
+ * @param {string} active - Side to move ('w' or 'b')
+ * @param {string} square - En passant target square
+ * @returns {boolean}
+ */
+function canCaptureEnPassant(ranks, active, square) {
+  // The capturing pawn stands beside the target, on the rank the enemy pawn landed on
+  const rank = active === 'w' ? 5 : 4;
+  const pawn = active === 'w' ? 'P' : 'p';
+  const row = ranks[8 - rank].replace(/\d/g, n => '1'.repeat(Number(n)));
+  const file = FILES.indexOf(square[0]);
+
+  return [file - 1, file + 1].some(f => f >= 0 && f < 8 && row[f] === pawn);
+}
+
+/**
+ * Compute the position key of a puzzle
+ * @param {string} fen - Puzzle FEN (before the opponent's move)
+ * @param {string} moves - Space-separated UCI moves, opponent's move first
+ * @returns {string|null} - e.g. "6k1/5ppp/8/8/8/8/5PPP/3R2K1 b - -|a8a2", or null if the FEN can't be read
+ */
+export function computePositionKey(fen, moves) {
+  if (typeof fen !== 'string') return null;
+
+  const [placement, active, castling = '-', enPassant = '-'] = fen.trim().split(/\s+/);
+  const ranks = placement ? placement.split('/') : [];
+  if (ranks.length !== 8 || !['w', 'b'].includes(active)) return null;
+
+  const ep = /^[a-h][36]$/.test(enPassant) && canCaptureEnPassant(ranks, active, enPassant)
+    ? enPassant
+    : '-';
+  const firstMove = (moves || '').trim().split(/\s+/)[0] || '';
+
+  return `${placement} ${active} ${castling || '-'} ${ep}|${firstMove}`;
+}
+
+/**
+ * Colour-mirror a position key
+ * @param {string} key - Position key
+ * @returns {string}
+ */
+export function mirrorPositionKey(key) {
+  const [position, firstMove] = key.split('|');
+  const [placement, active, castling, ep] = position.split(' ');
+
+  const mirrored = [
+    swapCase(placement.split('/').reverse().join('/')),
+    active === 'w' ? 'b' : 'w',
+    castling === '-' ? '-' : swapCase(castling).split('').sort().join(''),
+    ep === '-' ? '-' : mirrorSquare(ep)
+  ].join(' ');
+
+  const move = firstMove
+    ? `${mirrorSquare(firstMove.slice(0, 2))}${mirrorSquare(firstMove.slice(2, 4))}${firstMove.slice(4)}`
+    : '';
+
+  return `${mirrored}|${move}`;
+}
+
+/**
+ * Compute both keys stored for a puzzle
+ * @param {string} fen - Puzzle FEN
+ * @param {string} moves - Space-separated UCI moves
+ * @returns {{ positionKey: string, mirrorKey: string }|null}
+ */
+export function computePositionKeys(fen, moves) {
+  const positionKey = computePositionKey(fen, moves);
+  if (!positionKey) return null;
+
+  const mirrored = mirrorPositionKey(positionKey);
+  return {
+    positionKey,
+    mirrorKey: mirrored < positionKey ? mirrored : positionKey
+  };
+}
@@ -0,0 +1,421 @@
+/**
+ * GroupService.js
+ * Student groups (classes): membership, assigning an exercise to a whole group
+ * and class-level analytics aggregated across members.
+ */
+
+import { database } from '../database/SqliteDatabase.js';
+import { exerciseService } from '../exercises/ExerciseService.js';
+import { exerciseRepository } from '../exercises/ExerciseRepository.js';
+import { themeAnalyticsService } from '../exercises/ThemeAnalyticsService.js';
+import { studentRepository } from './StudentRepository.js';
+
+// A theme counts as a weakness for a student below this accuracy
+const WEAK_ACCURACY = 60;
+
+// Least time a backfilled member gets once the group's due date has passed
+const MIN_BACKFILL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export class GroupService {
+  /**
+   * Generate a unique group ID
+   * @returns {string}
+   */
+  generateGroupId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `group_${timestamp}_${random}`;
+  }
+
+  /**
+   * Create a group, optionally with initial members
+   * @param {object} data - { name, description?, studentIds? }
+   * @returns {{ success: boolean, data?: object, error?: string }} data is the
+   *   group plus the added student IDs and errors for those that were not
+   */
+  createGroup(data) {
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      return { success: false, error: 'Name is required' };
+    }
+
+    try {
+      const id = this.generateGroupId();
+      const now = new Date().toISOString();
+
+      database.run(
+        `INSERT INTO groups (id, name, description, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [id, data.name.trim(), data.description?.trim() || null, now, now]
+      );
+
+      let added = [];
+      let errors = [];
+      if (Array.isArray(data.studentIds) && data.studentIds.length > 0) {
+        ({ added, errors } = this.addMembers(id, data.studentIds).data);
+      }
+
+      return { success: true, data: { ...this.getGroup(id), added, errors } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a group with its members
+   * @param {string} id - Group ID
+   * @returns {object|null}
+   */
+  getGroup(id) {
+    const group = database.queryOne('SELECT * FROM groups WHERE id = ?', [id]);
+    if (!group) return null;
+
+    const members = this.getMembers(id);
+    return {
+      ...group,
+      members,
+      member_count: members.length
+    };
+  }
+
+  /**
+   * List all groups with member counts
+   * @returns {object[]}
+   */
+  listGroups() {
+    return database.query(
+      `SELECT g.*, COUNT(s.id) AS member_count
+       FROM groups g
+       LEFT JOIN group_members gm ON gm.group_id = g.id
+       LEFT JOIN students s ON s.id = gm.student_id
+       GROUP BY g.id
+       ORDER BY g.name ASC`
+    );
+  }
+
+  /**
+   * Update a group's name or description
+   * @param {string} id - Group ID
+   * @param {object} data - { name?, description? }
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  updateGroup(id, data) {
+    const existing = database.queryOne('SELECT * FROM groups WHERE id = ?', [id]);
+    if (!existing) {
+      return { success: false, error: 'Group not found' };
+    }
+
+    if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim())) {
+      return { success: false, error: 'Name is required' };
+    }
+
+    try {
+      const name = data.name !== undefined ? data.name.trim() : existing.name;
+      const description = data.description !== undefined ? (data.description?.trim() || null) : existing.description;
+
+      database.run(
+        'UPDATE groups SET name = ?, description = ?, updated_at = ? WHERE id = ?',
+        [name, description, new Date().toISOString(), id]
+      );
+
+      return { success: true, data: this.getGroup(id) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a group. Exercises already assigned to its members are kept.
+   * @param {string} id - Group ID
+   * @returns {{ success: boolean, error?: string }}
+   */
+  deleteGroup(id) {
+    try {
+      database.run('DELETE FROM group_exercises WHERE group_id = ?', [id]);
+      database.run('DELETE FROM group_members WHERE group_id = ?', [id]);
+      const result = database.run('DELETE FROM groups WHERE id = ?', [id]);
+
+      if (result.changes === 0) {
+        return { success: false, error: 'Group not found' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ==================== Membership ====================
+
+  /**
+   * Get the students in a group
+   * @param {string} groupId - Group ID
+   * @returns {object[]}
+   */
+  getMembers(groupId) {
+    return database.query(
+      `SELECT s.*, gm.joined_at
+       FROM group_members gm
+       JOIN students s ON s.id = gm.student_id
+       WHERE gm.group_id = ?
+       ORDER BY s.name ASC`,
+      [groupId]
+    );
+  }
+
+  /**
+   * Add students to a group. Exercises assigned to the group with backfill
+   * enabled are assigned to the new members as well, with a later due date
+   * when the group's has already passed (see _backfillDueAt).
+   * @param {string} groupId - Group ID
+   * @param {string[]} studentIds - Student IDs
+   * @returns {{ success: boolean, data?: { added: string[], backfilled: object[], errors: string[] }, error?: string }}
+   */
+  addMembers(groupId, studentIds) {
+    const group = database.queryOne('SELECT id FROM groups WHERE id = ?', [groupId]);
+    if (!group) {
+      return { success: false, error: 'Group not found' };
+    }
+
+    const now = new Date().toISOString();
+    const existing = new Set(this.getMembers(groupId).map(m => m.id));
+    const added = [];
+    const errors = [];
+
+    for (const studentId of studentIds) {
+      if (existing.has(studentId)) continue;
+
+      const student = studentRepository.findById(studentId);
+      if (!student) {
+        errors.push(`Student ${studentId} not found`);
+        continue;
+      }
+
+      database.run(
+        'INSERT OR REPLACE INTO group_members (group_id, student_id, joined_at) VALUES (?, ?, ?)',
+        [groupId, studentId, now]
+      );
+      existing.add(studentId);
+      added.push(studentId);
+    }
+
+    const backfilled = [];
+    if (added.length > 0) {
+      const backfillExercises = database.query(
+        'SELECT * FROM group_exercises WHERE group_id = ? AND backfill = 1',
+        [groupId]
+      );
+
+      for (const ge of backfillExercises) {
+        const result = this._assignToStudents(ge.exercise_id, added, this._backfillDueAt(ge, now));
+        if (result.success) {
+          backfilled.push(...result.data.assigned);
+          errors.push(...result.data.errors);
+        }
+      }
+    }
+
+    return { success: true, data: { added, backfilled, errors } };
+  }
+
+  /**
+   * Remove a student from a group. Their existing assignments are kept.
+   * @param {string} groupId - Group ID
+   * @param {string} studentId - Student ID
+   * @returns {{ success: boolean, error?: string }}
+   */
+  removeMember(groupId, studentId) {
+    try {
+      const result = database.run(
+        'DELETE FROM group_members WHERE group_id = ? AND student_id = ?',
+        [groupId, studentId]
+      );
+
+      if (result.changes === 0) {
+        return { success: false, error: 'Student is not in this group' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the groups a student belongs to
+   * @param {string} studentId - Student ID
+   * @returns {object[]}
+   */
+  getStudentGroups(studentId) {
+    return database.query(
+      `SELECT g.*
+       FROM group_members gm
+       JOIN groups g ON g.id = gm.group_id
+       WHERE gm.student_id = ?
+       ORDER BY g.name ASC`,
+      [studentId]
+    );
+  }
+
+  // ==================== Assignment ====================
+
+  /**
+   * Assign an exercise to every member of a group
+   * @param {string} groupId - Group ID
+   * @param {string} exerciseId - Exercise ID
+   * @param {object} options - { dueAt?: ISO timestamp, backfill?: boolean }
+   * @returns {{ success: boolean, data?: { assigned: object[], skipped: number, errors: string[] }, error?: string }}
+   */
+  assignExercise(groupId, exerciseId, { dueAt = null, backfill = false } = {}) {
+    const group = database.queryOne('SELECT id FROM groups WHERE id = ?', [groupId]);
+    if (!group) {
+      return { success: false, error: 'Group not found' };
+    }
+
+    if (!exerciseRepository.findExerciseById(exerciseId)) {
+      return { success: false, error: 'Exercise not found' };
+    }
+
+    const memberIds = this.getMembers(groupId).map(m => m.id);
+    const result = this._assignToStudents(exerciseId, memberIds, dueAt);
+    if (!result.success) return result;
+
+    database.run(
+      `INSERT INTO group_exercises (group_id, exercise_id, backfill, due_at, assigned_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (group_id, exercise_id) DO UPDATE SET backfill = excluded.backfill, due_at = excluded.due_at`,
+      [groupId, exerciseId, backfill ? 1 : 0, dueAt, new Date().toISOString()]
+    );
+
+    return result;
+  }
+
+  /**
+   * Assign an exercise to the given students, skipping those who already have it
+   * @returns {{ success: boolean, data?: { assigned: object[], skipped: number, errors: string[] }, error?: string }}
+   */
+  _assignToStudents(exerciseId, studentIds, dueAt) {
+    const pending = studentIds.filter(id => !exerciseRepository.isAlreadyAssigned(id, exerciseId));
+    const skipped = studentIds.length - pending.length;
+
+    if (pending.length === 0) {
+      return { success: true, data: { assigned: [], skipped, errors: [] } };
+    }
+
+    const result = exerciseService.assignExerciseToStudents(exerciseId, pending, { dueAt });
+    if (!result.success) return result;
+
+    return { success: true, data: { ...result.data, skipped } };
+  }
+
+  /**
+   * Due date for members backfilled into a group exercise. Once the group's
+   * due date has passed, new members get as long as the group had, counted
+   * from when they join, so the exercise doesn't start out overdue.
+   * @param {object} groupExercise - group_exercises row
+   * @param {string} joinedAt - ISO timestamp
+   * @returns {string|null} - null for the exercise's default due date
+   */
+  _backfillDueAt(groupExercise, joinedAt) {
+    const exercise = exerciseRepository.findExerciseById(groupExercise.exercise_id);
+    if (!exercise) return groupExercise.due_at;
+
+    const groupDueAt = groupExercise.due_at || exerciseService.getDefaultDueAt(exercise.week_end);
+    if (Date.parse(groupDueAt) > Date.parse(joinedAt)) return groupExercise.due_at;
+
+    const allowed = Date.parse(groupDueAt) - Date.parse(groupExercise.assigned_at);
+    return new Date(Date.parse(joinedAt) + Math.max(allowed, MIN_BACKFILL_MS)).toISOString();
+  }
+
+  // ==================== Analytics ====================
+
+  /**
+   * Class dashboard: average score per exercise the members were given and
+   * theme weaknesses aggregated across every member's theme analytics
+   * @param {string} groupId - Group ID
+   * @returns {object|null} null if the group does not exist
+   */
+  getDashboard(groupId) {
+    const group = this.getGroup(groupId);
+    if (!group) return null;
+
+    const memberIds = group.members.map(m => m.id);
+    const groupExerciseIds = new Set(
+      database.query('SELECT exercise_id FROM group_exercises WHERE group_id = ?', [groupId])
+        .map(r => r.exercise_id)
+    );
+
+    let assignments = [];
+    if (memberIds.length > 0) {
+      const placeholders = memberIds.map(() => '?').join(',');
+      assignments = database.query(
+        `SELECT se.exercise_id, se.status, se.score, se.total_puzzles,
+                we.name, we.week_start, we.week_end
+         FROM student_exercises se
+         JOIN weekly_exercises we ON we.id = se.exercise_id
+         WHERE se.student_id IN (${placeholders})`,
+        memberIds
+      );
+    }
+
+    const byExercise = new Map();
+    for (const a of assignments) {
+      if (!byExercise.has(a.exercise_id)) {
+        byExercise.set(a.exercise_id, {
+          exercise_id: a.exercise_id,
+          name: a.name,
+          week_label: exerciseService.formatWeekLabel(a.week_start, a.week_end),
+          week_start: a.week_start,
+          group_assigned: groupExerciseIds.has(a.exercise_id),
+          assigned: 0,
+          graded: 0,
+          percentages: []
+        });
+      }
+      const entry = byExercise.get(a.exercise_id);
+      entry.assigned++;
+      if (a.status === 'graded' && a.score !== null && a.total_puzzles > 0) {
+        entry.graded++;
+        entry.percentages.push((a.score / a.total_puzzles) * 100);
+      }
+    }
+
+    const exercises = [...byExercise.values()]
+      .map(({ percentages, ...entry }) => ({
+        ...entry,
+        average_score: percentages.length > 0
+          ? Math.round(percentages.reduce((sum, p) => sum + p, 0) / percentages.length)
+          : null
+      }))
+      .sort((a, b) => b.week_start.localeCompare(a.week_start));
+
+    const themes = this._aggregateThemes(memberIds);
+    const scored = exercises.filter(e => e.average_score !== null);
+
+    return {
+      group: { id: group.id, name: group.name, description: group.description, member_count: group.member_count },
+      summary: {
+        members: group.member_count,
+        exercises: exercises.length,
+        average_score: scored.length > 0
+          ? Math.round(scored.reduce((sum, e) => sum + e.average_score, 0) / scored.length)
+          : null,
+        weakest: themes.length > 0 ? { theme: themes[0].label, accuracy: themes[0].accuracy } : null
+      },
+      exercises,
+      themes
+    };
+  }
+
+  /**
+   * Sum per-theme attempts across members, weakest first
+   * @param {string[]} memberIds - Student IDs
+   * @returns {object[]}
+   */
+  _aggregateThemes(memberIds) {
+    return themeAnalyticsService.getThemeStatsForStudents(memberIds, WEAK_ACCURACY)
+      .sort((a, b) => a.accuracy - b.accuracy || b.struggling - a.struggling);
+  }
+
+}
+
+export const groupService = new GroupService();
@@ -0,0 +1,248 @@
+/**
+ * StudentRatingService.js
+ * Per-student puzzle rating using Glicko-2, with each puzzle result treated
+ * as a single game against the puzzle's own rating.
+ */
+
+import { database } from '../database/SqliteDatabase.js';
+
+const GLICKO2_SCALE = 173.7178;
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_RD = 30;
+const TAU = 0.5;
+const CONVERGENCE_TOLERANCE = 0.000001;
+const DEFAULT_PUZZLE_RD = 75;
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+/**
+ * Apply one Glicko-2 rating period to a player.
+ * @param {{ rating: number, rd: number, volatility: number }} player
+ * @param {Array<{ rating: number, rd: number, score: number }>} games - score is 1 (win) or 0 (loss)
+ * @returns {{ rating: number, rd: number, volatility: number }}
+ */
+export function updateGlicko2(player, games) {
+  const mu = (player.rating - DEFAULT_RATING) / GLICKO2_SCALE;
+  const phi = player.rd / GLICKO2_SCALE;
+  const sigma = player.volatility;
+
+  if (games.length === 0) {
+    const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+    return {
+      rating: player.rating,
+      rd: Math.min(DEFAULT_RD, phiStar * GLICKO2_SCALE),
+      volatility: sigma
+    };
+  }
+
+  let vInverse = 0;
+  let deltaSum = 0;
+  for (const game of games) {
+    const muJ = (game.rating - DEFAULT_RATING) / GLICKO2_SCALE;
+    const gPhiJ = g(game.rd / GLICKO2_SCALE);
+    const expected = 1 / (1 + Math.exp(-gPhiJ * (mu - muJ)));
+    vInverse += gPhiJ * gPhiJ * expected * (1 - expected);
+    deltaSum += gPhiJ * (game.score - expected);
+  }
+  const v = 1 / vInverse;
+  const delta = v * deltaSum;
+
+  // New volatility via the Illinois algorithm (step 5 of the Glicko-2 paper)
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denom = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denom * denom) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  const newSigma = Math.exp(A / 2);
+
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * deltaSum;
+
+  return {
+    rating: newMu * GLICKO2_SCALE + DEFAULT_RATING,
+    rd: Math.min(DEFAULT_RD, Math.max(MIN_RD, newPhi * GLICKO2_SCALE)),
+    volatility: newSigma
+  };
+}
+
+export class StudentRatingService {
+  /**
+   * Get a student's current rating (defaults for students with no rated puzzles)
+   * @param {string} studentId - Student ID
+   * @returns {object}
+   */
+  getRating(studentId) {
+    const row = database.queryOne('SELECT * FROM student_ratings WHERE student_id = ?', [studentId]);
+
+    return row || {
+      student_id: studentId,
+      rating: DEFAULT_RATING,
+      rating_deviation: DEFAULT_RD,
+      volatility: DEFAULT_VOLATILITY,
+      games: 0,
+      updated_at: null
+    };
+  }
+
+  /**
+   * Get a student's rating history, oldest first
+   * @param {string} studentId - Student ID
+   * @returns {object[]}
+   */
+  getRatingHistory(studentId) {
+    return database.query(
+      `SELECT id, student_exercise_id, puzzle_id, puzzle_rating, result,
+              rating_before, rating_after, rd_before, rd_after, created_at
+       FROM student_rating_history
+       WHERE student_id = ?
+       ORDER BY id ASC`,
+      [studentId]
+    );
+  }
+
+  /**
+   * Rate every per-puzzle result of a student exercise that hasn't been rated yet.
+   * Only the first recorded result for each puzzle counts, so re-solving a
+   * puzzle or saving the same attempt twice never moves the rating again.
+   * That includes later changes to a rated result: a re-solve turning a miss
+   * into a solve, or a teacher regrading it with gradeExercise, is kept in
+   * student_puzzle_results but not re-rated. Glicko-2 updates build on each
+   * other, so changing one would mean replaying every result after it.
+   *
+   * The history rows and the rating are written in one transaction; a result
+   * is never marked as rated without reaching the rating.
+   * @param {string} studentExerciseId - Student exercise ID
+   * @returns {{ success: boolean, data?: object, error?: string }}
+   */
+  recordExerciseResults(studentExerciseId) {
+    try {
+      return database.transaction(() => {
+        const row = database.queryOne(
+          'SELECT id, student_id FROM student_exercises WHERE id = ?',
+          [studentExerciseId]
+        );
+
+        if (!row) {
+          return { success: false, error: 'Assignment not found' };
+        }
+
+        const pending = database.query(
+          `SELECT r.puzzle_id AS puzzleId, r.correct
+           FROM student_puzzle_results r
+           JOIN student_exercises se ON se.id = r.student_exercise_id
+           JOIN weekly_exercises we ON we.id = se.exercise_id
+           WHERE r.student_exercise_id = ? AND r.correct IS NOT NULL
+             AND r.puzzle_id NOT IN (
+               SELECT puzzle_id FROM student_rating_history WHERE student_exercise_id = ?
+             )
+           ORDER BY INSTR(',' || we.puzzle_ids || ',', ',' || r.puzzle_id || ',')`,
+          [studentExerciseId, studentExerciseId]
+        );
+
+        if (pending.length === 0) {
+          return { success: true, data: { rated: 0 } };
+        }
+
+        const puzzleRows = database.getPuzzlesByIds(pending.map(p => p.puzzleId));
+        const puzzleMap = new Map(puzzleRows.map(p => [p.id, p]));
+
+        const current = this.getRating(row.student_id);
+        let player = {
+          rating: current.rating,
+          rd: current.rating_deviation,
+          volatility: current.volatility
+        };
+        let games = current.games;
+        let rated = 0;
+        const now = new Date().toISOString();
+
+        for (const { puzzleId, correct } of pending) {
+          const puzzle = puzzleMap.get(puzzleId);
+          if (!puzzle || !puzzle.rating) continue;
+
+          const score = correct === 1 ? 1 : 0;
+          const next = updateGlicko2(player, [{
+            rating: puzzle.rating,
+            rd: puzzle.rating_deviation || DEFAULT_PUZZLE_RD,
+            score
+          }]);
+
+          database.run(
+            `INSERT INTO student_rating_history
+               (student_id, student_exercise_id, puzzle_id, puzzle_rating, result,
+                rating_before, rating_after, rd_before, rd_after, volatility, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              row.student_id,
+              studentExerciseId,
+              puzzleId,
+              puzzle.rating,
+              score,
+              player.rating,
+              next.rating,
+              player.rd,
+              next.rd,
+              next.volatility,
+              now
+            ]
+          );
+
+          player = next;
+          games++;
+          rated++;
+        }
+
+        if (rated > 0) {
+          database.run(
+            `INSERT INTO student_ratings (student_id, rating, rating_deviation, volatility, games, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT(student_id) DO UPDATE SET
+               rating = excluded.rating,
+               rating_deviation = excluded.rating_deviation,
+               volatility = excluded.volatility,
+               games = excluded.games,
+               updated_at = excluded.updated_at`,
+            [row.student_id, player.rating, player.rd, player.volatility, games, now]
+          );
+        }
+
+        return { success: true, data: { rated, rating: player.rating, rating_deviation: player.rd } };
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export const studentRatingService = new StudentRatingService();
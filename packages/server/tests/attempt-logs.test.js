@@ -0,0 +1,148 @@
+/**
+ * Tests for move-by-move attempt logs — validation of the logged moves,
+ * appending across saves, first wrong move lookup and clearing on reset.
+ * Uses in-memory SQLite behind a mocked database wrapper.
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+
+const db = new Database(':memory:')
+
+vi.mock('../src/database/SqliteDatabase.js', () => ({
+  database: {
+    query: (sql, params = []) => db.prepare(sql).all(...params),
+    queryOne: (sql, params = []) => db.prepare(sql).get(...params) || null,
+    run: (sql, params = []) => db.prepare(sql).run(...params),
+    transaction: (fn) => db.transaction(fn)()
+  }
+}))
+
+vi.mock('../src/exercises/ReviewQueueService.js', () => ({
+  reviewQueueService: { syncFromStudentExercise: vi.fn() }
+}))
+
+vi.mock('../src/students/StudentRatingService.js', () => ({
+  studentRatingService: { recordExerciseResults: vi.fn() }
+}))
+
+const { ExerciseService } = await import('../src/exercises/ExerciseService.js')
+const migrations = await Promise.all([
+  import('../src/database/migrations/002_add_exercise_tables.js'),
+  import('../src/database/migrations/003_add_puzzle_results.js'),
+  import('../src/database/migrations/005_add_puzzle_hints.js'),
+  import('../src/database/migrations/006_add_is_final_flag.js'),
+  import('../src/database/migrations/010_add_due_dates.js'),
+  import('../src/database/migrations/012_add_timed_exercises.js'),
+  import('../src/database/migrations/013_add_puzzle_attempts.js'),
+  import('../src/database/migrations/014_add_student_puzzle_results.js'),
+  import('../src/database/migrations/016_add_puzzle_revisions.js'),
+  import('../src/database/migrations/019_add_puzzle_alternatives.js'),
+  import('../src/database/migrations/020_add_puzzle_variations.js')
+])
+
+const AT = '2026-04-08T16:00:00.000Z'
+
+describe('Attempt logs', () => {
+  let service
+  let seId
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    migrations.forEach(m => m.migrate(db))
+    db.prepare('INSERT INTO students (id, name) VALUES (?, ?)').run('s1', 'Alice')
+  })
+
+  beforeEach(() => {
+    service = new ExerciseService()
+    db.exec('DELETE FROM puzzle_attempts; DELETE FROM student_puzzle_results; DELETE FROM student_exercises; DELETE FROM weekly_exercises;')
+    const exerciseId = service.createWeeklyExercise({ puzzleIds: ['p1', 'p2'], weekStart: '2026-04-06' }).data.id
+    seId = service.assignExerciseToStudents(exerciseId, ['s1']).data.assigned[0].id
+  })
+
+  afterAll(() => {
+    db.close()
+  })
+
+  const move = (uci, ply, correct, playedAt = AT) => ({ move: uci, ply, correct, playedAt })
+
+  it('stores logged moves against the puzzle they were played on', () => {
+    const result = service.saveStudentAttempt(seId, 0, '0,', null, null, [
+      { puzzleIndex: 0, moves: [move('d1h5', 1, false), move('d1d8', 1, true)] }
+    ])
+    expect(result.success).toBe(true)
+
+    const rows = db.prepare('SELECT puzzle_id, seq, ply, move, is_correct FROM puzzle_attempts ORDER BY seq').all()
+    expect(rows).toEqual([
+      { puzzle_id: 'p1', seq: 0, ply: 1, move: 'd1h5', is_correct: 0 },
+      { puzzle_id: 'p1', seq: 1, ply: 1, move: 'd1d8', is_correct: 1 }
+    ])
+  })
+
+  it('appends moves from later saves and reports the first wrong move', () => {
+    service.saveStudentAttempt(seId, 0, '', null, null, [
+      { puzzleIndex: 1, moves: [move('e2e4', 1, true)] }
+    ])
+    service.saveStudentAttempt(seId, 0, ',0', null, null, [
+      { puzzleIndex: 1, moves: [move('g1f3', 3, false), move('f1c4', 3, false)] }
+    ])
+
+    const { data } = service.getAttemptLog(seId)
+    expect(data).toHaveLength(1)
+    expect(data[0].puzzle_index).toBe(1)
+    expect(data[0].moves.map(m => m.seq)).toEqual([0, 1, 2])
+    expect(data[0].first_wrong).toMatchObject({ move: 'g1f3', ply: 3, seq: 1 })
+  })
+
+  it('records moves accepted as alternatives', () => {
+    service.saveStudentAttempt(seId, 1, '1,', null, null, [
+      { puzzleIndex: 0, moves: [move('d1h5', 1, false), { ...move('c1c8', 1, true), alternative: true }] }
+    ])
+
+    const { data } = service.getAttemptLog(seId)
+    expect(data[0].moves.map(m => m.alternative)).toEqual([false, true])
+    expect(data[0].first_wrong).toMatchObject({ move: 'd1h5', alternative: false })
+  })
+
+  it('records the line a move on a puzzle with variations was played against', () => {
+    const line = 'a8a2 d1d8 c6e8 e2e8 f4f8 e8f8'
+    service.saveStudentAttempt(seId, 0, '0,', null, null, [
+      { puzzleIndex: 0, moves: [{ ...move('d1d8', 1, true), line }, { ...move('d8e8', 3, false), line }] },
+      { puzzleIndex: 1, moves: [move('e2e4', 1, true)] }
+    ])
+
+    const { data } = service.getAttemptLog(seId)
+    expect(data[0].first_wrong.line).toEqual(line.split(' '))
+    expect(data[1].moves[0].line).toBeNull()
+  })
+
+  it('rejects malformed logs without saving the attempt', () => {
+    const bad = [
+      [{ puzzleIndex: 2, moves: [move('e2e4', 1, true)] }],
+      [{ puzzleIndex: 0, moves: [move('Qh5', 1, false)] }],
+      [{ puzzleIndex: 0, moves: [{ move: 'e2e4', ply: 1, correct: true, playedAt: 'soon' }] }],
+      [{ puzzleIndex: 0, moves: [{ ...move('e2e4', 1, true), alternative: 'yes' }] }],
+      [{ puzzleIndex: 0, moves: [{ ...move('e2e4', 1, true), line: 'e2e4  e7e5' }] }],
+      [{ puzzleIndex: 0, moves: [{ ...move('e2e4', 1, true), line: ['e2e4'] }] }],
+      [{ puzzleIndex: 0 }]
+    ]
+
+    for (const moveLog of bad) {
+      expect(service.saveStudentAttempt(seId, 1, '1,', null, null, moveLog).success).toBe(false)
+    }
+    expect(db.prepare('SELECT score FROM student_exercises WHERE id = ?').get(seId).score).toBeNull()
+    expect(db.prepare('SELECT COUNT(*) as n FROM puzzle_attempts').get().n).toBe(0)
+  })
+
+  it('clears the log when the score is reset', () => {
+    service.saveStudentAttempt(seId, 0, '0,', null, null, [
+      { puzzleIndex: 0, moves: [move('d1h5', 1, false)] }
+    ])
+    service.resetExerciseScore(seId)
+    expect(service.getAttemptLog(seId).data).toEqual([])
+  })
+
+  it('returns an error for unknown assignments', () => {
+    expect(service.getAttemptLog('missing').success).toBe(false)
+  })
+})
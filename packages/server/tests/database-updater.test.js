@@ -0,0 +1,195 @@
+/**
+ * Tests for the incremental Lichess refresh — upserting changed puzzles,
+ * adding new ones, flagging puzzles removed upstream, keeping custom
+ * puzzles and local edits, and recounting themes.puzzle_count.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+import { DatabaseUpdater, parseLichessRow, formatSummary } from '../src/database/DatabaseUpdater.js'
+import { SqliteDatabase } from '../src/database/SqliteDatabase.js'
+import { DatabaseLoader } from '../src/database/DatabaseLoader.js'
+import { puzzleResolver } from '../src/puzzles/PuzzleResolver.js'
+import { migrate as migrateSources } from '../src/database/migrations/001_add_source_field.js'
+import { migrate as migrateFeatures } from '../src/database/migrations/015_add_puzzle_features.js'
+import { migrate as migrateRevisions } from '../src/database/migrations/016_add_puzzle_revisions.js'
+import { migrate as migrateKeys } from '../src/database/migrations/017_add_position_keys.js'
+import { migrate as migrateUpstream } from '../src/database/migrations/018_add_upstream_status.js'
+
+const BACK_RANK = 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 1'
+const KING_H1 = 'r5k1/5ppp/8/8/8/8/5PPP/3R3K b - - 0 1'
+
+function csvRow(id, overrides = {}) {
+  return {
+    PuzzleId: id,
+    FEN: BACK_RANK,
+    Moves: 'a8a2 d1d8',
+    Rating: '1500',
+    RatingDeviation: '75',
+    Popularity: '90',
+    NbPlays: '100',
+    Themes: 'backRankMate mate mateIn1',
+    GameUrl: `https://lichess.org/${id}`,
+    OpeningTags: '',
+    ...overrides
+  }
+}
+
+describe('parseLichessRow', () => {
+  it('converts a CSV row to stored columns', () => {
+    expect(parseLichessRow(csvRow('a1'))).toMatchObject({
+      id: 'a1',
+      rating: 1500,
+      rating_deviation: 75,
+      nb_plays: 100,
+      themes: 'backrankmate,mate,matein1'
+    })
+    expect(parseLichessRow({ PuzzleId: 'a1', FEN: BACK_RANK })).toBeNull()
+  })
+})
+
+describe('DatabaseUpdater', () => {
+  let db
+  let summary
+
+  const puzzle = (id) => db.prepare('SELECT * FROM puzzles WHERE id = ?').get(id)
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    db = new Database(':memory:')
+    db.exec(`
+      CREATE TABLE themes (id INTEGER PRIMARY KEY, lichess_tag TEXT UNIQUE, puzzle_count INTEGER DEFAULT 0);
+      INSERT INTO themes (lichess_tag, puzzle_count) VALUES ('mate', 99), ('fork', 99), ('endgame', 99);
+      CREATE TABLE puzzles (
+        id TEXT PRIMARY KEY, fen TEXT NOT NULL, moves TEXT NOT NULL, rating INTEGER NOT NULL,
+        rating_deviation INTEGER DEFAULT 0, popularity INTEGER DEFAULT 0, nb_plays INTEGER DEFAULT 0,
+        themes TEXT NOT NULL, game_url TEXT, opening_tags TEXT
+      );
+      CREATE TABLE users (id TEXT PRIMARY KEY, username TEXT);
+      CREATE TABLE weekly_exercises (id TEXT PRIMARY KEY);
+    `)
+    migrateSources(db)
+
+    const insert = db.prepare(`
+      INSERT INTO puzzles (id, fen, moves, rating, rating_deviation, popularity, nb_plays, themes, game_url, opening_tags, source)
+      VALUES (?, ?, 'a8a2 d1d8', ?, 75, 90, 100, ?, ?, '', ?)
+    `)
+    insert.run('same', BACK_RANK, 1500, 'backrankmate,mate,matein1', 'https://lichess.org/same', 'lichess')
+    insert.run('rerated', BACK_RANK, 1500, 'backrankmate,mate,matein1', 'https://lichess.org/rerated', 'lichess')
+    insert.run('edited', KING_H1, 1700, 'mate,endgame', 'https://lichess.org/edited', 'lichess')
+    insert.run('gone', BACK_RANK, 1500, 'fork', 'https://lichess.org/gone', 'lichess')
+    insert.run('custom_1', BACK_RANK, 1200, 'fork', '', 'manual')
+
+    migrateFeatures(db)
+    migrateRevisions(db)
+    migrateKeys(db)
+    migrateUpstream(db)
+
+    db.prepare(`
+      INSERT INTO puzzle_revisions (puzzle_id, revision, fen, moves, themes, rating, game_url, created_at)
+      VALUES ('edited', 1, ?, 'a8a2 d1d8', 'mate,endgame', 1700, 'https://lichess.org/edited', '2026-01-01')
+    `).run(KING_H1)
+
+    const updater = new DatabaseUpdater(db)
+    updater.applyBatch([
+      csvRow('same'),
+      csvRow('rerated', { Rating: '1620', Popularity: '95', Themes: 'mate mateIn1' }),
+      csvRow('edited', { Rating: '1550', NbPlays: '250' })
+    ].map(parseLichessRow))
+    updater.applyBatch([
+      csvRow('new1', { Themes: 'fork' }),
+      csvRow('custom_1', { Rating: '2000' })
+    ].map(parseLichessRow))
+    summary = updater.finish()
+  })
+
+  afterAll(() => {
+    db.close()
+  })
+
+  it('summarizes the refresh', () => {
+    expect(summary).toMatchObject({
+      processed: 5,
+      added: 1,
+      updated: 2,
+      unchanged: 1,
+      removed: 1,
+      restored: 0,
+      keptLocalEdits: 1,
+      skippedCustom: 1,
+      changes: { rating: 1, popularity: 1, themes: 1, position: 0 }
+    })
+    expect(formatSummary(summary).join('\n')).toContain('Removed upstream:   1')
+  })
+
+  it('upserts changed ratings, popularity and themes', () => {
+    expect(puzzle('rerated')).toMatchObject({ rating: 1620, popularity: 95, themes: 'mate,matein1', removed_upstream: 0 })
+  })
+
+  it('adds new puzzles with features and position keys', () => {
+    expect(puzzle('new1')).toMatchObject({ source: 'lichess', themes: 'fork', piece_count: 10 })
+    expect(puzzle('new1').position_key).toBe(puzzle('same').position_key)
+  })
+
+  it('keeps local edits but refreshes play statistics', () => {
+    expect(puzzle('edited')).toMatchObject({ fen: KING_H1, rating: 1700, themes: 'mate,endgame', nb_plays: 250 })
+  })
+
+  it('never touches custom puzzles', () => {
+    expect(puzzle('custom_1')).toMatchObject({ rating: 1200, source: 'manual', removed_upstream: 0 })
+  })
+
+  it('leaves puzzles removed upstream out of generation', () => {
+    const database = new SqliteDatabase()
+    database.db = db
+    database.initialized = true
+    database.buildThemeIndex()
+    expect(database.getPuzzleIdsByTheme('fork').sort()).toEqual(['custom_1', 'new1'])
+
+    const loader = new DatabaseLoader()
+    loader.db = database
+    loader.loaded = true
+    const resolve = vi.spyOn(puzzleResolver, 'resolve').mockImplementation(rows => rows)
+    const detect = vi.spyOn(database, 'detectColumns')
+    database.themeIndex = null
+    const ids = loader.queryPuzzles({ limit: 10 }).map(p => p.id)
+    loader.queryPuzzles({ limit: 10 })
+    resolve.mockRestore()
+    expect(ids).toHaveLength(5)
+    expect(ids).not.toContain('gone')
+    expect(detect).not.toHaveBeenCalled()
+  })
+
+  it('reloads the indexes of a running server after a later refresh', () => {
+    const database = new SqliteDatabase()
+    database.db = db
+    database.initialized = true
+    database.buildThemeIndex()
+    database.buildOpeningIndex()
+
+    db.prepare("UPDATE puzzles SET removed_upstream = 1, opening_tags = 'Italian_Game' WHERE id = 'new1'").run()
+    db.prepare("UPDATE puzzles SET opening_tags = 'Italian_Game' WHERE id = 'same'").run()
+    expect(database.getPuzzleIdsByTheme('fork')).toContain('new1')
+
+    expect(database.reloadIndexes()).toMatchObject({ openings: 1 })
+    expect(database.getPuzzleIdsByTheme('fork')).toEqual(['custom_1'])
+    expect(database.getPuzzleIdsByOpening('Italian_Game')).toEqual(['same'])
+
+    db.prepare("UPDATE puzzles SET removed_upstream = 0, opening_tags = '' WHERE id = 'new1'").run()
+    db.prepare("UPDATE puzzles SET opening_tags = '' WHERE id = 'same'").run()
+  })
+
+  it('flags puzzles missing from the dump and restores them when they return', () => {
+    expect(puzzle('gone').removed_upstream).toBe(1)
+
+    const again = new DatabaseUpdater(db)
+    again.applyBatch([parseLichessRow(csvRow('gone', { Themes: 'fork' }))])
+    expect(again.finish({ markRemoved: false })).toMatchObject({ restored: 1, updated: 0, removed: 0 })
+    expect(puzzle('gone').removed_upstream).toBe(0)
+  })
+
+  it('recounts themes.puzzle_count', () => {
+    const counts = Object.fromEntries(db.prepare('SELECT lichess_tag, puzzle_count FROM themes').all().map(r => [r.lichess_tag, r.puzzle_count]))
+    expect(counts).toEqual({ mate: 3, fork: 3, endgame: 1 })
+  })
+})
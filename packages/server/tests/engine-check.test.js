@@ -0,0 +1,285 @@
+/**
+ * Tests for engine checks — the UCI adapter against a scripted engine,
+ * soundness/uniqueness flags from PuzzleEngineCheck and the engine check
+ * route.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest'
+import Database from 'better-sqlite3'
+import { Hono } from 'hono'
+import { UciEngine, parseInfoLine, scoreValue } from '../src/engine/UciEngine.js'
+import { EngineService } from '../src/engine/EngineService.js'
+import { checkPuzzle, formatScore } from '../src/puzzles/validation/PuzzleEngineCheck.js'
+
+vi.mock('../src/database/SqliteDatabase.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  const database = new actual.SqliteDatabase()
+  database.db = new Database(':memory:')
+  database.initialized = true
+  return { ...actual, database }
+})
+
+const { database } = await import('../src/database/SqliteDatabase.js')
+const { reportManager } = await import('../src/reports/PuzzleReportManager.js')
+const { engineService } = await import('../src/engine/EngineService.js')
+const { default: puzzles } = await import('../src/routes/puzzles.js')
+const { migrate: migrateAlternatives } = await import('../src/database/migrations/019_add_puzzle_alternatives.js')
+const { migrate: migrateVariations } = await import('../src/database/migrations/020_add_puzzle_variations.js')
+
+const BACK_RANK = 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 1'
+const AFTER_RA2 = '6k1/5ppp/8/8/8/8/r4PPP/3R2K1 w - - 1 2'
+
+/**
+ * Transport answering like a UCI engine. analyses maps a FEN to its
+ * candidate moves, best first: [{ move, score }]
+ */
+function scriptedTransport(analyses, { silent = [] } = {}) {
+  const handlers = []
+  const exitHandlers = []
+  const sent = []
+  let fen = null
+  let multiPv = 1
+
+  const emit = (line) => setTimeout(() => handlers.forEach(handler => handler(line)), 0)
+
+  return {
+    sent,
+    write(line) {
+      sent.push(line)
+      if (silent.some(command => line.startsWith(command))) return
+
+      if (line === 'uci') {
+        emit('id name Scripted 1.0')
+        emit('option name MultiPV type spin default 1 min 1 max 500')
+        emit('uciok')
+      } else if (line === 'isready') {
+        emit('readyok')
+      } else if (line.startsWith('setoption name MultiPV value ')) {
+        multiPv = parseInt(line.split(' ').pop())
+      } else if (line.startsWith('position fen ')) {
+        fen = line.slice('position fen '.length)
+      } else if (line.startsWith('go')) {
+        const searchMoves = line.includes('searchmoves') ? line.split('searchmoves ')[1].split(' ') : null
+        const candidates = (analyses[fen] || [])
+          .filter(candidate => !searchMoves || searchMoves.includes(candidate.move))
+          .slice(0, multiPv)
+        candidates.forEach(({ move, score }, i) => {
+          const value = score.mate !== undefined ? `mate ${score.mate}` : `cp ${score.cp}`
+          emit(`info depth 12 seldepth 14 multipv ${i + 1} score ${value} nodes 1000 pv ${move}`)
+        })
+        emit(`bestmove ${candidates[0] ? candidates[0].move : '(none)'}`)
+      }
+    },
+    onLine(handler) {
+      handlers.push(handler)
+    },
+    onExit(handler) {
+      exitHandlers.push(handler)
+    },
+    close() {},
+    exit() {
+      exitHandlers.forEach(handler => handler())
+    }
+  }
+}
+
+async function startEngine(analyses, options) {
+  const transport = scriptedTransport(analyses, options)
+  const engine = new UciEngine(transport, { timeoutMs: 200 })
+  await engine.start({ Threads: 1 })
+  return { engine, transport }
+}
+
+describe('parseInfoLine', () => {
+  it('reads depth, multipv, score and pv', () => {
+    expect(parseInfoLine('info depth 18 seldepth 24 multipv 2 score cp -35 nodes 12345 nps 1000 pv e7e5 g1f3 b8c6')).toEqual({
+      depth: 18, multipv: 2, score: { cp: -35 }, pv: ['e7e5', 'g1f3', 'b8c6']
+    })
+    expect(parseInfoLine('info depth 5 score mate 3 lowerbound pv d1d8')).toMatchObject({ score: { mate: 3 }, multipv: 1 })
+  })
+
+  it('ignores lines without a score and pv', () => {
+    expect(parseInfoLine('info string NNUE evaluation enabled')).toBeNull()
+    expect(parseInfoLine('info depth 10 currmove e2e4 currmovenumber 1')).toBeNull()
+    expect(parseInfoLine('bestmove e2e4')).toBeNull()
+  })
+
+  it('orders mates beyond centipawn scores', () => {
+    expect(scoreValue({ mate: 1 })).toBeGreaterThan(scoreValue({ mate: 5 }))
+    expect(scoreValue({ mate: 5 })).toBeGreaterThan(scoreValue({ cp: 5000 }))
+    expect(scoreValue({ mate: -2 })).toBeLessThan(scoreValue({ cp: -5000 }))
+    expect(formatScore({ cp: 245 })).toBe('+2.45')
+    expect(formatScore({ mate: -3 })).toBe('#-3')
+  })
+})
+
+describe('UciEngine', () => {
+  it('runs the handshake and sets options', async () => {
+    const { engine, transport } = await startEngine({})
+    expect(engine.name).toBe('Scripted 1.0')
+    expect(engine.ready).toBe(true)
+    expect(transport.sent).toEqual(['uci', 'setoption name Threads value 1', 'isready'])
+  })
+
+  it('returns the lines of a multi-PV search', async () => {
+    const { engine, transport } = await startEngine({
+      [AFTER_RA2]: [{ move: 'd1d8', score: { mate: 1 } }, { move: 'h2h3', score: { cp: -420 } }]
+    })
+
+    const result = await engine.analyse(AFTER_RA2, { depth: 12, multiPv: 2 })
+    expect(result).toEqual({
+      bestMove: 'd1d8',
+      depth: 12,
+      lines: [
+        { multipv: 1, move: 'd1d8', score: { mate: 1 }, pv: ['d1d8'] },
+        { multipv: 2, move: 'h2h3', score: { cp: -420 }, pv: ['h2h3'] }
+      ]
+    })
+    expect(transport.sent).toContain(`position fen ${AFTER_RA2}`)
+    expect(transport.sent).toContain('go depth 12')
+  })
+
+  it('runs concurrent searches one after the other', async () => {
+    const { engine } = await startEngine({
+      [BACK_RANK]: [{ move: 'a8a2', score: { cp: -50 } }],
+      [AFTER_RA2]: [{ move: 'd1d8', score: { mate: 1 } }]
+    })
+
+    const [first, second] = await Promise.all([engine.analyse(BACK_RANK), engine.analyse(AFTER_RA2)])
+    expect(first.bestMove).toBe('a8a2')
+    expect(second.bestMove).toBe('d1d8')
+  })
+
+  it('times out a search that never finishes and keeps working', async () => {
+    const { engine, transport } = await startEngine(
+      { [AFTER_RA2]: [{ move: 'd1d8', score: { mate: 1 } }] },
+      { silent: ['go depth 30'] }
+    )
+
+    await expect(engine.analyse(AFTER_RA2, { depth: 30 })).rejects.toThrow(/did not answer "go depth 30"/)
+    expect(transport.sent).toContain('stop')
+    expect((await engine.analyse(AFTER_RA2, { depth: 12 })).bestMove).toBe('d1d8')
+  })
+
+  it('fails pending and later commands once the engine exits', async () => {
+    const { engine, transport } = await startEngine({}, { silent: ['go'] })
+
+    const pending = engine.analyse(AFTER_RA2)
+    setTimeout(() => transport.exit(), 10)
+    await expect(pending).rejects.toThrow('Engine has stopped')
+    await expect(engine.analyse(AFTER_RA2)).rejects.toThrow('Engine has stopped')
+  })
+})
+
+describe('checkPuzzle', () => {
+  const opponent = { [BACK_RANK]: [{ move: 'a8a2', score: { cp: -50 } }] }
+
+  it('passes a puzzle whose solution is the only win', async () => {
+    const { engine } = await startEngine({
+      ...opponent,
+      [AFTER_RA2]: [{ move: 'd1d8', score: { mate: 1 } }, { move: 'h2h3', score: { cp: -420 } }]
+    })
+
+    const result = await checkPuzzle(engine, BACK_RANK, 'a8a2 d1d8', { depth: 12 })
+    expect(result).toMatchObject({ sound: true, unique: true, issues: [] })
+    expect(result.plies).toMatchObject([
+      { ply: 1, side: 'opponent', san: 'Ra2', score: { cp: -50 }, eval: { cp: 50 } },
+      { ply: 2, side: 'solver', san: 'Rd8#', score: { mate: 1 }, eval: { mate: 1 }, best: { san: 'Rd8#' } }
+    ])
+  })
+
+  it('flags a second winning move', async () => {
+    const { engine } = await startEngine({
+      ...opponent,
+      [AFTER_RA2]: [{ move: 'd1d8', score: { mate: 1 } }, { move: 'd1d7', score: { cp: 350 } }]
+    })
+
+    const result = await checkPuzzle(engine, BACK_RANK, 'a8a2 d1d8')
+    expect(result).toMatchObject({ sound: true, unique: false })
+    expect(result.issues).toEqual([{ ply: 2, type: 'multiple_winning_moves', message: 'Rd7 also wins (+3.50)' }])
+  })
+
+  it('flags a solver move that is a mistake', async () => {
+    const { engine, transport } = await startEngine({
+      ...opponent,
+      [AFTER_RA2]: [
+        { move: 'd1d8', score: { mate: 1 } },
+        { move: 'g1f1', score: { cp: -380 } },
+        { move: 'h2h3', score: { cp: -420 } }
+      ]
+    })
+
+    // h2h3 is not among the top two lines, so it gets a search of its own
+    const result = await checkPuzzle(engine, BACK_RANK, 'a8a2 h2h3')
+    expect(transport.sent).toContain('go depth 18 searchmoves h2h3')
+    expect(result.sound).toBe(false)
+    expect(result.issues.map(issue => issue.type)).toEqual(['not_best', 'losing', 'multiple_winning_moves'])
+    expect(result.issues[0].message).toBe('h3 is not the best move; the engine prefers Rd8# (#1 vs -4.20)')
+    expect(result.plies[1]).toMatchObject({ score: { cp: -420 }, best: { move: 'd1d8', score: { mate: 1 } } })
+  })
+})
+
+describe('engine checks through the service and routes', () => {
+  function createApp(role = 'admin') {
+    const app = new Hono()
+    app.use('*', async (c, next) => {
+      c.set('user', { id: 'u1', role })
+      await next()
+    })
+    app.route('/', puzzles)
+    return app
+  }
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    database.db.exec(`
+      CREATE TABLE puzzles (
+        id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER,
+        popularity INTEGER, themes TEXT, game_url TEXT
+      );
+    `)
+    database.db.prepare("INSERT INTO puzzles VALUES ('p1', ?, 'a8a2 d1d8', 1500, 90, 'mate', '')").run(BACK_RANK)
+    migrateAlternatives(database.db)
+    migrateVariations(database.db)
+    reportManager.initialize()
+  })
+
+  afterEach(() => {
+    engineService.setEngine(null)
+  })
+
+  afterAll(() => {
+    database.close()
+  })
+
+  it('reports when no engine is configured', async () => {
+    const service = new EngineService()
+    service.enginePath = null
+    expect(service.isAvailable()).toBe(false)
+    expect(await service.checkPuzzle(BACK_RANK, 'a8a2 d1d8')).toEqual({
+      success: false,
+      error: 'Engine check failed: No engine configured (set STOCKFISH_PATH)'
+    })
+  })
+
+  it('returns the engine check of a stored puzzle', async () => {
+    const { engine } = await startEngine({
+      [BACK_RANK]: [{ move: 'a8a2', score: { cp: -50 } }],
+      [AFTER_RA2]: [{ move: 'd1d8', score: { mate: 1 } }, { move: 'd1d7', score: { cp: 350 } }]
+    })
+    engineService.setEngine(engine)
+
+    const res = await createApp().request('/p1/engine-check')
+    expect(res.status).toBe(200)
+    const body = await res.json()
+    expect(body.data).toMatchObject({ engine: 'Scripted 1.0', depth: engineService.depth, sound: true, unique: false })
+    expect(body.data.plies).toHaveLength(2)
+  })
+
+  it('answers 404, 403 and 503 where it cannot check', async () => {
+    engineService.enginePath = null
+    expect((await createApp().request('/missing/engine-check')).status).toBe(404)
+    expect((await createApp('student').request('/p1/engine-check')).status).toBe(403)
+    expect((await createApp().request('/p1/engine-check')).status).toBe(503)
+  })
+})
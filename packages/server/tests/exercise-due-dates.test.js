@@ -0,0 +1,174 @@
+/**
+ * Tests for assignment due dates — default deadline, submitted_at/is_late
+ * stamping, the optional grace-period lock and the overdue list.
+ * Uses in-memory SQLite behind a mocked database wrapper.
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+
+const db = new Database(':memory:')
+
+vi.mock('../src/database/SqliteDatabase.js', () => ({
+  database: {
+    query: (sql, params = []) => db.prepare(sql).all(...params),
+    queryOne: (sql, params = []) => db.prepare(sql).get(...params) || null,
+    run: (sql, params = []) => db.prepare(sql).run(...params),
+    transaction: (fn) => db.transaction(fn)()
+  }
+}))
+
+vi.mock('../src/exercises/ReviewQueueService.js', () => ({
+  reviewQueueService: { syncFromStudentExercise: vi.fn() }
+}))
+
+vi.mock('../src/students/StudentRatingService.js', () => ({
+  studentRatingService: { recordExerciseResults: vi.fn() }
+}))
+
+const { ExerciseService } = await import('../src/exercises/ExerciseService.js')
+const migrations = await Promise.all([
+  import('../src/database/migrations/002_add_exercise_tables.js'),
+  import('../src/database/migrations/003_add_puzzle_results.js'),
+  import('../src/database/migrations/005_add_puzzle_hints.js'),
+  import('../src/database/migrations/006_add_is_final_flag.js'),
+  import('../src/database/migrations/010_add_due_dates.js'),
+  import('../src/database/migrations/012_add_timed_exercises.js'),
+  import('../src/database/migrations/013_add_puzzle_attempts.js'),
+  import('../src/database/migrations/014_add_student_puzzle_results.js'),
+  import('../src/database/migrations/016_add_puzzle_revisions.js')
+])
+
+const DUE = new Date(2026, 3, 12, 23, 59, 59, 999)
+
+describe('Exercise due dates', () => {
+  let service
+  let exerciseId
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    migrations.forEach(m => m.migrate(db))
+    db.prepare('INSERT INTO students (id, name) VALUES (?, ?)').run('s1', 'Alice')
+    db.prepare('INSERT INTO students (id, name) VALUES (?, ?)').run('s2', 'Bob')
+  })
+
+  beforeEach(() => {
+    service = new ExerciseService()
+    db.exec('DELETE FROM student_puzzle_results; DELETE FROM student_exercises; DELETE FROM weekly_exercises;')
+    exerciseId = service.createWeeklyExercise({ puzzleIds: ['p1', 'p2', 'p3'], weekStart: '2026-04-06' }).data.id
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  afterAll(() => {
+    db.close()
+  })
+
+  const assign = (options) => service.assignExerciseToStudents(exerciseId, ['s1'], options).data.assigned[0]
+  const row = (id) => db.prepare('SELECT * FROM student_exercises WHERE id = ?').get(id)
+
+  it('defaults the due date to the end of the exercise week', () => {
+    const assignment = assign()
+    expect(assignment.due_at).toBe(DUE.toISOString())
+  })
+
+  it('accepts an explicit due date', () => {
+    const dueAt = new Date(2026, 3, 9, 18, 0).toISOString()
+    expect(assign({ dueAt }).due_at).toBe(dueAt)
+  })
+
+  it('stamps on-time attempts without the late flag', () => {
+    const { id } = assign()
+    vi.useFakeTimers({ now: new Date(2026, 3, 10, 12, 0) })
+
+    expect(service.saveStudentAttempt(id, 2, '1,1,0').success).toBe(true)
+    expect(row(id).submitted_at).toBe(new Date(2026, 3, 10, 12, 0).toISOString())
+    expect(row(id).is_late).toBe(0)
+  })
+
+  it('flags attempts saved after the due date as late', () => {
+    const { id } = assign()
+    vi.useFakeTimers({ now: new Date(2026, 3, 14, 9, 0) })
+
+    expect(service.saveStudentAttempt(id, 1, '1,0,0').success).toBe(true)
+    expect(row(id).is_late).toBe(1)
+  })
+
+  it('keeps the first submission time and late flag on later saves', () => {
+    const { id } = assign()
+    vi.useFakeTimers({ now: new Date(2026, 3, 11, 12, 0) })
+    service.saveStudentAttempt(id, 1, '1,0,0')
+
+    vi.setSystemTime(new Date(2026, 3, 14, 9, 0))
+    expect(service.saveStudentAttempt(id, 2, '1,1,0').success).toBe(true)
+    expect(row(id)).toMatchObject({ score: 2, submitted_at: new Date(2026, 3, 11, 12, 0).toISOString(), is_late: 0 })
+  })
+
+  it('locks attempts once the grace period has run out', () => {
+    const { id } = assign()
+    service.attemptGraceHours = 24
+
+    vi.useFakeTimers({ now: new Date(2026, 3, 13, 12, 0) })
+    expect(service.saveStudentAttempt(id, 1, '1,0,0').success).toBe(true)
+
+    vi.setSystemTime(new Date(2026, 3, 14, 1, 0))
+    const result = service.saveStudentAttempt(id, 2, '1,1,0')
+    expect(result.success).toBe(false)
+    expect(result.error).toContain('deadline')
+  })
+
+  it('refuses a grace period that is not a number of hours', () => {
+    vi.stubEnv('ATTEMPT_GRACE_HOURS', 'one day')
+    expect(() => new ExerciseService()).toThrow('ATTEMPT_GRACE_HOURS must be a number of hours, got "one day"')
+    vi.stubEnv('ATTEMPT_GRACE_HOURS', '-2')
+    expect(() => new ExerciseService()).toThrow('ATTEMPT_GRACE_HOURS')
+    vi.stubEnv('ATTEMPT_GRACE_HOURS', '36')
+    expect(new ExerciseService().attemptGraceHours).toBe(36)
+    vi.unstubAllEnvs()
+  })
+
+  it('re-evaluates the late flag when the due date moves', () => {
+    const { id } = assign()
+    vi.useFakeTimers({ now: new Date(2026, 3, 14, 9, 0) })
+    service.saveStudentAttempt(id, 1, '1,0,0')
+
+    const result = service.setDueDate(id, new Date(2026, 3, 15).toISOString())
+    expect(result.success).toBe(true)
+    expect(row(id).is_late).toBe(0)
+  })
+
+  it('rejects an invalid due date', () => {
+    const { id } = assign()
+    expect(service.setDueDate(id, 'next tuesday').success).toBe(false)
+  })
+
+  it('lists only unsubmitted assignments past due as overdue', () => {
+    const submitted = service.assignExerciseToStudents(exerciseId, ['s1', 's2']).data.assigned[0]
+    vi.useFakeTimers({ now: new Date(2026, 3, 11) })
+    service.saveStudentAttempt(submitted.id, 3, '1,1,1')
+
+    const overdue = service.getOverdueAssignments(new Date(2026, 3, 15, 12, 0))
+    expect(overdue.map(a => a.student_name)).toEqual(['Bob'])
+    expect(overdue[0].days_overdue).toBe(2)
+    expect(service.getOverdueAssignments(new Date(2026, 3, 12, 12, 0))).toEqual([])
+  })
+
+  it('clears the submission on score reset but keeps the due date', () => {
+    const { id } = assign()
+    vi.useFakeTimers({ now: new Date(2026, 3, 14) })
+    service.saveStudentAttempt(id, 1, '1,0,0')
+
+    service.resetExerciseScore(id)
+    expect(row(id).submitted_at).toBeNull()
+    expect(row(id).is_late).toBe(0)
+    expect(row(id).due_at).toBe(DUE.toISOString())
+  })
+
+  it('backfills due dates for assignments made before the migration', () => {
+    db.prepare(`INSERT INTO student_exercises (id, student_id, exercise_id, total_puzzles) VALUES ('old', 's1', ?, 3)`).run(exerciseId)
+    migrations[4].migrate(db)
+    expect(row('old').due_at).toBe(DUE.toISOString())
+  })
+})
@@ -0,0 +1,99 @@
+/**
+ * Tests for exercise export — PGN games with FEN headers and numbered
+ * solutions, EPD records, the JSON dump, and reading PGN/EPD back through
+ * the bulk import parser.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { exerciseExporter, EXPORT_FORMATS } from '../src/exercises/ExerciseExporter.js'
+import { parsePGN, parseEPD } from '../src/puzzles/PuzzleImportParser.js'
+
+const exercise = {
+  id: 'ex_1',
+  name: 'Back rank "basics"',
+  week_start: '2026-03-23',
+  week_end: '2026-03-29',
+  week_label: 'Mar 23 - Mar 29',
+  filters: { theme: 'mate' },
+  puzzles: [
+    {
+      id: 'abc12',
+      fen: 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 3 24',
+      moves: 'a8a2 d1d8',
+      rating: 1450,
+      popularity: 91,
+      themes: 'backrankmate,mate,matein1',
+      game_url: 'https://lichess.org/xyz#47',
+      opening_tags: ''
+    },
+    {
+      id: 'custom_1',
+      fen: '6k1/5ppp/8/8/8/8/r4PPP/3R2K1 w - - 0 30',
+      moves: 'g1f1 a2a1 d1a1',
+      rating: 1200,
+      popularity: 0,
+      themes: 'endgame',
+      game_url: '',
+      source: 'manual'
+    }
+  ]
+}
+
+describe('ExerciseExporter', () => {
+  it('writes one PGN game per puzzle with setup headers and numbered moves', () => {
+    const pgn = exerciseExporter.toPGN(exercise)
+    const games = pgn.split('\n\n[Event').length
+
+    expect(games).toBe(2)
+    expect(pgn).toContain("[Event \"Back rank 'basics'\"]")
+    expect(pgn).toContain('[Site "https://lichess.org/xyz#47"]')
+    expect(pgn).toContain('[Date "2026.03.23"]')
+    expect(pgn).toContain('[FEN "r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 3 24"]\n[SetUp "1"]')
+    expect(pgn).toContain('[Themes "backrankmate mate matein1"]\n[Rating "1450"]')
+    expect(pgn).toContain('\n24... Ra2 25. Rd8# *\n')
+    expect(pgn).toContain('[Site "?"]')
+    expect(pgn).toContain('\n30. Kf1 Ra1 31. Rxa1 *\n')
+  })
+
+  it('writes EPD records with the full line as pv', () => {
+    const lines = exerciseExporter.toEPD(exercise).trim().split('\n')
+    expect(lines[0]).toBe('r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - pv Ra2 Rd8#; id "abc12"; c0 "backrankmate mate matein1"; c1 "1450";')
+    expect(lines).toHaveLength(2)
+  })
+
+  it('dumps the exercise and its puzzles as JSON', () => {
+    const data = JSON.parse(exerciseExporter.toJSON(exercise))
+    expect(data.exercise).toMatchObject({ id: 'ex_1', week_start: '2026-03-23', filters: { theme: 'mate' } })
+    expect(data.puzzles[0]).toMatchObject({
+      id: 'abc12',
+      moves: 'a8a2 d1d8',
+      solutionSAN: ['Ra2', 'Rd8#'],
+      themes: ['backrankmate', 'mate', 'matein1'],
+      source: 'lichess'
+    })
+    expect(data.puzzles[1].source).toBe('manual')
+  })
+
+  it('names the download after the exercise week', () => {
+    const file = exerciseExporter.exportExercise(exercise, 'epd')
+    expect(file.filename).toBe('exercise-2026-03-23.epd')
+    expect(file.contentType).toBe(EXPORT_FORMATS.epd.contentType)
+  })
+
+  it('produces files the bulk import reads back', () => {
+    const [first, second] = parsePGN(exerciseExporter.toPGN(exercise))
+    expect(first).toMatchObject({
+      id: 'abc12',
+      fen: exercise.puzzles[0].fen,
+      moves: ['Ra2', 'Rd8#'],
+      rating: 1450,
+      themes: ['backrankmate', 'mate', 'matein1'],
+      game_url: 'https://lichess.org/xyz#47'
+    })
+    expect(second).toMatchObject({ id: 'custom_1', moves: ['Kf1', 'Ra1', 'Rxa1'], game_url: '' })
+
+    const epd = parseEPD(exerciseExporter.toEPD(exercise))
+    expect(epd[0]).toMatchObject({ id: 'abc12', rating: 1450, themes: ['backrankmate', 'mate', 'matein1'] })
+    expect(epd[1]).toMatchObject({ id: 'custom_1', fen: '6k1/5ppp/8/8/8/8/r4PPP/3R2K1 w - - 0 1', moves: ['Kf1', 'Ra1', 'Rxa1'] })
+  })
+})
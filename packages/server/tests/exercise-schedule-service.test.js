@@ -0,0 +1,250 @@
+/**
+ * Tests for ExerciseScheduleService — weekday maths, due checks, runs and
+ * dry runs. Uses in-memory SQLite behind a mocked database wrapper; puzzle
+ * generation is mocked.
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+
+const db = new Database(':memory:')
+
+vi.mock('../src/database/SqliteDatabase.js', () => ({
+  database: {
+    query: (sql, params = []) => db.prepare(sql).all(...params),
+    queryOne: (sql, params = []) => db.prepare(sql).get(...params) || null,
+    run: (sql, params = []) => db.prepare(sql).run(...params),
+    getPuzzlesByIds: () => []
+  }
+}))
+
+vi.mock('../src/database/DatabaseGenerator.js', () => ({
+  databaseGenerator: {
+    setBlockedIds: vi.fn(),
+    generatePuzzles: vi.fn()
+  }
+}))
+
+vi.mock('../src/reports/PuzzleReportManager.js', () => ({
+  reportManager: { getBlockedPuzzleIds: () => new Set() }
+}))
+
+const { ExerciseScheduleService, runDateForWeek } = await import('../src/exercises/ExerciseScheduleService.js')
+const { databaseGenerator } = await import('../src/database/DatabaseGenerator.js')
+const { migrate: migrateExercises } = await import('../src/database/migrations/002_add_exercise_tables.js')
+const { migrate: migrateSchedules } = await import('../src/database/migrations/009_add_exercise_schedules.js')
+const { migrate: migrateDueDates } = await import('../src/database/migrations/010_add_due_dates.js')
+const { migrate: migrateTimedExercises } = await import('../src/database/migrations/012_add_timed_exercises.js')
+const { migrate: migrateResults } = await import('../src/database/migrations/014_add_student_puzzle_results.js')
+const { migrate: migrateRevisions } = await import('../src/database/migrations/016_add_puzzle_revisions.js')
+
+// Wednesday 2026-04-08, local time
+const WEDNESDAY = new Date(2026, 3, 8, 9, 0, 0)
+
+function fakePuzzles(n) {
+  return Array.from({ length: n }, (_, i) => ({ id: `p${i + 1}` }))
+}
+
+describe('runDateForWeek', () => {
+  it('maps weekdays onto the Monday-based week', () => {
+    expect(runDateForWeek('2026-04-06', 1)).toBe('2026-04-06')
+    expect(runDateForWeek('2026-04-06', 3)).toBe('2026-04-08')
+    expect(runDateForWeek('2026-04-06', 0)).toBe('2026-04-12')
+  })
+
+  it('crosses month boundaries', () => {
+    expect(runDateForWeek('2026-03-30', 5)).toBe('2026-04-03')
+  })
+})
+
+describe('ExerciseScheduleService', () => {
+  let service
+
+  beforeAll(() => {
+    migrateExercises(db)
+    migrateSchedules(db)
+    migrateDueDates(db)
+    migrateTimedExercises(db)
+    migrateResults(db)
+    migrateRevisions(db)
+    db.prepare('INSERT INTO students (id, name) VALUES (?, ?)').run('s1', 'Alice')
+    db.prepare('INSERT INTO students (id, name) VALUES (?, ?)').run('s2', 'Bob')
+  })
+
+  beforeEach(() => {
+    service = new ExerciseScheduleService()
+    vi.clearAllMocks()
+    databaseGenerator.generatePuzzles.mockReturnValue(fakePuzzles(5))
+    db.exec(`
+      DELETE FROM exercise_schedule_runs; DELETE FROM exercise_schedules;
+      DELETE FROM student_exercises; DELETE FROM weekly_exercises;
+    `)
+  })
+
+  afterAll(() => {
+    db.close()
+  })
+
+  const create = (overrides = {}) => service.createSchedule({
+    name: 'Tactics Club',
+    themes: ['pin', 'fork'],
+    count: 5,
+    studentIds: ['s1', 's2'],
+    weekday: 1,
+    startsOn: '2026-01-01',
+    ...overrides
+  }).data
+
+  describe('validation', () => {
+    it('rejects schedules without students', () => {
+      const result = service.createSchedule({ name: 'X', studentIds: [] })
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('student')
+    })
+
+    it('rejects an inverted rating band', () => {
+      const result = service.createSchedule({ name: 'X', studentIds: ['s1'], minRating: 2000, maxRating: 1500 })
+      expect(result.success).toBe(false)
+    })
+
+    it('rejects an out-of-range weekday', () => {
+      const result = service.createSchedule({ name: 'X', studentIds: ['s1'], weekday: 7 })
+      expect(result.success).toBe(false)
+    })
+
+    it('rejects student IDs that do not exist', () => {
+      const result = service.createSchedule({ name: 'X', studentIds: ['s1', 's9', 's1,s2'] })
+      expect(result).toEqual({ success: false, error: 'Unknown student IDs: s9, s1,s2' })
+
+      const schedule = create()
+      expect(service.updateSchedule(schedule.id, { studentIds: ['s9'] }).success).toBe(false)
+      expect(service.getSchedule(schedule.id).student_ids).toEqual(['s1', 's2'])
+    })
+
+    it('checks updates against the stored rating band', () => {
+      const schedule = create({ minRating: 1200, maxRating: 1600 })
+      expect(service.updateSchedule(schedule.id, { minRating: 1800 }).success).toBe(false)
+    })
+  })
+
+  it('stores and returns the schedule in API shape', () => {
+    const schedule = create()
+    expect(schedule.themes).toEqual(['pin', 'fork'])
+    expect(schedule.student_ids).toEqual(['s1', 's2'])
+    expect(schedule.active).toBe(true)
+    expect(schedule.exclude_seen).toBe(true)
+  })
+
+  describe('isDue', () => {
+    it('is due once the weekday has arrived', () => {
+      expect(service.isDue(create({ weekday: 1 }), WEDNESDAY)).toBe(true)
+      expect(service.isDue(create({ weekday: 3 }), WEDNESDAY)).toBe(true)
+    })
+
+    it('is not due before the weekday', () => {
+      expect(service.isDue(create({ weekday: 5 }), WEDNESDAY)).toBe(false)
+    })
+
+    it('does not back-fill weeks before the start date', () => {
+      expect(service.isDue(create({ weekday: 1, startsOn: '2026-04-07' }), WEDNESDAY)).toBe(false)
+    })
+
+    it('is not due while paused', () => {
+      const schedule = create()
+      const paused = service.updateSchedule(schedule.id, { active: false }).data
+      expect(service.isDue(paused, WEDNESDAY)).toBe(false)
+      expect(service.getUpcomingRuns(paused, WEDNESDAY)).toEqual([])
+    })
+  })
+
+  describe('runDueSchedules', () => {
+    it('creates and assigns one exercise per week', () => {
+      const schedule = create()
+
+      const first = service.runDueSchedules(WEDNESDAY)
+      expect(first.ran).toHaveLength(1)
+
+      const exercise = db.prepare('SELECT * FROM weekly_exercises').get()
+      expect(exercise.week_start).toBe('2026-04-06')
+      expect(exercise.puzzle_ids).toBe('p1,p2,p3,p4,p5')
+      expect(JSON.parse(exercise.filters).schedule_id).toBe(schedule.id)
+      expect(db.prepare('SELECT COUNT(*) AS n FROM student_exercises').get().n).toBe(2)
+
+      const again = service.runDueSchedules(new Date(2026, 3, 10))
+      expect(again.ran).toHaveLength(0)
+      expect(db.prepare('SELECT COUNT(*) AS n FROM weekly_exercises').get().n).toBe(1)
+    })
+
+    it('excludes puzzles the students have already been assigned', () => {
+      create()
+      service.runDueSchedules(WEDNESDAY)
+      service.runDueSchedules(new Date(2026, 3, 13))
+
+      const options = databaseGenerator.generatePuzzles.mock.calls[1][2]
+      expect([...options.excludeIds].sort()).toEqual(['p1', 'p2', 'p3', 'p4', 'p5'])
+    })
+
+    it('records failed runs and retries them later', () => {
+      const schedule = create()
+      databaseGenerator.generatePuzzles.mockReturnValue([])
+
+      const result = service.runDueSchedules(WEDNESDAY)
+      expect(result.failed).toHaveLength(1)
+      expect(service.getRuns(schedule.id)[0].status).toBe('failed')
+
+      databaseGenerator.generatePuzzles.mockReturnValue(fakePuzzles(5))
+      expect(service.runDueSchedules(WEDNESDAY).ran).toHaveLength(1)
+    })
+
+    it('keeps one failed run per week however often it retries', () => {
+      const schedule = create()
+      databaseGenerator.generatePuzzles.mockReturnValue([])
+
+      expect(service.runDueSchedules(WEDNESDAY).failed).toHaveLength(1)
+      expect(service.runDueSchedules(WEDNESDAY).failed).toHaveLength(0)
+      expect(service.runDueSchedules(new Date(2026, 3, 9)).failed).toHaveLength(0)
+      expect(databaseGenerator.generatePuzzles).toHaveBeenCalledTimes(3)
+      expect(service.getRuns(schedule.id).map(r => r.status)).toEqual(['failed'])
+
+      expect(service.runDueSchedules(new Date(2026, 3, 13)).failed).toHaveLength(1)
+      expect(service.getRuns(schedule.id)).toHaveLength(2)
+    })
+  })
+
+  describe('getUpcomingRuns', () => {
+    it('lists this week while pending, then later weeks', () => {
+      const schedule = create({ weekday: 1 })
+      const runs = service.getUpcomingRuns(schedule, WEDNESDAY, 3)
+      expect(runs.map(r => r.run_on)).toEqual(['2026-04-06', '2026-04-13', '2026-04-20'])
+
+      service.runDueSchedules(WEDNESDAY)
+      expect(service.getUpcomingRuns(schedule, WEDNESDAY, 1)[0].run_on).toBe('2026-04-13')
+    })
+  })
+
+  describe('dryRun', () => {
+    it('previews puzzles and students without saving', () => {
+      const schedule = create({ weekday: 5 })
+      const result = service.dryRun(schedule.id, WEDNESDAY)
+
+      expect(result.success).toBe(true)
+      expect(result.data.run_on).toBe('2026-04-10')
+      expect(result.data.puzzles).toHaveLength(5)
+      expect(result.data.students.map(s => s.name)).toEqual(['Alice', 'Bob'])
+      expect(db.prepare('SELECT COUNT(*) AS n FROM weekly_exercises').get().n).toBe(0)
+      expect(service.getRuns(schedule.id)).toHaveLength(0)
+    })
+
+    it('returns an error for unknown schedules', () => {
+      expect(service.dryRun('missing').success).toBe(false)
+    })
+  })
+
+  it('deletes a schedule but keeps its exercises', () => {
+    const schedule = create()
+    service.runDueSchedules(WEDNESDAY)
+    expect(service.deleteSchedule(schedule.id).success).toBe(true)
+    expect(service.getSchedule(schedule.id)).toBeNull()
+    expect(db.prepare('SELECT COUNT(*) AS n FROM weekly_exercises').get().n).toBe(1)
+  })
+})
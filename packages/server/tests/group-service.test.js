@@ -0,0 +1,198 @@
+/**
+ * Tests for GroupService — membership, group assignment with backfill for
+ * later joiners, and the class dashboard aggregation.
+ * Uses in-memory SQLite behind a mocked database wrapper.
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+
+const db = new Database(':memory:')
+
+vi.mock('../src/database/SqliteDatabase.js', () => ({
+  database: {
+    query: (sql, params = []) => db.prepare(sql).all(...params),
+    queryOne: (sql, params = []) => db.prepare(sql).get(...params) || null,
+    run: (sql, params = []) => db.prepare(sql).run(...params),
+    transaction: (fn) => db.transaction(fn)()
+  }
+}))
+
+vi.mock('../src/exercises/ReviewQueueService.js', () => ({
+  reviewQueueService: { syncFromStudentExercise: vi.fn() }
+}))
+
+vi.mock('../src/students/StudentRatingService.js', () => ({
+  studentRatingService: { recordExerciseResults: vi.fn() }
+}))
+
+const { GroupService } = await import('../src/students/GroupService.js')
+const { exerciseService } = await import('../src/exercises/ExerciseService.js')
+const migrations = await Promise.all([
+  import('../src/database/migrations/002_add_exercise_tables.js'),
+  import('../src/database/migrations/003_add_puzzle_results.js'),
+  import('../src/database/migrations/005_add_puzzle_hints.js'),
+  import('../src/database/migrations/006_add_is_final_flag.js'),
+  import('../src/database/migrations/010_add_due_dates.js'),
+  import('../src/database/migrations/011_add_groups.js'),
+  import('../src/database/migrations/012_add_timed_exercises.js'),
+  import('../src/database/migrations/014_add_student_puzzle_results.js'),
+  import('../src/database/migrations/016_add_puzzle_revisions.js')
+])
+
+describe('GroupService', () => {
+  let service
+  let exerciseId
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    db.exec('CREATE TABLE puzzles (id TEXT PRIMARY KEY, themes TEXT)')
+    migrations.forEach(m => m.migrate(db))
+
+    const insertStudent = db.prepare('INSERT INTO students (id, name) VALUES (?, ?)')
+    insertStudent.run('s1', 'Alice')
+    insertStudent.run('s2', 'Bob')
+    insertStudent.run('s3', 'Carol')
+
+    const insertPuzzle = db.prepare('INSERT INTO puzzles (id, themes) VALUES (?, ?)')
+    insertPuzzle.run('p1', 'fork,short')
+    insertPuzzle.run('p2', 'pin')
+    insertPuzzle.run('p3', 'fork')
+  })
+
+  beforeEach(() => {
+    service = new GroupService()
+    db.exec(`
+      DELETE FROM group_exercises; DELETE FROM group_members; DELETE FROM groups;
+      DELETE FROM student_puzzle_results; DELETE FROM student_exercises; DELETE FROM weekly_exercises;
+    `)
+    exerciseId = exerciseService.createWeeklyExercise({ puzzleIds: ['p1', 'p2', 'p3'], weekStart: '2026-04-06' }).data.id
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  afterAll(() => {
+    db.close()
+  })
+
+  const assignedTo = (id) => db.prepare('SELECT student_id FROM student_exercises WHERE exercise_id = ? ORDER BY student_id')
+    .all(id).map(r => r.student_id)
+
+  it('creates a group with its initial members', () => {
+    const result = service.createGroup({ name: ' Tuesday Juniors ', studentIds: ['s1', 's2'] })
+
+    expect(result.success).toBe(true)
+    expect(result.data.name).toBe('Tuesday Juniors')
+    expect(result.data.members.map(m => m.name)).toEqual(['Alice', 'Bob'])
+    expect(result.data.added).toEqual(['s1', 's2'])
+    expect(service.listGroups()[0].member_count).toBe(2)
+  })
+
+  it('reports initial members that could not be added', () => {
+    const result = service.createGroup({ name: 'A', studentIds: ['s1', 'nobody'] })
+
+    expect(result.data.added).toEqual(['s1'])
+    expect(result.data.errors).toEqual(['Student nobody not found'])
+  })
+
+  it('requires a name', () => {
+    expect(service.createGroup({ name: '  ' }).success).toBe(false)
+  })
+
+  it('reports unknown students and ignores existing members', () => {
+    const group = service.createGroup({ name: 'A', studentIds: ['s1'] }).data
+    const result = service.addMembers(group.id, ['s1', 's2', 'nobody'])
+
+    expect(result.data.added).toEqual(['s2'])
+    expect(result.data.errors).toEqual(['Student nobody not found'])
+  })
+
+  it('assigns an exercise to every member, skipping those who already have it', () => {
+    const group = service.createGroup({ name: 'A', studentIds: ['s1', 's2'] }).data
+    exerciseService.assignExerciseToStudents(exerciseId, ['s1'])
+
+    const result = service.assignExercise(group.id, exerciseId)
+
+    expect(result.success).toBe(true)
+    expect(result.data.assigned.map(a => a.student_id)).toEqual(['s2'])
+    expect(result.data.skipped).toBe(1)
+    expect(result.data.errors).toEqual([])
+    expect(assignedTo(exerciseId)).toEqual(['s1', 's2'])
+  })
+
+  it('backfills later joiners only when requested', () => {
+    vi.useFakeTimers({ now: new Date(2026, 3, 8, 12, 0) })
+    const group = service.createGroup({ name: 'A', studentIds: ['s1'] }).data
+    const dueAt = new Date(2026, 3, 10, 18, 0).toISOString()
+    service.assignExercise(group.id, exerciseId, { dueAt, backfill: true })
+
+    const other = exerciseService.createWeeklyExercise({ puzzleIds: ['p2'], weekStart: '2026-04-13' }).data.id
+    service.assignExercise(group.id, other)
+
+    const result = service.addMembers(group.id, ['s3'])
+
+    expect(result.data.backfilled.map(a => a.exercise_id)).toEqual([exerciseId])
+    expect(result.data.backfilled[0].due_at).toBe(dueAt)
+    expect(assignedTo(exerciseId)).toEqual(['s1', 's3'])
+    expect(assignedTo(other)).toEqual(['s1'])
+  })
+
+  it('gives later joiners as long as the group had once its due date has passed', () => {
+    vi.useFakeTimers({ now: new Date(2026, 3, 1, 12, 0) })
+    const group = service.createGroup({ name: 'A', studentIds: ['s1'] }).data
+    service.assignExercise(group.id, exerciseId, { dueAt: new Date(2026, 3, 11, 12, 0).toISOString(), backfill: true })
+
+    vi.setSystemTime(new Date(2026, 3, 20, 12, 0))
+    const result = service.addMembers(group.id, ['s3'])
+
+    expect(result.data.backfilled[0].due_at).toBe(new Date(2026, 3, 30, 12, 0).toISOString())
+    expect(exerciseService.saveStudentAttempt(result.data.backfilled[0].id, 1).data.is_late).toBe(0)
+  })
+
+  it('keeps assignments when a member leaves or the group is deleted', () => {
+    const group = service.createGroup({ name: 'A', studentIds: ['s1', 's2'] }).data
+    service.assignExercise(group.id, exerciseId, { backfill: true })
+
+    expect(service.removeMember(group.id, 's2').success).toBe(true)
+    expect(service.removeMember(group.id, 's2').success).toBe(false)
+    expect(service.deleteGroup(group.id).success).toBe(true)
+
+    expect(service.getGroup(group.id)).toBeNull()
+    expect(assignedTo(exerciseId)).toEqual(['s1', 's2'])
+  })
+
+  it('rejects unknown groups and exercises', () => {
+    const group = service.createGroup({ name: 'A' }).data
+    expect(service.assignExercise('missing', exerciseId).success).toBe(false)
+    expect(service.assignExercise(group.id, 'missing').success).toBe(false)
+    expect(service.addMembers('missing', ['s1']).success).toBe(false)
+  })
+
+  describe('getDashboard', () => {
+    it('averages scores per exercise and aggregates theme weaknesses', () => {
+      const group = service.createGroup({ name: 'A', studentIds: ['s1', 's2', 's3'] }).data
+      const { assigned } = service.assignExercise(group.id, exerciseId).data
+      const byStudent = Object.fromEntries(assigned.map(a => [a.student_id, a.id]))
+
+      exerciseService.gradeExercise(byStudent.s1, 3, null, '1,1,1')
+      exerciseService.gradeExercise(byStudent.s2, 1, null, '0,1,0')
+
+      const dashboard = service.getDashboard(group.id)
+
+      expect(dashboard.exercises).toHaveLength(1)
+      expect(dashboard.exercises[0]).toMatchObject({ assigned: 3, graded: 2, average_score: 67, group_assigned: true })
+      expect(dashboard.summary.average_score).toBe(67)
+
+      const fork = dashboard.themes.find(t => t.theme === 'fork')
+      expect(fork).toMatchObject({ attempted: 4, correct: 2, accuracy: 50, students: 2, struggling: 1 })
+      expect(dashboard.themes.map(t => t.theme)).toEqual(['fork', 'pin'])
+      expect(dashboard.summary.weakest).toEqual({ theme: 'Fork', accuracy: 50 })
+    })
+
+    it('returns null for unknown groups', () => {
+      expect(service.getDashboard('missing')).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,116 @@
+/**
+ * Tests for Lichess puzzle import — replaying game.pgn to the puzzle's
+ * starting position, building SAN moves ready for importFromLichess, and the
+ * /api/lichess routes against recorded API responses.
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { LichessClient, buildLichessPuzzle, replayToPuzzle } from '../src/puzzles/LichessClient.js'
+import { createLichessRoutes } from '../src/routes/lichess.js'
+import { validatePuzzle, verifySolution } from '../src/puzzles/validation/PuzzleValidator.js'
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/lichess')
+const fixture = (name) => JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'))
+
+const FIXTURES = {
+  Qxf7a: fixture('puzzle-Qxf7'),
+  LgrMt: fixture('puzzle-mate-in-2'),
+  daily: fixture('puzzle-mate-in-2')
+}
+
+// Answers like the Lichess API from the recorded responses
+function fixtureFetch(url) {
+  const id = url.split('/').pop()
+  const body = FIXTURES[id]
+  return Promise.resolve({
+    ok: !!body,
+    status: body ? 200 : 404,
+    json: () => Promise.resolve(body)
+  })
+}
+
+function createApp(fetch = fixtureFetch) {
+  return createLichessRoutes(new LichessClient({ fetch }))
+}
+
+describe('replayToPuzzle', () => {
+  it('stops before the opponent move', () => {
+    expect(replayToPuzzle('e4 e5 Bc4 Nc6 Qh5 Nf6', 5)).toEqual({
+      success: true,
+      fen: 'r1bqkbnr/pppp1ppp/2n5/4p2Q/2B1P3/8/PPPP1PPP/RNB1K1NR b KQkq - 3 3',
+      opponentMove: 'Nf6'
+    })
+  })
+
+  it('fails when the game is shorter than the puzzle start', () => {
+    expect(replayToPuzzle('e4 e5', 5)).toMatchObject({ success: false, error: 'game has 2 moves, puzzle starts after 6' })
+    expect(replayToPuzzle('e4 e5 Ke3', 1).success).toBe(false)
+    expect(replayToPuzzle('', 0).success).toBe(false)
+  })
+})
+
+describe('buildLichessPuzzle', () => {
+  it('rebuilds the FEN and SAN moves from the game', () => {
+    const puzzle = buildLichessPuzzle(FIXTURES.LgrMt)
+    expect(puzzle).toMatchObject({
+      id: 'LgrMt',
+      fen: 'rn1qkbnr/ppp2p1p/3p2p1/4N3/2B1P1b1/2N5/PPPP1PPP/R1BQK2R b KQkq - 0 5',
+      moves: ['Bxd1', 'Bxf7+', 'Ke7', 'Nd5#'],
+      opponentMove: 'Bxd1',
+      solution: ['c4f7', 'e8e7', 'c3d5'],
+      rating: 1284,
+      game_url: 'https://lichess.org/Hk2mQpLr#10'
+    })
+    expect(puzzle.note).toBeUndefined()
+  })
+
+  it('gives a puzzle importFromLichess accepts', () => {
+    const puzzle = buildLichessPuzzle(FIXTURES.Qxf7a)
+    const validation = validatePuzzle({ ...puzzle, id: `lichess_${puzzle.id}`, source: 'lichess_import' })
+    expect(validation.valid).toBe(true)
+    expect(verifySolution(puzzle.fen, puzzle.moves)).toMatchObject({ valid: true, isCheckmate: true })
+  })
+
+  it('leaves the FEN empty with a note when the game cannot be replayed', () => {
+    const broken = { ...FIXTURES.Qxf7a, puzzle: { ...FIXTURES.Qxf7a.puzzle, initialPly: 40 } }
+    const puzzle = buildLichessPuzzle(broken)
+    expect(puzzle).toMatchObject({ fen: null, moves: null })
+    expect(puzzle.note).toMatch(/please enter the FEN manually/)
+
+    const wrongSolution = { ...FIXTURES.Qxf7a, puzzle: { ...FIXTURES.Qxf7a.puzzle, solution: ['a1a8'] } }
+    expect(buildLichessPuzzle(wrongSolution).note).toMatch(/does not fit/)
+  })
+})
+
+describe('/api/lichess routes', () => {
+  it('returns the rebuilt puzzle', async () => {
+    const res = await createApp().request('/puzzle/Qxf7a')
+    expect(res.status).toBe(200)
+    const body = await res.json()
+    expect(body.data).toMatchObject({ id: 'Qxf7a', moves: ['Nf6', 'Qxf7#'], themes: ['mate', 'mateIn1', 'opening', 'short'] })
+  })
+
+  it('asks Lichess for the requested puzzle', async () => {
+    const fetch = vi.fn(fixtureFetch)
+    await createApp(fetch).request('/puzzle/LgrMt')
+    expect(fetch).toHaveBeenCalledWith('https://lichess.org/api/puzzle/LgrMt', expect.any(Object))
+  })
+
+  it('maps Lichess errors', async () => {
+    expect((await createApp().request('/puzzle/missing')).status).toBe(404)
+    expect((await createApp().request('/puzzle/bad-id!')).status).toBe(400)
+
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const offline = createApp(() => Promise.reject(new Error('ENOTFOUND')))
+    expect((await offline.request('/puzzle/Qxf7a')).status).toBe(502)
+  })
+
+  it('returns the daily puzzle', async () => {
+    const res = await createApp().request('/daily')
+    const body = await res.json()
+    expect(body.data).toMatchObject({ id: 'LgrMt', solution: ['c4f7', 'e8e7', 'c3d5'] })
+  })
+})
@@ -275,4 +275,33 @@ describe('buildGenerateParams', () => {
     const params = buildGenerateParams(null, '', 10)
     expect(params.minPopularity).toBe(80)
   })
+
+  it('passes student IDs through only when some are selected', () => {
+    expect(buildGenerateParams(null, '', 10, ['s1', 's2']).studentIds).toEqual(['s1', 's2'])
+    expect(buildGenerateParams(null, '', 10, [])).not.toHaveProperty('studentIds')
+    expect(buildGenerateParams(null, '', 10)).not.toHaveProperty('studentIds')
+  })
+
+  it('passes the opening through only when one is picked', () => {
+    expect(buildGenerateParams(null, '', 10, [], 'Italian_Game').opening).toBe('Italian_Game')
+    expect(buildGenerateParams(null, '', 10, [], '')).not.toHaveProperty('opening')
+  })
+
+  it('sends the match mode, or weights for a mix', () => {
+    const all = buildGenerateParams(['fork', 'endgame'], '', 10, [], null, { matchMode: 'all', weights: null })
+    expect(all.matchMode).toBe('all')
+    expect(all).not.toHaveProperty('weights')
+
+    const mix = buildGenerateParams(['fork', 'pin'], '', 10, [], null, { matchMode: 'any', weights: { fork: 70, pin: 30 } })
+    expect(mix.weights).toEqual({ fork: 70, pin: 30 })
+    expect(mix).not.toHaveProperty('matchMode')
+
+    expect(buildGenerateParams([], '', 10, [], null, { matchMode: 'none' })).not.toHaveProperty('matchMode')
+  })
+
+  it('sends only the position filters that are filled in', () => {
+    const params = buildGenerateParams(null, '', 10, [], null, {}, { material: 'R+P vs R', sideToMove: '', mateIn: null, maxPieces: 6 })
+    expect(params.structure).toEqual({ material: 'R+P vs R', maxPieces: 6 })
+    expect(buildGenerateParams(null, '', 10, [], null, {}, { material: '', mateIn: null })).not.toHaveProperty('structure')
+  })
 })
@@ -0,0 +1,104 @@
+/**
+ * Tests for the opening index — building it from puzzles.opening_tags,
+ * grouping variations under their family, and the opening filter in
+ * DatabaseLoader.queryPuzzles. Uses an in-memory SQLite puzzles table.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+import { SqliteDatabase } from '../src/database/SqliteDatabase.js'
+import { DatabaseLoader } from '../src/database/DatabaseLoader.js'
+
+const FEN = 'r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 3 3'
+
+describe('Opening index', () => {
+  const database = new SqliteDatabase()
+  const loader = new DatabaseLoader()
+
+  beforeAll(() => {
+    database.db = new Database(':memory:')
+    database.initialized = true
+    database.db.exec(`
+      CREATE TABLE puzzles (
+        id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER,
+        popularity INTEGER, themes TEXT, opening_tags TEXT
+      )
+    `)
+
+    const insert = database.db.prepare('INSERT INTO puzzles VALUES (?, ?, ?, ?, ?, ?, ?)')
+    insert.run('i1', FEN, 'g8f6 f3g5', 1500, 90, 'fork', 'Italian_Game Italian_Game_Two_Knights_Defense')
+    insert.run('i2', FEN, 'f8c5 c2c3', 1600, 90, 'pin', 'Italian_Game Italian_Game_Classical_Variation')
+    insert.run('i3', FEN, 'f8c5 c2c3', 2300, 90, 'fork', 'Italian_Game')
+    insert.run('s1', FEN, 'c7c5 g1f3', 1500, 90, 'fork', 'Sicilian_Defense Sicilian_Defense_Najdorf_Variation')
+    insert.run('x1', FEN, 'e7e5 g1f3', 1500, 90, 'fork', '')
+    insert.run('x2', FEN, 'e7e5 g1f3', 1500, 90, 'fork', null)
+
+    database.buildThemeIndex()
+    database.buildOpeningIndex()
+    loader.db = database
+    loader.loaded = true
+  })
+
+  afterAll(() => {
+    database.close()
+  })
+
+  it('indexes every family and variation tag', () => {
+    expect(database.openingIndex.get('Italian_Game').map(p => p.id)).toEqual(['i1', 'i2', 'i3'])
+    expect(database.getPuzzleIdsByOpening('Italian_Game', { maxRating: 2000 })).toEqual(['i1', 'i2'])
+    expect(database.getPuzzleIdsByOpening('Sicilian_Defense_Najdorf_Variation')).toEqual(['s1'])
+    expect(database.getPuzzleIdsByOpening('French_Defense')).toEqual([])
+  })
+
+  it('lists variations under their family, most puzzles first', () => {
+    const openings = loader.getOpenings()
+
+    expect(openings.map(o => [o.tag, o.count])).toEqual([['Italian_Game', 3], ['Sicilian_Defense', 1]])
+    expect(openings[0].name).toBe('Italian Game')
+    expect(openings[0].variations.map(v => v.tag)).toEqual([
+      'Italian_Game_Classical_Variation',
+      'Italian_Game_Two_Knights_Defense'
+    ])
+  })
+
+  it('reuses the list until the index is rebuilt', () => {
+    const openings = loader.getOpenings()
+    expect(loader.getOpenings()).toBe(openings)
+
+    database.buildOpeningIndex()
+    expect(loader.getOpenings()).not.toBe(openings)
+    expect(loader.getOpenings()).toEqual(openings)
+  })
+
+  it('seeds opening-only queries from the index instead of scanning the rating band', () => {
+    const query = vi.spyOn(database, 'query')
+    const ids = loader.queryPuzzles({ openings: ['Italian_Game'], minRating: 1550 }).map(p => p.id).sort()
+    expect(ids).toEqual(['i2', 'i3'])
+    expect(query).not.toHaveBeenCalled()
+    query.mockRestore()
+  })
+
+  it('filters generated candidates by opening', () => {
+    const ids = (opts) => loader.queryPuzzles({ limit: 20, ...opts }).map(p => p.id).sort()
+
+    expect(ids({ openings: ['Italian_Game'] })).toEqual(['i1', 'i2', 'i3'])
+    expect(ids({ openings: ['Italian_Game'], themes: ['fork'] })).toEqual(['i1', 'i3'])
+    expect(ids({ openings: ['Italian_Game', 'Sicilian_Defense'], maxRating: 2000 })).toEqual(['i1', 'i2', 's1'])
+    expect(ids({ openings: ['French_Defense'] })).toEqual([])
+  })
+
+  it('returns the opening tags with each puzzle', () => {
+    const [puzzle] = loader.queryPuzzles({ openings: ['Sicilian_Defense_Najdorf_Variation'] })
+    expect(puzzle.openings).toEqual(['Sicilian_Defense', 'Sicilian_Defense_Najdorf_Variation'])
+  })
+
+  it('builds an empty index for databases without the column', () => {
+    const legacy = new SqliteDatabase()
+    legacy.db = new Database(':memory:')
+    legacy.db.exec('CREATE TABLE puzzles (id TEXT PRIMARY KEY, rating INTEGER, popularity INTEGER, themes TEXT)')
+
+    legacy.buildOpeningIndex()
+    expect(legacy.openingIndex.size).toBe(0)
+    legacy.close()
+  })
+})
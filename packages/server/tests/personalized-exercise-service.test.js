@@ -0,0 +1,212 @@
+/**
+ * Tests for PersonalizedExerciseService — theme plan, rating bands and
+ * exclusion of puzzles a student has already seen, and the batch route.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { Hono } from 'hono'
+
+vi.mock('../src/database/SqliteDatabase.js', () => ({
+  database: { transaction: vi.fn(fn => fn()) }
+}))
+
+vi.mock('../src/database/DatabaseGenerator.js', () => ({
+  databaseGenerator: { generatePuzzles: vi.fn() }
+}))
+
+vi.mock('../src/exercises/ExerciseService.js', () => ({
+  exerciseService: {
+    createWeeklyExercise: vi.fn((data) => ({ success: true, data: { id: 'exercise_1', ...data } })),
+    assignExerciseToStudents: vi.fn(() => ({ success: true, data: { assigned: [{ id: 'se_1' }], errors: [] } }))
+  }
+}))
+
+vi.mock('../src/exercises/ExerciseRepository.js', () => ({
+  exerciseRepository: { findSeenPuzzleIds: vi.fn(() => new Set(['seen1'])) }
+}))
+
+vi.mock('../src/exercises/ThemeAnalyticsService.js', () => ({
+  themeAnalyticsService: { getStudentThemeAnalytics: vi.fn() }
+}))
+
+vi.mock('../src/students/StudentRepository.js', () => ({
+  studentRepository: {
+    findById: vi.fn((id) => id === 's1' ? { id: 's1', name: 'Alice', skill_level: 'intermediate' } : null)
+  }
+}))
+
+vi.mock('../src/students/StudentRatingService.js', () => ({
+  studentRatingService: { getRating: vi.fn(() => ({ rating: 1500, games: 0 })) }
+}))
+
+const { PersonalizedExerciseService } = await import('../src/exercises/PersonalizedExerciseService.js')
+const { database } = await import('../src/database/SqliteDatabase.js')
+const { databaseGenerator } = await import('../src/database/DatabaseGenerator.js')
+const { exerciseService } = await import('../src/exercises/ExerciseService.js')
+const { themeAnalyticsService } = await import('../src/exercises/ThemeAnalyticsService.js')
+const { studentRatingService } = await import('../src/students/StudentRatingService.js')
+const { default: exercises } = await import('../src/routes/exercises.js')
+
+const THEMES = [
+  { theme: 'pin', accuracy: 20 },
+  { theme: 'fork', accuracy: 40 },
+  { theme: 'skewer', accuracy: 60 },
+  { theme: 'deflection', accuracy: 70 },
+  { theme: 'backrankmate', accuracy: 85 },
+  { theme: 'matein1', accuracy: 95 }
+]
+
+function createApp() {
+  const app = new Hono()
+  app.use('*', async (c, next) => {
+    c.set('user', { id: 'u_admin', role: 'admin' })
+    await next()
+  })
+  app.route('/', exercises)
+  return app
+}
+
+function fakePuzzles(prefix, n) {
+  return Array.from({ length: n }, (_, i) => ({ id: `${prefix}${i}` }))
+}
+
+describe('PersonalizedExerciseService', () => {
+  let service
+
+  beforeEach(() => {
+    service = new PersonalizedExerciseService()
+    vi.clearAllMocks()
+    themeAnalyticsService.getStudentThemeAnalytics.mockReturnValue({ summary: {}, themes: THEMES })
+    studentRatingService.getRating.mockReturnValue({ rating: 1500, games: 0 })
+  })
+
+  describe('buildPlan', () => {
+    it('picks the three weakest and two strongest themes', () => {
+      const plan = service.buildPlan({ id: 's1', skill_level: 'beginner' }, 10)
+      expect(plan.weak_themes).toEqual(['pin', 'fork', 'skewer'])
+      expect(plan.maintenance_themes).toEqual(['matein1', 'backrankmate'])
+      expect(plan.weak_count).toBe(7)
+      expect(plan.maintenance_count).toBe(3)
+    })
+
+    it('falls back to the skill level when the student has no rating yet', () => {
+      const plan = service.buildPlan({ id: 's1', skill_level: 'advanced' }, 10)
+      expect(plan.target_rating).toBe(2000)
+    })
+
+    it('uses the Glicko-2 rating once the student has rated puzzles', () => {
+      studentRatingService.getRating.mockReturnValue({ rating: 1733.4, games: 12 })
+      const plan = service.buildPlan({ id: 's1', skill_level: 'beginner' }, 10)
+      expect(plan.target_rating).toBe(1733)
+      expect(plan.weak_rating).toEqual({ min: 1533, max: 1833 })
+    })
+
+    it('spends every puzzle on weak themes when nothing is strong yet', () => {
+      themeAnalyticsService.getStudentThemeAnalytics.mockReturnValue({ summary: {}, themes: THEMES.slice(0, 2) })
+      const plan = service.buildPlan({ id: 's1' }, 8)
+      expect(plan.weak_count).toBe(8)
+      expect(plan.maintenance_count).toBe(0)
+    })
+
+    it('produces an unthemed plan for students without history', () => {
+      themeAnalyticsService.getStudentThemeAnalytics.mockReturnValue({ summary: {}, themes: [] })
+      const plan = service.buildPlan({ id: 's1' }, 8)
+      expect(plan.weak_count).toBe(0)
+      expect(plan.maintenance_count).toBe(0)
+    })
+  })
+
+  describe('createForStudent', () => {
+    it('excludes seen puzzles and assigns the new exercise', () => {
+      databaseGenerator.generatePuzzles
+        .mockReturnValueOnce(fakePuzzles('w', 7))
+        .mockReturnValueOnce(fakePuzzles('m', 3))
+        .mockReturnValue([])
+
+      const result = service.createForStudent('s1', { count: 10 })
+
+      expect(result.success).toBe(true)
+      const [themes, , options] = databaseGenerator.generatePuzzles.mock.calls[0]
+      expect(themes).toBe('pin,fork,skewer')
+      expect(options.excludeIds.has('seen1')).toBe(true)
+
+      const created = exerciseService.createWeeklyExercise.mock.calls[0][0]
+      expect(created.puzzleIds).toHaveLength(10)
+      expect(created.filters.personalized).toBe(true)
+      expect(exerciseService.assignExerciseToStudents).toHaveBeenCalledWith('exercise_1', ['s1'])
+    })
+
+    it('tops up from any theme when themed pools run short', () => {
+      databaseGenerator.generatePuzzles
+        .mockReturnValueOnce(fakePuzzles('w', 2))
+        .mockReturnValueOnce(fakePuzzles('m', 1))
+        .mockReturnValueOnce(fakePuzzles('any', 7))
+
+      service.createForStudent('s1', { count: 10 })
+
+      const topUp = databaseGenerator.generatePuzzles.mock.calls[2]
+      expect(topUp[0]).toBeNull()
+      expect(topUp[1]).toBe(7)
+      expect(exerciseService.createWeeklyExercise.mock.calls[0][0].puzzleIds).toHaveLength(10)
+    })
+
+    it('fails when no unseen puzzles are available', () => {
+      databaseGenerator.generatePuzzles.mockReturnValue([])
+      const result = service.createForStudent('s1', { count: 5 })
+      expect(result.success).toBe(false)
+      expect(exerciseService.createWeeklyExercise).not.toHaveBeenCalled()
+    })
+
+    it('creates and assigns the exercise in one transaction', () => {
+      databaseGenerator.generatePuzzles.mockReturnValue(fakePuzzles('x', 5))
+      exerciseService.assignExerciseToStudents.mockReturnValueOnce({
+        success: true,
+        data: { assigned: [], errors: ['Alice is already assigned to this exercise'] }
+      })
+
+      expect(service.createForStudent('s1', { count: 5 })).toEqual({
+        success: false,
+        error: 'Alice is already assigned to this exercise'
+      })
+      expect(database.transaction).toHaveBeenCalledTimes(1)
+      expect(exerciseService.createWeeklyExercise).toHaveBeenCalled()
+    })
+
+    it('reports unknown students as errors in batch mode', () => {
+      databaseGenerator.generatePuzzles.mockReturnValue(fakePuzzles('x', 5))
+      const result = service.createForStudents(['s1', 'nobody'], { count: 5 })
+      expect(result.created).toHaveLength(1)
+      expect(result.failed).toEqual([{ student_id: 'nobody', error: 'Student nobody not found' }])
+    })
+  })
+})
+
+describe('POST /personalized', () => {
+  const post = (body) => createApp().request('/personalized', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+
+  beforeEach(() => {
+    themeAnalyticsService.getStudentThemeAnalytics.mockReturnValue({ summary: {}, themes: THEMES })
+    databaseGenerator.generatePuzzles.mockReturnValue(fakePuzzles('x', 5))
+  })
+
+  it('creates exercises and lists the students that failed', async () => {
+    const res = await post({ studentIds: ['s1', 'nobody'], count: 5 })
+    expect(res.status).toBe(201)
+    const { data } = await res.json()
+    expect(data.created).toHaveLength(1)
+    expect(data.failed).toEqual([{ student_id: 'nobody', error: 'Student nobody not found' }])
+  })
+
+  it('returns 422 when no exercise was created', async () => {
+    const res = await post({ studentIds: ['nobody', 'ghost'], count: 5 })
+    expect(res.status).toBe(422)
+    const body = await res.json()
+    expect(body.success).toBe(false)
+    expect(body.error).toBe('No personalized exercises created: Student nobody not found; Student ghost not found')
+    expect(body.data.failed.map(f => f.student_id)).toEqual(['nobody', 'ghost'])
+  })
+})
@@ -0,0 +1,148 @@
+/**
+ * Tests for structural position features — computing material, side to move,
+ * piece count, solution length and mate-in-N, normalizing material signatures,
+ * validating generate filters, the backfill migration and the structure
+ * filter in DatabaseLoader.queryPuzzles.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+import {
+  computePositionFeatures,
+  normalizeMaterialSignature,
+  validateStructureFilters
+} from '../src/shared/PositionFeatures.js'
+import { migrate } from '../src/database/migrations/015_add_puzzle_features.js'
+import { SqliteDatabase } from '../src/database/SqliteDatabase.js'
+import { DatabaseLoader } from '../src/database/DatabaseLoader.js'
+
+const BACK_RANK = 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 1'
+const PROMOTION = '1r4k1/P4ppp/8/8/8/8/5PPP/6K1 w - - 0 1'
+const EN_PASSANT = '4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1'
+
+describe('computePositionFeatures', () => {
+  it('describes the position the solver sees', () => {
+    expect(computePositionFeatures(BACK_RANK, 'a8a2 d1d8', 'backrankmate,mate,matein1')).toEqual({
+      material: 'R+3P vs R+3P',
+      sideToMove: 'w',
+      pieceCount: 10,
+      solutionLength: 1,
+      mateIn: 1
+    })
+  })
+
+  it('applies captures and promotion from the opening move', () => {
+    const features = computePositionFeatures(PROMOTION, 'a7b8q g7g6 b8a8 g8g7', 'advancedpawn')
+    expect(features).toMatchObject({ material: '3P vs Q+3P', sideToMove: 'b', pieceCount: 9, solutionLength: 2, mateIn: null })
+  })
+
+  it('removes the pawn taken en passant', () => {
+    expect(computePositionFeatures(EN_PASSANT, 'e5d6 e8d7', '')).toMatchObject({ material: 'K vs P', pieceCount: 3 })
+  })
+
+  it('uses the solution length for mates without a mateInN tag', () => {
+    expect(computePositionFeatures(BACK_RANK, 'a8a2 d1d8 g8h7 d8h8', 'mate').mateIn).toBe(2)
+  })
+
+  it('returns null for positions it cannot read', () => {
+    expect(computePositionFeatures('not a fen', 'e2e4', '')).toBeNull()
+    expect(computePositionFeatures(BACK_RANK, 'e4e5', '')).toBeNull()
+  })
+})
+
+describe('normalizeMaterialSignature', () => {
+  it('accepts the usual ways of writing material', () => {
+    expect(normalizeMaterialSignature('r+p vs r')).toBe('R+P vs R')
+    expect(normalizeMaterialSignature('KRP vs KR')).toBe('R+P vs R')
+    expect(normalizeMaterialSignature('PP+R vs. r')).toBe('R+2P vs R')
+    expect(normalizeMaterialSignature('Q vs -')).toBe('Q vs K')
+  })
+
+  it('rejects anything else', () => {
+    expect(normalizeMaterialSignature('R+P')).toBeNull()
+    expect(normalizeMaterialSignature('X vs R')).toBeNull()
+    expect(normalizeMaterialSignature('2RP vs R')).toBeNull()
+    expect(normalizeMaterialSignature(42)).toBeNull()
+  })
+})
+
+describe('validateStructureFilters', () => {
+  it('converts filters to column values', () => {
+    const result = validateStructureFilters({ material: 'r vs -', sideToMove: 'black', minPieces: 3, maxPieces: 6, mateIn: 2, minSolutionMoves: '' })
+    expect(result).toEqual({ valid: true, filters: { material: 'R vs K', sideToMove: 'b', minPieces: 3, maxPieces: 6, mateIn: 2 } })
+    expect(validateStructureFilters(null)).toEqual({ valid: true, filters: {} })
+  })
+
+  it('rejects bad values', () => {
+    expect(validateStructureFilters([]).valid).toBe(false)
+    expect(validateStructureFilters({ material: 'rook ending' }).valid).toBe(false)
+    expect(validateStructureFilters({ sideToMove: 'w' }).valid).toBe(false)
+    expect(validateStructureFilters({ minPieces: 1 }).valid).toBe(false)
+    expect(validateStructureFilters({ minSolutionMoves: 4, maxSolutionMoves: 2 }).error).toContain('cannot be greater')
+    expect(validateStructureFilters({ mateIn: 1.5 }).valid).toBe(false)
+  })
+})
+
+describe('Puzzle features migration and filters', () => {
+  const database = new SqliteDatabase()
+  const loader = new DatabaseLoader()
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    database.db = new Database(':memory:')
+    database.initialized = true
+    database.db.exec(`
+      CREATE TABLE puzzles (
+        id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER,
+        popularity INTEGER, themes TEXT
+      )
+    `)
+
+    const insert = database.db.prepare('INSERT INTO puzzles VALUES (?, ?, ?, 1500, 90, ?)')
+    insert.run('mate1', BACK_RANK, 'a8a2 d1d8', 'backrankmate,mate,matein1')
+    insert.run('mate2', BACK_RANK, 'a8a2 d1d8 g8h7 d8h8', 'mate,matein2')
+    insert.run('promo', PROMOTION, 'a7b8q g7g6 b8a8 g8g7', 'advancedpawn')
+    insert.run('ep', EN_PASSANT, 'e5d6 e8d7', 'endgame,pawnendgame')
+    insert.run('broken', 'not a fen', 'e2e4 e7e5', 'fork')
+
+    migrate(database.db)
+    migrate(database.db)
+
+    database.buildThemeIndex()
+    loader.db = database
+    loader.loaded = true
+  })
+
+  afterAll(() => {
+    database.close()
+  })
+
+  it('backfills the feature columns', () => {
+    const rows = database.db.prepare('SELECT id, material, side_to_move, piece_count, solution_length, mate_in FROM puzzles ORDER BY id').all()
+    expect(rows).toEqual([
+      { id: 'broken', material: '', side_to_move: null, piece_count: null, solution_length: null, mate_in: null },
+      { id: 'ep', material: 'K vs P', side_to_move: 'b', piece_count: 3, solution_length: 1, mate_in: null },
+      { id: 'mate1', material: 'R+3P vs R+3P', side_to_move: 'w', piece_count: 10, solution_length: 1, mate_in: 1 },
+      { id: 'mate2', material: 'R+3P vs R+3P', side_to_move: 'w', piece_count: 10, solution_length: 2, mate_in: 2 },
+      { id: 'promo', material: '3P vs Q+3P', side_to_move: 'b', piece_count: 9, solution_length: 2, mate_in: null }
+    ])
+  })
+
+  it('marks unreadable positions so later runs skip them', () => {
+    expect(database.db.prepare('SELECT COUNT(*) AS n FROM puzzles WHERE material IS NULL').get().n).toBe(0)
+    expect(loader.queryPuzzles({ themes: ['fork'] })[0].material).toBeNull()
+  })
+
+  it('filters on structure without a theme', () => {
+    const ids = (structure) => loader.queryPuzzles({ structure }).map(p => p.id).sort()
+    expect(ids({ sideToMove: 'b' })).toEqual(['ep', 'promo'])
+    expect(ids({ material: 'R+3P vs R+3P', mateIn: 2 })).toEqual(['mate2'])
+    expect(ids({ maxPieces: 9, minSolutionMoves: 2 })).toEqual(['promo'])
+  })
+
+  it('combines structure with theme matches', () => {
+    const ids = loader.queryPuzzles({ themes: ['mate'], structure: { maxSolutionMoves: 1 } }).map(p => p.id)
+    expect(ids).toEqual(['mate1'])
+    expect(loader.queryPuzzles({ themes: ['mate'], structure: { maxSolutionMoves: 1 }, minRating: 1600 })).toEqual([])
+  })
+})
@@ -0,0 +1,147 @@
+/**
+ * Tests for alternative solution moves — validating and converting what an
+ * admin enters, keeping them in step with edits to the solution, and serving
+ * them with the puzzle and its pinned revisions.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+import { Hono } from 'hono'
+import {
+  normalizeAlternatives,
+  fitAlternatives,
+  formatAlternatives,
+  parseAlternatives
+} from '../src/puzzles/PuzzleAlternatives.js'
+
+vi.mock('../src/database/SqliteDatabase.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  const database = new actual.SqliteDatabase()
+  database.db = new Database(':memory:')
+  database.initialized = true
+  return { ...actual, database }
+})
+
+const { database } = await import('../src/database/SqliteDatabase.js')
+const { puzzleRevisionService } = await import('../src/puzzles/PuzzleRevisionService.js')
+const { puzzleResolver } = await import('../src/puzzles/PuzzleResolver.js')
+const { reportManager } = await import('../src/reports/PuzzleReportManager.js')
+const { default: puzzles } = await import('../src/routes/puzzles.js')
+const migrations = await Promise.all([
+  import('../src/database/migrations/002_add_exercise_tables.js'),
+  import('../src/database/migrations/015_add_puzzle_features.js'),
+  import('../src/database/migrations/016_add_puzzle_revisions.js'),
+  import('../src/database/migrations/017_add_position_keys.js'),
+  import('../src/database/migrations/019_add_puzzle_alternatives.js'),
+  import('../src/database/migrations/020_add_puzzle_variations.js')
+])
+
+// Black plays Ra2, then Rd8# and Rc8# both mate
+const TWO_ROOKS = 'r5k1/5ppp/8/8/8/8/5PPP/2RR2K1 b - - 0 1'
+const BACK_RANK = 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 1'
+
+describe('normalizeAlternatives', () => {
+  it('converts SAN to stored UCI per solver ply', () => {
+    expect(normalizeAlternatives(TWO_ROOKS, 'a8a2 d1d8', { 1: ['Rc8#', 'c1c7', 'Rc8#'] })).toEqual({
+      valid: true,
+      alternatives: '{"1":["c1c8","c1c7"]}'
+    })
+    expect(normalizeAlternatives(TWO_ROOKS, 'a8a2 d1d8', { 1: [] })).toEqual({ valid: true, alternatives: '' })
+    expect(normalizeAlternatives(TWO_ROOKS, 'a8a2 d1d8', null)).toEqual({ valid: true, alternatives: '' })
+  })
+
+  it('refuses opponent plies, illegal moves and the solution move itself', () => {
+    expect(normalizeAlternatives(TWO_ROOKS, 'a8a2 d1d8', { 0: ['Rb8'] }).error).toContain("solver's moves")
+    expect(normalizeAlternatives(TWO_ROOKS, 'a8a2 d1d8', { 3: ['Rc8#'] }).error).toContain("solver's moves")
+    expect(normalizeAlternatives(TWO_ROOKS, 'a8a2 d1d8', { 1: ['Qh5'] }).error).toBe('Alternative Qh5 is not a legal move at ply 1')
+    expect(normalizeAlternatives(TWO_ROOKS, 'a8a2 d1d8', { 1: ['Rd8#'] }).error).toContain('already the solution move')
+    expect(normalizeAlternatives(TWO_ROOKS, 'a8a2 d1d8', ['Rc8#']).valid).toBe(false)
+  })
+})
+
+describe('fitAlternatives and formatAlternatives', () => {
+  it('drops alternatives the new solution has no room for', () => {
+    const stored = '{"1":["c1c8","c1c7"]}'
+    expect(fitAlternatives(TWO_ROOKS, 'a8a2 d1d8', stored)).toBe(stored)
+    expect(fitAlternatives(TWO_ROOKS, 'a8a2 c1c8', stored)).toBe('{"1":["c1c7"]}')
+    expect(fitAlternatives(BACK_RANK, 'a8a2 d1d8', stored)).toBe('')
+    expect(fitAlternatives(TWO_ROOKS, 'a8a2', stored)).toBe('')
+  })
+
+  it('shows alternatives next to the solution move', () => {
+    expect(formatAlternatives(TWO_ROOKS, 'a8a2 d1d8', '{"1":["c1c8","c1c7"]}')).toBe('Rd8# or Rc8#, Rc7')
+    expect(formatAlternatives(TWO_ROOKS, 'a8a2 d1d8', null)).toBe('')
+    expect(parseAlternatives('not json')).toEqual({})
+  })
+})
+
+describe('editing alternatives', () => {
+  function createApp() {
+    const app = new Hono()
+    app.use('*', async (c, next) => {
+      c.set('user', { id: 'u_admin', role: 'admin' })
+      await next()
+    })
+    app.route('/', puzzles)
+    return app
+  }
+
+  const puzzleRow = (id) => database.db.prepare('SELECT * FROM puzzles WHERE id = ?').get(id)
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    database.db.exec(`
+      CREATE TABLE puzzles (
+        id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER,
+        popularity INTEGER, themes TEXT, game_url TEXT
+      );
+      CREATE TABLE users (id TEXT PRIMARY KEY, username TEXT);
+      INSERT INTO users VALUES ('u_admin', 'coach');
+    `)
+    database.db.prepare("INSERT INTO puzzles VALUES ('p1', ?, 'a8a2 d1d8', 1500, 90, 'mate', '')").run(TWO_ROOKS)
+
+    migrations.forEach(m => m.migrate(database.db))
+    reportManager.initialize()
+    database.buildThemeIndex()
+  })
+
+  afterAll(() => {
+    database.close()
+  })
+
+  it('stores alternatives sent with an edit as a new revision', async () => {
+    const res = await createApp().request('/p1', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ alternatives: { 1: ['Rc8#'] } })
+    })
+    expect(res.status).toBe(200)
+    expect(puzzleRow('p1').alternatives).toBe('{"1":["c1c8"]}')
+
+    const [latest] = puzzleRevisionService.getRevisions('p1')
+    expect(latest.changes).toEqual([{ field: 'alternatives', before: '', after: 'Rd8# or Rc8#' }])
+
+    const body = await (await createApp().request('/p1')).json()
+    expect(body.data.alternatives).toBe('{"1":["c1c8"]}')
+  })
+
+  it('rejects alternatives that do not fit', async () => {
+    const res = await createApp().request('/p1', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ alternatives: { 1: ['Qh5'] } })
+    })
+    expect(res.status).toBe(400)
+  })
+
+  it('trims alternatives when the solution changes', () => {
+    const result = puzzleRevisionService.editPuzzle('p1', { moves: ['Ra2', 'Rc8#'] }, 'u_admin')
+    expect(result.success).toBe(true)
+    expect(puzzleRow('p1').alternatives).toBeNull()
+  })
+
+  it('serves the alternatives of a pinned revision', () => {
+    const [pinned] = puzzleResolver.getPuzzlesByIds(['p1'], { revisions: { p1: 1 } })
+    expect(pinned).toMatchObject({ moves: 'a8a2 d1d8', alternatives: '{"1":["c1c8"]}', revision: 1 })
+  })
+})
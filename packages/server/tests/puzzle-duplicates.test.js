@@ -0,0 +1,174 @@
+/**
+ * Tests for duplicate detection — position keys (move counters, en passant
+ * and colour mirroring), the backfill migration, the warning returned when
+ * creating a puzzle and the admin duplicate scan.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+import { Hono } from 'hono'
+import { computePositionKey, computePositionKeys, mirrorPositionKey } from '../src/shared/PositionKey.js'
+
+vi.mock('../src/database/SqliteDatabase.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  const database = new actual.SqliteDatabase()
+  database.db = new Database(':memory:')
+  database.initialized = true
+  return { ...actual, database }
+})
+
+const { database } = await import('../src/database/SqliteDatabase.js')
+const { puzzleCreationService } = await import('../src/puzzles/PuzzleCreationService.js')
+const { puzzleDuplicateService } = await import('../src/puzzles/PuzzleDuplicateService.js')
+const { default: puzzles } = await import('../src/routes/puzzles.js')
+const { migrate: migrateFeatures } = await import('../src/database/migrations/015_add_puzzle_features.js')
+const { migrate } = await import('../src/database/migrations/017_add_position_keys.js')
+const { migrate: migrateVariations } = await import('../src/database/migrations/020_add_puzzle_variations.js')
+
+const BACK_RANK = 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 1'
+const MIRRORED = '3r2k1/5ppp/8/8/8/8/5PPP/R5K1 w - - 0 1'
+const EN_PASSANT = '4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1'
+
+function createApp(role = 'admin') {
+  const app = new Hono()
+  app.use('*', async (c, next) => {
+    c.set('user', { id: 'u1', role })
+    await next()
+  })
+  app.route('/', puzzles)
+  return app
+}
+
+describe('position keys', () => {
+  it('ignores move counters and keeps the first move', () => {
+    const key = computePositionKey(BACK_RANK, 'a8a2 d1d8')
+    expect(key).toBe('r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - -|a8a2')
+    expect(computePositionKey('r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 12 40', 'a8a2 d1d8 g8h7')).toBe(key)
+    expect(computePositionKey(BACK_RANK, 'g8h8 d1d8')).not.toBe(key)
+  })
+
+  it('only keeps an en passant square that can be captured on', () => {
+    expect(computePositionKey(EN_PASSANT, 'e5d6')).toContain(' w - d6|')
+    expect(computePositionKey('4k3/8/8/3p4/8/8/8/4K3 w - d6 0 1', 'e1e2')).toContain(' w - -|')
+  })
+
+  it('mirrors colours, squares and castling rights', () => {
+    const key = computePositionKey(BACK_RANK, 'a8a2')
+    expect(mirrorPositionKey(key)).toBe(computePositionKey(MIRRORED, 'a1a7'))
+    expect(mirrorPositionKey('4k3/8/8/8/8/8/8/R3K2R w Kq -|e1g1')).toBe('r3k2r/8/8/8/8/8/8/4K3 b Qk -|e8g8')
+    expect(computePositionKeys(BACK_RANK, 'a8a2').mirrorKey).toBe(computePositionKeys(MIRRORED, 'a1a7').mirrorKey)
+  })
+
+  it('returns null for FENs it cannot read', () => {
+    expect(computePositionKey('not a fen', 'e2e4')).toBeNull()
+    expect(computePositionKeys(null, '')).toBeNull()
+  })
+})
+
+describe('duplicate detection', () => {
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    database.db.exec(`
+      CREATE TABLE puzzles (
+        id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER, rating_deviation INTEGER,
+        popularity INTEGER, nb_plays INTEGER, themes TEXT, game_url TEXT, opening_tags TEXT,
+        source TEXT DEFAULT 'lichess'
+      )
+    `)
+
+    const insert = database.db.prepare(
+      "INSERT INTO puzzles (id, fen, moves, rating, popularity, themes, source) VALUES (?, ?, ?, 1500, 90, 'mate', ?)"
+    )
+    insert.run('li1', BACK_RANK, 'a8a2 d1d8', 'lichess')
+    insert.run('li2', 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 7 31', 'a8a2 d1d8', 'lichess')
+    insert.run('li3', MIRRORED, 'a1a7 d8d1', 'lichess')
+    insert.run('li4', EN_PASSANT, 'e5d6 e8d7', 'lichess')
+    insert.run('broken', 'not a fen', 'e2e4', 'lichess')
+    insert.run('broken2', 'still not a fen', 'e2e4', 'lichess')
+
+    migrateFeatures(database.db)
+    migrate(database.db)
+    migrate(database.db)
+    migrateVariations(database.db)
+    database.buildThemeIndex()
+  })
+
+  afterAll(() => {
+    database.close()
+  })
+
+  it('backfills keys for existing puzzles', () => {
+    const rows = database.db.prepare('SELECT id, position_key, mirror_key FROM puzzles ORDER BY id').all()
+    expect(rows.find(r => r.id === 'li1').position_key).toBe(rows.find(r => r.id === 'li2').position_key)
+    expect(rows.find(r => r.id === 'li1').mirror_key).toBe(rows.find(r => r.id === 'li3').mirror_key)
+    expect(rows.find(r => r.id === 'broken')).toMatchObject({ position_key: '', mirror_key: '' })
+  })
+
+  it('does not revisit unreadable positions', () => {
+    const pending = database.db.prepare('SELECT COUNT(*) AS n FROM puzzles WHERE position_key IS NULL')
+    expect(pending.get().n).toBe(0)
+  })
+
+  it('finds exact and mirrored copies of a position', () => {
+    expect(puzzleDuplicateService.findDuplicates(BACK_RANK, 'a8a2 d1d8', { excludeId: 'li2' })).toEqual([
+      { id: 'li1', source: 'lichess', rating: 1500, themes: 'mate', mirrored: false },
+      { id: 'li3', source: 'lichess', rating: 1500, themes: 'mate', mirrored: true }
+    ])
+    expect(puzzleDuplicateService.findDuplicates(EN_PASSANT, 'e1e2')).toEqual([])
+  })
+
+  it('warns about duplicates when creating a puzzle', () => {
+    const result = puzzleCreationService.createPuzzle({
+      id: 'custom_copy',
+      fen: 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 2 25',
+      moves: ['Ra2', 'Rd8#'],
+      source: 'manual',
+      themes: ['mate'],
+      rating: 1400
+    })
+
+    expect(result.success).toBe(true)
+    expect(result.data.duplicates.map(d => [d.id, d.mirrored])).toEqual([['li1', false], ['li2', false], ['li3', true]])
+
+    const fresh = puzzleCreationService.createPuzzle({
+      id: 'custom_new',
+      fen: EN_PASSANT,
+      moves: ['Ke2', 'Kd7'],
+      source: 'manual'
+    })
+    expect(fresh.data.duplicates).toEqual([])
+  })
+
+  it('lists duplicate clusters, largest first', () => {
+    const exact = puzzleDuplicateService.scanDuplicates()
+    expect(exact.total).toBe(1)
+    expect(exact.clusters[0]).toMatchObject({ count: 3 })
+    expect(exact.clusters[0].puzzles.map(p => p.id)).toEqual(['custom_copy', 'li1', 'li2'])
+
+    const mirrored = puzzleDuplicateService.scanDuplicates({ mirrored: true })
+    expect(mirrored.clusters[0].count).toBe(4)
+    expect(mirrored.clusters[0].puzzles.filter(p => p.mirrored).map(p => p.id)).toEqual(['li3'])
+  })
+
+  it('can limit the scan to clusters mixing Lichess and custom puzzles', () => {
+    database.db.prepare('UPDATE puzzles SET source = ? WHERE id = ?').run('lichess', 'custom_copy')
+    expect(puzzleDuplicateService.scanDuplicates({ crossSource: true }).total).toBe(0)
+    database.db.prepare('UPDATE puzzles SET source = ? WHERE id = ?').run('manual', 'custom_copy')
+    expect(puzzleDuplicateService.scanDuplicates({ crossSource: true }).total).toBe(1)
+  })
+
+  describe('GET /duplicates', () => {
+    it('returns a page of clusters', async () => {
+      const res = await createApp().request('/duplicates?mirrored=true&pageSize=1')
+      expect(res.status).toBe(200)
+      const body = await res.json()
+      expect(body.data).toMatchObject({ total: 1, page: 1, pageSize: 1 })
+      expect(body.data.clusters[0].count).toBe(4)
+    })
+
+    it('is admin only', async () => {
+      const res = await createApp('student').request('/duplicates')
+      expect(res.status).toBe(403)
+    })
+  })
+})
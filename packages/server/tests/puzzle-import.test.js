@@ -0,0 +1,256 @@
+/**
+ * Tests for bulk puzzle import — parsing PGN, EPD and CSV files, the dry-run
+ * report, saving the valid rows of a real import and the admin route.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+import { Hono } from 'hono'
+import { Chess } from 'chess.js'
+import { detectFormat, parsePGN, parseEPD, parseCSV, addSetupMove } from '../src/puzzles/PuzzleImportParser.js'
+
+vi.mock('../src/database/SqliteDatabase.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  const database = new actual.SqliteDatabase()
+  database.db = new Database(':memory:')
+  database.initialized = true
+  return { ...actual, database }
+})
+
+const { database } = await import('../src/database/SqliteDatabase.js')
+const { puzzleImportService } = await import('../src/puzzles/PuzzleImportService.js')
+const { default: puzzles } = await import('../src/routes/puzzles.js')
+const { migrate: migrateFeatures } = await import('../src/database/migrations/015_add_puzzle_features.js')
+const { migrate: migrateKeys } = await import('../src/database/migrations/017_add_position_keys.js')
+const { migrate: migrateVariations } = await import('../src/database/migrations/020_add_puzzle_variations.js')
+
+const BACK_RANK = 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 1'
+const KING_H1 = 'r5k1/5ppp/8/8/8/8/5PPP/3R3K b - - 0 1'
+const KING_F1 = 'r5k1/5ppp/8/8/8/8/5PPP/3R1K2 b - - 0 1'
+
+const PGN = `[Event "Back rank"]
+[Site "https://lichess.org/abc123"]
+[FEN "${KING_H1}"]
+[SetUp "1"]
+[Themes "backRankMate mate"]
+[Rating "1350"]
+
+1... Ra2 {Threatens mate} 2. Rd8# (2. h3 Rxf2) *
+
+[Event "Broken"]
+[FEN "${KING_F1}"]
+
+1... Ra2 2. Qd8# *
+`
+
+// EPD positions have no move counters
+const epd = (fen) => fen.split(' ').slice(0, 4).join(' ')
+
+// White to move: Rd8# is the solver's move, as in a test suite
+const MATE_IN_ONE = 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1'
+
+const EPD = [
+  `${epd(KING_F1)} pv Ra2 Rd8#; id "WAC.001";`,
+  `${epd(KING_H1)} pv Ra2 Rd8#; id "WAC.002";`,
+  `${epd(MATE_IN_ONE)} bm Rd8#; id "bm.only";`,
+  `${epd(KING_F1)} id "no.solution";`
+].join('\n')
+
+// A club training sheet: the main line starts with White's key move
+const SOLVER_FIRST_PGN = `[Event "Greek gift"]
+[FEN "r1bq1rk1/pppn1ppp/4p3/3pP3/1b1P4/2NB1N2/PPP2PPP/R2QK2R w KQ - 0 8"]
+[SetUp "1"]
+
+8. Bxh7+ Kxh7 9. Ng5+ *
+`
+
+const CSV = [
+  'PuzzleId,FEN,Moves,Rating,RatingDeviation,Popularity,NbPlays,Themes,GameUrl,OpeningTags',
+  `csv001,${BACK_RANK},a8a2 d1d8,1500,75,90,100,backRankMate mate,https://lichess.org/csv001,`,
+  `csv002,${KING_F1},a8a2 d1d9,1500,75,90,100,mate,,`
+].join('\n')
+
+function createApp(role = 'admin') {
+  const app = new Hono()
+  app.use('*', async (c, next) => {
+    c.set('user', { id: 'u1', role })
+    await next()
+  })
+  app.route('/', puzzles)
+  return app
+}
+
+describe('import parsers', () => {
+  it('detects the format from the first line', () => {
+    expect(detectFormat(PGN)).toBe('pgn')
+    expect(detectFormat(EPD)).toBe('epd')
+    expect(detectFormat(CSV)).toBe('csv')
+    expect(detectFormat(`${BACK_RANK},a8a2 d1d8,1500`)).toBe('csv')
+  })
+
+  it('reads each PGN game from its FEN header, ignoring comments and variations', () => {
+    const [first, second] = parsePGN(PGN)
+    expect(first).toEqual({
+      line: 1,
+      id: null,
+      fen: KING_H1,
+      moves: ['Ra2', 'Rd8#'],
+      rating: 1350,
+      themes: ['backRankMate', 'mate'],
+      game_url: 'https://lichess.org/abc123'
+    })
+    expect(second.line).toBe(10)
+    expect(second.error).toMatch(/^Invalid PGN/)
+  })
+
+  it('reads EPD records with pv and id opcodes', () => {
+    const [first, second, , third] = parseEPD(EPD)
+    expect(first).toMatchObject({ line: 1, id: 'WAC.001', fen: KING_F1, moves: ['Ra2', 'Rd8#'] })
+    expect(second).toMatchObject({ id: 'WAC.002', fen: KING_H1, moves: ['Ra2', 'Rd8#'] })
+    expect(third).toEqual({ line: 4, id: 'no.solution', error: 'EPD record has no pv or bm opcode' })
+  })
+
+  it('reads bm as the solver move and sets it up with a retracted opponent move', () => {
+    const [, , bmOnly] = parseEPD(EPD)
+    expect(bmOnly.moves).toEqual(['Ra8', 'Rd8#'])
+    expect(bmOnly.fen).toBe('1r4k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 1')
+    expect(new Chess(bmOnly.fen).move('Ra8').after).toBe('r5k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 1 2')
+
+    const [withPv] = parseEPD(`${epd(MATE_IN_ONE)} bm Rd8; pv Rd8#; id "wac";`)
+    expect(withPv.moves).toEqual(['Ra8', 'Rd8#'])
+  })
+
+  it('reads pv lines without bm solver-first when asked', () => {
+    const [entry] = parseEPD(`${epd(MATE_IN_ONE)} pv Rd8#;`, { solverFirst: true })
+    expect(entry.moves).toEqual(['Ra8', 'Rd8#'])
+    expect(parseEPD(`${epd(MATE_IN_ONE)} pv Rd8#;`)[0].error).toContain("opponent's setup move")
+  })
+
+  it('reads a PGN whose main line starts with the solver move when asked', () => {
+    const [asIs] = parsePGN(SOLVER_FIRST_PGN)
+    expect(asIs.moves[0]).toBe('Bxh7+')
+
+    const [entry] = parsePGN(SOLVER_FIRST_PGN, { solverFirst: true })
+    expect(entry.moves.slice(1)).toEqual(['Bxh7+', 'Kxh7', 'Ng5+'])
+    const chess = new Chess(entry.fen)
+    chess.move(entry.moves[0])
+    expect(chess.fen()).toBe('r1bq1rk1/pppn1ppp/4p3/3pP3/1b1P4/2NB1N2/PPP2PPP/R2QK2R w KQ - 1 8')
+  })
+
+  it('fails when no opponent move can lead to the position', () => {
+    // Two rooks check the king from different lines; no single move did that
+    expect(() => addSetupMove('4r2k/8/8/8/8/8/8/r3K3 w - - 0 1', ['Kd2'])).toThrow('No opponent move leads to this position')
+    expect(parseEPD('4r2k/8/8/8/8/8/8/r3K3 w - - bm Kd2;')[0].error).toContain('cannot be set up')
+  })
+
+  it('reads Lichess CSV rows with or without a header and converts UCI moves', () => {
+    const [first, second] = parseCSV(CSV)
+    expect(first).toMatchObject({ line: 2, id: 'csv001', moves: ['Ra2', 'Rd8#'], rating: 1500, themes: ['backRankMate', 'mate'] })
+    expect(second).toMatchObject({ line: 3, id: 'csv002' })
+    expect(second.error).toMatch(/not legal/)
+
+    expect(parseCSV(CSV.split('\n')[1])[0]).toMatchObject({ line: 1, id: 'csv001' })
+  })
+})
+
+describe('PuzzleImportService', () => {
+  const count = () => database.queryScalar('SELECT COUNT(*) FROM puzzles')
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    database.db.exec(`
+      CREATE TABLE puzzles (
+        id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER, rating_deviation INTEGER,
+        popularity INTEGER, nb_plays INTEGER, themes TEXT, game_url TEXT, opening_tags TEXT,
+        source TEXT DEFAULT 'lichess'
+      )
+    `)
+    database.db.prepare(
+      "INSERT INTO puzzles (id, fen, moves, rating, popularity, themes) VALUES ('li1', ?, 'a8a2 d1d8', 1500, 90, 'mate')"
+    ).run(BACK_RANK)
+
+    migrateFeatures(database.db)
+    migrateKeys(database.db)
+    migrateVariations(database.db)
+    database.buildThemeIndex()
+  })
+
+  afterAll(() => {
+    database.close()
+  })
+
+  it('previews an import without saving anything', () => {
+    const result = puzzleImportService.importPuzzles(CSV)
+    expect(result.success).toBe(true)
+    expect(result.data).toMatchObject({ format: 'csv', dryRun: true, total: 2, ready: 1, created: 0, failed: 1 })
+
+    const [ready, failed] = result.data.rows
+    expect(ready).toMatchObject({ index: 1, id: 'csv001', status: 'ready' })
+    expect(ready.duplicates.map(d => d.id)).toEqual(['li1'])
+    expect(failed).toMatchObject({ index: 2, status: 'error' })
+    expect(count()).toBe(1)
+  })
+
+  it('saves the valid rows and reports the rest', () => {
+    const result = puzzleImportService.importPuzzles(EPD, { dryRun: false, rating: 1200, themes: ['mate'] })
+    expect(result.data).toMatchObject({ format: 'epd', dryRun: false, total: 4, created: 3, failed: 1 })
+    expect(result.data.rows.map(r => r.id)).toEqual(['WAC_001', 'WAC_002', 'bm_only', 'no_solution'])
+
+    const saved = database.queryOne('SELECT * FROM puzzles WHERE id = ?', ['WAC_001'])
+    expect(saved).toMatchObject({ fen: KING_F1, moves: 'a8a2 d1d8', rating: 1200, themes: 'mate', source: 'epd' })
+    expect(database.queryOne('SELECT moves FROM puzzles WHERE id = ?', ['WAC_002']).moves).toBe('a8a2 d1d8')
+    expect(database.queryOne('SELECT moves FROM puzzles WHERE id = ?', ['bm_only']).moves).toBe('b8a8 d1d8')
+    expect(count()).toBe(4)
+
+    const again = puzzleImportService.importPuzzles(EPD, { format: 'epd' })
+    expect(again.data.rows[0].error).toBe('Puzzle with ID "WAC_001" already exists')
+  })
+
+  it('generates IDs for entries without one and flags repeated IDs', () => {
+    const pgn = puzzleImportService.importPuzzles(PGN, { dryRun: false })
+    expect(pgn.data.rows[0]).toMatchObject({ status: 'created', rating: 1350 })
+    expect(pgn.data.rows[0].id).toMatch(/^pgn_/)
+    expect(database.queryOne('SELECT source, themes FROM puzzles WHERE id = ?', [pgn.data.rows[0].id]))
+      .toEqual({ source: 'pgn', themes: 'backrankmate,mate' })
+
+    const repeated = puzzleImportService.importPuzzles(`${CSV.split('\n')[1]}\n${CSV.split('\n')[1]}`)
+    expect(repeated.data.rows[1].error).toBe('Puzzle ID "csv001" appears more than once in this file')
+  })
+
+  it('rejects empty files and unknown formats', () => {
+    expect(puzzleImportService.importPuzzles('  ').error).toBe('Import file is empty')
+    expect(puzzleImportService.importPuzzles(EPD, { format: 'fen' }).success).toBe(false)
+  })
+
+  describe('POST /import', () => {
+    const post = (body, role) => createApp(role).request('/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+
+    it('returns the dry-run report by default', async () => {
+      const res = await post({ content: CSV })
+      expect(res.status).toBe(200)
+      const body = await res.json()
+      expect(body.data).toMatchObject({ dryRun: true, ready: 1 })
+    })
+
+    it('imports when dryRun is false', async () => {
+      const res = await post({ content: CSV, format: 'csv', dryRun: false })
+      expect(res.status).toBe(201)
+      expect(database.queryOne('SELECT source FROM puzzles WHERE id = ?', ['csv001']).source).toBe('csv')
+    })
+
+    it('validates the request', async () => {
+      expect((await post({ content: '' })).status).toBe(400)
+      expect((await post({ content: CSV, format: 'xml' })).status).toBe(400)
+      expect((await post({ content: CSV, themes: 'mate' })).status).toBe(400)
+    })
+
+    it('is admin only', async () => {
+      const res = await post({ content: CSV }, 'student')
+      expect(res.status).toBe(403)
+    })
+  })
+})
@@ -0,0 +1,144 @@
+/**
+ * Regression tests for puzzle modifications — an edited FEN from the Reports
+ * page must reach every path that serves puzzles (generation, exercises and
+ * their PDFs, the review queue, the puzzle API), edits that break the stored
+ * moves are refused, and legacy broken edits are flagged instead of served.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+
+vi.mock('../src/database/SqliteDatabase.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  const database = new actual.SqliteDatabase()
+  database.db = new Database(':memory:')
+  database.initialized = true
+  return { ...actual, database }
+})
+
+const { database } = await import('../src/database/SqliteDatabase.js')
+const { DatabaseLoader } = await import('../src/database/DatabaseLoader.js')
+const { DatabaseGenerator } = await import('../src/database/DatabaseGenerator.js')
+const { exerciseService } = await import('../src/exercises/ExerciseService.js')
+const { pdfGenerator } = await import('../src/exercises/PdfGenerator.js')
+const { reviewQueueService } = await import('../src/exercises/ReviewQueueService.js')
+const { reportManager } = await import('../src/reports/PuzzleReportManager.js')
+const { puzzleResolver } = await import('../src/puzzles/PuzzleResolver.js')
+const { puzzleRevisionService } = await import('../src/puzzles/PuzzleRevisionService.js')
+const { migrate: migrateReviewQueue } = await import('../src/database/migrations/007_add_review_queue.js')
+const { migrate: migrateAlternatives } = await import('../src/database/migrations/019_add_puzzle_alternatives.js')
+const { migrate: migrateVariations } = await import('../src/database/migrations/020_add_puzzle_variations.js')
+
+// Back rank mate: 1... Ra2 2. Rd8#
+const BACK_RANK = 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 1'
+// Same idea with the white king on h1 — the moves still play
+const EDITED = 'r5k1/5ppp/8/8/8/8/5PPP/3R3K b - - 0 1'
+// Rook missing from d1 — Rd8# is no longer possible
+const BROKEN = 'r5k1/5ppp/8/8/8/8/5PPP/6K1 b - - 0 1'
+
+describe('Puzzle modifications', () => {
+  const loader = new DatabaseLoader()
+  const generator = new DatabaseGenerator()
+
+  beforeAll(() => {
+    database.db.exec(`
+      CREATE TABLE puzzles (
+        id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER,
+        popularity INTEGER, themes TEXT, game_url TEXT
+      );
+      CREATE TABLE weekly_exercises (
+        id TEXT PRIMARY KEY, week_start TEXT, week_end TEXT, name TEXT,
+        puzzle_ids TEXT, filters TEXT
+      );
+      CREATE TABLE students (id TEXT PRIMARY KEY);
+      INSERT INTO students VALUES ('st1');
+    `)
+    migrateReviewQueue(database.db)
+
+    const insert = database.db.prepare('INSERT INTO puzzles VALUES (?, ?, ?, 1500, 90, ?, NULL)')
+    insert.run('edited', BACK_RANK, 'a8a2 d1d8', 'backrankmate,mate,matein1')
+    insert.run('legacy', BACK_RANK, 'a8a2 d1d8', 'backrankmate,mate,matein1')
+    insert.run('plain', BACK_RANK, 'a8a2 d1d8', 'backrankmate,mate,matein1')
+
+    database.db.prepare('INSERT INTO weekly_exercises VALUES (?, ?, ?, ?, ?, ?)')
+      .run('ex1', '2026-03-02', '2026-03-08', 'Week 10', 'edited,legacy,plain', null)
+
+    const review = database.db.prepare(
+      `INSERT INTO review_items (id, student_id, puzzle_id, due_at) VALUES (?, 'st1', ?, '2026-01-01T00:00:00.000Z')`
+    )
+    review.run('r1', 'edited')
+    review.run('r2', 'legacy')
+
+    migrateAlternatives(database.db)
+    migrateVariations(database.db)
+    reportManager.initialize()
+
+    // FEN-only edits; the broken one was written before edits were checked
+    const modify = database.db.prepare('INSERT INTO puzzle_modifications (puzzle_id, modified_fen, modified_at) VALUES (?, ?, ?)')
+    modify.run('edited', EDITED, Date.now())
+    modify.run('legacy', BROKEN, Date.now())
+
+    database.buildThemeIndex()
+    loader.db = database
+    loader.loaded = true
+    generator.loader = loader
+    generator.initialized = true
+  })
+
+  afterAll(() => {
+    database.close()
+  })
+
+  const byId = (puzzles) => Object.fromEntries(puzzles.map(p => [p.id, p]))
+
+  it('serves the edited FEN from generation', () => {
+    const puzzles = byId(generator.generatePuzzles('mate', 10, { minRating: 1000, maxRating: 2000, minPopularity: 80 }))
+    expect(puzzles.edited.fen).toBe(EDITED)
+    expect(puzzles.plain.fen).toBe(BACK_RANK)
+  })
+
+  it('serves the edited FEN from DatabaseLoader.queryPuzzles', () => {
+    const puzzles = byId(loader.queryPuzzles({ themes: ['mate'], limit: 10 }))
+    expect(puzzles.edited.fen).toBe(EDITED)
+    expect(puzzles.legacy.fen).toBe(BACK_RANK)
+  })
+
+  it('serves the edited FEN in exercises and their PDFs', async () => {
+    const result = exerciseService.getExerciseWithPuzzles('ex1')
+    expect(result.data.puzzles.map(p => p.fen)).toEqual([EDITED, BACK_RANK, BACK_RANK])
+    expect(result.data.puzzles[0]).toMatchObject({ modified: true, original_fen: BACK_RANK })
+
+    const drawBoard = vi.spyOn(pdfGenerator, 'drawBoard')
+    await pdfGenerator.generateExercisePdf(result.data, { includeAnswerSheet: false })
+    expect(drawBoard.mock.calls.map(call => call[1])).toEqual([EDITED, BACK_RANK, BACK_RANK])
+    drawBoard.mockRestore()
+  })
+
+  it('serves the edited FEN in the review queue', () => {
+    const queue = byId(reviewQueueService.getReviewQueue('st1').items.map(item => ({ ...item, id: item.puzzle_id })))
+    expect(queue.edited.fen).toBe(EDITED)
+    expect(queue.legacy.fen).toBe(BACK_RANK)
+  })
+
+  it('serves the edited FEN from the puzzle API', () => {
+    expect(reportManager.getPuzzleInfo('edited')).toMatchObject({ fen: EDITED, modified: true })
+    expect(reportManager.getPuzzleInfo('plain').fen).toBe(BACK_RANK)
+    expect(reportManager.getPuzzleInfo('missing')).toBeNull()
+  })
+
+  it('refuses edits the moves no longer play from', () => {
+    const result = puzzleRevisionService.editPuzzle('plain', { fen: BROKEN })
+    expect(result.success).toBe(false)
+    expect(result.error).toContain('not legal from this FEN')
+    expect(reportManager.getPuzzleInfo('plain').fen).toBe(BACK_RANK)
+
+    expect(puzzleRevisionService.editPuzzle('missing', { fen: EDITED })).toEqual({ success: false, error: 'Puzzle not found' })
+  })
+
+  it('flags legacy edits that break the moves and keeps the base FEN', () => {
+    const [puzzle] = puzzleResolver.getPuzzlesByIds(['legacy'])
+    expect(puzzle.fen).toBe(BACK_RANK)
+    expect(puzzle.modified).toBeUndefined()
+    expect(puzzle.modification_error).toContain('not legal from this FEN')
+  })
+})
@@ -0,0 +1,233 @@
+/**
+ * Tests for the puzzle editor — edits written through to the puzzle with a
+ * revision recorded each time, diffs between revisions, reverts, exercises
+ * keeping the revision they were built with, and the edit/history routes.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+import { Hono } from 'hono'
+
+vi.mock('../src/database/SqliteDatabase.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  const database = new actual.SqliteDatabase()
+  database.db = new Database(':memory:')
+  database.initialized = true
+  return { ...actual, database }
+})
+
+const { database } = await import('../src/database/SqliteDatabase.js')
+const { puzzleRevisionService } = await import('../src/puzzles/PuzzleRevisionService.js')
+const { puzzleRepository } = await import('../src/puzzles/PuzzleRepository.js')
+const { exerciseService } = await import('../src/exercises/ExerciseService.js')
+const { reportManager } = await import('../src/reports/PuzzleReportManager.js')
+const { default: puzzles } = await import('../src/routes/puzzles.js')
+const migrations = await Promise.all([
+  import('../src/database/migrations/002_add_exercise_tables.js'),
+  import('../src/database/migrations/012_add_timed_exercises.js'),
+  import('../src/database/migrations/015_add_puzzle_features.js'),
+  import('../src/database/migrations/016_add_puzzle_revisions.js'),
+  import('../src/database/migrations/017_add_position_keys.js'),
+  import('../src/database/migrations/019_add_puzzle_alternatives.js'),
+  import('../src/database/migrations/020_add_puzzle_variations.js')
+])
+
+const BACK_RANK = 'r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 1'
+const KING_H1 = 'r5k1/5ppp/8/8/8/8/5PPP/3R3K b - - 0 1'
+const WITHOUT_ROOK = 'r5k1/5ppp/8/8/8/8/5PPP/6K1 b - - 0 1'
+
+function createApp(role = 'admin') {
+  const app = new Hono()
+  app.use('*', async (c, next) => {
+    c.set('user', { id: role === 'admin' ? 'u_admin' : 'u_student', role })
+    await next()
+  })
+  app.route('/', puzzles)
+  return app
+}
+
+describe('Puzzle revisions', () => {
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    database.db.exec(`
+      CREATE TABLE puzzles (
+        id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER,
+        popularity INTEGER, themes TEXT, game_url TEXT
+      );
+      CREATE TABLE users (id TEXT PRIMARY KEY, username TEXT);
+      INSERT INTO users VALUES ('u_admin', 'coach');
+    `)
+
+    const insert = database.db.prepare('INSERT INTO puzzles VALUES (?, ?, ?, 1500, 90, ?, ?)')
+    insert.run('p1', BACK_RANK, 'a8a2 d1d8', 'backrankmate,mate,matein1', 'https://lichess.org/abc')
+    insert.run('p2', BACK_RANK, 'a8a2 d1d8', 'mate,matein1', '')
+    insert.run('p3', BACK_RANK, 'a8a2 d1d8', 'mate,matein1', '')
+    insert.run('p4', BACK_RANK, 'a8a2 d1d8', 'mate,matein1', '')
+
+    migrations.forEach(m => m.migrate(database.db))
+    reportManager.initialize()
+    database.buildThemeIndex()
+  })
+
+  afterAll(() => {
+    database.close()
+  })
+
+  const puzzleRow = (id) => database.db.prepare('SELECT * FROM puzzles WHERE id = ?').get(id)
+
+  describe('editPuzzle', () => {
+    it('writes the edit to the puzzle and records the original as revision 0', () => {
+      const result = puzzleRevisionService.editPuzzle('p1', {
+        fen: KING_H1,
+        themes: ['mate', 'matein1', 'endgame'],
+        rating: 1620
+      }, 'u_admin')
+
+      expect(result.success).toBe(true)
+      expect(result.data).toMatchObject({ puzzleId: 'p1', revision: 1, fen: KING_H1, themes: 'mate,matein1,endgame', rating: 1620 })
+      expect(puzzleRow('p1')).toMatchObject({ fen: KING_H1, themes: 'mate,matein1,endgame', rating: 1620, piece_count: 10 })
+
+      const revisions = puzzleRevisionService.getRevisions('p1')
+      expect(revisions.map(r => r.revision)).toEqual([1, 0])
+      expect(revisions[0]).toMatchObject({ author_name: 'coach', moves_san: 'Ra2 Rd8#' })
+      expect(revisions[1]).toMatchObject({ author_id: null, fen: BACK_RANK, themes: 'backrankmate,mate,matein1', changes: [] })
+    })
+
+    it('moves the puzzle between themes in the index', () => {
+      expect(database.getPuzzleIdsByTheme('endgame')).toEqual(['p1'])
+      expect(database.getPuzzleIdsByTheme('backrankmate')).toEqual([])
+      expect(database.getPuzzleIdsByTheme('mate', { minRating: 1600 })).toEqual(['p1'])
+    })
+
+    it('lists what each revision changed', () => {
+      const [latest] = puzzleRevisionService.getRevisions('p1')
+      expect(latest.changes).toEqual([
+        { field: 'fen', before: BACK_RANK, after: KING_H1 },
+        { field: 'themes', before: 'backrankmate,mate,matein1', after: 'mate,matein1,endgame' },
+        { field: 'rating', before: 1500, after: 1620 }
+      ])
+    })
+
+    it('converts SAN moves and shows them as SAN in diffs', () => {
+      const result = puzzleRevisionService.editPuzzle('p2', { moves: ['Ra2', 'Rd8#'], game_url: 'https://lichess.org/xyz' }, 'u_admin')
+      expect(result.success).toBe(true)
+      expect(puzzleRow('p2').moves).toBe('a8a2 d1d8')
+      expect(puzzleRevisionService.getRevisions('p2')[0].changes).toEqual([
+        { field: 'game_url', before: '', after: 'https://lichess.org/xyz' }
+      ])
+    })
+
+    it('refuses edits that break the solution or change nothing', () => {
+      expect(puzzleRevisionService.editPuzzle('p3', { fen: WITHOUT_ROOK }).error).toContain('not legal from this FEN')
+      expect(puzzleRevisionService.editPuzzle('p3', { moves: ['Ra2', 'Qd8#'] }).error).toContain('not legal from this FEN')
+      expect(puzzleRevisionService.editPuzzle('p3', { rating: 100 }).error).toBe('Rating must be between 500 and 3500')
+      expect(puzzleRevisionService.editPuzzle('p3', { game_url: 'lichess.org/abc' }).success).toBe(false)
+      expect(puzzleRevisionService.editPuzzle('p3', { rating: 1500 })).toEqual({ success: false, error: 'No changes to save' })
+      expect(puzzleRevisionService.getRevisions('p3')).toEqual([])
+    })
+
+    it('replaces an old FEN-only modification', () => {
+      database.db.prepare('INSERT INTO puzzle_modifications (puzzle_id, modified_fen, modified_at) VALUES (?, ?, ?)')
+        .run('p4', KING_H1, Date.now())
+
+      expect(puzzleRevisionService.editPuzzle('p4', { rating: 1700 }).success).toBe(true)
+      expect(puzzleRow('p4').fen).toBe(KING_H1)
+      expect(reportManager.getModification('p4').modified_fen).toBeNull()
+      expect(puzzleRevisionService.getRevisions('p4')[1].fen).toBe(KING_H1)
+    })
+
+    it('saves the puzzle and its revisions together or not at all', () => {
+      const insert = vi.spyOn(puzzleRevisionService, '_insertRevision')
+        .mockImplementationOnce(() => { throw new Error('disk I/O error') })
+      expect(puzzleRevisionService.editPuzzle('p3', { rating: 1900 })).toEqual({ success: false, error: 'disk I/O error' })
+      insert.mockRestore()
+
+      const update = vi.spyOn(puzzleRepository, 'updatePuzzle')
+        .mockReturnValueOnce({ success: false, error: 'Puzzle not found' })
+      expect(puzzleRevisionService.editPuzzle('p3', { rating: 1900 }).success).toBe(false)
+      update.mockRestore()
+
+      expect(puzzleRow('p3').rating).toBe(1500)
+      expect(puzzleRevisionService.getRevisions('p3')).toEqual([])
+    })
+  })
+
+  describe('revertPuzzle', () => {
+    it('restores an earlier revision as a new one', () => {
+      const result = puzzleRevisionService.revertPuzzle('p1', 0, 'u_admin')
+      expect(result.data.revision).toBe(2)
+      expect(puzzleRow('p1')).toMatchObject({ fen: BACK_RANK, themes: 'backrankmate,mate,matein1', rating: 1500 })
+
+      const [latest] = puzzleRevisionService.getRevisions('p1')
+      expect(latest).toMatchObject({ revision: 2, reverted_from: 0 })
+      expect(latest.changes.map(c => c.field)).toEqual(['fen', 'themes', 'rating'])
+    })
+
+    it('reports missing revisions', () => {
+      expect(puzzleRevisionService.revertPuzzle('p1', 9).error).toBe('Revision not found')
+      expect(puzzleRevisionService.revertPuzzle('nope', 0).error).toBe('Puzzle not found')
+    })
+  })
+
+  describe('exercises', () => {
+    it('keep serving the revision they were built with', () => {
+      const before = exerciseService.createWeeklyExercise({ puzzleIds: ['p3', 'p1'], weekStart: '2026-03-02' }).data
+      expect(puzzleRevisionService.editPuzzle('p3', { fen: KING_H1 }).success).toBe(true)
+      expect(puzzleRevisionService.editPuzzle('p1', { rating: 1800 }).success).toBe(true)
+      const after = exerciseService.createWeeklyExercise({ puzzleIds: ['p3', 'p1'], weekStart: '2026-03-09' }).data
+
+      const old = exerciseService.getExerciseWithPuzzles(before.id).data
+      expect(old.puzzle_revisions).toEqual({ p1: 2 })
+      expect(old.puzzles.map(p => [p.id, p.fen, p.rating])).toEqual([['p3', BACK_RANK, 1500], ['p1', BACK_RANK, 1500]])
+
+      const current = exerciseService.getExerciseWithPuzzles(after.id).data
+      expect(current.puzzles.map(p => [p.id, p.fen, p.rating])).toEqual([['p3', KING_H1, 1500], ['p1', BACK_RANK, 1800]])
+    })
+  })
+
+  describe('routes', () => {
+    it('edits a puzzle as the signed-in admin', async () => {
+      const res = await createApp().request('/p2', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rating: 1450 })
+      })
+      expect(res.status).toBe(200)
+      expect((await res.json()).data.revision).toBe(2)
+
+      const history = await (await createApp().request('/p2/revisions')).json()
+      expect(history.data[0]).toMatchObject({ revision: 2, author_name: 'coach' })
+    })
+
+    it('records FEN-only edits as revisions', async () => {
+      const res = await createApp().request('/p2/fen', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fen: KING_H1 })
+      })
+      expect(res.status).toBe(200)
+      expect((await res.json()).data).toEqual({ puzzleId: 'p2', fen: KING_H1, revision: 3 })
+    })
+
+    it('returns 404 for unknown puzzles and revisions', async () => {
+      const app = createApp()
+      const edit = await app.request('/nope', { method: 'PUT', body: JSON.stringify({ rating: 1500 }) })
+      expect(edit.status).toBe(404)
+      const revert = await app.request('/p2/revisions/12/revert', { method: 'POST' })
+      expect(revert.status).toBe(404)
+    })
+
+    it('is admin only', async () => {
+      const res = await createApp('student').request('/p2/revisions')
+      expect(res.status).toBe(403)
+
+      const fen = await createApp('student').request('/p2/fen', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fen: BACK_RANK })
+      })
+      expect(fen.status).toBe(403)
+      expect(puzzleRow('p2').fen).toBe(KING_H1)
+    })
+  })
+})
@@ -0,0 +1,257 @@
+/**
+ * Tests for branching solutions — reading and writing movetext with
+ * variations, the rules a solution tree has to follow, keeping branches in
+ * step with edits, and storing, pinning and exporting them with the puzzle.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+import { Hono } from 'hono'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseSolutionTree, parseVariations, writeVariations, allLines } from '../src/shared/SolutionTree.js'
+import { normalizeVariations, fitVariations } from '../src/puzzles/PuzzleVariations.js'
+import { exerciseExporter } from '../src/exercises/ExerciseExporter.js'
+
+vi.mock('../src/database/SqliteDatabase.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  const database = new actual.SqliteDatabase()
+  database.db = new Database(':memory:')
+  database.initialized = true
+  return { ...actual, database }
+})
+
+const { database } = await import('../src/database/SqliteDatabase.js')
+const { puzzleCreationService } = await import('../src/puzzles/PuzzleCreationService.js')
+const { puzzleRevisionService } = await import('../src/puzzles/PuzzleRevisionService.js')
+const { puzzleResolver } = await import('../src/puzzles/PuzzleResolver.js')
+const { reportManager } = await import('../src/reports/PuzzleReportManager.js')
+const { engineService } = await import('../src/engine/EngineService.js')
+const { default: puzzles } = await import('../src/routes/puzzles.js')
+const migrations = await Promise.all([
+  import('../src/database/migrations/002_add_exercise_tables.js'),
+  import('../src/database/migrations/015_add_puzzle_features.js'),
+  import('../src/database/migrations/016_add_puzzle_revisions.js'),
+  import('../src/database/migrations/017_add_position_keys.js'),
+  import('../src/database/migrations/019_add_puzzle_alternatives.js'),
+  import('../src/database/migrations/020_add_puzzle_variations.js')
+])
+
+// Also run by the client's copy of the tree module
+const vectors = JSON.parse(fs.readFileSync(
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/solution-trees.json'),
+  'utf8'
+))
+
+// Black plays Ra2; after Rd8+ Black can block with the rook or the bishop
+const TWO_DEFENCES = 'r6k/6pp/2b5/8/5r2/8/4QPPP/3R2K1 b - - 0 1'
+const MAIN_LINE = 'a8a2 d1d8 f4f8 d8f8'
+const TREE = '1... Ra2 2. Rd8+ Rf8 (2... Be8 3. Qxe8+ Rf8 4. Qxf8#) 3. Rxf8#'
+
+describe('parseVariations and writeVariations', () => {
+  it('reads nested variations and writes them back numbered', () => {
+    const tree = parseVariations(TWO_DEFENCES, 'Ra2 Rd8+ Rf8 (Be8 Qxe8+ Rf8 Qxf8#) Rxf8#')
+    expect(allLines(tree)).toEqual([
+      ['a8a2', 'd1d8', 'f4f8', 'd8f8'],
+      ['a8a2', 'd1d8', 'c6e8', 'e2e8', 'f4f8', 'e8f8']
+    ])
+    expect(writeVariations(TWO_DEFENCES, tree)).toBe(TREE)
+  })
+
+  it('skips comments, NAGs and results and merges repeated moves', () => {
+    const text = '1... Ra2 {blunder} 2. Rd8+! $1 Rf8 (2... Rf8 3. Rxf8#) 3. Rxf8# 1-0'
+    expect(allLines(parseVariations(TWO_DEFENCES, text))).toEqual([MAIN_LINE.split(' ')])
+  })
+
+  it('throws on illegal moves and unbalanced parentheses', () => {
+    expect(() => parseVariations(TWO_DEFENCES, 'Ra2 Rd8+ Kg8')).toThrow('Illegal move Kg8')
+    expect(() => parseVariations(TWO_DEFENCES, 'Ra2 Rd8+ Rf8 (Be8')).toThrow('Unbalanced parentheses')
+    expect(() => parseVariations(TWO_DEFENCES, 'Ra2 )')).toThrow('Unbalanced parentheses')
+    expect(() => parseVariations(TWO_DEFENCES, '(Ra2)')).toThrow('A variation must follow a move')
+    expect(() => parseVariations(TWO_DEFENCES, `Ra2 ${'Kf1 Ra3 Kg1 Ra2 '.repeat(50)}`))
+      .toThrow('Solutions are limited to 200 moves')
+  })
+})
+
+describe('solution tree vectors', () => {
+  it.each(vectors.trees)('reads and writes $name', ({ fen, moves, variations, lines, movetext }) => {
+    const tree = parseSolutionTree(fen, moves, variations)
+    expect(allLines(tree).map(line => line.join(' '))).toEqual(lines)
+    expect(writeVariations(fen, tree)).toBe(movetext)
+  })
+
+  it.each(vectors.errors)('refuses $text', ({ fen, text, error }) => {
+    expect(() => parseVariations(fen, text)).toThrow(error)
+  })
+})
+
+describe('normalizeVariations', () => {
+  it('stores nothing for a solution without branches', () => {
+    expect(normalizeVariations(TWO_DEFENCES, MAIN_LINE, null)).toEqual({ valid: true, variations: '' })
+    expect(normalizeVariations(TWO_DEFENCES, MAIN_LINE, 'Ra2 Rd8+ Rf8 Rxf8#')).toEqual({ valid: true, variations: '' })
+  })
+
+  it('accepts other opponent defences and writes them in standard form', () => {
+    expect(normalizeVariations(TWO_DEFENCES, MAIN_LINE, 'Ra2 Rd8+ Rf8 (Be8 Qxe8+ Rf8 Qxf8#) Rxf8#'))
+      .toEqual({ valid: true, variations: TREE })
+  })
+
+  it('refuses trees that do not match the solution or the turn order', () => {
+    expect(normalizeVariations(TWO_DEFENCES, 'a8a2 d1d8 c6e8 e2e8 f4f8 e8f8', TREE).error)
+      .toBe('The main line of the variations must be the solution moves')
+    expect(normalizeVariations(TWO_DEFENCES, MAIN_LINE, 'Ra2 Rd8+ (Qe1) Rf8 Rxf8#').error)
+      .toContain("only branch at the opponent's replies (ply 1)")
+    expect(normalizeVariations(TWO_DEFENCES, MAIN_LINE, 'Ra2 Rd8+ Rf8 (Be8) Rxf8#').error)
+      .toBe("The variation ending with Be8 needs the solver's answer")
+    expect(normalizeVariations(TWO_DEFENCES, MAIN_LINE, { moves: TREE }).valid).toBe(false)
+  })
+})
+
+describe('fitVariations', () => {
+  it('keeps the branches the new solution still reaches', () => {
+    expect(fitVariations(TWO_DEFENCES, MAIN_LINE, TREE, TWO_DEFENCES)).toBe(TREE)
+    expect(fitVariations(TWO_DEFENCES, 'a8a2 d1d8', TREE, TWO_DEFENCES)).toBe('')
+    expect(fitVariations(TWO_DEFENCES, MAIN_LINE, TREE, 'r6k/6pp/8/8/5r2/8/4QPPP/3R2K1 b - - 0 1')).toBe('')
+    expect(fitVariations(TWO_DEFENCES, MAIN_LINE, 'not movetext', TWO_DEFENCES)).toBe('')
+  })
+})
+
+describe('storing variations', () => {
+  function createApp() {
+    const app = new Hono()
+    app.use('*', async (c, next) => {
+      c.set('user', { id: 'u_admin', role: 'admin' })
+      await next()
+    })
+    app.route('/', puzzles)
+    return app
+  }
+
+  const puzzleRow = (id) => database.db.prepare('SELECT * FROM puzzles WHERE id = ?').get(id)
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    database.db.exec(`
+      CREATE TABLE puzzles (
+        id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER, rating_deviation INTEGER,
+        popularity INTEGER, nb_plays INTEGER, themes TEXT, game_url TEXT, opening_tags TEXT,
+        source TEXT DEFAULT 'lichess'
+      );
+      CREATE TABLE users (id TEXT PRIMARY KEY, username TEXT);
+      INSERT INTO users VALUES ('u_admin', 'coach');
+    `)
+
+    migrations.forEach(m => m.migrate(database.db))
+    reportManager.initialize()
+    database.buildThemeIndex()
+  })
+
+  afterAll(() => {
+    database.close()
+  })
+
+  it('creates a custom puzzle with its variations', () => {
+    const result = puzzleCreationService.createPuzzle({
+      id: 'custom_tree',
+      fen: TWO_DEFENCES,
+      moves: ['Ra2', 'Rd8+', 'Rf8', 'Rxf8#'],
+      variations: 'Ra2 Rd8+ Rf8 (Be8 Qxe8+ Rf8 Qxf8#) Rxf8#',
+      source: 'interactive',
+      themes: ['mate'],
+      rating: 1400
+    })
+    expect(result.success).toBe(true)
+    expect(result.data.variations).toBe(TREE)
+    expect(puzzleRow('custom_tree')).toMatchObject({ moves: MAIN_LINE, variations: TREE })
+  })
+
+  it('creates linear puzzles without variations', () => {
+    const result = puzzleCreationService.createPuzzle({
+      id: 'custom_line',
+      fen: TWO_DEFENCES,
+      moves: ['Ra2', 'Rd8+', 'Rf8', 'Rxf8#'],
+      source: 'interactive',
+      themes: ['mate'],
+      rating: 1400
+    })
+    expect(result.success).toBe(true)
+    expect(puzzleRow('custom_line').variations).toBeNull()
+  })
+
+  it('rejects a new puzzle whose variations do not fit', async () => {
+    const res = await createApp().request('/', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        fen: TWO_DEFENCES,
+        moves: ['Ra2', 'Rd8+', 'Rf8', 'Rxf8#'],
+        variations: 'Ra2 Rd8+ Rf8 (Be8) Rxf8#',
+        themes: ['mate'],
+        rating: 1400
+      })
+    })
+    expect(res.status).toBe(400)
+    expect((await res.json()).error).toContain('needs the solver')
+  })
+
+  it('returns a new puzzle without waiting for an engine check', async () => {
+    const available = vi.spyOn(engineService, 'isAvailable').mockReturnValue(true)
+    const check = vi.spyOn(engineService, 'checkPuzzle').mockReturnValue(new Promise(() => {}))
+
+    const res = await createApp().request('/', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: 'custom_unchecked', fen: TWO_DEFENCES, moves: ['Ra2', 'Rd8+', 'Rf8', 'Rxf8#'] })
+    })
+    expect(res.status).toBe(201)
+    expect((await res.json()).data.engineCheck).toBeUndefined()
+    expect(check).not.toHaveBeenCalled()
+    available.mockRestore()
+    check.mockRestore()
+  })
+
+  it('removes the branches sent empty with an edit and serves them at the pinned revision', async () => {
+    const res = await createApp().request('/custom_tree', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ variations: '' })
+    })
+    expect(res.status).toBe(200)
+    expect(puzzleRow('custom_tree').variations).toBeNull()
+
+    const [latest] = puzzleRevisionService.getRevisions('custom_tree')
+    expect(latest.changes).toEqual([{ field: 'variations', before: TREE, after: '' }])
+
+    const [pinned] = puzzleResolver.getPuzzlesByIds(['custom_tree'], { revisions: { custom_tree: 0 } })
+    expect(pinned).toMatchObject({ moves: MAIN_LINE, variations: TREE, revision: 0 })
+  })
+
+  it('drops branches an edited solution no longer reaches', () => {
+    puzzleRevisionService.editPuzzle('custom_tree', { variations: TREE }, 'u_admin')
+    expect(puzzleRow('custom_tree').variations).toBe(TREE)
+
+    const result = puzzleRevisionService.editPuzzle('custom_tree', { moves: ['Ra2', 'Qe8+', 'Bxe8', 'Rd8'] }, 'u_admin')
+    expect(result.success).toBe(true)
+    expect(puzzleRow('custom_tree').variations).toBeNull()
+  })
+})
+
+describe('exporting variations', () => {
+  it('writes the tree in PGN and keeps it in the JSON dump', () => {
+    const exercise = {
+      week_start: '2026-03-23',
+      puzzles: [{ id: 'custom_tree', fen: TWO_DEFENCES, moves: MAIN_LINE, variations: TREE, rating: 1400, themes: 'mate' }]
+    }
+    expect(exerciseExporter.toPGN(exercise)).toContain(`\n${TREE} *\n`)
+    expect(JSON.parse(exerciseExporter.toJSON(exercise)).puzzles[0].variations).toBe(TREE)
+  })
+
+  it('falls back to the main line when the variations no longer play', () => {
+    const exercise = {
+      week_start: '2026-03-23',
+      puzzles: [{ id: 'custom_tree', fen: TWO_DEFENCES, moves: MAIN_LINE, variations: '1. e4 e5', rating: 1400, themes: 'mate' }]
+    }
+    expect(exerciseExporter.toPGN(exercise)).toContain('\n1... Ra2 2. Rd8+ Rf8 3. Rxf8# *\n')
+  })
+})
@@ -0,0 +1,175 @@
+/**
+ * Tests for ReviewQueueService — SM-2 scheduling and queue population.
+ * Uses in-memory SQLite behind a mocked database wrapper.
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+
+const db = new Database(':memory:')
+
+vi.mock('../src/database/SqliteDatabase.js', () => ({
+  database: {
+    query: (sql, params = []) => db.prepare(sql).all(...params),
+    queryOne: (sql, params = []) => db.prepare(sql).get(...params) || null,
+    queryScalar: (sql, params = []) => {
+      const row = db.prepare(sql).get(...params)
+      return row ? Object.values(row)[0] : null
+    },
+    run: (sql, params = []) => db.prepare(sql).run(...params)
+  }
+}))
+
+const { scheduleReview, qualityFromOutcome, ReviewQueueService } = await import('../src/exercises/ReviewQueueService.js')
+const { migrate } = await import('../src/database/migrations/007_add_review_queue.js')
+const { migrate: migrateResults } = await import('../src/database/migrations/014_add_student_puzzle_results.js')
+
+const NOW = new Date('2026-03-02T10:00:00.000Z')
+const DAY_MS = 24 * 60 * 60 * 1000
+
+describe('qualityFromOutcome', () => {
+  it('grades a clean solve highest', () => {
+    expect(qualityFromOutcome(true, false)).toBe(5)
+  })
+
+  it('grades a hinted solve as a pass with difficulty', () => {
+    expect(qualityFromOutcome(true, true)).toBe(3)
+  })
+
+  it('grades a miss as a failure regardless of hints', () => {
+    expect(qualityFromOutcome(false, false)).toBe(1)
+    expect(qualityFromOutcome(false, true)).toBe(1)
+  })
+})
+
+describe('scheduleReview', () => {
+  const fresh = { ease_factor: 2.5, interval_days: 0, repetitions: 0, lapses: 0 }
+
+  it('schedules the first successful review one day out', () => {
+    const next = scheduleReview(fresh, 5, NOW)
+    expect(next.repetitions).toBe(1)
+    expect(next.interval_days).toBe(1)
+    expect(next.due_at).toBe(new Date(NOW.getTime() + DAY_MS).toISOString())
+  })
+
+  it('uses a six day interval for the second success', () => {
+    const next = scheduleReview({ ...fresh, repetitions: 1, interval_days: 1 }, 5, NOW)
+    expect(next.interval_days).toBe(6)
+  })
+
+  it('multiplies the interval by the ease factor after that', () => {
+    const next = scheduleReview({ ...fresh, repetitions: 2, interval_days: 6 }, 4, NOW)
+    expect(next.interval_days).toBe(15)
+    expect(next.repetitions).toBe(3)
+  })
+
+  it('raises the ease factor on a perfect answer and lowers it on a hard one', () => {
+    expect(scheduleReview(fresh, 5, NOW).ease_factor).toBeCloseTo(2.6)
+    expect(scheduleReview(fresh, 3, NOW).ease_factor).toBeCloseTo(2.36)
+  })
+
+  it('never drops the ease factor below 1.3', () => {
+    const next = scheduleReview({ ...fresh, ease_factor: 1.3 }, 3, NOW)
+    expect(next.ease_factor).toBe(1.3)
+  })
+
+  it('resets repetitions on a lapse and keeps the ease factor', () => {
+    const next = scheduleReview({ ease_factor: 2.2, interval_days: 15, repetitions: 3, lapses: 0 }, 1, NOW)
+    expect(next.repetitions).toBe(0)
+    expect(next.interval_days).toBe(1)
+    expect(next.lapses).toBe(1)
+    expect(next.ease_factor).toBe(2.2)
+  })
+})
+
+describe('ReviewQueueService', () => {
+  let service
+
+  beforeAll(() => {
+    db.exec(`
+      CREATE TABLE puzzles (id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER, themes TEXT);
+      CREATE TABLE students (id TEXT PRIMARY KEY, name TEXT NOT NULL);
+      CREATE TABLE weekly_exercises (id TEXT PRIMARY KEY, puzzle_ids TEXT NOT NULL);
+      CREATE TABLE student_exercises (
+        id TEXT PRIMARY KEY, student_id TEXT NOT NULL, exercise_id TEXT NOT NULL,
+        puzzle_results TEXT, puzzle_hints TEXT
+      );
+    `)
+    migrate(db)
+
+    const insertPuzzle = db.prepare('INSERT INTO puzzles VALUES (?, ?, ?, ?, ?)')
+    for (const id of ['p1', 'p2', 'p3', 'p4']) {
+      insertPuzzle.run(id, '8/8/8/8/8/8/8/8 w - - 0 1', 'e2e4 e7e5', 1500, 'fork,short')
+    }
+    db.prepare('INSERT INTO students VALUES (?, ?)').run('s1', 'Alice')
+    db.prepare('INSERT INTO weekly_exercises VALUES (?, ?)').run('ex1', 'p1,p2,p3,p4')
+    db.prepare('INSERT INTO student_exercises VALUES (?, ?, ?, ?, ?)').run('se1', 's1', 'ex1', '1,0,1,', '0,0,1,0')
+
+    // Moves the comma-separated results into student_puzzle_results
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    migrateResults(db)
+  })
+
+  beforeEach(() => {
+    service = new ReviewQueueService()
+    db.exec('DELETE FROM review_log; DELETE FROM review_items;')
+  })
+
+  afterAll(() => {
+    db.close()
+  })
+
+  it('queues missed and hinted puzzles only', () => {
+    const result = service.syncFromStudentExercise('se1')
+    expect(result.success).toBe(true)
+    expect(result.data.queued).toBe(2)
+
+    const rows = db.prepare('SELECT puzzle_id, reason FROM review_items ORDER BY puzzle_id').all()
+    expect(rows).toEqual([
+      { puzzle_id: 'p2', reason: 'missed' },
+      { puzzle_id: 'p3', reason: 'hint' }
+    ])
+  })
+
+  it('does not duplicate items when an attempt is saved again', () => {
+    service.syncFromStudentExercise('se1')
+    const again = service.syncFromStudentExercise('se1')
+    expect(again.data.queued).toBe(0)
+    expect(db.prepare('SELECT COUNT(*) AS n FROM review_items').get().n).toBe(2)
+  })
+
+  it('returns an error for unknown assignments', () => {
+    const result = service.syncFromStudentExercise('missing')
+    expect(result.success).toBe(false)
+  })
+
+  it('lists due items with puzzle details', () => {
+    service.syncFromStudentExercise('se1')
+    const queue = service.getReviewQueue('s1')
+    expect(queue.due_count).toBe(2)
+    expect(queue.total_count).toBe(2)
+    expect(queue.items[0].fen).toBeDefined()
+    expect(queue.items[0].moves).toBe('e2e4 e7e5')
+  })
+
+  it('reschedules an item after review and logs it', () => {
+    service.syncFromStudentExercise('se1')
+    const [item] = service.getReviewQueue('s1').items
+
+    const result = service.recordReview('s1', item.id, 5)
+    expect(result.success).toBe(true)
+    expect(result.data.repetitions).toBe(1)
+
+    const queue = service.getReviewQueue('s1')
+    expect(queue.due_count).toBe(1)
+    expect(queue.next_due_at).toBe(result.data.due_at)
+    expect(db.prepare('SELECT COUNT(*) AS n FROM review_log').get().n).toBe(1)
+  })
+
+  it('refuses to review another student\'s item', () => {
+    service.syncFromStudentExercise('se1')
+    const [item] = service.getReviewQueue('s1').items
+    const result = service.recordReview('s2', item.id, 5)
+    expect(result.success).toBe(false)
+  })
+})
@@ -0,0 +1,103 @@
+/**
+ * Tests for skipping puzzles students have already been assigned —
+ * ExerciseRepository.findSeenPuzzleIds and the excludeIds filter in
+ * DatabaseLoader.queryPuzzles. Uses in-memory SQLite behind a mocked
+ * database wrapper with a small theme index.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+
+const db = new Database(':memory:')
+const themeIndex = new Map()
+
+vi.mock('../src/database/SqliteDatabase.js', () => ({
+  database: {
+    themeIndex,
+    isReady: () => true,
+    query: (sql, params = []) => db.prepare(sql).all(...params),
+    queryOne: (sql, params = []) => db.prepare(sql).get(...params) || null,
+    run: (sql, params = []) => db.prepare(sql).run(...params),
+    getPuzzleIdsByTheme: (theme) => (themeIndex.get(theme) || []).map(p => p.id),
+    getPuzzlesByIds: (ids) => {
+      if (ids.length === 0) return []
+      return db.prepare(`SELECT * FROM puzzles WHERE id IN (${ids.map(() => '?').join(',')})`).all(...ids)
+    }
+  }
+}))
+
+const { ExerciseRepository } = await import('../src/exercises/ExerciseRepository.js')
+const { DatabaseLoader } = await import('../src/database/DatabaseLoader.js')
+
+beforeAll(() => {
+  db.exec(`
+    CREATE TABLE puzzles (
+      id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER,
+      popularity INTEGER, themes TEXT
+    );
+    CREATE TABLE weekly_exercises (id TEXT PRIMARY KEY, puzzle_ids TEXT NOT NULL);
+    CREATE TABLE student_exercises (id TEXT PRIMARY KEY, student_id TEXT NOT NULL, exercise_id TEXT NOT NULL);
+  `)
+
+  const insert = db.prepare('INSERT INTO puzzles VALUES (?, ?, ?, ?, ?, ?)')
+  const pins = []
+  for (let i = 1; i <= 6; i++) {
+    insert.run(`p${i}`, '8/8/8/8/8/8/8/8 w - - 0 1', 'e2e4 e7e5', 1500, 90, 'pin')
+    pins.push({ id: `p${i}`, rating: 1500, popularity: 90 })
+  }
+  themeIndex.set('pin', pins)
+
+  db.prepare('INSERT INTO weekly_exercises VALUES (?, ?)').run('ex1', 'p1,p2')
+  db.prepare('INSERT INTO weekly_exercises VALUES (?, ?)').run('ex2', 'p2, p3')
+  db.prepare('INSERT INTO weekly_exercises VALUES (?, ?)').run('ex3', 'p6')
+  db.prepare('INSERT INTO student_exercises VALUES (?, ?, ?)').run('se1', 's1', 'ex1')
+  db.prepare('INSERT INTO student_exercises VALUES (?, ?, ?)').run('se2', 's2', 'ex2')
+  db.prepare('INSERT INTO student_exercises VALUES (?, ?, ?)').run('se3', 's3', 'ex3')
+})
+
+afterAll(() => {
+  db.close()
+})
+
+describe('ExerciseRepository.findSeenPuzzleIds', () => {
+  const repo = new ExerciseRepository()
+
+  it('collects puzzles across every listed student', () => {
+    const seen = repo.findSeenPuzzleIds(['s1', 's2'])
+    expect([...seen].sort()).toEqual(['p1', 'p2', 'p3'])
+  })
+
+  it('returns an empty set when no students are given', () => {
+    expect(repo.findSeenPuzzleIds([]).size).toBe(0)
+    expect(repo.findSeenPuzzleIds(null).size).toBe(0)
+  })
+
+  it('returns an empty set for students with no assignments', () => {
+    expect(repo.findSeenPuzzleIds(['nobody']).size).toBe(0)
+  })
+})
+
+describe('DatabaseLoader.queryPuzzles excludeIds', () => {
+  const loader = new DatabaseLoader()
+  loader.loaded = true
+
+  it('never returns excluded puzzles from the theme index', () => {
+    const excludeIds = new ExerciseRepository().findSeenPuzzleIds(['s1', 's2'])
+    for (let i = 0; i < 5; i++) {
+      const ids = loader.queryPuzzles({ themes: ['pin'], limit: 10, excludeIds }).map(p => p.id)
+      expect(ids.sort()).toEqual(['p4', 'p5', 'p6'])
+    }
+  })
+
+  it('applies alongside blocked puzzles', () => {
+    loader.setBlockedIds(['p4'])
+    const ids = loader.queryPuzzles({ themes: ['pin'], limit: 10, excludeIds: new Set(['p1', 'p6']) }).map(p => p.id)
+    expect(ids.sort()).toEqual(['p2', 'p3', 'p5'])
+    loader.setBlockedIds([])
+  })
+
+  it('returns nothing when every candidate has been seen', () => {
+    const excludeIds = new Set(['p1', 'p2', 'p3', 'p4', 'p5', 'p6'])
+    expect(loader.queryPuzzles({ themes: ['pin'], excludeIds })).toEqual([])
+  })
+})
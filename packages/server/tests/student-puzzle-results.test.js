@@ -0,0 +1,182 @@
+/**
+ * Tests for the relational per-puzzle results table — backfill from the old
+ * comma-separated columns, results following puzzles when an exercise's list
+ * changes, partial updates, and the SQL theme analytics built on top of it.
+ * Uses in-memory SQLite behind a mocked database wrapper.
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+
+const db = new Database(':memory:')
+
+vi.mock('../src/database/SqliteDatabase.js', () => ({
+  database: {
+    query: (sql, params = []) => db.prepare(sql).all(...params),
+    queryOne: (sql, params = []) => db.prepare(sql).get(...params) || null,
+    run: (sql, params = []) => db.prepare(sql).run(...params),
+    transaction: (fn) => db.transaction(fn)()
+  }
+}))
+
+vi.mock('../src/exercises/ReviewQueueService.js', () => ({
+  reviewQueueService: { syncFromStudentExercise: vi.fn() }
+}))
+
+vi.mock('../src/students/StudentRatingService.js', () => ({
+  studentRatingService: { recordExerciseResults: vi.fn() }
+}))
+
+const { ExerciseService } = await import('../src/exercises/ExerciseService.js')
+const { exerciseRepository } = await import('../src/exercises/ExerciseRepository.js')
+const { ThemeAnalyticsService } = await import('../src/exercises/ThemeAnalyticsService.js')
+const resultsMigration = await import('../src/database/migrations/014_add_student_puzzle_results.js')
+const migrations = await Promise.all([
+  import('../src/database/migrations/002_add_exercise_tables.js'),
+  import('../src/database/migrations/003_add_puzzle_results.js'),
+  import('../src/database/migrations/005_add_puzzle_hints.js'),
+  import('../src/database/migrations/006_add_is_final_flag.js'),
+  import('../src/database/migrations/010_add_due_dates.js'),
+  import('../src/database/migrations/012_add_timed_exercises.js'),
+  import('../src/database/migrations/013_add_puzzle_attempts.js'),
+  import('../src/database/migrations/016_add_puzzle_revisions.js')
+])
+
+describe('Per-puzzle results', () => {
+  let service
+  let exerciseId
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    db.exec('CREATE TABLE puzzles (id TEXT PRIMARY KEY, themes TEXT)')
+    migrations.forEach(m => m.migrate(db))
+    resultsMigration.migrate(db)
+
+    db.prepare('INSERT INTO students (id, name) VALUES (?, ?)').run('s1', 'Alice')
+    const insertPuzzle = db.prepare('INSERT INTO puzzles (id, themes) VALUES (?, ?)')
+    insertPuzzle.run('p1', 'fork,short')
+    insertPuzzle.run('p2', 'pin')
+    insertPuzzle.run('p3', 'fork,mateIn2')
+  })
+
+  beforeEach(() => {
+    service = new ExerciseService()
+    db.exec('DELETE FROM student_puzzle_results; DELETE FROM student_exercises; DELETE FROM weekly_exercises;')
+    exerciseId = service.createWeeklyExercise({ puzzleIds: ['p1', 'p2', 'p3'], weekStart: '2026-04-06' }).data.id
+  })
+
+  afterAll(() => {
+    db.close()
+  })
+
+  const assign = () => service.assignExerciseToStudents(exerciseId, ['s1']).data.assigned[0].id
+  const resultRows = (id) => db.prepare(
+    'SELECT puzzle_id, correct, hint_used, solve_time_ms FROM student_puzzle_results WHERE student_exercise_id = ? ORDER BY puzzle_id'
+  ).all(id)
+
+  it('backfills from the comma-separated columns once and keeps them', () => {
+    const id = assign()
+    db.prepare('UPDATE student_exercises SET puzzle_results = ?, puzzle_hints = ?, puzzle_times = ? WHERE id = ?')
+      .run('1,0,', '0,1,0', '4000,,', id)
+
+    resultsMigration.rollback(db)
+    resultsMigration.migrate(db)
+    db.prepare('DELETE FROM student_puzzle_results WHERE puzzle_id = ?').run('p2')
+    resultsMigration.migrate(db)
+
+    expect(resultRows(id)).toEqual([
+      { puzzle_id: 'p1', correct: 1, hint_used: 0, solve_time_ms: 4000 }
+    ])
+    const legacy = db.prepare('SELECT puzzle_results, puzzle_hints, puzzle_times FROM student_exercises WHERE id = ?').get(id)
+    expect(legacy).toEqual({ puzzle_results: '1,0,', puzzle_hints: '0,1,0', puzzle_times: '4000,,' })
+
+    resultsMigration.rollback(db)
+    resultsMigration.migrate(db)
+    expect(resultRows(id)).toHaveLength(2)
+  })
+
+  it('keeps results attached to their puzzle when the exercise list changes', () => {
+    const id = assign()
+    service.gradeExercise(id, 1, null, '1,0,')
+
+    db.prepare('UPDATE weekly_exercises SET puzzle_ids = ? WHERE id = ?').run('p2,p3,p1', exerciseId)
+
+    expect(exerciseRepository.findStudentExerciseById(id).puzzle_results).toBe('0,,1')
+  })
+
+  it('updates only the fields that are sent', () => {
+    const id = assign()
+    service.saveStudentAttempt(id, 1, '1,,', '0,0,0')
+    service.saveStudentAttempt(id, 1, null, '0,1,0')
+    service.saveStudentAttempt(id, 1, '1,,', null, '9000,15000,')
+
+    expect(resultRows(id)).toEqual([
+      { puzzle_id: 'p1', correct: 1, hint_used: 0, solve_time_ms: 9000 },
+      { puzzle_id: 'p2', correct: null, hint_used: 1, solve_time_ms: 15000 }
+    ])
+    expect(service.getPuzzleResults(id).data.map(r => r.puzzle_id)).toEqual(['p1', 'p2'])
+  })
+
+  it('drops a puzzle row once it has no result, hint or time', () => {
+    const id = assign()
+    service.saveStudentAttempt(id, 0, '0,,')
+    service.gradeExercise(id, 0, null, ',,')
+    expect(resultRows(id)).toEqual([])
+    expect(exerciseRepository.findStudentExerciseById(id).puzzle_results).toBeNull()
+  })
+
+  it('keeps per-puzzle results unchanged when the score cannot be saved', () => {
+    const id = assign()
+    service.saveStudentAttempt(id, 1, '1,,')
+    const update = vi.spyOn(exerciseRepository, 'updateStudentExercise')
+      .mockReturnValue({ success: false, error: 'disk full' })
+
+    expect(service.saveStudentAttempt(id, 2, '1,1,')).toEqual({ success: false, error: 'disk full' })
+    expect(service.gradeExercise(id, 3, null, '1,1,1')).toEqual({ success: false, error: 'disk full' })
+    update.mockRestore()
+
+    expect(resultRows(id)).toEqual([
+      { puzzle_id: 'p1', correct: 1, hint_used: 0, solve_time_ms: null }
+    ])
+  })
+
+  describe('theme analytics', () => {
+    const analytics = new ThemeAnalyticsService()
+
+    it('aggregates accuracy per theme and skips meta themes', () => {
+      service.gradeExercise(assign(), 2, null, '1,0,1')
+
+      const { summary, themes } = analytics.getStudentThemeAnalytics('s1')
+
+      expect(themes.map(t => [t.theme, t.attempted, t.correct, t.accuracy])).toEqual([
+        ['pin', 1, 0, 0],
+        ['fork', 2, 2, 100],
+        ['matein2', 1, 1, 100]
+      ])
+      expect(summary).toMatchObject({ total_exercises: 1, average_score: 67, weakest: { theme: 'Pin', accuracy: 0 } })
+    })
+
+    it('counts the first puzzles as correct for exercises graded with a score only', () => {
+      service.gradeExercise(assign(), 1, null)
+
+      const fork = analytics.getStudentThemeAnalytics('s1').themes.find(t => t.theme === 'fork')
+      expect(fork).toMatchObject({ attempted: 2, correct: 1 })
+    })
+
+    it('reads themes with quotes and backslashes', () => {
+      db.prepare('INSERT OR REPLACE INTO puzzles (id, themes) VALUES (?, ?)').run('p2', 'pin,"odd" theme\\x')
+      service.gradeExercise(assign(), 2, null, '1,0,1')
+
+      const themes = analytics.getStudentThemeAnalytics('s1').themes
+      expect(themes.find(t => t.theme === '"odd" theme\\x')).toMatchObject({ attempted: 1, correct: 0 })
+      expect(analytics.getThemeStatsForStudents(['s1'], 50).find(t => t.theme === 'pin'))
+        .toMatchObject({ attempted: 1, students: 1, struggling: 1 })
+      db.prepare('UPDATE puzzles SET themes = ? WHERE id = ?').run('pin', 'p2')
+    })
+
+    it('ignores assignments that are not graded yet', () => {
+      service.saveStudentAttempt(assign(), 1, '1,,')
+      expect(analytics.getStudentThemeAnalytics('s1').summary.total_exercises).toBe(0)
+    })
+  })
+})
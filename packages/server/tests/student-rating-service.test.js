@@ -0,0 +1,164 @@
+/**
+ * Tests for StudentRatingService — Glicko-2 math and per-puzzle rating updates.
+ * Uses in-memory SQLite behind a mocked database wrapper.
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+
+const db = new Database(':memory:')
+
+vi.mock('../src/database/SqliteDatabase.js', () => ({
+  database: {
+    query: (sql, params = []) => db.prepare(sql).all(...params),
+    queryOne: (sql, params = []) => db.prepare(sql).get(...params) || null,
+    run: (sql, params = []) => db.prepare(sql).run(...params),
+    transaction: (fn) => db.transaction(fn)(),
+    getPuzzlesByIds: (ids) => {
+      if (ids.length === 0) return []
+      return db.prepare(`SELECT * FROM puzzles WHERE id IN (${ids.map(() => '?').join(',')})`).all(...ids)
+    }
+  }
+}))
+
+const { database } = await import('../src/database/SqliteDatabase.js')
+const { updateGlicko2, StudentRatingService } = await import('../src/students/StudentRatingService.js')
+const { migrate } = await import('../src/database/migrations/008_add_student_ratings.js')
+const { migrate: migrateResults } = await import('../src/database/migrations/014_add_student_puzzle_results.js')
+
+describe('updateGlicko2', () => {
+  it('matches the worked example from the Glicko-2 paper', () => {
+    const next = updateGlicko2({ rating: 1500, rd: 200, volatility: 0.06 }, [
+      { rating: 1400, rd: 30, score: 1 },
+      { rating: 1550, rd: 100, score: 0 },
+      { rating: 1700, rd: 300, score: 0 }
+    ])
+    expect(next.rating).toBeCloseTo(1464.06, 1)
+    expect(next.rd).toBeCloseTo(151.52, 1)
+    expect(next.volatility).toBeCloseTo(0.05999, 4)
+  })
+
+  it('gains more for beating a stronger puzzle than a weaker one', () => {
+    const player = { rating: 1500, rd: 100, volatility: 0.06 }
+    const vsStrong = updateGlicko2(player, [{ rating: 1900, rd: 75, score: 1 }])
+    const vsWeak = updateGlicko2(player, [{ rating: 1100, rd: 75, score: 1 }])
+    expect(vsStrong.rating - 1500).toBeGreaterThan(vsWeak.rating - 1500)
+  })
+
+  it('shrinks the deviation as results come in', () => {
+    const next = updateGlicko2({ rating: 1500, rd: 350, volatility: 0.06 }, [{ rating: 1500, rd: 75, score: 1 }])
+    expect(next.rd).toBeLessThan(350)
+  })
+
+  it('only widens the deviation when there are no games', () => {
+    const next = updateGlicko2({ rating: 1500, rd: 100, volatility: 0.06 }, [])
+    expect(next.rating).toBe(1500)
+    expect(next.rd).toBeGreaterThan(100)
+  })
+})
+
+describe('StudentRatingService.recordExerciseResults', () => {
+  let service
+
+  beforeAll(() => {
+    db.exec(`
+      CREATE TABLE puzzles (id TEXT PRIMARY KEY, rating INTEGER, rating_deviation INTEGER);
+      CREATE TABLE students (id TEXT PRIMARY KEY, name TEXT NOT NULL);
+      CREATE TABLE weekly_exercises (id TEXT PRIMARY KEY, puzzle_ids TEXT NOT NULL);
+      CREATE TABLE student_exercises (
+        id TEXT PRIMARY KEY, student_id TEXT NOT NULL, exercise_id TEXT NOT NULL
+      );
+    `)
+    migrate(db)
+    migrateResults(db)
+
+    db.prepare('INSERT INTO puzzles VALUES (?, ?, ?)').run('p1', 1400, 80)
+    db.prepare('INSERT INTO puzzles VALUES (?, ?, ?)').run('p2', 1600, 80)
+    db.prepare('INSERT INTO puzzles VALUES (?, ?, ?)').run('p3', 1800, 80)
+    db.prepare('INSERT INTO students VALUES (?, ?)').run('s1', 'Alice')
+    db.prepare('INSERT INTO weekly_exercises VALUES (?, ?)').run('ex1', 'p1,p2,p3')
+  })
+
+  beforeEach(() => {
+    service = new StudentRatingService()
+    db.exec(`
+      DELETE FROM student_rating_history; DELETE FROM student_ratings;
+      DELETE FROM student_puzzle_results; DELETE FROM student_exercises;
+    `)
+  })
+
+  const assign = (id) => db.prepare('INSERT INTO student_exercises VALUES (?, ?, ?)').run(id, 's1', 'ex1')
+  const recordResults = (id, results) => {
+    const upsert = db.prepare(`
+      INSERT INTO student_puzzle_results (student_exercise_id, puzzle_id, correct, updated_at)
+      VALUES (?, ?, ?, '2026-04-08')
+      ON CONFLICT (student_exercise_id, puzzle_id) DO UPDATE SET correct = excluded.correct
+    `)
+    for (const [puzzleId, correct] of Object.entries(results)) upsert.run(id, puzzleId, correct)
+  }
+
+  afterAll(() => {
+    db.close()
+  })
+
+  it('returns default rating for a student with no results', () => {
+    const rating = service.getRating('s1')
+    expect(rating.rating).toBe(1500)
+    expect(rating.rating_deviation).toBe(350)
+    expect(rating.games).toBe(0)
+  })
+
+  it('rates each recorded puzzle result once', () => {
+    assign('se1')
+    recordResults('se1', { p1: 1, p2: 0 })
+
+    const result = service.recordExerciseResults('se1')
+    expect(result.success).toBe(true)
+    expect(result.data.rated).toBe(2)
+
+    const history = service.getRatingHistory('s1')
+    expect(history.map(h => h.puzzle_id)).toEqual(['p1', 'p2'])
+    expect(history[1].rating_before).toBe(history[0].rating_after)
+    expect(service.getRating('s1').games).toBe(2)
+  })
+
+  it('ignores results that were already rated when an attempt is saved again', () => {
+    assign('se1')
+    recordResults('se1', { p1: 1, p2: 0 })
+    service.recordExerciseResults('se1')
+    const before = service.getRating('s1').rating
+
+    recordResults('se1', { p1: 1, p2: 1, p3: 1 })
+    const result = service.recordExerciseResults('se1')
+
+    expect(result.data.rated).toBe(1)
+    expect(service.getRatingHistory('s1')).toHaveLength(3)
+    expect(service.getRating('s1').rating).toBeGreaterThan(before)
+  })
+
+  it('keeps results unrated when the rating cannot be saved', () => {
+    assign('se1')
+    recordResults('se1', { p1: 1, p2: 0 })
+
+    const run = vi.spyOn(database, 'run').mockImplementation((sql, params = []) => {
+      if (sql.includes('INSERT INTO student_ratings')) throw new Error('disk I/O error')
+      return db.prepare(sql).run(...params)
+    })
+    expect(service.recordExerciseResults('se1')).toEqual({ success: false, error: 'disk I/O error' })
+    run.mockRestore()
+
+    expect(service.getRatingHistory('s1')).toEqual([])
+    expect(service.recordExerciseResults('se1').data.rated).toBe(2)
+    expect(service.getRating('s1').games).toBe(2)
+  })
+
+  it('does nothing when no per-puzzle results exist', () => {
+    assign('se1')
+    const result = service.recordExerciseResults('se1')
+    expect(result.data.rated).toBe(0)
+  })
+
+  it('returns an error for unknown assignments', () => {
+    expect(service.recordExerciseResults('missing').success).toBe(false)
+  })
+})
@@ -0,0 +1,114 @@
+/**
+ * Tests for theme match modes and weighted theme mixes — require-all and
+ * none-of filters in DatabaseLoader.queryPuzzles, weight allocation, and
+ * DatabaseGenerator.generatePuzzles end to end over an in-memory puzzles table.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+import { SqliteDatabase } from '../src/database/SqliteDatabase.js'
+import { DatabaseLoader } from '../src/database/DatabaseLoader.js'
+import { DatabaseGenerator } from '../src/database/DatabaseGenerator.js'
+
+const FEN = 'r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 3 3'
+
+describe('Theme matching', () => {
+  const database = new SqliteDatabase()
+  const loader = new DatabaseLoader()
+  const generator = new DatabaseGenerator()
+
+  beforeAll(() => {
+    database.db = new Database(':memory:')
+    database.initialized = true
+    database.db.exec(`
+      CREATE TABLE puzzles (
+        id TEXT PRIMARY KEY, fen TEXT, moves TEXT, rating INTEGER,
+        popularity INTEGER, themes TEXT
+      )
+    `)
+
+    const insert = database.db.prepare('INSERT INTO puzzles VALUES (?, ?, ?, ?, ?, ?)')
+    const add = (prefix, n, themes) => {
+      for (let i = 1; i <= n; i++) insert.run(`${prefix}${i}`, FEN, 'g8f6 f3g5', 1500, 90, themes)
+    }
+    add('fe', 3, 'fork,endgame')
+    add('f', 12, 'fork,middlegame')
+    add('kf', 2, 'knightfork,endgame')
+    add('p', 12, 'pin,middlegame')
+    add('s', 12, 'skewer')
+    add('e', 4, 'endgame')
+
+    database.buildThemeIndex()
+    loader.db = database
+    loader.loaded = true
+    generator.loader = loader
+    generator.initialized = true
+  })
+
+  afterAll(() => {
+    database.close()
+  })
+
+  const ids = (opts) => loader.queryPuzzles({ limit: 100, ...opts }).map(p => p.id).sort()
+
+  describe('DatabaseLoader.queryPuzzles', () => {
+    it('requires a tag from every group', () => {
+      expect(ids({ requireThemes: [['fork', 'knightfork'], ['endgame']] })).toEqual(['fe1', 'fe2', 'fe3', 'kf1', 'kf2'])
+    })
+
+    it('intersects a theme union with required groups', () => {
+      expect(ids({ themes: ['knightfork', 'pin'], requireThemes: [['endgame']] })).toEqual(['kf1', 'kf2'])
+    })
+
+    it('drops puzzles carrying an excluded theme', () => {
+      expect(ids({ themes: ['endgame'], excludeThemes: ['fork', 'knightfork'] })).toEqual(['e1', 'e2', 'e3', 'e4'])
+      expect(ids({ excludeThemes: ['fork', 'knightfork', 'pin', 'skewer', 'middlegame'] })).toEqual(['e1', 'e2', 'e3', 'e4'])
+    })
+  })
+
+  describe('allocateByWeight', () => {
+    it('splits in proportion to the weights', () => {
+      expect(generator.allocateByWeight([50, 30, 20], 10)).toEqual([5, 3, 2])
+      expect(generator.allocateByWeight([5, 3, 2], 20)).toEqual([10, 6, 4])
+    })
+
+    it('hands rounding leftovers to the largest remainders', () => {
+      expect(generator.allocateByWeight([1, 1, 1], 10)).toEqual([4, 3, 3])
+      expect(generator.allocateByWeight([1, 2], 4)).toEqual([1, 3])
+      expect(generator.allocateByWeight([1, 1], 1)).toEqual([1, 0])
+    })
+  })
+
+  describe('DatabaseGenerator.generatePuzzles', () => {
+    const themesOf = (puzzles) => puzzles.map(p => p.themes)
+    const options = { minRating: 1000, maxRating: 2000, minPopularity: 80 }
+
+    it('returns only puzzles with all themes in all mode', () => {
+      const puzzles = generator.generatePuzzles('fork,endgame', 10, { ...options, matchMode: 'all' })
+      expect(puzzles).toHaveLength(5)
+      for (const themes of themesOf(puzzles)) {
+        expect(themes).toContain('endgame')
+        expect(themes.some(t => t === 'fork' || t === 'knightfork')).toBe(true)
+      }
+    })
+
+    it('returns only puzzles without the themes in none mode', () => {
+      const puzzles = generator.generatePuzzles('fork,pin', 20, { ...options, matchMode: 'none' })
+      expect(puzzles.map(p => p.id).sort()).toEqual(['e1', 'e2', 'e3', 'e4', 's1', 's10', 's11', 's12', 's2', 's3', 's4', 's5', 's6', 's7', 's8', 's9'])
+    })
+
+    it('mixes themes by weight', () => {
+      const puzzles = generator.generatePuzzles('pin,skewer', 10, { ...options, weights: { pin: 70, skewer: 30 } })
+      const pins = puzzles.filter(p => p.themes.includes('pin'))
+      expect(puzzles).toHaveLength(10)
+      expect(pins).toHaveLength(7)
+    })
+
+    it('tops up from other themes when one runs short', () => {
+      const puzzles = generator.generatePuzzles('knightfork,skewer', 10, { ...options, matchMode: 'any', weights: { knightfork: 80, skewer: 20 } })
+      expect(puzzles).toHaveLength(10)
+      expect(puzzles.filter(p => p.themes.includes('knightfork'))).toHaveLength(2)
+      expect(new Set(puzzles.map(p => p.id)).size).toBe(10)
+    })
+  })
+})
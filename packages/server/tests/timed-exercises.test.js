@@ -0,0 +1,167 @@
+/**
+ * Tests for timed exercises — time limit validation, attempt start/resume,
+ * the total-limit cut-off and per-puzzle solve time storage and stats.
+ * Uses in-memory SQLite behind a mocked database wrapper.
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from 'vitest'
+import Database from 'better-sqlite3'
+
+const db = new Database(':memory:')
+
+vi.mock('../src/database/SqliteDatabase.js', () => ({
+  database: {
+    query: (sql, params = []) => db.prepare(sql).all(...params),
+    queryOne: (sql, params = []) => db.prepare(sql).get(...params) || null,
+    run: (sql, params = []) => db.prepare(sql).run(...params),
+    transaction: (fn) => db.transaction(fn)()
+  }
+}))
+
+vi.mock('../src/exercises/ReviewQueueService.js', () => ({
+  reviewQueueService: { syncFromStudentExercise: vi.fn() }
+}))
+
+vi.mock('../src/students/StudentRatingService.js', () => ({
+  studentRatingService: { recordExerciseResults: vi.fn() }
+}))
+
+const { ExerciseService } = await import('../src/exercises/ExerciseService.js')
+const { exerciseRepository } = await import('../src/exercises/ExerciseRepository.js')
+const migrations = await Promise.all([
+  import('../src/database/migrations/002_add_exercise_tables.js'),
+  import('../src/database/migrations/003_add_puzzle_results.js'),
+  import('../src/database/migrations/005_add_puzzle_hints.js'),
+  import('../src/database/migrations/006_add_is_final_flag.js'),
+  import('../src/database/migrations/010_add_due_dates.js'),
+  import('../src/database/migrations/012_add_timed_exercises.js'),
+  import('../src/database/migrations/013_add_puzzle_attempts.js'),
+  import('../src/database/migrations/014_add_student_puzzle_results.js'),
+  import('../src/database/migrations/016_add_puzzle_revisions.js')
+])
+
+const START = new Date(2026, 3, 8, 16, 0, 0)
+
+describe('Timed exercises', () => {
+  let service
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    migrations.forEach(m => m.migrate(db))
+    db.prepare('INSERT INTO students (id, name) VALUES (?, ?)').run('s1', 'Alice')
+    db.prepare('INSERT INTO students (id, name) VALUES (?, ?)').run('s2', 'Bob')
+  })
+
+  beforeEach(() => {
+    service = new ExerciseService()
+    db.exec('DELETE FROM student_puzzle_results; DELETE FROM student_exercises; DELETE FROM weekly_exercises;')
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  afterAll(() => {
+    db.close()
+  })
+
+  const createExercise = (limits = {}) => service.createWeeklyExercise({
+    puzzleIds: ['p1', 'p2', 'p3'],
+    weekStart: '2026-04-06',
+    ...limits
+  })
+
+  const assign = (exerciseId, studentId = 's1') =>
+    service.assignExerciseToStudents(exerciseId, [studentId]).data.assigned[0].id
+
+  describe('createWeeklyExercise', () => {
+    it('stores the time limit and mode', () => {
+      const { data } = createExercise({ timeLimitSeconds: 600, timeLimitMode: 'total' })
+      const row = db.prepare('SELECT * FROM weekly_exercises WHERE id = ?').get(data.id)
+      expect(row.time_limit_seconds).toBe(600)
+      expect(row.time_limit_mode).toBe('total')
+    })
+
+    it('leaves untimed exercises without a mode', () => {
+      const { data } = createExercise()
+      expect(data.time_limit_seconds).toBeNull()
+      expect(data.time_limit_mode).toBeNull()
+    })
+
+    it('rejects invalid limits', () => {
+      expect(createExercise({ timeLimitSeconds: 5 }).success).toBe(false)
+      expect(createExercise({ timeLimitSeconds: 90.5 }).success).toBe(false)
+      expect(createExercise({ timeLimitSeconds: 60, timeLimitMode: 'per_move' }).success).toBe(false)
+    })
+  })
+
+  describe('startAttempt', () => {
+    it('stamps the start once and resumes the same clock', () => {
+      const seId = assign(createExercise({ timeLimitSeconds: 600 }).data.id)
+
+      const first = service.startAttempt(seId, START)
+      expect(first.data.started_at).toBe(START.toISOString())
+      expect(first.data.remaining_ms).toBe(600000)
+
+      const later = service.startAttempt(seId, new Date(START.getTime() + 240000))
+      expect(later.data.started_at).toBe(START.toISOString())
+      expect(later.data.remaining_ms).toBe(360000)
+    })
+
+    it('has no expiry for per-puzzle limits', () => {
+      const seId = assign(createExercise({ timeLimitSeconds: 45, timeLimitMode: 'per_puzzle' }).data.id)
+      const result = service.startAttempt(seId, START)
+      expect(result.data.time_limit_mode).toBe('per_puzzle')
+      expect(result.data.expires_at).toBeNull()
+    })
+
+    it('returns an error for unknown assignments', () => {
+      expect(service.startAttempt('missing').success).toBe(false)
+    })
+  })
+
+  describe('saveStudentAttempt', () => {
+    it('stores per-puzzle solve times', () => {
+      const seId = assign(createExercise().data.id)
+      expect(service.saveStudentAttempt(seId, 2, '1,1,', '0,0,0', '12000,48000,').success).toBe(true)
+      expect(exerciseRepository.findStudentExerciseById(seId).puzzle_times).toBe('12000,48000,')
+    })
+
+    it('accepts the auto-submit shortly after time runs out, then refuses', () => {
+      const seId = assign(createExercise({ timeLimitSeconds: 60 }).data.id)
+      service.startAttempt(seId, START)
+
+      vi.useFakeTimers({ now: new Date(START.getTime() + 70000) })
+      expect(service.saveStudentAttempt(seId, 1, '1,0,0').success).toBe(true)
+
+      vi.setSystemTime(new Date(START.getTime() + 5 * 60000))
+      const result = service.saveStudentAttempt(seId, 2, '1,1,0')
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('Time is up')
+    })
+
+    it('restarts the clock after a score reset', () => {
+      const seId = assign(createExercise({ timeLimitSeconds: 60 }).data.id)
+      service.startAttempt(seId, START)
+      service.saveStudentAttempt(seId, 1, '1,0,0', null, '5000,9000,3000')
+
+      expect(service.resetExerciseScore(seId).success).toBe(true)
+      const row = exerciseRepository.findStudentExerciseById(seId)
+      expect(row.started_at).toBeNull()
+      expect(row.puzzle_times).toBeNull()
+    })
+  })
+
+  describe('getSolveTimeStats', () => {
+    it('averages solve times per puzzle across students', () => {
+      const exerciseId = createExercise().data.id
+      service.saveStudentAttempt(assign(exerciseId, 's1'), 3, '1,1,1', null, '10000,60000,5000')
+      service.saveStudentAttempt(assign(exerciseId, 's2'), 1, '1,0,', null, '20000,30000,')
+
+      const { data } = service.getSolveTimeStats(exerciseId)
+      expect(data.map(p => p.average_ms)).toEqual([15000, 45000, 5000])
+      expect(data.map(p => p.max_ms)).toEqual([20000, 60000, 5000])
+      expect(data[2].attempts).toBe(1)
+    })
+  })
+})
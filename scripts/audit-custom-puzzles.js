@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Audit Script: Engine-check the custom puzzle set
+ *
+ * Runs every custom (non-Lichess) puzzle through a UCI engine and lists the
+ * ones whose solution is unsound (a solver move is a mistake or loses) or not
+ * unique (another move wins as well). Puzzles are checked as they are served,
+ * with FENs edited on the Reports page applied. See
+ * packages/server/src/puzzles/validation/PuzzleEngineCheck.js.
+ *
+ * Usage: node scripts/audit-custom-puzzles.js [options]
+ * Options:
+ *   --db <path>      Database to read (default: ./packages/server/data/puzzles.db)
+ *   --engine <path>  Stockfish binary or JS build (default: $STOCKFISH_PATH)
+ *   --depth <n>      Search depth per position (default: 18)
+ *   --limit <n>      Only check the first n puzzles
+ *   --json           Print the full results as JSON
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { UciEngine } from '../packages/server/src/engine/UciEngine.js';
+import { checkPuzzle, formatScore } from '../packages/server/src/puzzles/validation/PuzzleEngineCheck.js';
+import { puzzleResolver } from '../packages/server/src/puzzles/PuzzleResolver.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DB = path.join(__dirname, '../packages/server/data/puzzles.db');
+const DEFAULT_DEPTH = 18;
+
+async function audit(options) {
+  const dbPath = options.db || DEFAULT_DB;
+  const enginePath = options.engine || process.env.STOCKFISH_PATH;
+  const depth = options.depth || DEFAULT_DEPTH;
+  const log = options.json ? () => {} : console.log;
+
+  if (!enginePath) {
+    throw new Error('No engine given (use --engine or set STOCKFISH_PATH)');
+  }
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`Database not found: ${dbPath}`);
+  }
+
+  const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+  let engine = null;
+
+  try {
+    // puzzle_modifications is created by the server on first start
+    const hasModifications = db.prepare(
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'puzzle_modifications'"
+    ).get();
+
+    const rows = db.prepare(`
+      SELECT p.id, p.fen, p.moves, p.source${hasModifications ? ', m.modified_fen' : ''}
+      FROM puzzles p
+      ${hasModifications ? 'LEFT JOIN puzzle_modifications m ON m.puzzle_id = p.id' : ''}
+      WHERE COALESCE(p.source, 'lichess') != 'lichess'
+      ORDER BY p.id
+      ${options.limit ? 'LIMIT ?' : ''}
+    `).all(...(options.limit ? [options.limit] : []));
+
+    const puzzles = rows.map(({ modified_fen, ...row }) => puzzleResolver.applyModification(row, { modified_fen }));
+
+    log('========================================');
+    log('  Custom Puzzle Engine Audit');
+    log('========================================\n');
+
+    engine = await UciEngine.spawn(enginePath);
+    log(`Engine: ${engine.name}, depth ${depth}`);
+    log(`Checking ${puzzles.length} custom puzzles...\n`);
+
+    const results = [];
+    const counts = { sound: 0, unsound: 0, notUnique: 0, failed: 0 };
+
+    for (const puzzle of puzzles) {
+      try {
+        const check = await checkPuzzle(engine, puzzle.fen, puzzle.moves, { depth });
+        results.push({ id: puzzle.id, source: puzzle.source, ...check });
+
+        if (!check.sound) counts.unsound++;
+        else counts.sound++;
+        if (!check.unique) counts.notUnique++;
+
+        const status = !check.sound ? '✗ unsound' : !check.unique ? '! not unique' : '✓';
+        const evals = check.plies.map(ply => `${ply.san} ${formatScore(ply.eval)}`).join(', ');
+        log(`${status} ${puzzle.id}: ${evals}`);
+        check.issues.forEach(issue => log(`    ply ${issue.ply}: ${issue.message}`));
+      } catch (error) {
+        counts.failed++;
+        results.push({ id: puzzle.id, source: puzzle.source, error: error.message });
+        log(`? ${puzzle.id}: ${error.message}`);
+      }
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({ engine: engine.name, depth, counts, results }, null, 2));
+    } else {
+      log('\n========================================');
+      log('  AUDIT COMPLETE');
+      log('========================================');
+      log(`  Checked:     ${puzzles.length}`);
+      log(`  Sound:       ${counts.sound}`);
+      log(`  Unsound:     ${counts.unsound}`);
+      log(`  Not unique:  ${counts.notUnique}`);
+      log(`  Failed:      ${counts.failed}`);
+      log('========================================\n');
+    }
+
+    return counts;
+  } finally {
+    if (engine) engine.quit();
+    db.close();
+  }
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--db' && args[i + 1]) {
+      options.db = args[++i];
+    } else if (arg === '--engine' && args[i + 1]) {
+      options.engine = args[++i];
+    } else if (arg === '--depth' && args[i + 1]) {
+      options.depth = parseInt(args[++i]);
+    } else if (arg === '--limit' && args[i + 1]) {
+      options.limit = parseInt(args[++i]);
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--help' || arg === '-h') {
+      console.log(`
+Usage: node scripts/audit-custom-puzzles.js [options]
+
+Options:
+  --db <path>      Database to read
+  --engine <path>  Stockfish binary or JS build (default: $STOCKFISH_PATH)
+  --depth <n>      Search depth per position
+  --limit <n>      Only check the first n puzzles
+  --json           Print the full results as JSON
+  --help, -h       Show this help message
+      `);
+      process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+audit(parseArgs())
+  .then(counts => {
+    // Non-zero exit lets CI fail on unsound puzzles
+    process.exit(counts.unsound > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('\n❌ Audit failed:', error.message);
+    process.exit(2);
+  });
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Update Script: Refresh Lichess puzzles in the live database
+ *
+ * Streams a newer Lichess CSV into the existing puzzles.db instead of
+ * rebuilding it, so custom puzzles, reports, modifications, revisions and
+ * exercise data survive. See packages/server/src/database/DatabaseUpdater.js.
+ *
+ * Usage: node scripts/update-sqlite-db.js [options]
+ * Options:
+ *   --input <path>   Input CSV file (default: ./data_sources/lichess_puzzles.csv)
+ *   --db <path>      Database to update (default: ./packages/server/data/puzzles.db)
+ *   --limit <n>      Only read the first n rows (nothing is marked removed)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createReadStream } from 'fs';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import Papa from 'papaparse';
+import { DatabaseUpdater, parseLichessRow, formatSummary } from '../packages/server/src/database/DatabaseUpdater.js';
+import { migrate as migrateSources } from '../packages/server/src/database/migrations/001_add_source_field.js';
+import { migrate as migratePuzzleFeatures } from '../packages/server/src/database/migrations/015_add_puzzle_features.js';
+import { migrate as migratePositionKeys } from '../packages/server/src/database/migrations/017_add_position_keys.js';
+import { migrate as migrateUpstreamStatus } from '../packages/server/src/database/migrations/018_add_upstream_status.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_INPUT = path.join(__dirname, '../data_sources/lichess_puzzles.csv');
+const DEFAULT_DB = path.join(__dirname, '../packages/server/data/puzzles.db');
+const BATCH_SIZE = 10000;
+
+async function update(options) {
+  const inputPath = options.input || DEFAULT_INPUT;
+  const dbPath = options.db || DEFAULT_DB;
+  const limit = options.limit || 0;
+  const startTime = Date.now();
+
+  console.log('========================================');
+  console.log('  Chess Puzzle Database Update');
+  console.log('========================================\n');
+
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Input file not found: ${inputPath}`);
+  }
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`Database not found: ${dbPath} (build it first with npm run build:db)`);
+  }
+
+  const db = new Database(dbPath, { fileMustExist: true });
+  db.pragma('journal_mode = WAL');
+
+  try {
+    console.log('1. Checking schema...');
+    migrateSources(db);
+    migratePuzzleFeatures(db);
+    migratePositionKeys(db);
+    migrateUpstreamStatus(db);
+
+    console.log(`2. Processing CSV: ${inputPath}`);
+    if (limit) {
+      console.log(`   Limit: ${limit} rows (puzzles missing from the file are not marked removed)`);
+    }
+
+    const updater = new DatabaseUpdater(db);
+    await streamCsv(inputPath, limit, updater);
+
+    console.log('3. Marking removed puzzles and updating theme counts...');
+    const summary = updater.finish({ markRemoved: !limit });
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log('\n========================================');
+    console.log('  UPDATE COMPLETE');
+    console.log('========================================');
+    formatSummary(summary).forEach(line => console.log(line));
+    console.log(`  Update time:        ${elapsed}s`);
+    console.log('========================================');
+    console.log('\nA running server keeps its old theme and opening indexes until it is');
+    console.log('restarted or an admin calls POST /api/puzzles/reload-indexes.\n');
+  } finally {
+    db.close();
+  }
+}
+
+function streamCsv(inputPath, limit, updater) {
+  return new Promise((resolve, reject) => {
+    const batch = [];
+    let read = 0;
+
+    const stream = createReadStream(inputPath);
+
+    Papa.parse(stream, {
+      header: true,
+      skipEmptyLines: true,
+      step: (result, parser) => {
+        const puzzle = parseLichessRow(result.data);
+        if (!puzzle) {
+          return;
+        }
+        batch.push(puzzle);
+        read++;
+
+        if (batch.length >= BATCH_SIZE) {
+          updater.applyBatch(batch);
+          batch.length = 0;
+          process.stdout.write(`\r   Processed ${read.toLocaleString()} puzzles...`);
+        }
+
+        // Stop reading the file once the limit is reached
+        if (limit && read >= limit) {
+          parser.abort();
+        }
+      },
+      complete: () => {
+        stream.destroy();
+        if (batch.length > 0) {
+          updater.applyBatch(batch);
+        }
+        console.log(`\r   ✓ Processed ${read.toLocaleString()} puzzles`);
+        resolve();
+      },
+      error: (error) => {
+        reject(error);
+      }
+    });
+  });
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--input' && args[i + 1]) {
+      options.input = args[++i];
+    } else if (arg === '--db' && args[i + 1]) {
+      options.db = args[++i];
+    } else if (arg === '--limit' && args[i + 1]) {
+      options.limit = parseInt(args[++i]);
+    } else if (arg === '--help' || arg === '-h') {
+      console.log(`
+Usage: node scripts/update-sqlite-db.js [options]
+
+Options:
+  --input <path>   Input CSV file
+  --db <path>      Database to update
+  --limit <n>      Only read the first n rows
+  --help, -h       Show this help message
+      `);
+      process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+update(parseArgs()).catch(error => {
+  console.error('\n❌ Update failed:', error.message);
+  process.exit(1);
+});